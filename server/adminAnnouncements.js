@@ -1,5 +1,102 @@
+import { getServerLocationFish } from './catchValidation.js';
+import { applyAnnouncementGift } from '../src/mailRewards.js';
+import { MAIL_MAX_COINS, MAIL_MAX_ENERGY } from '../src/config/mail.js';
+import { ADMIN_PERMISSIONS } from '../src/config/adminRoles.js';
+
 const DISPLAY_TYPES = new Set(['toast', 'banner']);
 const TOAST_TYPES = new Set(['info', 'success', 'error']);
+const SHOP_CATEGORIES = new Set(['rods', 'reels', 'lines', 'hooks', 'baits']);
+
+const MAX_SCHEDULE_AHEAD_MS = 30 * 24 * 60 * 60 * 1000;
+const MAX_FRIEND_CODES = 200;
+
+const DEFAULT_ACTION_LABELS = {
+    open_shop: 'Open shop',
+    jump_location: 'Go there',
+    claim_gift: 'Claim gift'
+};
+
+function parseDate(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function optionalWholeNumber(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const number = Math.floor(Number(value));
+    return Number.isFinite(number) && number >= 0 ? number : NaN;
+}
+
+/**
+ * Audience filter (announcements and reward mail). Empty object = everyone. Friend codes
+ * are matched case-insensitively; inactiveDays is measured when the audience is resolved.
+ */
+export function normalizeAudienceTarget(raw) {
+    if (!raw || typeof raw !== 'object') {
+        return { ok: true, value: {} };
+    }
+
+    const target = {};
+    const minLevel = optionalWholeNumber(raw.minLevel);
+    const maxLevel = optionalWholeNumber(raw.maxLevel);
+    const inactiveDays = optionalWholeNumber(raw.inactiveDays);
+    if (Number.isNaN(minLevel) || Number.isNaN(maxLevel)) {
+        return { ok: false, error: 'Level range must be whole numbers' };
+    }
+    if (Number.isNaN(inactiveDays)) {
+        return { ok: false, error: 'Inactive days must be a whole number' };
+    }
+    if (minLevel !== null && maxLevel !== null && minLevel > maxLevel) {
+        return { ok: false, error: 'Minimum level is above maximum level' };
+    }
+    if (minLevel !== null && minLevel > 1) target.minLevel = minLevel;
+    if (maxLevel !== null) target.maxLevel = maxLevel;
+    if (inactiveDays) target.inactiveDays = Math.min(inactiveDays, 365);
+
+    const codes = Array.isArray(raw.friendCodes)
+        ? raw.friendCodes
+        : (typeof raw.friendCodes === 'string' ? raw.friendCodes.split(/[\s,]+/) : []);
+    const friendCodes = [...new Set(codes.map((code) => String(code).trim().toUpperCase()).filter(Boolean))];
+    if (friendCodes.length > MAX_FRIEND_CODES) {
+        return { ok: false, error: `At most ${MAX_FRIEND_CODES} friend codes per announcement` };
+    }
+    if (friendCodes.length > 0) target.friendCodes = friendCodes;
+
+    return { ok: true, value: target };
+}
+
+function normalizeAction(raw) {
+    if (!raw || typeof raw !== 'object' || !raw.type || raw.type === 'none') {
+        return { ok: true, value: null };
+    }
+
+    const label = typeof raw.label === 'string' && raw.label.trim()
+        ? raw.label.trim().slice(0, 24)
+        : DEFAULT_ACTION_LABELS[raw.type];
+
+    if (raw.type === 'open_shop') {
+        const category = SHOP_CATEGORIES.has(raw.category) ? raw.category : 'rods';
+        return { ok: true, value: { type: 'open_shop', label, category } };
+    }
+    if (raw.type === 'jump_location') {
+        const locationName = typeof raw.locationName === 'string' ? raw.locationName.trim() : '';
+        if (!getServerLocationFish(locationName)) {
+            return { ok: false, error: 'Unknown location' };
+        }
+        return { ok: true, value: { type: 'jump_location', label, locationName } };
+    }
+    if (raw.type === 'claim_gift') {
+        // Same caps as reward mail.
+        const coins = Math.min(Math.max(Math.floor(Number(raw.coins) || 0), 0), MAIL_MAX_COINS);
+        const energy = Math.min(Math.max(Math.floor(Number(raw.energy) || 0), 0), MAIL_MAX_ENERGY);
+        if (coins === 0 && energy === 0) {
+            return { ok: false, error: 'A gift needs coins or energy' };
+        }
+        return { ok: true, value: { type: 'claim_gift', label, coins, energy } };
+    }
+    return { ok: false, error: 'Action must be open_shop, jump_location or claim_gift' };
+}
 
 export function normalizeAnnouncementInput(body = {}) {
     const title = typeof body.title === 'string' ? body.title.trim() : '';
@@ -23,12 +120,36 @@ export function normalizeAnnouncementInput(body = {}) {
     }
     durationMs = Math.min(durationMs, 30000);
 
+    // No start time (or one already past) sends right away.
+    let startsAt = new Date();
+    if (body.startsAt) {
+        const requested = parseDate(body.startsAt);
+        if (!requested) {
+            return { ok: false, error: 'Start time is not a valid date' };
+        }
+        if (requested.getTime() - Date.now() > MAX_SCHEDULE_AHEAD_MS) {
+            return { ok: false, error: 'Announcements can be scheduled at most 30 days ahead' };
+        }
+        if (requested.getTime() > startsAt.getTime()) {
+            startsAt = requested;
+        }
+    }
+
     let expiresAt = null;
     const expiresInMinutes = Number(body.expiresInMinutes ?? body.expiresIn);
     if (Number.isFinite(expiresInMinutes) && expiresInMinutes > 0) {
-        expiresAt = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+        expiresAt = new Date(startsAt.getTime() + expiresInMinutes * 60 * 1000);
     } else {
-        expiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000);
+        expiresAt = new Date(startsAt.getTime() + 24 * 60 * 60 * 1000);
+    }
+
+    const target = normalizeAudienceTarget(body.target);
+    if (!target.ok) {
+        return target;
+    }
+    const action = normalizeAction(body.action);
+    if (!action.ok) {
+        return action;
     }
 
     return {
@@ -40,14 +161,174 @@ export function normalizeAnnouncementInput(body = {}) {
             toastType,
             bannerColor,
             durationMs,
-            expiresAt
+            startsAt,
+            expiresAt,
+            target: target.value,
+            action: action.value
         }
     };
 }
 
+/**
+ * Permission an admin is missing to send this announcement action, or null. A claim_gift
+ * hands out coins and energy, so it needs ECONOMY like reward mail does.
+ * @param {Object|null} action - Normalized action
+ * @param {string[]} [permissions] - The admin's permissions
+ * @returns {string|null}
+ */
+export function getMissingActionPermission(action, permissions = []) {
+    if (action?.type === 'claim_gift' && !permissions.includes(ADMIN_PERMISSIONS.ECONOMY)) {
+        return ADMIN_PERMISSIONS.ECONOMY;
+    }
+    return null;
+}
+
+export function isTargetedAnnouncement(target) {
+    return Boolean(target) && Object.keys(target).length > 0;
+}
+
+/** WHERE clause over `players p` for a target, with its parameters numbered from `firstParam`. */
+export function buildAudienceFilter(target, firstParam) {
+    const clauses = [];
+    const params = [];
+    const next = (value) => {
+        params.push(value);
+        return `$${firstParam + params.length - 1}`;
+    };
+
+    if (Number.isFinite(target.minLevel)) {
+        clauses.push(`p.level >= ${next(target.minLevel)}`);
+    }
+    if (Number.isFinite(target.maxLevel)) {
+        clauses.push(`p.level <= ${next(target.maxLevel)}`);
+    }
+    if (Number.isFinite(target.inactiveDays)) {
+        clauses.push(`p.last_active < NOW() - make_interval(days => ${next(target.inactiveDays)}::int)`);
+    }
+    if (Array.isArray(target.friendCodes) && target.friendCodes.length > 0) {
+        clauses.push(`UPPER(p.friend_code) = ANY(${next(target.friendCodes)}::text[])`);
+    }
+
+    return { sql: clauses.length > 0 ? clauses.join(' AND ') : 'TRUE', params };
+}
+
+/**
+ * Send every announcement whose start time has passed. Targeted ones have their audience
+ * fixed at this moment, so "inactive for N days" isn't undone by the login that fetches it.
+ * @returns {Promise<number>} How many were released
+ */
+export async function releaseDueAnnouncements(pool) {
+    const due = await pool.query(
+        `SELECT id FROM admin_announcements
+         WHERE released_at IS NULL AND starts_at <= NOW()
+         ORDER BY starts_at ASC`
+    );
+
+    let released = 0;
+    for (const { id } of due.rows) {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            const claimed = await client.query(
+                `UPDATE admin_announcements SET released_at = NOW()
+                 WHERE id = $1 AND released_at IS NULL
+                 RETURNING target`,
+                [id]
+            );
+            if (claimed.rows.length === 0) {
+                await client.query('ROLLBACK');
+                continue;
+            }
+
+            const target = claimed.rows[0].target || {};
+            if (isTargetedAnnouncement(target)) {
+                const filter = buildAudienceFilter(target, 2);
+                await client.query(
+                    `INSERT INTO announcement_audience (announcement_id, player_id)
+                     SELECT $1, p.id FROM players p
+                     WHERE ${filter.sql}
+                     ON CONFLICT DO NOTHING`,
+                    [id, ...filter.params]
+                );
+            }
+
+            await client.query('COMMIT');
+            released += 1;
+        } catch (error) {
+            await client.query('ROLLBACK').catch(() => {});
+            console.error('[ANNOUNCEMENTS] Release failed:', id, error);
+        } finally {
+            client.release();
+        }
+    }
+    return released;
+}
+
+/**
+ * Record that a player used an announcement's action button. A claim_gift is written into
+ * the player's cloud save in the same transaction that marks it used, the way reward mail
+ * claims are (see claimPlayerMail), so a lost response can't lose the gift.
+ * @param {import('pg').Pool} pool
+ * @param {{ playerId: string, announcementId: string, action: Object }} claim
+ * @returns {Promise<boolean>} True the first time this player used the action
+ */
+export async function recordAnnouncementAction(pool, { playerId, announcementId, action }) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const recorded = await client.query(
+            `INSERT INTO announcement_acks (announcement_id, player_id, action_at)
+             VALUES ($1, $2, NOW())
+             ON CONFLICT (announcement_id, player_id)
+             DO UPDATE SET action_at = NOW()
+             WHERE announcement_acks.action_at IS NULL
+             RETURNING action_at`,
+            [announcementId, playerId]
+        );
+        if (recorded.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return false;
+        }
+
+        if (action?.type === 'claim_gift') {
+            const coins = action.coins || 0;
+            const saveResult = await client.query(
+                'SELECT game_save FROM players WHERE id = $1 FOR UPDATE',
+                [playerId]
+            );
+            const gameSave = saveResult.rows[0]?.game_save;
+
+            if (gameSave?.player && typeof gameSave.player === 'object') {
+                applyAnnouncementGift(gameSave.player, announcementId, action);
+                await client.query(
+                    `UPDATE players
+                     SET game_save = $2::jsonb,
+                         game_save_revision = game_save_revision + 1,
+                         money = COALESCE(money, 0) + $3
+                     WHERE id = $1`,
+                    [playerId, JSON.stringify(gameSave), coins]
+                );
+            } else if (coins > 0) {
+                await client.query(
+                    'UPDATE players SET money = COALESCE(money, 0) + $2 WHERE id = $1',
+                    [playerId, coins]
+                );
+            }
+        }
+
+        await client.query('COMMIT');
+        return true;
+    } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
 export function mapAnnouncementRow(row) {
     if (!row) return row;
-    return {
+    const announcement = {
         id: row.id,
         title: row.title,
         body: row.body,
@@ -55,7 +336,21 @@ export function mapAnnouncementRow(row) {
         toastType: row.toast_type,
         bannerColor: row.banner_color,
         durationMs: row.duration_ms,
+        startsAt: row.starts_at,
         expiresAt: row.expires_at,
+        action: row.action || null,
         createdAt: row.created_at
     };
+    if (row.target !== undefined) {
+        announcement.target = row.target || {};
+    }
+    if (row.delivered_count !== undefined) {
+        announcement.status = row.released_at ? 'sent' : 'scheduled';
+        announcement.audienceCount = isTargetedAnnouncement(row.target) && row.released_at
+            ? Number(row.audience_count) || 0
+            : null;
+        announcement.deliveredCount = Number(row.delivered_count) || 0;
+        announcement.actionCount = Number(row.action_count) || 0;
+    }
+    return announcement;
 }
@@ -1,5 +1,8 @@
+import { OWNER_ROLE } from '../src/config/adminRoles.js';
+
 /**
- * Server-side admin identity — only this username receives admin powers.
+ * Server-side admin identity — this username is always an owner; other players get admin
+ * powers through a role in player_admin_roles (see migrations/015_admin_roles.sql).
  * Override on Render with ADMIN_USERNAME if needed.
  */
 const DEFAULT_ADMIN_USERNAME = 'Halley';
@@ -25,3 +28,70 @@ export function withAdminFlag(playerRow) {
         isAdmin: isAdminUsername(playerRow.username)
     };
 }
+
+function mapRoleRow(row) {
+    return {
+        role: row.name,
+        label: row.label,
+        permissions: Array.isArray(row.permissions) ? row.permissions : []
+    };
+}
+
+/**
+ * The admin role a player holds, or null for regular players.
+ * @param {import('pg').Pool|import('pg').PoolClient} db
+ * @param {{ id: string, username: string }} player
+ * @returns {Promise<{ role: string, label: string, permissions: string[] }|null>}
+ */
+export async function loadAdminRole(db, player) {
+    if (!player?.id) {
+        return null;
+    }
+    const result = await db.query(
+        `SELECT r.name, r.label, r.permissions
+         FROM admin_roles r
+         WHERE r.name = COALESCE($2, (SELECT role FROM player_admin_roles WHERE player_id = $1))`,
+        [player.id, isAdminUsername(player.username) ? OWNER_ROLE : null]
+    );
+    return result.rows[0] ? mapRoleRow(result.rows[0]) : null;
+}
+
+/**
+ * Every role with its permissions.
+ * @param {import('pg').Pool} pool
+ */
+export async function listAdminRoles(pool) {
+    const result = await pool.query(
+        `SELECT name, label, permissions
+         FROM admin_roles
+         ORDER BY CARDINALITY(permissions) DESC, name ASC`
+    );
+    return result.rows.map(mapRoleRow);
+}
+
+/**
+ * Players holding a role, plus the configured admin account as owner.
+ * @param {import('pg').Pool} pool
+ */
+export async function listRoleAssignments(pool) {
+    const result = await pool.query(
+        `SELECT p.id AS player_id, p.username, a.role, a.granted_at, g.username AS granted_by
+         FROM player_admin_roles a
+         JOIN players p ON p.id = a.player_id
+         LEFT JOIN players g ON g.id = a.granted_by
+         UNION ALL
+         SELECT p.id, p.username, $2::text, NULL, NULL
+         FROM players p
+         WHERE LOWER(p.username) = LOWER($1)
+         ORDER BY username ASC`,
+        [getAdminUsername(), OWNER_ROLE]
+    );
+    return result.rows.map((row) => ({
+        playerId: row.player_id,
+        username: row.username,
+        role: row.role,
+        grantedAt: row.granted_at,
+        grantedBy: row.granted_by,
+        builtIn: isAdminUsername(row.username)
+    }));
+}
@@ -0,0 +1,250 @@
+/**
+ * Server-side copy of the catch tables so leaderboard posts can be checked
+ * without trusting the client. Keep in sync with:
+ *   src/fishTypes.js      (FishTypes — id, name, min/max/record weight)
+ * Fight lengths, each location's fish and energy costs are not copied: they come from
+ * src/config/fightDuration.js, the location pack registry, src/config/energy.js and the
+ * skill tree, which the client reads too.
+ */
+
+import { readFile } from 'fs/promises';
+import path from 'path';
+import {
+    AD_ENERGY_REWARD,
+    CAST_ENERGY_COST,
+    DAILY_BONUS_ENERGY,
+    FIRST_CATCH_BONUS_ENERGY,
+    LEVEL_UP_ENERGY_BONUS,
+    MAX_ENERGY,
+    REGEN_AMOUNT,
+    REGEN_INTERVAL_MS
+} from '../src/config/energy.js';
+import { getMinFightSeconds } from '../src/config/fightDuration.js';
+import { MAIL_MAX_ENERGY } from '../src/config/mail.js';
+import { SKILLS } from '../src/config/skills.js';
+import {
+    LOCATION_PACK_URLS,
+    getLocationPack,
+    getLocationPacks,
+    loadLocationPack,
+    registerLocationPack
+} from '../src/locationPacks.js';
+
+export const SERVER_FISH_TYPES = [
+    { id: 0, name: 'Minnow', minWeight: 0.1, maxWeight: 0.5, recordWeight: 0.6 },
+    { id: 1, name: 'Sunfish', minWeight: 0.3, maxWeight: 1.2, recordWeight: 4.5 },
+    { id: 2, name: 'Bass', minWeight: 1.0, maxWeight: 5.0, recordWeight: 22.5 },
+    { id: 3, name: 'Perch', minWeight: 0.5, maxWeight: 2.0, recordWeight: 4.8 },
+    { id: 4, name: 'Crappie', minWeight: 0.8, maxWeight: 3.0, recordWeight: 6.0 },
+    { id: 5, name: 'Trout', minWeight: 0.5, maxWeight: 3.0, recordWeight: 50.0 },
+    { id: 6, name: 'Pike', minWeight: 2.0, maxWeight: 8.0, recordWeight: 55.0 },
+    { id: 7, name: 'Walleye', minWeight: 1.5, maxWeight: 6.0, recordWeight: 25.0 },
+    { id: 8, name: 'Muskie', minWeight: 5.0, maxWeight: 15.0, recordWeight: 70.0 },
+    { id: 9, name: 'Carp', minWeight: 3.0, maxWeight: 20.0, recordWeight: 110.0 },
+    { id: 10, name: 'Salmon', minWeight: 8.0, maxWeight: 25.0, recordWeight: 130.0 },
+    { id: 11, name: 'Catfish', minWeight: 5.0, maxWeight: 30.0, recordWeight: 150.0 },
+    { id: 12, name: 'Sturgeon', minWeight: 20.0, maxWeight: 50.0, recordWeight: 500.0 },
+    { id: 13, name: 'Marlin', minWeight: 50.0, maxWeight: 200.0, recordWeight: 1400.0 },
+    { id: 14, name: 'Tuna', minWeight: 30.0, maxWeight: 150.0, recordWeight: 1500.0 },
+    { id: 15, name: 'Crystal Bass', minWeight: 10.0, maxWeight: 35.0 },
+    { id: 16, name: 'Golden Trout', minWeight: 5.0, maxWeight: 20.0 },
+    { id: 17, name: 'Ice Pike', minWeight: 15.0, maxWeight: 40.0 },
+    { id: 18, name: 'Shadow Catfish', minWeight: 25.0, maxWeight: 60.0 },
+    { id: 19, name: 'Abyssal Eel', minWeight: 30.0, maxWeight: 80.0 },
+    { id: 20, name: 'Ancient Sturgeon', minWeight: 100.0, maxWeight: 300.0 },
+    { id: 21, name: 'Leviathan', minWeight: 200.0, maxWeight: 500.0 },
+    { id: 22, name: 'Phoenix Fish', minWeight: 50.0, maxWeight: 150.0 },
+    { id: 23, name: 'Dragon Carp', minWeight: 80.0, maxWeight: 200.0 },
+    { id: 24, name: 'Tournament King', minWeight: 60.0, maxWeight: 120.0 },
+    { id: 25, name: 'Trophy Bass', minWeight: 20.0, maxWeight: 50.0 },
+    { id: 26, name: 'Trophy Pike', minWeight: 30.0, maxWeight: 70.0 },
+    { id: 27, name: 'Trophy Salmon', minWeight: 40.0, maxWeight: 80.0 },
+    { id: 28, name: 'Trophy Marlin', minWeight: 100.0, maxWeight: 300.0 },
+    { id: 29, name: 'Trophy Tuna', minWeight: 80.0, maxWeight: 200.0 },
+    { id: 30, name: 'Trophy Sturgeon', minWeight: 150.0, maxWeight: 400.0 },
+    { id: 31, name: 'Trophy Catfish', minWeight: 60.0, maxWeight: 150.0 },
+    { id: 32, name: 'Trophy King', minWeight: 200.0, maxWeight: 500.0 },
+    { id: 33, name: 'Starfish of Eternity', minWeight: 120.0, maxWeight: 220.0, recordWeight: 250.0 },
+    { id: 34, name: 'Clownfish', minWeight: 0.1, maxWeight: 0.35, recordWeight: 0.5 },
+    { id: 35, name: 'Blue Tang', minWeight: 0.3, maxWeight: 1.8, recordWeight: 2.5 },
+    { id: 36, name: 'Pufferfish', minWeight: 0.5, maxWeight: 3.5, recordWeight: 5.0 },
+    { id: 37, name: 'Lionfish', minWeight: 1.0, maxWeight: 4.5, recordWeight: 6.5 },
+    { id: 38, name: 'Queen Angelfish', minWeight: 0.8, maxWeight: 3.2, recordWeight: 4.8 },
+    { id: 39, name: 'Speckled Trout', minWeight: 1.0, maxWeight: 6.0, recordWeight: 17.0 },
+    { id: 40, name: 'Southern Flounder', minWeight: 1.5, maxWeight: 8.0, recordWeight: 20.0 },
+    { id: 41, name: 'Sheepshead', minWeight: 2.0, maxWeight: 10.0, recordWeight: 21.0 },
+    { id: 42, name: 'Redfish', minWeight: 4.0, maxWeight: 18.0, recordWeight: 52.0 },
+    { id: 43, name: 'Snook', minWeight: 6.0, maxWeight: 28.0, recordWeight: 44.0 },
+    { id: 44, name: 'Tarpon', minWeight: 40.0, maxWeight: 120.0, recordWeight: 286.0 }
+];
+
+/**
+ * Fish ids a location spawns, from its location pack — the same registry the client builds
+ * its locations from, so packs added with loadServerLocationPacks are known here too.
+ * @param {string|null} locationName
+ * @returns {number[]|null}
+ */
+export function getServerLocationFish(locationName) {
+    return getLocationPack(locationName)?.fish ?? null;
+}
+
+/** @returns {string[]} Every registered location name */
+export function getServerLocationNames() {
+    return getLocationPacks().map((pack) => pack.name);
+}
+
+/**
+ * Register the extra pack files the client loads (LOCATION_PACK_URLS). Relative URLs are read
+ * from the static root the game is served from; absolute ones are fetched.
+ * @param {string} staticRoot - Directory express.static serves
+ * @returns {Promise<string[]>} Names of the packs that registered
+ */
+export async function loadServerLocationPacks(staticRoot) {
+    const loaded = [];
+    for (const url of LOCATION_PACK_URLS) {
+        let pack = null;
+        if (/^https?:\/\//i.test(url)) {
+            pack = await loadLocationPack(url);
+        } else {
+            try {
+                const filePath = path.join(staticRoot, url.split(/[?#]/)[0]);
+                pack = registerLocationPack(JSON.parse(await readFile(filePath, 'utf8')));
+            } catch (error) {
+                console.warn('[LOCATION PACKS] Could not load', url, error.message);
+            }
+        }
+        if (pack) {
+            loaded.push(pack.name);
+        }
+    }
+    return loaded;
+}
+
+/** Cheapest a cast can get: the base cost less every Light Cast rank (see getCastEnergyCost). */
+export const MIN_CAST_ENERGY_COST = Math.max(
+    1,
+    CAST_ENERGY_COST - SKILLS
+        .filter((skill) => skill.effect.type === 'castEnergy')
+        .reduce((total, skill) => total + skill.effect.perRank * skill.maxRank, 0)
+);
+
+/**
+ * Most energy a legitimate player can burn in one hour: a full bar, every one-off
+ * bonus (daily, level-up, first catch), passive regen, a generous number of rewarded
+ * ads and one maximum energy gift from mail. Anything past this is scripted.
+ */
+const REGEN_ENERGY_PER_HOUR = REGEN_AMOUNT * (60 * 60 * 1000 / REGEN_INTERVAL_MS);
+const ONE_OFF_BONUS_ENERGY = DAILY_BONUS_ENERGY + LEVEL_UP_ENERGY_BONUS + FIRST_CATCH_BONUS_ENERGY;
+const MAX_ADS_PER_HOUR = 20;
+export const HOURLY_ENERGY_BUDGET = MAX_ENERGY + ONE_OFF_BONUS_ENERGY + REGEN_ENERGY_PER_HOUR
+    + AD_ENERGY_REWARD * MAX_ADS_PER_HOUR + MAIL_MAX_ENERGY;
+export const MAX_CATCHES_PER_HOUR = Math.floor(HOURLY_ENERGY_BUDGET / MIN_CAST_ENERGY_COST);
+
+/** Cast flight + shortest bite wait before a fight can even start. */
+const MIN_CAST_CYCLE_SEC = 2;
+/** Allow for network jitter / posts that arrive bunched together. */
+const TIMING_TOLERANCE = 0.8;
+/** Weight rounding on the client is 2 decimals. */
+const WEIGHT_EPSILON = 0.005;
+
+const fishByName = new Map(SERVER_FISH_TYPES.map((fish) => [fish.name.toLowerCase(), fish]));
+
+export function getServerFishByName(name) {
+    if (!name || typeof name !== 'string') return null;
+    return fishByName.get(name.trim().toLowerCase()) || null;
+}
+
+/** Heaviest weight the client's roll can produce (see getRandomFishForLocation hardCap). */
+export function getMaxCatchWeight(fish) {
+    return fish.recordWeight ?? fish.maxWeight;
+}
+
+/** Minimum milliseconds between two leaderboard posts when the second fish weighs `weight`. */
+export function getMinCatchIntervalMs(weight) {
+    return Math.round((MIN_CAST_CYCLE_SEC + getMinFightSeconds(weight)) * 1000 * TIMING_TOLERANCE);
+}
+
+/**
+ * Check a catch against the server tables.
+ * @param {{ fishName: string, weight: number, locationName: string|null }} input
+ * @returns {{ ok: true, fish: object } | { ok: false, reason: string, error: string }}
+ */
+export function validateCatch({ fishName, weight, locationName }) {
+    const fish = getServerFishByName(fishName);
+    if (!fish) {
+        return { ok: false, reason: 'unknown_species', error: 'Unknown fish species' };
+    }
+
+    const locationFish = locationName ? getServerLocationFish(locationName) : null;
+    if (!locationFish) {
+        return { ok: false, reason: 'unknown_location', error: 'Unknown fishing location' };
+    }
+    if (!locationFish.includes(fish.id)) {
+        return { ok: false, reason: 'species_not_at_location', error: `${fish.name} does not live at ${locationName}` };
+    }
+
+    const maxWeight = getMaxCatchWeight(fish);
+    if (weight > maxWeight + WEIGHT_EPSILON) {
+        return { ok: false, reason: 'weight_over_max', error: `${fish.name} cannot weigh more than ${maxWeight} lbs` };
+    }
+    if (weight < fish.minWeight - WEIGHT_EPSILON) {
+        return { ok: false, reason: 'weight_under_min', error: `${fish.name} cannot weigh less than ${fish.minWeight} lbs` };
+    }
+
+    return { ok: true, fish };
+}
+
+/**
+ * Check posting pace against fight durations and the hourly energy budget.
+ * @param {import('pg').Pool} pool
+ * @param {string} playerId
+ * @param {number} weight
+ * @returns {Promise<{ ok: true } | { ok: false, reason: string, error: string, details: object }>}
+ */
+export async function checkCatchRate(pool, playerId, weight) {
+    const result = await pool.query(
+        `SELECT EXTRACT(EPOCH FROM (NOW() - MAX(created_at))) * 1000 AS since_last_ms,
+                COUNT(*)::int AS last_hour
+         FROM player_catches
+         WHERE player_id = $1 AND created_at > NOW() - INTERVAL '1 hour'`,
+        [playerId]
+    );
+    const row = result.rows[0] || {};
+
+    if (row.since_last_ms !== null && row.since_last_ms !== undefined) {
+        const sinceLastMs = Math.round(Number(row.since_last_ms));
+        const minIntervalMs = getMinCatchIntervalMs(weight);
+        if (sinceLastMs < minIntervalMs) {
+            return {
+                ok: false,
+                reason: 'too_fast',
+                error: 'Catches are arriving faster than a fight can finish',
+                details: { sinceLastMs, minIntervalMs }
+            };
+        }
+    }
+
+    const lastHour = row.last_hour ?? 0;
+    if (lastHour >= MAX_CATCHES_PER_HOUR) {
+        return {
+            ok: false,
+            reason: 'energy_budget',
+            error: 'More catches this hour than energy allows',
+            details: { lastHour, maxPerHour: MAX_CATCHES_PER_HOUR }
+        };
+    }
+
+    return { ok: true };
+}
+
+/**
+ * Record a rejected catch so the account shows up in the admin suspicious list.
+ * @param {import('pg').Pool} pool
+ */
+export async function flagCatch(pool, { playerId, reason, fishName, fishWeight, locationName, details = null }) {
+    await pool.query(
+        `INSERT INTO catch_flags (player_id, reason, fish_name, fish_weight, location_name, details)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [playerId, reason, fishName, fishWeight, locationName, details ? JSON.stringify(details) : null]
+    );
+}
@@ -12,9 +12,71 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import crypto from 'crypto';
 import { hashPin, validatePin, verifyPin } from './pinAuth.js';
-import { mapAnnouncementRow, normalizeAnnouncementInput } from './adminAnnouncements.js';
+import {
+    getMissingActionPermission,
+    isTargetedAnnouncement,
+    mapAnnouncementRow,
+    normalizeAnnouncementInput,
+    recordAnnouncementAction,
+    releaseDueAnnouncements
+} from './adminAnnouncements.js';
 import { runMigrations } from './migrate.js';
-import { isAdminUsername, withAdminFlag, getAdminUsername } from './adminAuth.js';
+import {
+    describeBan,
+    getActiveBan,
+    listAuditLog,
+    normalizeBanInput,
+    recordAdminAction,
+    validateUsername
+} from './moderation.js';
+import {
+    claimPlayerMail,
+    mapMailBatchRow,
+    mapMailRow,
+    normalizeMailInput,
+    sendPlayerMail
+} from './playerMail.js';
+import { mergeGameSaves } from '../src/saveMerge.js';
+import { listSaveHistory, restoreSaveSnapshot, writeGameSave } from './saveHistory.js';
+import { attachLobby } from './lobby.js';
+import { checkCatchRate, flagCatch, loadServerLocationPacks, validateCatch } from './catchValidation.js';
+import {
+    BOARD_TYPES,
+    SNAPSHOT_BOARDS,
+    archiveFinishedPeriods,
+    archivePreviousPeriod,
+    isSnapshotPeriod,
+    listSnapshots,
+    normalizePeriod,
+    queryCatchBoard,
+    queryGlobalBoard,
+    querySpeedBoard,
+    resolveBoardKey
+} from './leaderboards.js';
+import {
+    finalizeEndedTournaments,
+    loadStandings,
+    mapTournamentRow,
+    normalizeTournamentInput,
+    recordTournamentCatch
+} from './tournaments.js';
+import {
+    isSessionActive,
+    issueSession,
+    revokeAllSessions,
+    revokeSession,
+    rotateSession,
+    verifyAccessToken
+} from './sessionTokens.js';
+import {
+    getAdminUsername,
+    isAdminUsername,
+    listAdminRoles,
+    listRoleAssignments,
+    loadAdminRole,
+    withAdminFlag
+} from './adminAuth.js';
+import { ADMIN_PERMISSIONS, OWNER_ROLE } from '../src/config/adminRoles.js';
 import {
     backfillAllPlayersWithHalley,
     decorateFriendRow,
@@ -33,6 +95,9 @@ const app = express();
 const PORT = process.env.PORT || 3000;
 const NODE_ENV = process.env.NODE_ENV || 'development';
 
+/** Lobby WebSocket server, set once the HTTP server is listening. */
+let lobby = null;
+
 function getDatabaseSsl(connectionString) {
     if (!connectionString) return false;
     if (connectionString.includes('localhost') || connectionString.includes('127.0.0.1')) {
@@ -79,15 +144,37 @@ function generateFriendCode() {
     return code;
 }
 
-// Helper: Authenticate user from Bearer token
+// Helper: Authenticate user from a signed session access token (Bearer)
 function authenticate(req, res, next) {
     const authHeader = req.headers.authorization;
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
         return res.status(401).json({ error: 'Unauthorized' });
     }
-    const userId = authHeader.substring(7);
-    req.userId = userId;
-    next();
+
+    const verified = verifyAccessToken(authHeader.substring(7));
+    if (!verified.ok) {
+        return res.status(401).json({ error: 'Session expired. Please sign in again.', code: verified.code });
+    }
+
+    Promise.all([
+        isSessionActive(pool, verified.sessionId, verified.playerId),
+        getActiveBan(pool, verified.playerId)
+    ])
+        .then(([active, ban]) => {
+            if (!active) {
+                return res.status(401).json({ error: 'Session expired. Please sign in again.', code: 'SESSION_REVOKED' });
+            }
+            if (ban) {
+                return res.status(403).json(describeBan(ban));
+            }
+            req.userId = verified.playerId;
+            req.sessionId = verified.sessionId;
+            next();
+        })
+        .catch((error) => {
+            console.error('[API] Session check error:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        });
 }
 
 // Helper: Validate UUID
@@ -101,13 +188,16 @@ function requireAdmin(req, res, next) {
         return res.status(400).json({ error: 'Invalid user ID' });
     }
 
-    pool.query('SELECT username FROM players WHERE id = $1', [req.userId])
-        .then((result) => {
-            const username = result.rows[0]?.username;
-            if (!username || !isAdminUsername(username)) {
+    pool.query('SELECT id, username FROM players WHERE id = $1', [req.userId])
+        .then(async (result) => {
+            const player = result.rows[0];
+            const adminRole = player ? await loadAdminRole(pool, player) : null;
+            if (!adminRole) {
                 return res.status(403).json({ error: 'Admin access required' });
             }
-            req.adminUsername = username;
+            req.adminUsername = player.username;
+            req.adminRole = adminRole.role;
+            req.adminPermissions = adminRole.permissions;
             next();
         })
         .catch((error) => {
@@ -116,6 +206,66 @@ function requireAdmin(req, res, next) {
         });
 }
 
+// Helper: Gate an admin route on one permission of the caller's role (after requireAdmin)
+function requirePermission(permission) {
+    return (req, res, next) => {
+        if (!req.adminPermissions?.includes(permission)) {
+            return res.status(403).json({
+                error: 'Your admin role does not allow that',
+                code: 'ADMIN_PERMISSION_REQUIRED',
+                permission
+            });
+        }
+        next();
+    };
+}
+
+// Helper: Write an admin action to the audit log — a failed write is logged, not fatal
+async function auditAdminAction(req, action, { targetPlayerId = null, targetUsername = null, payload = {} } = {}) {
+    try {
+        await recordAdminAction(pool, {
+            actorId: req.userId,
+            actorUsername: req.adminUsername,
+            actorRole: req.adminRole,
+            action,
+            targetPlayerId,
+            targetUsername,
+            payload
+        });
+    } catch (error) {
+        console.error('[API] Audit log write error:', action, error);
+    }
+}
+
+// Helper: Load the player a moderation route acts on (sends the error response and returns null if none)
+async function loadModerationTarget(req, res) {
+    const { playerId } = req.params;
+    if (!isValidUUID(playerId)) {
+        res.status(400).json({ error: 'Invalid player ID' });
+        return null;
+    }
+    if (playerId === req.userId) {
+        res.status(400).json({ error: 'You cannot moderate your own account' });
+        return null;
+    }
+
+    const result = await pool.query('SELECT id, username FROM players WHERE id = $1', [playerId]);
+    const player = result.rows[0];
+    if (!player) {
+        res.status(404).json({ error: 'Player not found' });
+        return null;
+    }
+    if (isAdminUsername(player.username)) {
+        res.status(403).json({ error: 'That account cannot be moderated' });
+        return null;
+    }
+    if (!req.adminPermissions?.includes(ADMIN_PERMISSIONS.ROLES) && await loadAdminRole(pool, player)) {
+        res.status(403).json({ error: 'Only an owner can moderate staff accounts' });
+        return null;
+    }
+    return player;
+}
+
 // ==================== Player Routes ====================
 
 // Register new player (username + save PIN)
@@ -184,7 +334,8 @@ app.post('/api/players/register', async (req, res) => {
             experience: player.experience,
             money: player.money,
             stats: player.player_stats,
-            isAdmin: isAdminUsername(player.username)
+            isAdmin: isAdminUsername(player.username),
+            session: await issueSession(pool, player.id, req)
         });
     } catch (error) {
         if (error.code === '23505') { // Unique violation
@@ -235,6 +386,11 @@ app.post('/api/players/login', async (req, res) => {
             return res.status(401).json({ error: 'Username or save PIN is incorrect.' });
         }
 
+        const ban = await getActiveBan(pool, player.id);
+        if (ban) {
+            return res.status(403).json(describeBan(ban));
+        }
+
         await pool.query('UPDATE players SET last_active = NOW() WHERE id = $1', [player.id]);
         await ensureHalleyFriendship(pool, player.id);
 
@@ -253,7 +409,8 @@ app.post('/api/players/login', async (req, res) => {
             gameSave,
             gameSaveUpdatedAt: player.game_save_updated_at,
             hasPin: true,
-            isAdmin: isAdminUsername(player.username)
+            isAdmin: isAdminUsername(player.username),
+            session: await issueSession(pool, player.id, req)
         });
     } catch (error) {
         console.error('[API] Login error:', error);
@@ -261,7 +418,7 @@ app.post('/api/players/login', async (req, res) => {
     }
 });
 
-function buildPinlessAuthResponse(player) {
+async function buildPinlessAuthResponse(player, req) {
     const gameSave = player.game_save && typeof player.game_save === 'object' ? player.game_save : {};
     return {
         userId: player.id,
@@ -277,7 +434,8 @@ function buildPinlessAuthResponse(player) {
         gameSaveUpdatedAt: player.game_save_updated_at,
         hasPin: false,
         requiresPinSetup: true,
-        isAdmin: isAdminUsername(player.username)
+        isAdmin: isAdminUsername(player.username),
+        session: await issueSession(pool, player.id, req)
     };
 }
 
@@ -312,10 +470,15 @@ app.post('/api/players/claim', async (req, res) => {
             });
         }
 
+        const ban = await getActiveBan(pool, player.id);
+        if (ban) {
+            return res.status(403).json(describeBan(ban));
+        }
+
         await pool.query('UPDATE players SET last_active = NOW() WHERE id = $1', [player.id]);
         await ensureHalleyFriendship(pool, player.id);
 
-        res.json(buildPinlessAuthResponse(player));
+        res.json(await buildPinlessAuthResponse(player, req));
     } catch (error) {
         console.error('[API] Claim error:', error);
         res.status(500).json({ error: 'Internal server error' });
@@ -365,16 +528,57 @@ app.post('/api/players/recover', async (req, res) => {
             return res.status(401).json({ error: 'Username or friend code is incorrect.' });
         }
 
+        const ban = await getActiveBan(pool, player.id);
+        if (ban) {
+            return res.status(403).json(describeBan(ban));
+        }
+
         await pool.query('UPDATE players SET last_active = NOW() WHERE id = $1', [player.id]);
         await ensureHalleyFriendship(pool, player.id);
 
-        res.json(buildPinlessAuthResponse(player));
+        res.json(await buildPinlessAuthResponse(player, req));
     } catch (error) {
         console.error('[API] Recover error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
+// ==================== Session Routes ====================
+
+// Exchange a refresh token for a fresh access token (refresh token is rotated)
+app.post('/api/auth/refresh', async (req, res) => {
+    try {
+        const result = await rotateSession(pool, req.body?.refreshToken, req);
+        if (!result.ok) {
+            return res.status(401).json({ error: 'Session expired. Please sign in again.', code: result.code });
+        }
+
+        await pool.query('UPDATE players SET last_active = NOW() WHERE id = $1', [result.playerId]);
+        res.json({ session: result.session });
+    } catch (error) {
+        console.error('[API] Session refresh error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Sign out this device (or every device with { allDevices: true })
+app.post('/api/auth/logout', authenticate, async (req, res) => {
+    try {
+        if (req.body?.allDevices === true) {
+            const revoked = await revokeAllSessions(pool, req.userId);
+            lobby?.disconnectPlayer(req.userId, 'Signed out');
+            return res.json({ success: true, revoked });
+        }
+
+        await revokeSession(pool, req.sessionId);
+        lobby?.disconnectSession(req.sessionId, 'Signed out');
+        res.json({ success: true, revoked: 1 });
+    } catch (error) {
+        console.error('[API] Logout error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 // Get current player
 app.get('/api/players/me', authenticate, async (req, res) => {
     try {
@@ -398,7 +602,10 @@ app.get('/api/players/me', authenticate, async (req, res) => {
         // Update last_active
         await pool.query('UPDATE players SET last_active = NOW() WHERE id = $1', [req.userId]);
         
-        res.json(withAdminFlag(result.rows[0]));
+        res.json({
+            ...withAdminFlag(result.rows[0]),
+            adminRole: await loadAdminRole(pool, result.rows[0])
+        });
     } catch (error) {
         console.error('[API] Get player error:', error);
         res.status(500).json({ error: 'Internal server error' });
@@ -420,11 +627,13 @@ app.post('/api/players/me/presence', authenticate, async (req, res) => {
     }
 });
 
-// Verify admin status for the Halley account
+// Verify admin status and role for the signed-in staff account
 app.get('/api/admin/status', authenticate, requireAdmin, async (req, res) => {
     res.json({
-        isAdmin: true,
-        username: req.adminUsername
+        isAdmin: isAdminUsername(req.adminUsername),
+        username: req.adminUsername,
+        role: req.adminRole,
+        permissions: req.adminPermissions
     });
 });
 
@@ -483,24 +692,62 @@ app.get('/api/admin/players/registry', authenticate, requireAdmin, async (req, r
     }
 });
 
-// Send a toast or banner to every player (delivered on their next poll)
-app.post('/api/admin/announcements', authenticate, requireAdmin, async (req, res) => {
+const ANNOUNCEMENT_ADMIN_COLUMNS = `a.id, a.title, a.body, a.display_type, a.toast_type, a.banner_color, a.duration_ms,
+    a.starts_at, a.released_at, a.expires_at, a.target, a.action, a.created_at,
+    (SELECT COUNT(*) FROM announcement_audience aud WHERE aud.announcement_id = a.id) AS audience_count,
+    (SELECT COUNT(*) FROM announcement_acks ack WHERE ack.announcement_id = a.id) AS delivered_count,
+    (SELECT COUNT(*) FROM announcement_acks ack
+     WHERE ack.announcement_id = a.id AND ack.action_at IS NOT NULL) AS action_count`;
+
+// Send a toast or banner now or at a scheduled time, to everyone or a player segment
+// (delivered on their next poll after it is released)
+app.post('/api/admin/announcements', authenticate, requireAdmin, requirePermission(ADMIN_PERMISSIONS.ANNOUNCEMENTS), async (req, res) => {
     try {
         const parsed = normalizeAnnouncementInput(req.body);
         if (!parsed.ok) {
             return res.status(400).json({ error: parsed.error });
         }
 
-        const { title, body, displayType, toastType, bannerColor, durationMs, expiresAt } = parsed.value;
+        const {
+            title, body, displayType, toastType, bannerColor, durationMs, startsAt, expiresAt, target, action
+        } = parsed.value;
 
-        const result = await pool.query(
+        const missingPermission = getMissingActionPermission(action, req.adminPermissions);
+        if (missingPermission) {
+            return res.status(403).json({
+                error: 'Your admin role does not allow gift announcements',
+                code: 'ADMIN_PERMISSION_REQUIRED',
+                permission: missingPermission
+            });
+        }
+
+        const inserted = await pool.query(
             `INSERT INTO admin_announcements
-                (created_by, title, body, display_type, toast_type, banner_color, duration_ms, expires_at)
-             VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-             RETURNING id, title, body, display_type, toast_type, banner_color, duration_ms, expires_at, created_at`,
-            [req.userId, title, body || null, displayType, toastType, bannerColor, durationMs, expiresAt]
+                (created_by, title, body, display_type, toast_type, banner_color, duration_ms,
+                 starts_at, expires_at, target, action)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+             RETURNING id, starts_at`,
+            [
+                req.userId, title, body || null, displayType, toastType, bannerColor, durationMs,
+                startsAt, expiresAt, JSON.stringify(target), action ? JSON.stringify(action) : null
+            ]
+        );
+
+        if (new Date(inserted.rows[0].starts_at).getTime() <= Date.now()) {
+            await releaseDueAnnouncements(pool);
+        }
+
+        const result = await pool.query(
+            `SELECT ${ANNOUNCEMENT_ADMIN_COLUMNS}
+             FROM admin_announcements a
+             WHERE a.id = $1`,
+            [inserted.rows[0].id]
         );
 
+        await auditAdminAction(req, 'announcement.send', {
+            payload: { announcementId: inserted.rows[0].id, title, displayType, startsAt, expiresAt, target, action }
+        });
+
         res.json({
             success: true,
             announcement: mapAnnouncementRow(result.rows[0])
@@ -511,14 +758,14 @@ app.post('/api/admin/announcements', authenticate, requireAdmin, async (req, res
     }
 });
 
-// Recent broadcasts Halley has sent
+// Recent broadcasts Halley has sent or scheduled, with delivery and action counts
 app.get('/api/admin/announcements/recent', authenticate, requireAdmin, async (req, res) => {
     try {
         const limit = Math.min(Math.max(Number(req.query.limit) || 10, 1), 30);
         const result = await pool.query(
-            `SELECT id, title, body, display_type, toast_type, banner_color, duration_ms, expires_at, created_at
-             FROM admin_announcements
-             ORDER BY created_at DESC
+            `SELECT ${ANNOUNCEMENT_ADMIN_COLUMNS}
+             FROM admin_announcements a
+             ORDER BY a.created_at DESC
              LIMIT $1`,
             [limit]
         );
@@ -529,7 +776,61 @@ app.get('/api/admin/announcements/recent', authenticate, requireAdmin, async (re
     }
 });
 
-// Look up a player by username or friend code (Halley admin only)
+// Send reward mail to one player, a segment, or everyone
+app.post('/api/admin/mail', authenticate, requireAdmin, requirePermission(ADMIN_PERMISSIONS.ECONOMY), async (req, res) => {
+    try {
+        const parsed = normalizeMailInput(req.body);
+        if (!parsed.ok) {
+            return res.status(400).json({ error: parsed.error });
+        }
+
+        const { batchId, sentCount } = await sendPlayerMail(pool, req.userId, parsed.value);
+        if (sentCount === 0) {
+            return res.status(404).json({
+                error: parsed.value.recipient === 'player' ? 'Player not found' : 'No players match that segment'
+            });
+        }
+
+        await auditAdminAction(req, 'mail.send', {
+            payload: {
+                batchId,
+                sentCount,
+                subject: parsed.value.subject,
+                rewards: parsed.value.rewards,
+                recipient: parsed.value.recipient,
+                player: parsed.value.player || null,
+                target: parsed.value.target
+            }
+        });
+
+        res.json({ success: true, batchId, sentCount });
+    } catch (error) {
+        console.error('[API] Admin mail send error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Recent mail sends with how many recipients have claimed
+app.get('/api/admin/mail/recent', authenticate, requireAdmin, async (req, res) => {
+    try {
+        const limit = Math.min(Math.max(Number(req.query.limit) || 10, 1), 30);
+        const result = await pool.query(
+            `SELECT batch_id, subject, rewards, audience, MIN(created_at) AS created_at,
+                    COUNT(*) AS recipient_count, COUNT(claimed_at) AS claimed_count
+             FROM player_mail
+             GROUP BY batch_id, subject, rewards, audience
+             ORDER BY MIN(created_at) DESC
+             LIMIT $1`,
+            [limit]
+        );
+        res.json(result.rows.map(mapMailBatchRow));
+    } catch (error) {
+        console.error('[API] Admin mail list error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Look up a player by username or friend code (any admin role)
 app.get('/api/admin/players/lookup', authenticate, requireAdmin, async (req, res) => {
     try {
         const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
@@ -538,7 +839,9 @@ app.get('/api/admin/players/lookup', authenticate, requireAdmin, async (req, res
         }
 
         const result = await pool.query(
-            `SELECT id, username, friend_code, level, experience, total_caught, biggest_catch, last_active, created_at
+            `SELECT id, username, friend_code, level, experience, total_caught, biggest_catch, last_active, created_at,
+                    banned_at, banned_until, ban_reason, leaderboard_hidden,
+                    (SELECT role FROM player_admin_roles WHERE player_id = players.id) AS admin_role
              FROM players
              WHERE LOWER(username) = LOWER($1) OR UPPER(friend_code) = UPPER($1)
              LIMIT 1`,
@@ -561,7 +864,13 @@ app.get('/api/admin/players/lookup', authenticate, requireAdmin, async (req, res
             lastActive: player.last_active,
             createdAt: player.created_at,
             isAdmin: isAdminUsername(player.username),
-            isSelf: player.id === req.userId
+            isSelf: player.id === req.userId,
+            banned: Boolean(player.banned_at)
+                && (!player.banned_until || new Date(player.banned_until).getTime() > Date.now()),
+            bannedUntil: player.banned_until,
+            banReason: player.ban_reason,
+            leaderboardHidden: player.leaderboard_hidden === true,
+            adminRole: isAdminUsername(player.username) ? OWNER_ROLE : player.admin_role || null
         });
     } catch (error) {
         console.error('[API] Admin player lookup error:', error);
@@ -569,58 +878,481 @@ app.get('/api/admin/players/lookup', authenticate, requireAdmin, async (req, res
     }
 });
 
+// Accounts whose leaderboard catches were rejected (impossible fish, posting too fast)
+app.get('/api/admin/catch-flags', authenticate, requireAdmin, async (req, res) => {
+    try {
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+        const result = await pool.query(
+            `SELECT p.id AS player_id, p.username, p.friend_code,
+                    COUNT(f.id)::int AS flag_count,
+                    MAX(f.created_at) AS last_flagged_at,
+                    (ARRAY_AGG(f.reason ORDER BY f.created_at DESC))[1] AS last_reason,
+                    (ARRAY_AGG(f.fish_name ORDER BY f.created_at DESC))[1] AS last_fish_name,
+                    (ARRAY_AGG(f.fish_weight ORDER BY f.created_at DESC))[1] AS last_fish_weight,
+                    (ARRAY_AGG(f.location_name ORDER BY f.created_at DESC))[1] AS last_location_name
+             FROM catch_flags f
+             JOIN players p ON p.id = f.player_id
+             GROUP BY p.id, p.username, p.friend_code
+             ORDER BY last_flagged_at DESC
+             LIMIT $1`,
+            [limit]
+        );
+
+        res.json(result.rows.map((row) => ({
+            playerId: row.player_id,
+            username: row.username,
+            friendCode: row.friend_code,
+            flagCount: row.flag_count,
+            lastFlaggedAt: row.last_flagged_at,
+            lastReason: row.last_reason,
+            lastFishName: row.last_fish_name,
+            lastFishWeight: row.last_fish_weight != null ? Number(row.last_fish_weight) : null,
+            lastLocationName: row.last_location_name
+        })));
+    } catch (error) {
+        console.error('[API] Admin catch flags error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// A player's save history, for support cases (any admin role)
+app.get('/api/admin/players/:playerId/save-history', authenticate, requireAdmin, async (req, res) => {
+    try {
+        const { playerId } = req.params;
+        if (!isValidUUID(playerId)) {
+            return res.status(400).json({ error: 'Invalid player ID' });
+        }
+
+        res.json(await listSaveHistory(pool, playerId));
+    } catch (error) {
+        console.error('[API] Admin save history error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Restore a player's earlier save (economy permission). Their devices merge it on next sync.
+app.post('/api/admin/players/:playerId/save-history/:snapshotId/restore', authenticate, requireAdmin, requirePermission(ADMIN_PERMISSIONS.ECONOMY), async (req, res) => {
+    try {
+        const { playerId, snapshotId } = req.params;
+        if (!isValidUUID(playerId) || !isValidUUID(snapshotId)) {
+            return res.status(400).json({ error: 'Invalid ID' });
+        }
+
+        const restored = await restoreSaveSnapshot(pool, { playerId, snapshotId });
+        if (!restored) {
+            return res.status(404).json({ error: 'Save snapshot not found' });
+        }
+
+        await auditAdminAction(req, 'save.restore', {
+            targetPlayerId: playerId,
+            payload: { snapshotId, revision: restored.revision }
+        });
+
+        res.json({ success: true, revision: restored.revision });
+    } catch (error) {
+        console.error('[API] Admin save restore error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 // Permanently delete a player account (requires exact username confirmation)
-app.delete('/api/admin/players/:playerId', authenticate, requireAdmin, async (req, res) => {
+app.delete('/api/admin/players/:playerId', authenticate, requireAdmin, requirePermission(ADMIN_PERMISSIONS.PLAYER_DELETION), async (req, res) => {
     try {
         const { playerId } = req.params;
         const confirmUsername = typeof req.body?.confirmUsername === 'string'
             ? req.body.confirmUsername.trim()
             : '';
 
-        if (!isValidUUID(playerId)) {
+        if (!isValidUUID(playerId)) {
+            return res.status(400).json({ error: 'Invalid player ID' });
+        }
+
+        if (!confirmUsername) {
+            return res.status(400).json({ error: 'Type the exact username to confirm deletion.' });
+        }
+
+        if (playerId === req.userId) {
+            return res.status(403).json({ error: 'You cannot delete your own Halley account.' });
+        }
+
+        const result = await pool.query(
+            `SELECT id, username FROM players WHERE id = $1`,
+            [playerId]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Player not found' });
+        }
+
+        const player = result.rows[0];
+
+        if (isAdminUsername(player.username)) {
+            return res.status(403).json({ error: 'The Halley admin account cannot be deleted.' });
+        }
+
+        if (!req.adminPermissions.includes(ADMIN_PERMISSIONS.ROLES) && await loadAdminRole(pool, player)) {
+            return res.status(403).json({ error: 'Only an owner can delete a staff account.' });
+        }
+
+        if (player.username !== confirmUsername) {
+            return res.status(400).json({ error: 'Confirmation username does not match.' });
+        }
+
+        await pool.query('DELETE FROM players WHERE id = $1', [playerId]);
+        lobby?.disconnectPlayer(playerId, 'Account deleted');
+
+        await auditAdminAction(req, 'player.delete', {
+            targetPlayerId: playerId,
+            targetUsername: player.username
+        });
+
+        res.json({
+            success: true,
+            deletedUsername: player.username
+        });
+    } catch (error) {
+        console.error('[API] Admin player delete error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Ban a player, for `durationHours` or permanently. Signs out every device they have.
+app.post('/api/admin/players/:playerId/ban', authenticate, requireAdmin, requirePermission(ADMIN_PERMISSIONS.MODERATION), async (req, res) => {
+    try {
+        const player = await loadModerationTarget(req, res);
+        if (!player) return;
+
+        const parsed = normalizeBanInput(req.body);
+        if (!parsed.ok) {
+            return res.status(400).json({ error: parsed.error });
+        }
+
+        const { reason, bannedUntil } = parsed.value;
+        await pool.query(
+            `UPDATE players
+             SET banned_at = NOW(), banned_until = $2, ban_reason = $3
+             WHERE id = $1`,
+            [player.id, bannedUntil, reason]
+        );
+        const revoked = await revokeAllSessions(pool, player.id);
+        lobby?.disconnectPlayer(player.id, 'Account banned');
+
+        await auditAdminAction(req, 'player.ban', {
+            targetPlayerId: player.id,
+            targetUsername: player.username,
+            payload: { reason, bannedUntil, sessionsRevoked: revoked }
+        });
+
+        res.json({ success: true, bannedUntil, reason });
+    } catch (error) {
+        console.error('[API] Admin ban error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Lift a ban
+app.delete('/api/admin/players/:playerId/ban', authenticate, requireAdmin, requirePermission(ADMIN_PERMISSIONS.MODERATION), async (req, res) => {
+    try {
+        const player = await loadModerationTarget(req, res);
+        if (!player) return;
+
+        const result = await pool.query(
+            `UPDATE players
+             SET banned_at = NULL, banned_until = NULL, ban_reason = NULL
+             WHERE id = $1 AND banned_at IS NOT NULL`,
+            [player.id]
+        );
+        if (result.rowCount === 0) {
+            return res.status(409).json({ error: 'That player is not banned' });
+        }
+
+        await auditAdminAction(req, 'player.unban', {
+            targetPlayerId: player.id,
+            targetUsername: player.username
+        });
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('[API] Admin unban error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Force a username change (leaderboard entries follow the new name)
+app.post('/api/admin/players/:playerId/rename', authenticate, requireAdmin, requirePermission(ADMIN_PERMISSIONS.MODERATION), async (req, res) => {
+    try {
+        const player = await loadModerationTarget(req, res);
+        if (!player) return;
+
+        const checked = validateUsername(req.body?.username);
+        if (!checked.ok) {
+            return res.status(400).json({ error: checked.error });
+        }
+        const username = checked.value;
+        if (isAdminUsername(username)) {
+            return res.status(400).json({ error: 'That username is reserved' });
+        }
+
+        const taken = await pool.query(
+            'SELECT id FROM players WHERE LOWER(username) = LOWER($1) AND id != $2',
+            [username, player.id]
+        );
+        if (taken.rows.length > 0) {
+            return res.status(409).json({ error: 'Username already taken' });
+        }
+
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            await client.query(
+                `UPDATE players
+                 SET username = $2,
+                     display_name = CASE WHEN display_name IS NULL OR display_name = username THEN $2 ELSE display_name END
+                 WHERE id = $1`,
+                [player.id, username]
+            );
+            await client.query('UPDATE leaderboard_catches SET username = $2 WHERE player_id = $1', [player.id, username]);
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        await auditAdminAction(req, 'player.rename', {
+            targetPlayerId: player.id,
+            targetUsername: username,
+            payload: { from: player.username, to: username, reason: req.body?.reason || null }
+        });
+
+        res.json({ success: true, username });
+    } catch (error) {
+        if (error.code === '23505') {
+            return res.status(409).json({ error: 'Username already taken' });
+        }
+        console.error('[API] Admin rename error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Hide a player from (or restore them to) every leaderboard
+app.post('/api/admin/players/:playerId/leaderboard', authenticate, requireAdmin, requirePermission(ADMIN_PERMISSIONS.MODERATION), async (req, res) => {
+    try {
+        const player = await loadModerationTarget(req, res);
+        if (!player) return;
+
+        if (typeof req.body?.hidden !== 'boolean') {
+            return res.status(400).json({ error: 'hidden must be true or false' });
+        }
+
+        await pool.query('UPDATE players SET leaderboard_hidden = $2 WHERE id = $1', [player.id, req.body.hidden]);
+
+        await auditAdminAction(req, req.body.hidden ? 'leaderboard.hide' : 'leaderboard.restore', {
+            targetPlayerId: player.id,
+            targetUsername: player.username
+        });
+
+        res.json({ success: true, leaderboardHidden: req.body.hidden });
+    } catch (error) {
+        console.error('[API] Admin leaderboard visibility error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Clear one player's hook reaction times (their speed board entries go with them)
+app.post('/api/admin/players/:playerId/reaction-times/reset', authenticate, requireAdmin, requirePermission(ADMIN_PERMISSIONS.MODERATION), async (req, res) => {
+    try {
+        const player = await loadModerationTarget(req, res);
+        if (!player) return;
+
+        const [catchesResult, leaderboardResult] = await Promise.all([
+            pool.query(
+                `UPDATE player_catches
+                 SET reaction_time_ms = NULL
+                 WHERE player_id = $1 AND reaction_time_ms IS NOT NULL`,
+                [player.id]
+            ),
+            pool.query(
+                `UPDATE leaderboard_catches
+                 SET reaction_time_ms = NULL
+                 WHERE player_id = $1 AND reaction_time_ms IS NOT NULL`,
+                [player.id]
+            )
+        ]);
+
+        const cleared = {
+            playerCatchesCleared: catchesResult.rowCount ?? 0,
+            leaderboardEntriesCleared: leaderboardResult.rowCount ?? 0
+        };
+        await auditAdminAction(req, 'player.reaction_reset', {
+            targetPlayerId: player.id,
+            targetUsername: player.username,
+            payload: cleared
+        });
+
+        res.json({ success: true, ...cleared });
+    } catch (error) {
+        console.error('[API] Admin reaction reset error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Roles, their permissions and who holds them (owner)
+app.get('/api/admin/roles', authenticate, requireAdmin, requirePermission(ADMIN_PERMISSIONS.ROLES), async (req, res) => {
+    try {
+        const [roles, assignments] = await Promise.all([
+            listAdminRoles(pool),
+            listRoleAssignments(pool)
+        ]);
+        res.json({ roles, assignments });
+    } catch (error) {
+        console.error('[API] Admin roles list error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Give a player an admin role, replacing any role they held (owner)
+app.put('/api/admin/players/:playerId/role', authenticate, requireAdmin, requirePermission(ADMIN_PERMISSIONS.ROLES), async (req, res) => {
+    try {
+        const player = await loadModerationTarget(req, res);
+        if (!player) return;
+
+        const role = typeof req.body?.role === 'string' ? req.body.role.trim() : '';
+        const roleResult = await pool.query('SELECT name FROM admin_roles WHERE name = $1', [role]);
+        if (roleResult.rows.length === 0) {
+            return res.status(400).json({ error: 'Unknown role' });
+        }
+
+        const previous = await loadAdminRole(pool, player);
+        await pool.query(
+            `INSERT INTO player_admin_roles (player_id, role, granted_by)
+             VALUES ($1, $2, $3)
+             ON CONFLICT (player_id)
+             DO UPDATE SET role = EXCLUDED.role, granted_by = EXCLUDED.granted_by, granted_at = NOW()`,
+            [player.id, role, req.userId]
+        );
+
+        await auditAdminAction(req, 'role.assign', {
+            targetPlayerId: player.id,
+            targetUsername: player.username,
+            payload: { role, previousRole: previous?.role || null }
+        });
+
+        res.json({ success: true, role });
+    } catch (error) {
+        console.error('[API] Admin role assign error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Take a player's admin role away (owner)
+app.delete('/api/admin/players/:playerId/role', authenticate, requireAdmin, requirePermission(ADMIN_PERMISSIONS.ROLES), async (req, res) => {
+    try {
+        const player = await loadModerationTarget(req, res);
+        if (!player) return;
+
+        const result = await pool.query(
+            'DELETE FROM player_admin_roles WHERE player_id = $1 RETURNING role',
+            [player.id]
+        );
+        if (result.rows.length === 0) {
+            return res.status(409).json({ error: 'That player has no admin role' });
+        }
+
+        await auditAdminAction(req, 'role.revoke', {
+            targetPlayerId: player.id,
+            targetUsername: player.username,
+            payload: { previousRole: result.rows[0].role }
+        });
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('[API] Admin role revoke error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Browse the admin audit log, newest first (?limit, ?before=<createdAt>, ?action, ?playerId)
+app.get('/api/admin/audit-log', authenticate, requireAdmin, async (req, res) => {
+    try {
+        const playerId = typeof req.query.playerId === 'string' ? req.query.playerId : null;
+        if (playerId && !isValidUUID(playerId)) {
             return res.status(400).json({ error: 'Invalid player ID' });
         }
-
-        if (!confirmUsername) {
-            return res.status(400).json({ error: 'Type the exact username to confirm deletion.' });
+        const before = typeof req.query.before === 'string' ? req.query.before : null;
+        if (before && Number.isNaN(Date.parse(before))) {
+            return res.status(400).json({ error: 'Invalid before timestamp' });
         }
 
-        if (playerId === req.userId) {
-            return res.status(403).json({ error: 'You cannot delete your own Halley account.' });
+        res.json(await listAuditLog(pool, {
+            limit: req.query.limit,
+            before,
+            action: typeof req.query.action === 'string' && req.query.action ? req.query.action : null,
+            playerId
+        }));
+    } catch (error) {
+        console.error('[API] Admin audit log error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// The signed-in player's reward mail: everything claimable plus the last two weeks of claims
+app.get('/api/mail', authenticate, async (req, res) => {
+    try {
+        if (!isValidUUID(req.userId)) {
+            return res.status(400).json({ error: 'Invalid user ID' });
         }
 
         const result = await pool.query(
-            `SELECT id, username FROM players WHERE id = $1`,
-            [playerId]
+            `SELECT id, subject, body, rewards, expires_at, claimed_at, created_at
+             FROM player_mail
+             WHERE player_id = $1
+               AND (
+                   (claimed_at IS NULL AND (expires_at IS NULL OR expires_at > NOW()))
+                   OR claimed_at > NOW() - INTERVAL '14 days'
+               )
+             ORDER BY created_at DESC
+             LIMIT 50`,
+            [req.userId]
         );
 
-        if (result.rows.length === 0) {
-            return res.status(404).json({ error: 'Player not found' });
-        }
-
-        const player = result.rows[0];
+        const mail = result.rows.map(mapMailRow);
+        res.json({
+            mail,
+            unclaimedCount: mail.filter((entry) => !entry.claimedAt).length
+        });
+    } catch (error) {
+        console.error('[API] Mail inbox error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
 
-        if (isAdminUsername(player.username)) {
-            return res.status(403).json({ error: 'The Halley admin account cannot be deleted.' });
+// Claim one mail; rewards are returned for the client to add and written into the cloud save
+app.post('/api/mail/:mailId/claim', authenticate, async (req, res) => {
+    try {
+        if (!isValidUUID(req.userId)) {
+            return res.status(400).json({ error: 'Invalid user ID' });
         }
 
-        if (player.username !== confirmUsername) {
-            return res.status(400).json({ error: 'Confirmation username does not match.' });
+        const { mailId } = req.params;
+        if (!isValidUUID(mailId)) {
+            return res.status(400).json({ error: 'Invalid mail ID' });
         }
 
-        await pool.query('DELETE FROM players WHERE id = $1', [playerId]);
+        const result = await claimPlayerMail(pool, req.userId, mailId);
+        if (!result.ok) {
+            return res.status(result.status).json({ error: result.error });
+        }
 
-        res.json({
-            success: true,
-            deletedUsername: player.username
-        });
+        res.json({ success: true, mail: result.mail });
     } catch (error) {
-        console.error('[API] Admin player delete error:', error);
+        console.error('[API] Mail claim error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// Pending announcements for the signed-in player
+// Released announcements addressed to the signed-in player. Gifts stay listed until claimed.
 app.get('/api/announcements/pending', authenticate, async (req, res) => {
     try {
         if (!isValidUUID(req.userId)) {
@@ -628,13 +1360,20 @@ app.get('/api/announcements/pending', authenticate, async (req, res) => {
         }
 
         const result = await pool.query(
-            `SELECT a.id, a.title, a.body, a.display_type, a.toast_type, a.banner_color, a.duration_ms, a.expires_at, a.created_at
+            `SELECT a.id, a.title, a.body, a.display_type, a.toast_type, a.banner_color, a.duration_ms,
+                    a.starts_at, a.expires_at, a.action, a.created_at
              FROM admin_announcements a
              LEFT JOIN announcement_acks ack
                  ON ack.announcement_id = a.id AND ack.player_id = $1
-             WHERE ack.announcement_id IS NULL
+             WHERE (ack.announcement_id IS NULL
+                    OR (a.action->>'type' = 'claim_gift' AND ack.action_at IS NULL))
+               AND a.released_at IS NOT NULL
                AND (a.expires_at IS NULL OR a.expires_at > NOW())
-             ORDER BY a.created_at ASC
+               AND (a.target = '{}'::jsonb OR EXISTS (
+                   SELECT 1 FROM announcement_audience aud
+                   WHERE aud.announcement_id = a.id AND aud.player_id = $1
+               ))
+             ORDER BY a.starts_at ASC
              LIMIT 10`,
             [req.userId]
         );
@@ -672,6 +1411,57 @@ app.post('/api/announcements/:announcementId/ack', authenticate, async (req, res
     }
 });
 
+// Record that the player used an announcement's action button. A gift is paid into the
+// cloud save only the first time; repeat calls answer alreadyClaimed.
+app.post('/api/announcements/:announcementId/action', authenticate, async (req, res) => {
+    try {
+        if (!isValidUUID(req.userId)) {
+            return res.status(400).json({ error: 'Invalid user ID' });
+        }
+
+        const { announcementId } = req.params;
+        if (!isValidUUID(announcementId)) {
+            return res.status(400).json({ error: 'Invalid announcement ID' });
+        }
+
+        const announcement = await pool.query(
+            `SELECT a.action, a.target,
+                    EXISTS (
+                        SELECT 1 FROM announcement_audience aud
+                        WHERE aud.announcement_id = a.id AND aud.player_id = $2
+                    ) AS in_audience
+             FROM admin_announcements a
+             WHERE a.id = $1
+               AND a.released_at IS NOT NULL
+               AND (a.expires_at IS NULL OR a.expires_at > NOW())`,
+            [announcementId, req.userId]
+        );
+        const row = announcement.rows[0];
+        if (!row || !row.action || (isTargetedAnnouncement(row.target) && !row.in_audience)) {
+            return res.status(404).json({ error: 'Announcement not found or expired' });
+        }
+
+        const firstUse = await recordAnnouncementAction(pool, {
+            playerId: req.userId,
+            announcementId,
+            action: row.action
+        });
+
+        if (row.action.type !== 'claim_gift') {
+            return res.json({ success: true });
+        }
+        // The gift is already in the cloud save; the client applies the same gift id locally.
+        res.json({
+            success: true,
+            alreadyClaimed: !firstUse,
+            gift: { coins: row.action.coins || 0, energy: row.action.energy || 0 }
+        });
+    } catch (error) {
+        console.error('[API] Announcement action error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 // Update player data (sync from game)
 app.put('/api/players/me', authenticate, async (req, res) => {
     try {
@@ -765,6 +1555,9 @@ app.put('/api/players/me/pin', authenticate, async (req, res) => {
             [hashPin(pin), req.userId]
         );
 
+        // Devices that claimed this account before it had a PIN must sign in with it now.
+        await revokeAllSessions(pool, req.userId, req.sessionId);
+
         res.json({ success: true, hasPin: true });
     } catch (error) {
         console.error('[API] Set PIN error:', error);
@@ -780,7 +1573,7 @@ app.get('/api/players/me/save', authenticate, async (req, res) => {
         }
 
         const result = await pool.query(
-            `SELECT game_save, game_save_updated_at,
+            `SELECT game_save, game_save_updated_at, game_save_revision,
                     (pin_hash IS NOT NULL) AS has_pin
              FROM players WHERE id = $1`,
             [req.userId]
@@ -794,6 +1587,7 @@ app.get('/api/players/me/save', authenticate, async (req, res) => {
         res.json({
             gameSave: row.game_save && typeof row.game_save === 'object' ? row.game_save : {},
             gameSaveUpdatedAt: row.game_save_updated_at,
+            revision: row.game_save_revision,
             hasPin: row.has_pin
         });
     } catch (error) {
@@ -802,14 +1596,15 @@ app.get('/api/players/me/save', authenticate, async (req, res) => {
     }
 });
 
-// Upload full cloud save
+// Upload full cloud save. Writes must be based on the current revision; stale ones are
+// rejected with the server-side merge so the client can apply it and retry.
 app.put('/api/players/me/save', authenticate, async (req, res) => {
     try {
         if (!isValidUUID(req.userId)) {
             return res.status(400).json({ error: 'Invalid user ID' });
         }
 
-        const { gameSave } = req.body;
+        const { gameSave, baseRevision } = req.body;
         if (!gameSave || typeof gameSave !== 'object') {
             return res.status(400).json({ error: 'Invalid save data' });
         }
@@ -819,48 +1614,38 @@ app.put('/api/players/me/save', authenticate, async (req, res) => {
             return res.status(413).json({ error: 'Save data too large' });
         }
 
-        const result = await pool.query(
-            `UPDATE players
-             SET game_save = $1::jsonb,
-                 game_save_updated_at = NOW(),
-                 last_active = NOW(),
-                 level = COALESCE($2, level),
-                 experience = COALESCE($3, experience),
-                 money = COALESCE($4, money),
-                 total_caught = COALESCE($5, total_caught),
-                 biggest_catch = COALESCE($6, biggest_catch),
-                 player_stats = COALESCE($7::jsonb, player_stats)
-             WHERE id = $8
-             RETURNING game_save_updated_at`,
-            [
-                payload,
-                gameSave.player?.level ?? null,
-                gameSave.player?.experience ?? null,
-                gameSave.player?.money ?? null,
-                gameSave.player?.totalCaught ?? null,
-                gameSave.player?.biggestCatch ?? null,
-                gameSave.player?.stats ? JSON.stringify(gameSave.player.stats) : null,
-                req.userId
-            ]
-        );
+        const rejectStale = async () => {
+            const current = await pool.query(
+                'SELECT game_save, game_save_revision FROM players WHERE id = $1',
+                [req.userId]
+            );
+            if (current.rows.length === 0) {
+                return res.status(404).json({ error: 'Player not found' });
+            }
+            const stored = current.rows[0].game_save && typeof current.rows[0].game_save === 'object'
+                ? current.rows[0].game_save
+                : null;
+            return res.status(409).json({
+                error: 'Cloud save changed on another device',
+                code: 'SAVE_CONFLICT',
+                revision: current.rows[0].game_save_revision,
+                gameSave: mergeGameSaves(stored, gameSave)
+            });
+        };
 
-        if (result.rows.length === 0) {
-            return res.status(404).json({ error: 'Player not found' });
+        if (!Number.isInteger(baseRevision)) {
+            return rejectStale();
         }
 
-        if (gameSave.collection?.caughtFishCollection) {
-            await pool.query(
-                `INSERT INTO player_collections (player_id, caught_fish, updated_at)
-                 VALUES ($1, $2::jsonb, NOW())
-                 ON CONFLICT (player_id)
-                 DO UPDATE SET caught_fish = EXCLUDED.caught_fish, updated_at = NOW()`,
-                [req.userId, JSON.stringify(gameSave.collection.caughtFishCollection)]
-            );
+        const written = await writeGameSave(pool, req.userId, gameSave, { expectedRevision: baseRevision });
+        if (!written) {
+            return rejectStale();
         }
 
         res.json({
             success: true,
-            gameSaveUpdatedAt: result.rows[0].game_save_updated_at
+            gameSaveUpdatedAt: written.updatedAt,
+            revision: written.revision
         });
     } catch (error) {
         console.error('[API] Update save error:', error);
@@ -868,6 +1653,40 @@ app.put('/api/players/me/save', authenticate, async (req, res) => {
     }
 });
 
+// Earlier cloud saves, newest first, with level / money / relic changes vs. the current save
+app.get('/api/players/me/save/history', authenticate, async (req, res) => {
+    try {
+        if (!isValidUUID(req.userId)) {
+            return res.status(400).json({ error: 'Invalid user ID' });
+        }
+
+        res.json(await listSaveHistory(pool, req.userId));
+    } catch (error) {
+        console.error('[API] Save history error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Restore one of the player's own earlier saves
+app.post('/api/players/me/save/history/:snapshotId/restore', authenticate, async (req, res) => {
+    try {
+        const { snapshotId } = req.params;
+        if (!isValidUUID(req.userId) || !isValidUUID(snapshotId)) {
+            return res.status(400).json({ error: 'Invalid ID' });
+        }
+
+        const restored = await restoreSaveSnapshot(pool, { playerId: req.userId, snapshotId });
+        if (!restored) {
+            return res.status(404).json({ error: 'Save snapshot not found' });
+        }
+
+        res.json({ success: true, ...restored });
+    } catch (error) {
+        console.error('[API] Save restore error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 // Get player by friend code
 app.get('/api/players/:friendCode', async (req, res) => {
     try {
@@ -1373,6 +2192,8 @@ app.post('/api/activities/level', authenticate, async (req, res) => {
 
 // ==================== Leaderboard Routes ====================
 
+const LEADERBOARD_ARCHIVE_INTERVAL_MS = 60 * 60 * 1000;
+
 // Record or update a player's best catch for the global leaderboard
 app.post('/api/leaderboard/catch', authenticate, async (req, res) => {
     try {
@@ -1405,6 +2226,25 @@ app.post('/api/leaderboard/catch', authenticate, async (req, res) => {
             ? locationName.trim()
             : null;
 
+        const flagDetails = {
+            playerId: req.userId,
+            fishName: fishName.trim().slice(0, 64),
+            fishWeight: weight,
+            locationName: location
+        };
+
+        const validation = validateCatch({ fishName, weight, locationName: location });
+        if (!validation.ok) {
+            await flagCatch(pool, { ...flagDetails, reason: validation.reason });
+            return res.status(400).json({ error: validation.error, code: 'CATCH_REJECTED' });
+        }
+
+        const rate = await checkCatchRate(pool, req.userId, weight);
+        if (!rate.ok) {
+            await flagCatch(pool, { ...flagDetails, reason: rate.reason, details: rate.details });
+            return res.status(429).json({ error: rate.error, code: 'CATCH_RATE_LIMITED' });
+        }
+
         let reactionTime = null;
         if (reactionTimeMs !== undefined && reactionTimeMs !== null) {
             const parsedReaction = Number(reactionTimeMs);
@@ -1438,7 +2278,7 @@ app.post('/api/leaderboard/catch', authenticate, async (req, res) => {
                      ELSE leaderboard_catches.recorded_at
                  END,
                  updated_at = NOW()`,
-            [req.userId, username, fishName.trim(), weight, location, reactionTime]
+            [req.userId, username, validation.fish.name, weight, location, reactionTime]
         );
 
         await pool.query(
@@ -1452,9 +2292,16 @@ app.post('/api/leaderboard/catch', authenticate, async (req, res) => {
         await pool.query(
             `INSERT INTO player_catches (player_id, fish_name, fish_weight, location_name, reaction_time_ms)
              VALUES ($1, $2, $3, $4, $5)`,
-            [req.userId, fishName.trim(), weight, location, reactionTime]
+            [req.userId, validation.fish.name, weight, location, reactionTime]
         );
 
+        await recordTournamentCatch(pool, {
+            playerId: req.userId,
+            fishName: validation.fish.name,
+            fishWeight: weight,
+            locationName: location
+        });
+
         const bestResult = await pool.query(
             `SELECT player_id, username, fish_name, fish_weight, location_name, reaction_time_ms, recorded_at
              FROM leaderboard_catches
@@ -1477,24 +2324,45 @@ app.get('/api/leaderboard/global', authenticate, async (req, res) => {
         }
 
         const limit = Math.min(Number(req.query.limit) || 20, 100);
+        const period = normalizePeriod(req.query.period);
 
-        const result = await pool.query(
-            `SELECT lc.player_id, lc.username, lc.fish_name, lc.fish_weight, lc.location_name, lc.recorded_at
-             FROM leaderboard_catches lc
-             ORDER BY lc.fish_weight DESC, lc.recorded_at ASC
-             LIMIT $1`,
-            [limit]
-        );
-
-        res.json(result.rows);
+        res.json(await queryGlobalBoard(pool, { period, limit }));
     } catch (error) {
         console.error('[API] Leaderboard fetch error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// Clear all hook reaction times (Halley admin — resets global speed board)
-app.post('/api/admin/leaderboard/speed/reset', authenticate, requireAdmin, async (req, res) => {
+// Per-location / per-species board (heaviest catch per player) with the caller's rank
+app.get('/api/leaderboard/boards/:boardType', authenticate, async (req, res) => {
+    try {
+        if (!isValidUUID(req.userId)) {
+            return res.status(400).json({ error: 'Invalid user ID' });
+        }
+
+        const { boardType } = req.params;
+        if (!BOARD_TYPES[boardType]) {
+            return res.status(400).json({ error: 'Board type must be location or species' });
+        }
+
+        const key = resolveBoardKey(boardType, req.query.key);
+        if (!key) {
+            return res.status(404).json({ error: `Unknown ${boardType}` });
+        }
+
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+        const period = normalizePeriod(req.query.period);
+        const board = await queryCatchBoard(pool, { boardType, key, limit, period, playerId: req.userId });
+
+        res.json({ boardType, key, period, ...board });
+    } catch (error) {
+        console.error('[API] Board leaderboard error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Clear all hook reaction times (moderation — resets global speed board)
+app.post('/api/admin/leaderboard/speed/reset', authenticate, requireAdmin, requirePermission(ADMIN_PERMISSIONS.MODERATION), async (req, res) => {
     try {
         const [catchesResult, leaderboardResult] = await Promise.all([
             pool.query(
@@ -1509,11 +2377,13 @@ app.post('/api/admin/leaderboard/speed/reset', authenticate, requireAdmin, async
             )
         ]);
 
-        res.json({
-            success: true,
+        const cleared = {
             playerCatchesCleared: catchesResult.rowCount ?? 0,
             leaderboardEntriesCleared: leaderboardResult.rowCount ?? 0
-        });
+        };
+        await auditAdminAction(req, 'leaderboard.speed_reset', { payload: cleared });
+
+        res.json({ success: true, ...cleared });
     } catch (error) {
         console.error('[API] Admin speed board reset error:', error);
         res.status(500).json({ error: 'Internal server error' });
@@ -1528,40 +2398,46 @@ app.get('/api/leaderboard/speed', authenticate, async (req, res) => {
         }
 
         const limit = Math.min(Number(req.query.limit) || 20, 100);
+        const period = normalizePeriod(req.query.period);
 
-        const result = await pool.query(
-            `WITH best_reactions AS (
-                SELECT
-                    pc.player_id,
-                    p.username,
-                    pc.fish_name,
-                    pc.fish_weight,
-                    pc.location_name,
-                    pc.reaction_time_ms,
-                    pc.created_at,
-                    ROW_NUMBER() OVER (
-                        PARTITION BY pc.player_id
-                        ORDER BY pc.reaction_time_ms ASC, pc.created_at ASC
-                    ) AS rn
-                FROM player_catches pc
-                JOIN players p ON pc.player_id = p.id
-                WHERE pc.reaction_time_ms IS NOT NULL
-            )
-            SELECT player_id, username, fish_name, fish_weight, location_name, reaction_time_ms, created_at
-            FROM best_reactions
-            WHERE rn = 1
-            ORDER BY reaction_time_ms ASC, created_at ASC
-            LIMIT $1`,
-            [limit]
-        );
-
-        res.json(result.rows);
+        res.json(await querySpeedBoard(pool, { period, limit }));
     } catch (error) {
         console.error('[API] Speed leaderboard fetch error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
+// Winners of the last finished period (e.g. last week's champions)
+app.get('/api/leaderboard/champions', authenticate, async (req, res) => {
+    try {
+        const board = SNAPSHOT_BOARDS.includes(req.query.board) ? req.query.board : 'global';
+        const period = isSnapshotPeriod(req.query.period) ? req.query.period : 'week';
+
+        // Covers the first request after a rollover, before the hourly archive runs.
+        await archivePreviousPeriod(pool, board, period);
+        const [snapshot] = await listSnapshots(pool, { board, period, limit: 1 });
+
+        res.json(snapshot || { board, period, periodStart: null, periodEnd: null, entries: [] });
+    } catch (error) {
+        console.error('[API] Leaderboard champions error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Archived period winners, newest first
+app.get('/api/leaderboard/snapshots', authenticate, async (req, res) => {
+    try {
+        const board = SNAPSHOT_BOARDS.includes(req.query.board) ? req.query.board : 'global';
+        const period = isSnapshotPeriod(req.query.period) ? req.query.period : 'week';
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 52);
+
+        res.json(await listSnapshots(pool, { board, period, limit }));
+    } catch (error) {
+        console.error('[API] Leaderboard snapshots error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 // Get a player's catch history (top catches)
 app.get('/api/players/:playerId/catches', authenticate, async (req, res) => {
     try {
@@ -1625,6 +2501,198 @@ app.get('/api/activities/friends', authenticate, async (req, res) => {
     }
 });
 
+// ==================== Tournament Routes ====================
+
+const TOURNAMENT_FINALIZE_INTERVAL_MS = 60 * 1000;
+const ANNOUNCEMENT_RELEASE_INTERVAL_MS = 30 * 1000;
+
+async function loadTournamentForPlayer(tournamentId, playerId) {
+    const result = await pool.query(
+        `SELECT t.*,
+                (SELECT COUNT(*) FROM tournament_entries e WHERE e.tournament_id = t.id) AS entrant_count,
+                EXISTS (
+                    SELECT 1 FROM tournament_entries e
+                    WHERE e.tournament_id = t.id AND e.player_id = $2
+                ) AS joined
+         FROM tournaments t
+         WHERE t.id = $1`,
+        [tournamentId, playerId]
+    );
+    return result.rows[0] || null;
+}
+
+// Schedule a tournament (economy permission — prizes are paid in coins)
+app.post('/api/admin/tournaments', authenticate, requireAdmin, requirePermission(ADMIN_PERMISSIONS.ECONOMY), async (req, res) => {
+    try {
+        const normalized = normalizeTournamentInput(req.body);
+        if (!normalized.ok) {
+            return res.status(400).json({ error: normalized.error });
+        }
+
+        const { name, locationName, allowedSpecies, scoringRule, startsAt, endsAt, prizeCoins, badgeName } = normalized.value;
+        const result = await pool.query(
+            `INSERT INTO tournaments (created_by, name, location_name, allowed_species, scoring_rule,
+                                      starts_at, ends_at, prize_coins, badge_name)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+             RETURNING *`,
+            [req.userId, name, locationName, allowedSpecies, scoringRule, startsAt, endsAt, prizeCoins, badgeName]
+        );
+
+        await auditAdminAction(req, 'tournament.create', {
+            payload: { tournamentId: result.rows[0].id, name, locationName, startsAt, endsAt, prizeCoins }
+        });
+
+        res.status(201).json(mapTournamentRow(result.rows[0]));
+    } catch (error) {
+        console.error('[API] Admin create tournament error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Cancel a tournament that has not been scored yet (economy permission)
+app.delete('/api/admin/tournaments/:tournamentId', authenticate, requireAdmin, requirePermission(ADMIN_PERMISSIONS.ECONOMY), async (req, res) => {
+    try {
+        const { tournamentId } = req.params;
+        if (!isValidUUID(tournamentId)) {
+            return res.status(400).json({ error: 'Invalid tournament ID' });
+        }
+
+        const result = await pool.query(
+            'DELETE FROM tournaments WHERE id = $1 AND finalized_at IS NULL RETURNING id, name',
+            [tournamentId]
+        );
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Tournament not found or already scored' });
+        }
+
+        await auditAdminAction(req, 'tournament.cancel', {
+            payload: { tournamentId, name: result.rows[0].name }
+        });
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('[API] Admin delete tournament error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Upcoming, live and recently finished tournaments
+app.get('/api/tournaments', authenticate, async (req, res) => {
+    try {
+        if (!isValidUUID(req.userId)) {
+            return res.status(400).json({ error: 'Invalid user ID' });
+        }
+
+        await finalizeEndedTournaments(pool);
+
+        const result = await pool.query(
+            `SELECT t.*,
+                    (SELECT COUNT(*) FROM tournament_entries e WHERE e.tournament_id = t.id) AS entrant_count,
+                    EXISTS (
+                        SELECT 1 FROM tournament_entries e
+                        WHERE e.tournament_id = t.id AND e.player_id = $1
+                    ) AS joined
+             FROM tournaments t
+             WHERE t.ends_at > NOW() - INTERVAL '7 days'
+             ORDER BY (t.finalized_at IS NOT NULL), t.starts_at ASC
+             LIMIT 20`,
+            [req.userId]
+        );
+
+        res.json(result.rows.map(mapTournamentRow));
+    } catch (error) {
+        console.error('[API] Tournament list error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Opt in to a tournament (allowed until it ends)
+app.post('/api/tournaments/:tournamentId/join', authenticate, async (req, res) => {
+    try {
+        const { tournamentId } = req.params;
+        if (!isValidUUID(req.userId) || !isValidUUID(tournamentId)) {
+            return res.status(400).json({ error: 'Invalid ID' });
+        }
+
+        const tournament = await loadTournamentForPlayer(tournamentId, req.userId);
+        if (!tournament) {
+            return res.status(404).json({ error: 'Tournament not found' });
+        }
+        if (tournament.finalized_at || new Date(tournament.ends_at).getTime() <= Date.now()) {
+            return res.status(409).json({ error: 'This tournament has already ended' });
+        }
+
+        await pool.query(
+            `INSERT INTO tournament_entries (tournament_id, player_id)
+             VALUES ($1, $2)
+             ON CONFLICT (tournament_id, player_id) DO NOTHING`,
+            [tournamentId, req.userId]
+        );
+
+        res.json(mapTournamentRow(await loadTournamentForPlayer(tournamentId, req.userId)));
+    } catch (error) {
+        console.error('[API] Tournament join error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Live standings (final once scored)
+app.get('/api/tournaments/:tournamentId/standings', authenticate, async (req, res) => {
+    try {
+        const { tournamentId } = req.params;
+        if (!isValidUUID(req.userId) || !isValidUUID(tournamentId)) {
+            return res.status(400).json({ error: 'Invalid ID' });
+        }
+
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+        const tournament = await loadTournamentForPlayer(tournamentId, req.userId);
+        if (!tournament) {
+            return res.status(404).json({ error: 'Tournament not found' });
+        }
+
+        const standings = await loadStandings(pool, tournament);
+        res.json({
+            tournament: mapTournamentRow(tournament),
+            standings: standings.slice(0, limit),
+            me: standings.find((row) => row.playerId === req.userId) || null
+        });
+    } catch (error) {
+        console.error('[API] Tournament standings error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Prizes this player has won (client reconciles its local save by tournamentId)
+app.get('/api/tournaments/rewards/me', authenticate, async (req, res) => {
+    try {
+        if (!isValidUUID(req.userId)) {
+            return res.status(400).json({ error: 'Invalid user ID' });
+        }
+
+        const result = await pool.query(
+            `SELECT t.id, t.name, t.badge_name, e.final_rank, e.prize_coins, e.awarded_at
+             FROM tournament_entries e
+             JOIN tournaments t ON t.id = e.tournament_id
+             WHERE e.player_id = $1 AND e.awarded_at IS NOT NULL
+             ORDER BY e.awarded_at DESC
+             LIMIT 50`,
+            [req.userId]
+        );
+
+        res.json(result.rows.map((row) => ({
+            tournamentId: row.id,
+            tournamentName: row.name,
+            name: row.badge_name,
+            rank: row.final_rank,
+            coins: row.prize_coins,
+            awardedAt: row.awarded_at
+        })));
+    } catch (error) {
+        console.error('[API] Tournament rewards error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 // Health check
 app.get('/api/health', async (req, res) => {
     try {
@@ -1645,10 +2713,38 @@ async function startServer() {
         process.exit(1);
     }
 
-    app.listen(PORT, () => {
+    // Extra location packs, so catches, boards and tournaments there validate like the built-ins
+    const packNames = await loadServerLocationPacks(path.join(__dirname, '..'));
+    if (packNames.length > 0) {
+        console.log(`[SERVER] Location packs loaded: ${packNames.join(', ')}`);
+    }
+
+    const server = app.listen(PORT, () => {
         console.log(`[SERVER] Halley's Big Catch Friends API running on port ${PORT}`);
         console.log(`[SERVER] Environment: ${NODE_ENV}`);
     });
+
+    lobby = attachLobby(server, { pool });
+
+    setInterval(() => {
+        releaseDueAnnouncements(pool).catch((error) => {
+            console.error('[ANNOUNCEMENTS] Scheduled release failed:', error);
+        });
+    }, ANNOUNCEMENT_RELEASE_INTERVAL_MS);
+
+    setInterval(() => {
+        finalizeEndedTournaments(pool).catch((error) => {
+            console.error('[TOURNAMENT] Scheduled finalize failed:', error);
+        });
+    }, TOURNAMENT_FINALIZE_INTERVAL_MS);
+
+    const archiveLeaderboards = () => {
+        archiveFinishedPeriods(pool).catch((error) => {
+            console.error('[LEADERBOARD] Period archive failed:', error);
+        });
+    };
+    archiveLeaderboards();
+    setInterval(archiveLeaderboards, LEADERBOARD_ARCHIVE_INTERVAL_MS);
 }
 
 startServer();
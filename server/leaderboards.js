@@ -0,0 +1,275 @@
+import { getServerFishByName, getServerLocationNames } from './catchValidation.js';
+
+/**
+ * Server leaderboards built from player_catches.
+ *
+ * Boards can be scoped to a period (day / week / month, UTC calendar boundaries) or
+ * all-time. Finished periods are archived into leaderboard_snapshots so past winners
+ * stay visible after the board rolls over — nothing is wiped. Players a moderator removed
+ * (players.leaderboard_hidden) are left off every board.
+ */
+
+export const BOARD_TYPES = {
+    location: { column: 'location_name' },
+    species: { column: 'fish_name' }
+};
+
+export const LEADERBOARD_PERIODS = ['day', 'week', 'month', 'all'];
+export const SNAPSHOT_BOARDS = ['global', 'speed'];
+const SNAPSHOT_PERIODS = ['day', 'week', 'month'];
+const SNAPSHOT_SIZE = 10;
+
+export function normalizePeriod(value) {
+    return LEADERBOARD_PERIODS.includes(value) ? value : 'all';
+}
+
+/**
+ * SQL bounds for a calendar period. Only whitelisted units are interpolated.
+ * @param {string} period - day | week | month
+ * @param {number} [periodsAgo=0] - 0 = current (open-ended) period, 1 = the one before…
+ * @returns {{ start: string, end: string|null }|null}
+ */
+function periodBounds(period, periodsAgo = 0) {
+    if (!SNAPSHOT_PERIODS.includes(period)) return null;
+    const ago = Math.max(0, Math.floor(periodsAgo));
+    const start = `(date_trunc('${period}', NOW()) - INTERVAL '${ago} ${period}')`;
+    return {
+        start,
+        end: ago > 0 ? `(${start} + INTERVAL '1 ${period}')` : null
+    };
+}
+
+function windowClause(column, bounds) {
+    if (!bounds) return '';
+    return bounds.end
+        ? `AND ${column} >= ${bounds.start} AND ${column} < ${bounds.end}`
+        : `AND ${column} >= ${bounds.start}`;
+}
+
+/**
+ * Resolve a board key to its canonical stored value (exact location / species name).
+ * @param {string} boardType
+ * @param {string} key
+ * @returns {string|null}
+ */
+export function resolveBoardKey(boardType, key) {
+    const trimmed = typeof key === 'string' ? key.trim() : '';
+    if (!trimmed) return null;
+
+    if (boardType === 'location') {
+        const match = getServerLocationNames()
+            .find((name) => name.toLowerCase() === trimmed.toLowerCase());
+        return match || null;
+    }
+    if (boardType === 'species') {
+        return getServerFishByName(trimmed)?.name || null;
+    }
+    return null;
+}
+
+function mapBoardRow(row) {
+    return {
+        rank: Number(row.rank),
+        player_id: row.player_id,
+        username: row.username,
+        fish_name: row.fish_name,
+        fish_weight: row.fish_weight,
+        location_name: row.location_name,
+        recorded_at: row.created_at
+    };
+}
+
+/**
+ * Top entries plus the requesting player's own rank on one board.
+ * @param {import('pg').Pool} pool
+ * @param {{ boardType: 'location'|'species', key: string, limit: number, playerId: string, period?: string }} options
+ * @returns {Promise<{ entries: object[], me: object|null, total: number }>}
+ */
+export async function queryCatchBoard(pool, { boardType, key, limit, playerId, period = 'all' }) {
+    const { column } = BOARD_TYPES[boardType];
+    const result = await pool.query(
+        `WITH best AS (
+             SELECT DISTINCT ON (pc.player_id)
+                    pc.player_id, pc.fish_name, pc.fish_weight, pc.location_name, pc.created_at
+             FROM player_catches pc
+             WHERE pc.${column} = $1
+             ${windowClause('pc.created_at', periodBounds(period))}
+             ORDER BY pc.player_id, pc.fish_weight DESC, pc.created_at ASC
+         ),
+         ranked AS (
+             SELECT best.*, p.username,
+                    ROW_NUMBER() OVER (ORDER BY best.fish_weight DESC, best.created_at ASC) AS rank,
+                    COUNT(*) OVER () AS total
+             FROM best
+             JOIN players p ON p.id = best.player_id
+             WHERE NOT p.leaderboard_hidden
+         )
+         SELECT * FROM ranked
+         WHERE rank <= $2 OR player_id = $3
+         ORDER BY rank ASC`,
+        [key, limit, playerId]
+    );
+
+    const rows = result.rows;
+    const meRow = rows.find((row) => row.player_id === playerId);
+    return {
+        entries: rows.filter((row) => Number(row.rank) <= limit).map(mapBoardRow),
+        me: meRow ? mapBoardRow(meRow) : null,
+        total: rows.length > 0 ? Number(rows[0].total) : 0
+    };
+}
+
+/**
+ * Heaviest catch per player. All-time reads leaderboard_catches (kept since launch);
+ * periods are computed from player_catches.created_at.
+ * @param {import('pg').Pool} pool
+ * @param {{ period?: string, limit: number, periodsAgo?: number }} options
+ */
+export async function queryGlobalBoard(pool, { period = 'all', limit, periodsAgo = 0 }) {
+    const bounds = periodBounds(period, periodsAgo);
+    if (!bounds) {
+        const result = await pool.query(
+            `SELECT lc.player_id, lc.username, lc.fish_name, lc.fish_weight, lc.location_name, lc.recorded_at
+             FROM leaderboard_catches lc
+             JOIN players p ON p.id = lc.player_id
+             WHERE NOT p.leaderboard_hidden
+             ORDER BY lc.fish_weight DESC, lc.recorded_at ASC
+             LIMIT $1`,
+            [limit]
+        );
+        return result.rows;
+    }
+
+    const result = await pool.query(
+        `WITH best AS (
+             SELECT DISTINCT ON (pc.player_id)
+                    pc.player_id, pc.fish_name, pc.fish_weight, pc.location_name, pc.created_at
+             FROM player_catches pc
+             WHERE TRUE ${windowClause('pc.created_at', bounds)}
+             ORDER BY pc.player_id, pc.fish_weight DESC, pc.created_at ASC
+         )
+         SELECT best.player_id, p.username, best.fish_name, best.fish_weight, best.location_name,
+                best.created_at AS recorded_at
+         FROM best
+         JOIN players p ON p.id = best.player_id
+         WHERE NOT p.leaderboard_hidden
+         ORDER BY best.fish_weight DESC, best.created_at ASC
+         LIMIT $1`,
+        [limit]
+    );
+    return result.rows;
+}
+
+/**
+ * Fastest hook reaction per player.
+ * @param {import('pg').Pool} pool
+ * @param {{ period?: string, limit: number, periodsAgo?: number }} options
+ */
+export async function querySpeedBoard(pool, { period = 'all', limit, periodsAgo = 0 }) {
+    const result = await pool.query(
+        `WITH best_reactions AS (
+            SELECT
+                pc.player_id,
+                p.username,
+                pc.fish_name,
+                pc.fish_weight,
+                pc.location_name,
+                pc.reaction_time_ms,
+                pc.created_at,
+                ROW_NUMBER() OVER (
+                    PARTITION BY pc.player_id
+                    ORDER BY pc.reaction_time_ms ASC, pc.created_at ASC
+                ) AS rn
+            FROM player_catches pc
+            JOIN players p ON pc.player_id = p.id
+            WHERE pc.reaction_time_ms IS NOT NULL AND NOT p.leaderboard_hidden
+            ${windowClause('pc.created_at', periodBounds(period, periodsAgo))}
+        )
+        SELECT player_id, username, fish_name, fish_weight, location_name, reaction_time_ms, created_at
+        FROM best_reactions
+        WHERE rn = 1
+        ORDER BY reaction_time_ms ASC, created_at ASC
+        LIMIT $1`,
+        [limit]
+    );
+    return result.rows;
+}
+
+function mapSnapshotRow(row) {
+    return {
+        board: row.board,
+        period: row.period,
+        periodStart: row.period_start,
+        periodEnd: row.period_end,
+        entries: Array.isArray(row.entries) ? row.entries : [],
+        archivedAt: row.created_at
+    };
+}
+
+/**
+ * Archive the most recently finished period of one board if it isn't stored yet.
+ * @param {import('pg').Pool} pool
+ * @param {'global'|'speed'} board
+ * @param {'day'|'week'|'month'} period
+ * @returns {Promise<boolean>} Whether a new snapshot was written
+ */
+export async function archivePreviousPeriod(pool, board, period) {
+    const bounds = periodBounds(period, 1);
+    if (!bounds || !SNAPSHOT_BOARDS.includes(board)) return false;
+
+    const existing = await pool.query(
+        `SELECT 1 FROM leaderboard_snapshots
+         WHERE board = $1 AND period = $2 AND period_start = ${bounds.start}`,
+        [board, period]
+    );
+    if (existing.rows.length > 0) return false;
+
+    const query = board === 'speed' ? querySpeedBoard : queryGlobalBoard;
+    const entries = await query(pool, { period, limit: SNAPSHOT_SIZE, periodsAgo: 1 });
+
+    const result = await pool.query(
+        `INSERT INTO leaderboard_snapshots (board, period, period_start, period_end, entries)
+         VALUES ($1, $2, ${bounds.start}, ${bounds.end}, $3::jsonb)
+         ON CONFLICT (board, period, period_start) DO NOTHING`,
+        [board, period, JSON.stringify(entries)]
+    );
+    return result.rowCount > 0;
+}
+
+/**
+ * Roll every board over: snapshot yesterday, last week and last month where missing.
+ * Safe to call on every boot and on a timer.
+ * @param {import('pg').Pool} pool
+ */
+export async function archiveFinishedPeriods(pool) {
+    let archived = 0;
+    for (const board of SNAPSHOT_BOARDS) {
+        for (const period of SNAPSHOT_PERIODS) {
+            if (await archivePreviousPeriod(pool, board, period)) {
+                archived += 1;
+            }
+        }
+    }
+    return archived;
+}
+
+/**
+ * Archived winners, newest first.
+ * @param {import('pg').Pool} pool
+ * @param {{ board: string, period: string, limit?: number }} options
+ */
+export async function listSnapshots(pool, { board, period, limit = 1 }) {
+    const result = await pool.query(
+        `SELECT board, period, period_start, period_end, entries, created_at
+         FROM leaderboard_snapshots
+         WHERE board = $1 AND period = $2
+         ORDER BY period_start DESC
+         LIMIT $3`,
+        [board, period, limit]
+    );
+    return result.rows.map(mapSnapshotRow);
+}
+
+export function isSnapshotPeriod(period) {
+    return SNAPSHOT_PERIODS.includes(period);
+}
@@ -0,0 +1,325 @@
+import { WebSocketServer } from 'ws';
+import { isSessionActive, verifyAccessToken } from './sessionTokens.js';
+
+/**
+ * Real-time fishing lobby — one room per location. Friends who fish the same spot
+ * see each other's cats, casts, bobbers and catches live. Strangers sharing a room
+ * are never relayed to each other.
+ *
+ * Client → server: join { location } · leave · cast { x, z } · bobber { x, z } · reel · idle
+ *                  catch { fishName, fishWeight, rarity }
+ * Server → client: welcome · room { location, anglers } · angler_joined { angler }
+ *                  angler_left { playerId } · angler_event { playerId, event, ... } · error { error }
+ */
+export const LOBBY_PATH = '/ws/lobby';
+
+const HEARTBEAT_MS = 30000;
+const MAX_MESSAGES_PER_SECOND = 12;
+const MAX_MESSAGE_BYTES = 2048;
+const MAX_LOCATION_LENGTH = 64;
+const MAX_FISH_NAME_LENGTH = 48;
+const COORD_LIMIT = 500;
+const RELAYED_EVENTS = new Set(['cast', 'bobber', 'reel', 'idle', 'catch']);
+const EVENT_STATES = { cast: 'casting', bobber: 'waiting', reel: 'reeling', idle: 'idle', catch: 'idle' };
+
+function readCoordinate(value) {
+    const number = Number(value);
+    if (!Number.isFinite(number)) return null;
+    return Math.max(-COORD_LIMIT, Math.min(COORD_LIMIT, Math.round(number * 100) / 100));
+}
+
+function send(ws, message) {
+    if (ws.readyState === ws.OPEN) {
+        ws.send(JSON.stringify(message));
+    }
+}
+
+/**
+ * @param {import('pg').Pool} pool
+ * @param {string} playerId
+ * @returns {Promise<Set<string>>}
+ */
+async function loadFriendIds(pool, playerId) {
+    const result = await pool.query(
+        `SELECT CASE WHEN player1_id = $1 THEN player2_id ELSE player1_id END AS friend_id
+         FROM friendships
+         WHERE (player1_id = $1 OR player2_id = $1) AND status = 'accepted'`,
+        [playerId]
+    );
+    return new Set(result.rows.map((row) => row.friend_id));
+}
+
+/**
+ * Sanitize a relayed gameplay event. Returns null when the payload is unusable.
+ * @param {string} event
+ * @param {object} message
+ */
+function normalizeEvent(event, message) {
+    switch (event) {
+        case 'cast':
+        case 'bobber': {
+            const x = readCoordinate(message.x);
+            const z = readCoordinate(message.z);
+            if (x === null || z === null) return null;
+            return { x, z };
+        }
+        case 'catch': {
+            const fishName = typeof message.fishName === 'string'
+                ? message.fishName.trim().slice(0, MAX_FISH_NAME_LENGTH)
+                : '';
+            if (!fishName) return null;
+            const weight = Number(message.fishWeight);
+            return {
+                fishName,
+                fishWeight: Number.isFinite(weight) && weight > 0 ? Math.round(weight * 100) / 100 : null,
+                rarity: typeof message.rarity === 'string' ? message.rarity.slice(0, 24) : null
+            };
+        }
+        default:
+            return {};
+    }
+}
+
+/**
+ * Mount the lobby WebSocket server on the Express HTTP server.
+ * @param {import('http').Server} httpServer
+ * @param {{ pool: import('pg').Pool }} options
+ */
+export function attachLobby(httpServer, { pool }) {
+    const wss = new WebSocketServer({ noServer: true, maxPayload: MAX_MESSAGE_BYTES });
+    /** @type {Map<string, Map<string, object>>} location → playerId → client */
+    const rooms = new Map();
+    /** @type {Set<object>} every open connection, in a room or not */
+    const clients = new Set();
+
+    function getVisiblePeers(client) {
+        const room = rooms.get(client.location);
+        if (!room) return [];
+        return [...room.values()].filter((peer) =>
+            peer !== client
+            && client.friendIds.has(peer.playerId)
+            && peer.friendIds.has(client.playerId)
+        );
+    }
+
+    function describe(client) {
+        return {
+            playerId: client.playerId,
+            username: client.username,
+            state: client.state,
+            bobber: client.bobber
+        };
+    }
+
+    function leaveRoom(client) {
+        if (!client.location) return;
+        const room = rooms.get(client.location);
+        const peers = getVisiblePeers(client);
+        room?.delete(client.playerId);
+        if (room && room.size === 0) {
+            rooms.delete(client.location);
+        }
+        peers.forEach((peer) => send(peer.ws, { type: 'angler_left', playerId: client.playerId }));
+        client.location = null;
+        client.state = 'idle';
+        client.bobber = null;
+    }
+
+    async function joinRoom(client, location) {
+        const joinId = ++client.joinCount;
+        const friendIds = await loadFriendIds(pool, client.playerId);
+        // The socket may have closed while friends loaded (its close handler has already run),
+        // or a newer join may have overtaken this one.
+        if (client.closed || joinId !== client.joinCount) return;
+
+        leaveRoom(client);
+        client.friendIds = friendIds;
+
+        // Same account on a second device replaces the first connection in this room.
+        const room = rooms.get(location) || new Map();
+        const previous = room.get(client.playerId);
+        if (previous && previous !== client) {
+            previous.location = null;
+            previous.ws.close(4001, 'Joined from another device');
+        }
+
+        room.set(client.playerId, client);
+        rooms.set(location, room);
+        client.location = location;
+        client.state = 'idle';
+        client.bobber = null;
+
+        const peers = getVisiblePeers(client);
+        send(client.ws, { type: 'room', location, anglers: peers.map(describe) });
+        peers.forEach((peer) => send(peer.ws, { type: 'angler_joined', angler: describe(client) }));
+    }
+
+    function relay(client, event, payload) {
+        // Remember the latest state so friends who join mid-cast see the bobber already in the water.
+        client.state = EVENT_STATES[event];
+        if (event === 'bobber') {
+            client.bobber = payload;
+        } else if (event === 'cast' || event === 'idle' || event === 'catch') {
+            client.bobber = null;
+        }
+
+        const message = { type: 'angler_event', playerId: client.playerId, event, ...payload };
+        getVisiblePeers(client).forEach((peer) => send(peer.ws, message));
+    }
+
+    function isRateLimited(client) {
+        const now = Date.now();
+        if (now - client.windowStart >= 1000) {
+            client.windowStart = now;
+            client.messageCount = 0;
+        }
+        client.messageCount += 1;
+        return client.messageCount > MAX_MESSAGES_PER_SECOND;
+    }
+
+    async function handleMessage(client, raw) {
+        if (isRateLimited(client)) return;
+
+        let message;
+        try {
+            message = JSON.parse(raw.toString());
+        } catch {
+            return send(client.ws, { type: 'error', error: 'Malformed message' });
+        }
+        if (!message || typeof message.type !== 'string') return;
+
+        if (message.type === 'join') {
+            const location = typeof message.location === 'string' ? message.location.trim() : '';
+            if (!location || location.length > MAX_LOCATION_LENGTH) {
+                return send(client.ws, { type: 'error', error: 'Invalid location' });
+            }
+            await joinRoom(client, location);
+            return;
+        }
+
+        if (message.type === 'leave') {
+            leaveRoom(client);
+            return;
+        }
+
+        if (!client.location || !RELAYED_EVENTS.has(message.type)) return;
+
+        const payload = normalizeEvent(message.type, message);
+        if (payload) {
+            relay(client, message.type, payload);
+        }
+    }
+
+    function disconnectWhere(matches, reason) {
+        clients.forEach((client) => {
+            if (matches(client)) {
+                leaveRoom(client);
+                client.ws.close(4003, reason);
+            }
+        });
+    }
+
+    async function authenticateUpgrade(request) {
+        const url = new URL(request.url, 'http://localhost');
+        const verified = verifyAccessToken(url.searchParams.get('token'));
+        if (!verified.ok) return null;
+        if (!(await isSessionActive(pool, verified.sessionId, verified.playerId))) return null;
+
+        const result = await pool.query('SELECT username FROM players WHERE id = $1', [verified.playerId]);
+        if (result.rows.length === 0) return null;
+        return { playerId: verified.playerId, sessionId: verified.sessionId, username: result.rows[0].username };
+    }
+
+    httpServer.on('upgrade', (request, socket, head) => {
+        const { pathname } = new URL(request.url, 'http://localhost');
+        if (pathname !== LOBBY_PATH) return;
+
+        authenticateUpgrade(request)
+            .then((identity) => {
+                if (!identity) {
+                    socket.write('HTTP/1.1 401 Unauthorized\r\n\r\n');
+                    socket.destroy();
+                    return;
+                }
+                wss.handleUpgrade(request, socket, head, (ws) => wss.emit('connection', ws, identity));
+            })
+            .catch((error) => {
+                console.error('[LOBBY] Upgrade auth error:', error);
+                socket.write('HTTP/1.1 500 Internal Server Error\r\n\r\n');
+                socket.destroy();
+            });
+    });
+
+    wss.on('connection', (ws, identity) => {
+        const client = {
+            ws,
+            playerId: identity.playerId,
+            sessionId: identity.sessionId,
+            username: identity.username,
+            friendIds: new Set(),
+            location: null,
+            state: 'idle',
+            bobber: null,
+            closed: false,
+            joinCount: 0,
+            windowStart: Date.now(),
+            messageCount: 0
+        };
+        clients.add(client);
+
+        ws.isAlive = true;
+        ws.on('pong', () => {
+            ws.isAlive = true;
+        });
+        ws.on('message', (raw) => {
+            handleMessage(client, raw).catch((error) => {
+                console.error('[LOBBY] Message error:', error);
+                send(ws, { type: 'error', error: 'Internal server error' });
+            });
+        });
+        ws.on('close', () => {
+            client.closed = true;
+            clients.delete(client);
+            leaveRoom(client);
+        });
+        ws.on('error', (error) => console.warn('[LOBBY] Socket error:', error.message));
+
+        send(ws, { type: 'welcome', playerId: client.playerId });
+    });
+
+    // Drop sockets that stopped answering pings (phone locked, tab killed) so rooms stay accurate.
+    const heartbeat = setInterval(() => {
+        wss.clients.forEach((ws) => {
+            if (ws.isAlive === false) {
+                ws.terminate();
+                return;
+            }
+            ws.isAlive = false;
+            ws.ping();
+        });
+    }, HEARTBEAT_MS);
+
+    wss.on('close', () => clearInterval(heartbeat));
+
+    return {
+        wss,
+        getRoomSize: (location) => rooms.get(location)?.size ?? 0,
+        /**
+         * Close every lobby socket a player has open (banned, deleted or signed out everywhere).
+         * @param {string} playerId
+         * @param {string} [reason]
+         */
+        disconnectPlayer: (playerId, reason = 'Disconnected') => {
+            disconnectWhere((client) => client.playerId === playerId, reason);
+        },
+        /**
+         * Close the lobby sockets opened with one session (signed out on that device).
+         * @param {string} sessionId
+         * @param {string} [reason]
+         */
+        disconnectSession: (sessionId, reason = 'Disconnected') => {
+            disconnectWhere((client) => client.sessionId === sessionId, reason);
+        },
+        close: () => wss.close()
+    };
+}
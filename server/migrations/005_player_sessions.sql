@@ -0,0 +1,18 @@
+-- Signed session tokens: one row per signed-in device, holding the hashed refresh token.
+CREATE TABLE IF NOT EXISTS player_sessions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    player_id UUID NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+    refresh_token_hash TEXT NOT NULL UNIQUE,
+    previous_refresh_token_hash TEXT,
+    user_agent TEXT,
+    created_at TIMESTAMP DEFAULT NOW(),
+    last_used_at TIMESTAMP DEFAULT NOW(),
+    expires_at TIMESTAMP NOT NULL,
+    revoked_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_player_sessions_player
+    ON player_sessions (player_id);
+
+CREATE INDEX IF NOT EXISTS idx_player_sessions_previous_hash
+    ON player_sessions (previous_refresh_token_hash);
@@ -0,0 +1,22 @@
+-- Leaderboard catches the server rejected (impossible species/weight, posting too fast).
+-- Admins review accounts with repeated flags from the live ops panel.
+
+CREATE TABLE IF NOT EXISTS catch_flags (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    player_id UUID REFERENCES players(id) ON DELETE CASCADE,
+    reason TEXT NOT NULL,
+    fish_name TEXT,
+    fish_weight DECIMAL(12, 2),
+    location_name TEXT,
+    details JSONB,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_catch_flags_player
+    ON catch_flags (player_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_catch_flags_created_at
+    ON catch_flags (created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_player_catches_player_created
+    ON player_catches (player_id, created_at DESC);
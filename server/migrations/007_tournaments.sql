@@ -0,0 +1,45 @@
+-- Timed tournaments scheduled by the admin; players opt in and validated catches
+-- inside the window are scored server-side.
+
+CREATE TABLE IF NOT EXISTS tournaments (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    created_by UUID REFERENCES players(id) ON DELETE SET NULL,
+    name TEXT NOT NULL,
+    location_name TEXT NOT NULL,
+    allowed_species TEXT[] NOT NULL DEFAULT '{}',
+    scoring_rule TEXT NOT NULL DEFAULT 'heaviest',
+    starts_at TIMESTAMP NOT NULL,
+    ends_at TIMESTAMP NOT NULL,
+    prize_coins INTEGER[] NOT NULL DEFAULT '{}',
+    badge_name TEXT NOT NULL,
+    finalized_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS tournament_entries (
+    tournament_id UUID REFERENCES tournaments(id) ON DELETE CASCADE,
+    player_id UUID REFERENCES players(id) ON DELETE CASCADE,
+    joined_at TIMESTAMP DEFAULT NOW(),
+    final_rank INTEGER,
+    prize_coins INTEGER,
+    awarded_at TIMESTAMP,
+    PRIMARY KEY (tournament_id, player_id)
+);
+
+CREATE TABLE IF NOT EXISTS tournament_catches (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tournament_id UUID REFERENCES tournaments(id) ON DELETE CASCADE,
+    player_id UUID REFERENCES players(id) ON DELETE CASCADE,
+    fish_name TEXT NOT NULL,
+    fish_weight DECIMAL(10, 2) NOT NULL,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_tournaments_window
+    ON tournaments (starts_at, ends_at);
+
+CREATE INDEX IF NOT EXISTS idx_tournament_entries_player
+    ON tournament_entries (player_id);
+
+CREATE INDEX IF NOT EXISTS idx_tournament_catches_tournament_player
+    ON tournament_catches (tournament_id, player_id);
@@ -0,0 +1,7 @@
+-- Per-location and per-species boards read player_catches filtered by one column.
+
+CREATE INDEX IF NOT EXISTS idx_player_catches_location_weight
+    ON player_catches (location_name, fish_weight DESC);
+
+CREATE INDEX IF NOT EXISTS idx_player_catches_fish_weight
+    ON player_catches (fish_name, fish_weight DESC);
@@ -0,0 +1,16 @@
+-- Archived winners for each finished day / week / month of the global and speed boards.
+-- Boards roll over by date (computed from player_catches.created_at); nothing is wiped.
+
+CREATE TABLE IF NOT EXISTS leaderboard_snapshots (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    board TEXT NOT NULL,
+    period TEXT NOT NULL,
+    period_start TIMESTAMP NOT NULL,
+    period_end TIMESTAMP NOT NULL,
+    entries JSONB NOT NULL DEFAULT '[]'::jsonb,
+    created_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE (board, period, period_start)
+);
+
+CREATE INDEX IF NOT EXISTS idx_player_catches_created_at
+    ON player_catches (created_at DESC);
@@ -0,0 +1,5 @@
+-- Cloud save revision: bumped on every accepted write so uploads built on an older copy
+-- are rejected (and merged) instead of overwriting progress from another device.
+
+ALTER TABLE players
+    ADD COLUMN IF NOT EXISTS game_save_revision INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,18 @@
+-- Rolling history of earlier cloud saves (last 20 per player, trimmed on insert).
+-- Headline stats are copied out of the JSON so the history list never loads full saves.
+
+CREATE TABLE IF NOT EXISTS game_save_history (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    player_id UUID NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+    revision INTEGER NOT NULL DEFAULT 0,
+    game_save JSONB NOT NULL,
+    level INTEGER NOT NULL DEFAULT 0,
+    money INTEGER NOT NULL DEFAULT 0,
+    relic_count INTEGER NOT NULL DEFAULT 0,
+    total_caught INTEGER NOT NULL DEFAULT 0,
+    reason TEXT NOT NULL,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_game_save_history_player
+    ON game_save_history (player_id, created_at DESC);
@@ -0,0 +1,30 @@
+-- Scheduled, targeted announcements with an optional action button.
+-- A targeted announcement's audience is fixed in announcement_audience when it is released.
+
+ALTER TABLE admin_announcements ADD COLUMN IF NOT EXISTS starts_at TIMESTAMP;
+ALTER TABLE admin_announcements ADD COLUMN IF NOT EXISTS released_at TIMESTAMP;
+ALTER TABLE admin_announcements ADD COLUMN IF NOT EXISTS target JSONB NOT NULL DEFAULT '{}';
+ALTER TABLE admin_announcements ADD COLUMN IF NOT EXISTS action JSONB;
+
+UPDATE admin_announcements
+SET starts_at = COALESCE(created_at, NOW()),
+    released_at = COALESCE(created_at, NOW())
+WHERE starts_at IS NULL;
+
+ALTER TABLE admin_announcements ALTER COLUMN starts_at SET DEFAULT NOW();
+ALTER TABLE admin_announcements ALTER COLUMN starts_at SET NOT NULL;
+
+ALTER TABLE announcement_acks ADD COLUMN IF NOT EXISTS action_at TIMESTAMP;
+
+CREATE TABLE IF NOT EXISTS announcement_audience (
+    announcement_id UUID REFERENCES admin_announcements(id) ON DELETE CASCADE,
+    player_id UUID REFERENCES players(id) ON DELETE CASCADE,
+    PRIMARY KEY (announcement_id, player_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_admin_announcements_unreleased
+    ON admin_announcements (starts_at)
+    WHERE released_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_announcement_audience_player
+    ON announcement_audience (player_id);
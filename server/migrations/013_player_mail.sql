@@ -0,0 +1,22 @@
+-- Reward mail from admins. One row per recipient; a send to a segment or everyone shares a
+-- batch_id. Claiming sets claimed_at once and writes the rewards into the cloud save.
+
+CREATE TABLE IF NOT EXISTS player_mail (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    player_id UUID NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+    batch_id UUID NOT NULL,
+    sent_by UUID REFERENCES players(id) ON DELETE SET NULL,
+    subject TEXT NOT NULL,
+    body TEXT,
+    rewards JSONB NOT NULL DEFAULT '{}',
+    audience TEXT NOT NULL DEFAULT 'player',
+    expires_at TIMESTAMP,
+    claimed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_player_mail_inbox
+    ON player_mail (player_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_player_mail_batch
+    ON player_mail (batch_id);
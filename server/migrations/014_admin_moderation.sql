@@ -0,0 +1,24 @@
+-- Moderation state on players (bans, leaderboard removal) and a log of every admin action.
+
+ALTER TABLE players ADD COLUMN IF NOT EXISTS banned_at TIMESTAMP;
+ALTER TABLE players ADD COLUMN IF NOT EXISTS banned_until TIMESTAMP;
+ALTER TABLE players ADD COLUMN IF NOT EXISTS ban_reason TEXT;
+ALTER TABLE players ADD COLUMN IF NOT EXISTS leaderboard_hidden BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- target_player_id has no foreign key so entries outlive deleted accounts.
+CREATE TABLE IF NOT EXISTS admin_audit_log (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    actor_id UUID REFERENCES players(id) ON DELETE SET NULL,
+    actor_username TEXT,
+    action TEXT NOT NULL,
+    target_player_id UUID,
+    target_username TEXT,
+    payload JSONB NOT NULL DEFAULT '{}',
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_created_at
+    ON admin_audit_log (created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_target
+    ON admin_audit_log (target_player_id, created_at DESC);
@@ -0,0 +1,24 @@
+-- Admin roles: each role carries a permission set (see src/config/adminRoles.js) and players
+-- hold at most one. The configured admin account is always an owner without a row here.
+
+CREATE TABLE IF NOT EXISTS admin_roles (
+    name TEXT PRIMARY KEY,
+    label TEXT NOT NULL,
+    permissions TEXT[] NOT NULL DEFAULT '{}',
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+INSERT INTO admin_roles (name, label, permissions) VALUES
+    ('owner', 'Owner', ARRAY['announcements', 'moderation', 'economy', 'player_deletion', 'roles']),
+    ('moderator', 'Moderator', ARRAY['announcements', 'moderation']),
+    ('support', 'Support', ARRAY['economy'])
+ON CONFLICT (name) DO NOTHING;
+
+CREATE TABLE IF NOT EXISTS player_admin_roles (
+    player_id UUID PRIMARY KEY REFERENCES players(id) ON DELETE CASCADE,
+    role TEXT NOT NULL REFERENCES admin_roles(name),
+    granted_by UUID REFERENCES players(id) ON DELETE SET NULL,
+    granted_at TIMESTAMP DEFAULT NOW()
+);
+
+ALTER TABLE admin_audit_log ADD COLUMN IF NOT EXISTS actor_role TEXT;
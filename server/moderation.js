@@ -0,0 +1,145 @@
+/**
+ * Moderation — bans, forced renames, leaderboard removal and per-player speed resets,
+ * plus the admin audit log every admin route writes to.
+ */
+
+const MAX_BAN_HOURS = 24 * 365;
+const AUDIT_PAGE_LIMIT = 100;
+
+/**
+ * Same rules as registration.
+ * @returns {{ ok: true, value: string }|{ ok: false, error: string }}
+ */
+export function validateUsername(username) {
+    if (!username || typeof username !== 'string') {
+        return { ok: false, error: 'Username is required' };
+    }
+    const trimmed = username.trim();
+    if (trimmed.length < 3 || trimmed.length > 20) {
+        return { ok: false, error: 'Username must be 3-20 characters' };
+    }
+    if (!/^[a-zA-Z0-9_]+$/.test(trimmed)) {
+        return { ok: false, error: 'Username can only contain letters, numbers, and underscores' };
+    }
+    return { ok: true, value: trimmed };
+}
+
+/**
+ * `durationHours` bans until then; omit it (or send `permanent: true`) for a permanent ban.
+ */
+export function normalizeBanInput(body = {}) {
+    const reason = typeof body.reason === 'string' ? body.reason.trim().slice(0, 200) : '';
+    if (!reason) {
+        return { ok: false, error: 'A ban reason is required' };
+    }
+
+    if (body.permanent === true || body.durationHours === undefined || body.durationHours === null || body.durationHours === '') {
+        return { ok: true, value: { reason, bannedUntil: null } };
+    }
+
+    const hours = Number(body.durationHours);
+    if (!Number.isFinite(hours) || hours <= 0) {
+        return { ok: false, error: 'Ban length must be a positive number of hours' };
+    }
+    const bannedUntil = new Date(Date.now() + Math.min(hours, MAX_BAN_HOURS) * 60 * 60 * 1000);
+    return { ok: true, value: { reason, bannedUntil } };
+}
+
+/**
+ * The player's ban if one is in force.
+ * @returns {Promise<{ bannedUntil: Date|null, reason: string|null }|null>}
+ */
+export async function getActiveBan(pool, playerId) {
+    const result = await pool.query(
+        `SELECT banned_until, ban_reason
+         FROM players
+         WHERE id = $1 AND banned_at IS NOT NULL
+           AND (banned_until IS NULL OR banned_until > NOW())`,
+        [playerId]
+    );
+    const row = result.rows[0];
+    return row ? { bannedUntil: row.banned_until, reason: row.ban_reason } : null;
+}
+
+/** Error body for requests from a banned account. */
+export function describeBan(ban) {
+    const until = ban.bannedUntil ? new Date(ban.bannedUntil) : null;
+    const headline = until
+        ? `This account is suspended until ${until.toUTCString()}.`
+        : 'This account has been banned.';
+    return {
+        error: ban.reason ? `${headline} Reason: ${ban.reason}` : headline,
+        code: 'ACCOUNT_BANNED',
+        bannedUntil: until ? until.toISOString() : null,
+        reason: ban.reason || null
+    };
+}
+
+/**
+ * Append one entry to the audit log. Pass a transaction client to log inside it.
+ * @param {import('pg').Pool|import('pg').PoolClient} db
+ * @param {{ actorId: string, actorUsername?: string, actorRole?: string, action: string, targetPlayerId?: string|null, targetUsername?: string|null, payload?: object }} entry
+ */
+export async function recordAdminAction(db, entry) {
+    await db.query(
+        `INSERT INTO admin_audit_log (actor_id, actor_username, actor_role, action, target_player_id, target_username, payload)
+         VALUES ($1, $2, $3, $4, $5, $6, $7::jsonb)`,
+        [
+            entry.actorId,
+            entry.actorUsername || null,
+            entry.actorRole || null,
+            entry.action,
+            entry.targetPlayerId || null,
+            entry.targetUsername || null,
+            JSON.stringify(entry.payload || {})
+        ]
+    );
+}
+
+/**
+ * Audit entries newest first. `before` pages back from an entry's createdAt.
+ * @param {import('pg').Pool} pool
+ * @param {{ limit?: number, before?: string, action?: string, playerId?: string }} filters
+ */
+export async function listAuditLog(pool, { limit = 30, before = null, action = null, playerId = null } = {}) {
+    const clauses = [];
+    const params = [];
+    if (before) {
+        params.push(before);
+        clauses.push(`created_at < $${params.length}`);
+    }
+    if (action) {
+        params.push(action);
+        clauses.push(`action = $${params.length}`);
+    }
+    if (playerId) {
+        params.push(playerId);
+        clauses.push(`target_player_id = $${params.length}`);
+    }
+    params.push(Math.min(Math.max(Number(limit) || 30, 1), AUDIT_PAGE_LIMIT));
+
+    const result = await pool.query(
+        `SELECT id, actor_id, actor_username, actor_role, action, target_player_id, target_username, payload, created_at
+         FROM admin_audit_log
+         ${clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : ''}
+         ORDER BY created_at DESC
+         LIMIT $${params.length}`,
+        params
+    );
+    return result.rows.map(mapAuditRow);
+}
+
+export function mapAuditRow(row) {
+    if (!row) return row;
+    return {
+        id: row.id,
+        actorId: row.actor_id,
+        actorUsername: row.actor_username,
+        actorRole: row.actor_role || null,
+        action: row.action,
+        targetPlayerId: row.target_player_id,
+        targetUsername: row.target_username,
+        payload: row.payload || {},
+        createdAt: row.created_at
+    };
+}
@@ -0,0 +1,177 @@
+import crypto from 'crypto';
+import { buildAudienceFilter, normalizeAudienceTarget } from './adminAnnouncements.js';
+import { applyMailRewards, normalizeMailRewards } from '../src/mailRewards.js';
+import { MAIL_DEFAULT_EXPIRY_DAYS, MAIL_MAX_EXPIRY_DAYS } from '../src/config/mail.js';
+
+/**
+ * Reward mail — admins send coins, energy, tackle or relics to one player, a segment
+ * (same filters as announcements) or everyone. Each recipient gets their own row so a
+ * claim can be marked exactly once; the rewards are written into the cloud save in the
+ * same transaction, with the money log id the client uses, so merges never pay twice.
+ */
+
+const RECIPIENT_TYPES = new Set(['player', 'segment', 'everyone']);
+
+export function normalizeMailInput(body = {}) {
+    const subject = typeof body.subject === 'string' ? body.subject.trim().slice(0, 80) : '';
+    if (!subject) {
+        return { ok: false, error: 'Subject is required' };
+    }
+    const message = typeof body.body === 'string' ? body.body.trim().slice(0, 500) : '';
+
+    const rewards = normalizeMailRewards(body.rewards);
+    if (!rewards.ok) {
+        return rewards;
+    }
+
+    const recipient = RECIPIENT_TYPES.has(body.recipient) ? body.recipient : 'player';
+    const player = typeof body.player === 'string' ? body.player.trim() : '';
+    if (recipient === 'player' && !player) {
+        return { ok: false, error: 'Enter a username or friend code' };
+    }
+
+    let target = {};
+    if (recipient === 'segment') {
+        const parsed = normalizeAudienceTarget(body.target);
+        if (!parsed.ok) {
+            return parsed;
+        }
+        if (Object.keys(parsed.value).length === 0) {
+            return { ok: false, error: 'Pick at least one segment filter' };
+        }
+        target = parsed.value;
+    }
+
+    let expiresInDays = Number(body.expiresInDays);
+    if (!Number.isFinite(expiresInDays) || expiresInDays <= 0) {
+        expiresInDays = MAIL_DEFAULT_EXPIRY_DAYS;
+    }
+    expiresInDays = Math.min(expiresInDays, MAIL_MAX_EXPIRY_DAYS);
+    const expiresAt = new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000);
+
+    return {
+        ok: true,
+        value: { subject, body: message, rewards: rewards.value, recipient, player, target, expiresAt }
+    };
+}
+
+/**
+ * Create one mail row per recipient.
+ * @returns {Promise<{ batchId: string, sentCount: number }>}
+ */
+export async function sendPlayerMail(pool, senderId, input) {
+    const batchId = crypto.randomUUID();
+    const params = [batchId, senderId, input.subject, input.body || null, JSON.stringify(input.rewards),
+        input.recipient, input.expiresAt];
+
+    let where = 'TRUE';
+    if (input.recipient === 'player') {
+        params.push(input.player);
+        where = `LOWER(p.username) = LOWER($${params.length}) OR UPPER(p.friend_code) = UPPER($${params.length})`;
+    } else if (input.recipient === 'segment') {
+        const filter = buildAudienceFilter(input.target, params.length + 1);
+        params.push(...filter.params);
+        where = filter.sql;
+    }
+
+    const result = await pool.query(
+        `INSERT INTO player_mail (batch_id, sent_by, subject, body, rewards, audience, expires_at, player_id)
+         SELECT $1, $2, $3, $4, $5::jsonb, $6, $7, p.id
+         FROM players p
+         WHERE ${where}`,
+        params
+    );
+    return { batchId, sentCount: result.rowCount };
+}
+
+/**
+ * Mark one mail claimed and add its rewards to the player's cloud save.
+ * @returns {Promise<{ ok: true, mail: Object }|{ ok: false, status: number, error: string }>}
+ */
+export async function claimPlayerMail(pool, playerId, mailId) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const claimed = await client.query(
+            `UPDATE player_mail SET claimed_at = NOW()
+             WHERE id = $1 AND player_id = $2 AND claimed_at IS NULL
+               AND (expires_at IS NULL OR expires_at > NOW())
+             RETURNING *`,
+            [mailId, playerId]
+        );
+
+        if (claimed.rows.length === 0) {
+            await client.query('ROLLBACK');
+            const existing = await pool.query(
+                'SELECT claimed_at FROM player_mail WHERE id = $1 AND player_id = $2',
+                [mailId, playerId]
+            );
+            const row = existing.rows[0];
+            if (!row) {
+                return { ok: false, status: 404, error: 'Mail not found' };
+            }
+            return row.claimed_at
+                ? { ok: false, status: 409, error: 'Already claimed' }
+                : { ok: false, status: 410, error: 'This gift has expired' };
+        }
+
+        const mail = mapMailRow(claimed.rows[0]);
+        const coins = mail.rewards.coins || 0;
+        const saveResult = await client.query(
+            'SELECT game_save FROM players WHERE id = $1 FOR UPDATE',
+            [playerId]
+        );
+        const gameSave = saveResult.rows[0]?.game_save;
+
+        if (gameSave?.player && typeof gameSave.player === 'object') {
+            applyMailRewards(gameSave.player, mail);
+            await client.query(
+                `UPDATE players
+                 SET game_save = $2::jsonb,
+                     game_save_revision = game_save_revision + 1,
+                     money = COALESCE(money, 0) + $3
+                 WHERE id = $1`,
+                [playerId, JSON.stringify(gameSave), coins]
+            );
+        } else if (coins > 0) {
+            await client.query(
+                'UPDATE players SET money = COALESCE(money, 0) + $2 WHERE id = $1',
+                [playerId, coins]
+            );
+        }
+
+        await client.query('COMMIT');
+        return { ok: true, mail };
+    } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+export function mapMailRow(row) {
+    if (!row) return row;
+    return {
+        id: row.id,
+        subject: row.subject,
+        body: row.body,
+        rewards: row.rewards || {},
+        expiresAt: row.expires_at,
+        claimedAt: row.claimed_at,
+        createdAt: row.created_at
+    };
+}
+
+export function mapMailBatchRow(row) {
+    if (!row) return row;
+    return {
+        batchId: row.batch_id,
+        subject: row.subject,
+        rewards: row.rewards || {},
+        audience: row.audience,
+        recipientCount: Number(row.recipient_count) || 0,
+        claimedCount: Number(row.claimed_count) || 0,
+        createdAt: row.created_at
+    };
+}
@@ -0,0 +1,238 @@
+/**
+ * Cloud save writes plus a rolling history of earlier saves, so a corrupted upload or an
+ * accidental "Reset All Progress" can be undone from Settings or by an admin.
+ *
+ * A snapshot of the previous save is kept at most every SNAPSHOT_INTERVAL, and always
+ * right before a write that loses progress (level, relics or catches go down).
+ */
+
+export const SAVE_HISTORY_LIMIT = 20;
+const SNAPSHOT_INTERVAL = '15 minutes';
+
+/**
+ * Headline numbers shown next to each snapshot.
+ * @param {object|null} gameSave
+ * @returns {{ level: number, money: number, relicCount: number, totalCaught: number }}
+ */
+export function summarizeSave(gameSave) {
+    const player = gameSave?.player && typeof gameSave.player === 'object' ? gameSave.player : {};
+    return {
+        level: Math.floor(Number(player.level) || 0),
+        money: Math.round(Number(player.money) || 0),
+        relicCount: Array.isArray(player.hiddenRelicsCollected) ? player.hiddenRelicsCollected.length : 0,
+        totalCaught: Math.floor(Number(player.totalCaught) || 0)
+    };
+}
+
+function losesProgress(previous, next) {
+    return next.level < previous.level
+        || next.relicCount < previous.relicCount
+        || next.totalCaught < previous.totalCaught;
+}
+
+/**
+ * Store one snapshot and trim the player's history to SAVE_HISTORY_LIMIT.
+ * @param {import('pg').Pool|import('pg').PoolClient} db
+ */
+export async function recordSaveSnapshot(db, { playerId, gameSave, revision, reason }) {
+    const summary = summarizeSave(gameSave);
+    await db.query(
+        `INSERT INTO game_save_history
+             (player_id, revision, game_save, level, money, relic_count, total_caught, reason)
+         VALUES ($1, $2, $3::jsonb, $4, $5, $6, $7, $8)`,
+        [
+            playerId,
+            revision ?? 0,
+            JSON.stringify(gameSave),
+            summary.level,
+            summary.money,
+            summary.relicCount,
+            summary.totalCaught,
+            reason
+        ]
+    );
+    await db.query(
+        `DELETE FROM game_save_history
+         WHERE player_id = $1
+           AND id NOT IN (
+               SELECT id FROM game_save_history
+               WHERE player_id = $1
+               ORDER BY created_at DESC
+               LIMIT $2
+           )`,
+        [playerId, SAVE_HISTORY_LIMIT]
+    );
+}
+
+/**
+ * Write a full cloud save and mirror its headline stats into the players columns.
+ * Snapshots the save being replaced when it is due (see module comment).
+ * @param {import('pg').Pool|import('pg').PoolClient} db
+ * @param {string} playerId
+ * @param {object} gameSave
+ * @param {{ expectedRevision?: number|null, snapshotReason?: string|null }} [options]
+ *   expectedRevision: only write if the stored revision still matches (null = always write).
+ *   snapshotReason: always snapshot the replaced save with this reason.
+ * @returns {Promise<{ revision: number, updatedAt: string }|null>} null when the revision moved on
+ */
+export async function writeGameSave(db, playerId, gameSave, { expectedRevision = null, snapshotReason = null } = {}) {
+    const result = await db.query(
+        `UPDATE players p
+         SET game_save = $1::jsonb,
+             game_save_updated_at = NOW(),
+             game_save_revision = p.game_save_revision + 1,
+             last_active = NOW(),
+             level = COALESCE($2, p.level),
+             experience = COALESCE($3, p.experience),
+             money = COALESCE($4, p.money),
+             total_caught = COALESCE($5, p.total_caught),
+             biggest_catch = COALESCE($6, p.biggest_catch),
+             player_stats = COALESCE($7::jsonb, p.player_stats)
+         FROM (
+             SELECT id, game_save AS previous_save, game_save_revision AS previous_revision
+             FROM players WHERE id = $8
+         ) previous
+         WHERE p.id = previous.id
+           AND ($9::int IS NULL OR p.game_save_revision = $9)
+         RETURNING p.game_save_updated_at, p.game_save_revision,
+                   previous.previous_save, previous.previous_revision,
+                   EXISTS (
+                       SELECT 1 FROM game_save_history h
+                       WHERE h.player_id = p.id AND h.created_at > NOW() - INTERVAL '${SNAPSHOT_INTERVAL}'
+                   ) AS snapshot_recent`,
+        [
+            JSON.stringify(gameSave),
+            gameSave.player?.level ?? null,
+            gameSave.player?.experience ?? null,
+            gameSave.player?.money ?? null,
+            gameSave.player?.totalCaught ?? null,
+            gameSave.player?.biggestCatch ?? null,
+            gameSave.player?.stats ? JSON.stringify(gameSave.player.stats) : null,
+            playerId,
+            expectedRevision
+        ]
+    );
+
+    if (result.rows.length === 0) {
+        return null;
+    }
+    const row = result.rows[0];
+
+    if (gameSave.collection?.caughtFishCollection) {
+        await db.query(
+            `INSERT INTO player_collections (player_id, caught_fish, updated_at)
+             VALUES ($1, $2::jsonb, NOW())
+             ON CONFLICT (player_id)
+             DO UPDATE SET caught_fish = EXCLUDED.caught_fish, updated_at = NOW()`,
+            [playerId, JSON.stringify(gameSave.collection.caughtFishCollection)]
+        );
+    }
+
+    const previousSave = row.previous_save;
+    if (previousSave?.player) {
+        let reason = snapshotReason;
+        if (!reason && losesProgress(summarizeSave(previousSave), summarizeSave(gameSave))) {
+            reason = 'progress_drop';
+        } else if (!reason && !row.snapshot_recent) {
+            reason = 'autosave';
+        }
+        if (reason) {
+            await recordSaveSnapshot(db, {
+                playerId,
+                gameSave: previousSave,
+                revision: row.previous_revision,
+                reason
+            });
+        }
+    }
+
+    return { revision: row.game_save_revision, updatedAt: row.game_save_updated_at };
+}
+
+/**
+ * Snapshots newest first, each with the difference from the player's current save.
+ * @param {import('pg').Pool} pool
+ * @param {string} playerId
+ */
+export async function listSaveHistory(pool, playerId) {
+    const [current, history] = await Promise.all([
+        pool.query('SELECT game_save FROM players WHERE id = $1', [playerId]),
+        pool.query(
+            `SELECT id, revision, level, money, relic_count, total_caught, reason, created_at
+             FROM game_save_history
+             WHERE player_id = $1
+             ORDER BY created_at DESC
+             LIMIT $2`,
+            [playerId, SAVE_HISTORY_LIMIT]
+        )
+    ]);
+
+    const now = summarizeSave(current.rows[0]?.game_save);
+    return {
+        current: now,
+        snapshots: history.rows.map((row) => {
+            const summary = {
+                level: row.level,
+                money: row.money,
+                relicCount: row.relic_count,
+                totalCaught: row.total_caught
+            };
+            return {
+                id: row.id,
+                revision: row.revision,
+                reason: row.reason,
+                createdAt: row.created_at,
+                summary,
+                diff: {
+                    level: summary.level - now.level,
+                    money: summary.money - now.money,
+                    relicCount: summary.relicCount - now.relicCount,
+                    totalCaught: summary.totalCaught - now.totalCaught
+                }
+            };
+        })
+    };
+}
+
+/**
+ * Put a snapshot back as the live save. The save it replaces is snapshotted first, so a
+ * restore can itself be undone.
+ * @param {import('pg').Pool} pool
+ * @returns {Promise<{ gameSave: object, revision: number }|null>} null when the snapshot is not this player's
+ */
+export async function restoreSaveSnapshot(pool, { playerId, snapshotId }) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const current = await client.query('SELECT game_save FROM players WHERE id = $1 FOR UPDATE', [playerId]);
+        const snapshot = await client.query(
+            'SELECT game_save FROM game_save_history WHERE id = $1 AND player_id = $2',
+            [snapshotId, playerId]
+        );
+        if (snapshot.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return null;
+        }
+
+        // Fresh savedAt and a new reset epoch so every device takes the restored copy whole
+        // instead of merging its own progress back in (see saveMerge.js).
+        const restored = snapshot.rows[0].game_save;
+        const currentEpoch = Number(current.rows[0]?.game_save?.player?.resetEpoch) || 0;
+        const gameSave = {
+            ...restored,
+            savedAt: Date.now(),
+            player: {
+                ...restored.player,
+                resetEpoch: Math.max(currentEpoch, Number(restored.player?.resetEpoch) || 0) + 1
+            }
+        };
+        const written = await writeGameSave(client, playerId, gameSave, { snapshotReason: 'before_restore' });
+        await client.query('COMMIT');
+        return { gameSave, revision: written.revision };
+    } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw error;
+    } finally {
+        client.release();
+    }
+}
@@ -0,0 +1,228 @@
+import crypto from 'crypto';
+
+/**
+ * Signed, expiring session tokens.
+ *
+ * Access tokens are short-lived HMAC-signed strings (`v1.<payload>.<signature>`) that name
+ * the player and the session row they belong to. Refresh tokens are random secrets stored
+ * only as a SHA-256 hash in `player_sessions`, rotated on every refresh, and revocable.
+ */
+const ACCESS_TOKEN_TTL_MS = 15 * 60 * 1000;
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const TOKEN_VERSION = 'v1';
+
+let ephemeralSecret = null;
+
+function getSessionSecret() {
+    const configured = process.env.SESSION_SECRET?.trim();
+    if (configured) {
+        return configured;
+    }
+    if (!ephemeralSecret) {
+        // Access tokens become invalid on restart; clients silently refresh from the DB-backed refresh token.
+        console.warn('[AUTH] SESSION_SECRET is not set — using a per-process secret.');
+        ephemeralSecret = crypto.randomBytes(32).toString('hex');
+    }
+    return ephemeralSecret;
+}
+
+function sign(value) {
+    return crypto.createHmac('sha256', getSessionSecret()).update(value).digest('base64url');
+}
+
+function hashRefreshToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+export function createAccessToken(playerId, sessionId, now = Date.now()) {
+    const expiresAt = now + ACCESS_TOKEN_TTL_MS;
+    const payload = Buffer.from(JSON.stringify({
+        sub: playerId,
+        sid: sessionId,
+        exp: expiresAt
+    })).toString('base64url');
+    const body = `${TOKEN_VERSION}.${payload}`;
+    return {
+        accessToken: `${body}.${sign(body)}`,
+        accessTokenExpiresAt: new Date(expiresAt).toISOString()
+    };
+}
+
+/**
+ * @param {string} token
+ * @returns {{ ok: true, playerId: string, sessionId: string } | { ok: false, code: string }}
+ */
+export function verifyAccessToken(token, now = Date.now()) {
+    if (!token || typeof token !== 'string') {
+        return { ok: false, code: 'INVALID_TOKEN' };
+    }
+
+    const parts = token.split('.');
+    if (parts.length !== 3 || parts[0] !== TOKEN_VERSION) {
+        return { ok: false, code: 'INVALID_TOKEN' };
+    }
+
+    const [version, payload, signature] = parts;
+    const expected = sign(`${version}.${payload}`);
+    const actualBuffer = Buffer.from(signature);
+    const expectedBuffer = Buffer.from(expected);
+    if (actualBuffer.length !== expectedBuffer.length || !crypto.timingSafeEqual(actualBuffer, expectedBuffer)) {
+        return { ok: false, code: 'INVALID_TOKEN' };
+    }
+
+    let claims;
+    try {
+        claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch {
+        return { ok: false, code: 'INVALID_TOKEN' };
+    }
+
+    if (!claims?.sub || !claims?.sid || !Number.isFinite(claims.exp)) {
+        return { ok: false, code: 'INVALID_TOKEN' };
+    }
+    if (claims.exp <= now) {
+        return { ok: false, code: 'TOKEN_EXPIRED' };
+    }
+
+    return { ok: true, playerId: claims.sub, sessionId: claims.sid };
+}
+
+function newRefreshToken() {
+    return crypto.randomBytes(32).toString('base64url');
+}
+
+function buildSessionResponse(playerId, sessionId, refreshToken, refreshExpiresAt) {
+    return {
+        ...createAccessToken(playerId, sessionId),
+        refreshToken,
+        refreshTokenExpiresAt: refreshExpiresAt.toISOString()
+    };
+}
+
+function readUserAgent(req) {
+    const agent = req?.headers?.['user-agent'];
+    return typeof agent === 'string' ? agent.slice(0, 255) : null;
+}
+
+/**
+ * Start a new session for a player (login / register / claim / recover).
+ * @param {import('pg').Pool} pool
+ * @param {string} playerId
+ * @param {import('express').Request} [req]
+ */
+export async function issueSession(pool, playerId, req) {
+    const refreshToken = newRefreshToken();
+    const refreshExpiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_MS);
+
+    const result = await pool.query(
+        `INSERT INTO player_sessions (player_id, refresh_token_hash, user_agent, expires_at)
+         VALUES ($1, $2, $3, $4)
+         RETURNING id`,
+        [playerId, hashRefreshToken(refreshToken), readUserAgent(req), refreshExpiresAt]
+    );
+
+    return buildSessionResponse(playerId, result.rows[0].id, refreshToken, refreshExpiresAt);
+}
+
+/**
+ * Exchange a refresh token for a new access + refresh pair. The presented refresh token is
+ * retired; presenting it again revokes the whole session (token theft / replay).
+ * @param {import('pg').Pool} pool
+ * @param {string} refreshToken
+ * @returns {Promise<{ ok: true, session: object, playerId: string } | { ok: false, code: string }>}
+ */
+export async function rotateSession(pool, refreshToken, req) {
+    if (!refreshToken || typeof refreshToken !== 'string') {
+        return { ok: false, code: 'INVALID_REFRESH_TOKEN' };
+    }
+
+    const presentedHash = hashRefreshToken(refreshToken);
+    const result = await pool.query(
+        `SELECT id, player_id, refresh_token_hash, expires_at, revoked_at
+         FROM player_sessions
+         WHERE refresh_token_hash = $1 OR previous_refresh_token_hash = $1
+         LIMIT 1`,
+        [presentedHash]
+    );
+
+    const session = result.rows[0];
+    if (!session) {
+        return { ok: false, code: 'INVALID_REFRESH_TOKEN' };
+    }
+
+    if (session.refresh_token_hash !== presentedHash) {
+        await revokeSession(pool, session.id);
+        return { ok: false, code: 'SESSION_REVOKED' };
+    }
+
+    if (session.revoked_at) {
+        return { ok: false, code: 'SESSION_REVOKED' };
+    }
+
+    if (new Date(session.expires_at).getTime() <= Date.now()) {
+        return { ok: false, code: 'SESSION_EXPIRED' };
+    }
+
+    const nextRefreshToken = newRefreshToken();
+    const refreshExpiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_MS);
+
+    const updated = await pool.query(
+        `UPDATE player_sessions
+         SET previous_refresh_token_hash = refresh_token_hash,
+             refresh_token_hash = $2,
+             expires_at = $3,
+             user_agent = COALESCE($4, user_agent),
+             last_used_at = NOW()
+         WHERE id = $1 AND refresh_token_hash = $5 AND revoked_at IS NULL
+         RETURNING id`,
+        [session.id, hashRefreshToken(nextRefreshToken), refreshExpiresAt, readUserAgent(req), presentedHash]
+    );
+
+    // Lost a race with a concurrent refresh of the same token.
+    if (updated.rows.length === 0) {
+        return { ok: false, code: 'INVALID_REFRESH_TOKEN' };
+    }
+
+    return {
+        ok: true,
+        playerId: session.player_id,
+        session: buildSessionResponse(session.player_id, session.id, nextRefreshToken, refreshExpiresAt)
+    };
+}
+
+/**
+ * @param {import('pg').Pool} pool
+ * @param {string} sessionId
+ * @param {string} playerId
+ */
+export async function isSessionActive(pool, sessionId, playerId) {
+    const result = await pool.query(
+        `SELECT 1
+         FROM player_sessions
+         WHERE id = $1 AND player_id = $2 AND revoked_at IS NULL AND expires_at > NOW()`,
+        [sessionId, playerId]
+    );
+    return result.rows.length > 0;
+}
+
+export async function revokeSession(pool, sessionId) {
+    await pool.query(
+        `UPDATE player_sessions SET revoked_at = NOW()
+         WHERE id = $1 AND revoked_at IS NULL`,
+        [sessionId]
+    );
+}
+
+/**
+ * Sign a player out everywhere (optionally keeping the caller's current session).
+ * @returns {Promise<number>} sessions revoked
+ */
+export async function revokeAllSessions(pool, playerId, exceptSessionId = null) {
+    const result = await pool.query(
+        `UPDATE player_sessions SET revoked_at = NOW()
+         WHERE player_id = $1 AND revoked_at IS NULL
+           AND ($2::uuid IS NULL OR id != $2::uuid)`,
+        [playerId, exceptSessionId]
+    );
+    return result.rowCount ?? 0;
+}
@@ -0,0 +1,300 @@
+import { SERVER_FISH_TYPES, getServerLocationFish } from './catchValidation.js';
+import { MONEY_LOG_LIMIT } from '../src/saveMerge.js';
+
+/**
+ * Timed tournaments — admins schedule a window at one location, players opt in,
+ * and validated leaderboard catches inside the window are scored here.
+ */
+
+export const SCORING_RULES = {
+    heaviest: { label: 'Heaviest single fish', scoreSql: 'MAX(c.fish_weight)' },
+    total_weight: { label: 'Total bag weight', scoreSql: 'SUM(c.fish_weight)' },
+    species_count: { label: 'Most species', scoreSql: 'COUNT(DISTINCT c.fish_name)' }
+};
+
+const DEFAULT_PRIZES = [1000, 500, 250];
+const MAX_PRIZE_COINS = 100000;
+const MAX_DURATION_MS = 14 * 24 * 60 * 60 * 1000;
+const MIN_DURATION_MS = 5 * 60 * 1000;
+
+function parseDate(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+}
+
+export function normalizeTournamentInput(body = {}) {
+    const name = typeof body.name === 'string' ? body.name.trim().slice(0, 60) : '';
+    if (!name) {
+        return { ok: false, error: 'Tournament name is required' };
+    }
+
+    const locationName = typeof body.locationName === 'string' ? body.locationName.trim() : '';
+    const locationFish = getServerLocationFish(locationName);
+    if (!locationFish) {
+        return { ok: false, error: 'Unknown location' };
+    }
+
+    const scoringRule = typeof body.scoringRule === 'string' ? body.scoringRule : 'heaviest';
+    if (!SCORING_RULES[scoringRule]) {
+        return { ok: false, error: 'Scoring rule must be heaviest, total_weight or species_count' };
+    }
+
+    // Empty list = every species that lives at the location.
+    const locationSpecies = SERVER_FISH_TYPES
+        .filter((fish) => locationFish.includes(fish.id))
+        .map((fish) => fish.name);
+    const requested = Array.isArray(body.allowedSpecies) ? body.allowedSpecies : [];
+    const allowedSpecies = [];
+    for (const entry of requested) {
+        const match = locationSpecies.find((species) => species.toLowerCase() === String(entry).trim().toLowerCase());
+        if (!match) {
+            return { ok: false, error: `${entry} is not caught at ${locationName}` };
+        }
+        if (!allowedSpecies.includes(match)) {
+            allowedSpecies.push(match);
+        }
+    }
+
+    const startsAt = parseDate(body.startsAt);
+    const endsAt = parseDate(body.endsAt);
+    if (!startsAt || !endsAt) {
+        return { ok: false, error: 'Start and end times are required' };
+    }
+    const duration = endsAt.getTime() - startsAt.getTime();
+    if (duration < MIN_DURATION_MS) {
+        return { ok: false, error: 'Tournaments must run for at least 5 minutes' };
+    }
+    if (duration > MAX_DURATION_MS) {
+        return { ok: false, error: 'Tournaments can run for at most 14 days' };
+    }
+    if (endsAt.getTime() <= Date.now()) {
+        return { ok: false, error: 'End time must be in the future' };
+    }
+
+    const prizeCoins = (Array.isArray(body.prizeCoins) ? body.prizeCoins : DEFAULT_PRIZES)
+        .map((value) => Math.floor(Number(value)))
+        .filter((value) => Number.isFinite(value) && value > 0)
+        .map((value) => Math.min(value, MAX_PRIZE_COINS))
+        .slice(0, 10);
+    if (prizeCoins.length === 0) {
+        return { ok: false, error: 'At least one prize is required' };
+    }
+
+    const badgeName = typeof body.badgeName === 'string' && body.badgeName.trim()
+        ? body.badgeName.trim().slice(0, 40)
+        : `${name} Champion`;
+
+    return {
+        ok: true,
+        value: { name, locationName, allowedSpecies, scoringRule, startsAt, endsAt, prizeCoins, badgeName }
+    };
+}
+
+export function mapTournamentRow(row) {
+    if (!row) return row;
+    const now = Date.now();
+    const startsAt = new Date(row.starts_at).getTime();
+    const endsAt = new Date(row.ends_at).getTime();
+    let status = 'upcoming';
+    if (row.finalized_at) {
+        status = 'finished';
+    } else if (now >= endsAt) {
+        status = 'scoring';
+    } else if (now >= startsAt) {
+        status = 'live';
+    }
+
+    return {
+        id: row.id,
+        name: row.name,
+        locationName: row.location_name,
+        allowedSpecies: row.allowed_species || [],
+        scoringRule: row.scoring_rule,
+        scoringLabel: SCORING_RULES[row.scoring_rule]?.label || row.scoring_rule,
+        startsAt: row.starts_at,
+        endsAt: row.ends_at,
+        prizeCoins: row.prize_coins || [],
+        badgeName: row.badge_name,
+        finalizedAt: row.finalized_at,
+        status,
+        entrantCount: row.entrant_count !== undefined ? Number(row.entrant_count) : undefined,
+        joined: row.joined !== undefined ? row.joined === true : undefined
+    };
+}
+
+/**
+ * Ranked standings for one tournament.
+ * @param {import('pg').Pool|import('pg').PoolClient} db
+ * @param {{ id: string, scoring_rule: string }} tournament
+ * @returns {Promise<Array<{ rank: number, playerId: string, username: string, score: number, catchCount: number }>>}
+ */
+export async function loadStandings(db, tournament) {
+    const rule = SCORING_RULES[tournament.scoring_rule] || SCORING_RULES.heaviest;
+    const result = await db.query(
+        `SELECT e.player_id, p.username,
+                COALESCE(${rule.scoreSql}, 0) AS score,
+                COUNT(c.id)::int AS catch_count,
+                MAX(c.created_at) AS last_catch_at
+         FROM tournament_entries e
+         JOIN players p ON p.id = e.player_id
+         LEFT JOIN tournament_catches c
+             ON c.tournament_id = e.tournament_id AND c.player_id = e.player_id
+         WHERE e.tournament_id = $1
+         GROUP BY e.player_id, p.username
+         ORDER BY score DESC, last_catch_at ASC NULLS LAST, p.username ASC`,
+        [tournament.id]
+    );
+
+    return result.rows.map((row, index) => ({
+        rank: index + 1,
+        playerId: row.player_id,
+        username: row.username,
+        score: Number(row.score) || 0,
+        catchCount: row.catch_count
+    }));
+}
+
+/**
+ * Count a validated leaderboard catch toward every live tournament the player entered.
+ * @param {import('pg').Pool} pool
+ */
+export async function recordTournamentCatch(pool, { playerId, fishName, fishWeight, locationName }) {
+    await pool.query(
+        `INSERT INTO tournament_catches (tournament_id, player_id, fish_name, fish_weight)
+         SELECT t.id, $1, $2, $3
+         FROM tournaments t
+         JOIN tournament_entries e ON e.tournament_id = t.id AND e.player_id = $1
+         WHERE t.location_name = $4
+           AND NOW() BETWEEN t.starts_at AND t.ends_at
+           AND t.finalized_at IS NULL
+           AND (CARDINALITY(t.allowed_species) = 0 OR $2 = ANY(t.allowed_species))`,
+        [playerId, fishName, fishWeight, locationName]
+    );
+}
+
+/**
+ * Credit coins and the tournament badge straight into the winner's cloud save so the
+ * reward follows them to any device. The client reconciles by badge tournamentId; the
+ * revision bump makes any in-flight upload merge with this copy instead of replacing it.
+ * Pays at most once per entry: an entry already awarded, or a save already holding the
+ * badge, gets no coins.
+ * @param {import('pg').PoolClient} client
+ * @returns {Promise<boolean>} True if the prize was paid now
+ */
+export async function awardPrize(client, tournament, standing, coins) {
+    const entry = await client.query(
+        `UPDATE tournament_entries
+         SET final_rank = $3, prize_coins = $4, awarded_at = NOW()
+         WHERE tournament_id = $1 AND player_id = $2 AND awarded_at IS NULL
+         RETURNING player_id`,
+        [tournament.id, standing.playerId, standing.rank, coins]
+    );
+    if (entry.rows.length === 0) {
+        return false;
+    }
+
+    const badge = {
+        tournamentId: tournament.id,
+        name: tournament.badge_name,
+        tournamentName: tournament.name,
+        rank: standing.rank,
+        coins,
+        awardedAt: new Date().toISOString()
+    };
+
+    const saveResult = await client.query(
+        'SELECT game_save FROM players WHERE id = $1 FOR UPDATE',
+        [standing.playerId]
+    );
+    const gameSave = saveResult.rows[0]?.game_save;
+
+    if (!gameSave?.player || typeof gameSave.player !== 'object') {
+        await client.query(
+            'UPDATE players SET money = COALESCE(money, 0) + $2 WHERE id = $1',
+            [standing.playerId, coins]
+        );
+        return true;
+    }
+
+    const badges = Array.isArray(gameSave.player.tournamentBadges) ? gameSave.player.tournamentBadges : [];
+    if (badges.some((existing) => existing?.tournamentId === tournament.id)) {
+        return false;
+    }
+
+    gameSave.player.tournamentBadges = [...badges, badge];
+    gameSave.player.money = (Number(gameSave.player.money) || 0) + coins;
+    // Same id the client logs in applyTournamentAwards, so merges never pay twice.
+    gameSave.player.moneyLog = [
+        ...(Array.isArray(gameSave.player.moneyLog) ? gameSave.player.moneyLog : []),
+        { id: `tournament:${tournament.id}`, amount: coins, reason: 'tournament', at: Date.now() }
+    ].slice(-MONEY_LOG_LIMIT);
+    await client.query(
+        `UPDATE players
+         SET game_save = $2::jsonb,
+             game_save_revision = game_save_revision + 1,
+             money = COALESCE(money, 0) + $3
+         WHERE id = $1`,
+        [standing.playerId, JSON.stringify(gameSave), coins]
+    );
+    return true;
+}
+
+/**
+ * Score and pay out every tournament whose window has closed. Safe to call often —
+ * each tournament is finalized exactly once.
+ * @param {import('pg').Pool} pool
+ * @returns {Promise<number>} Tournaments finalized
+ */
+export async function finalizeEndedTournaments(pool) {
+    const pending = await pool.query(
+        `SELECT id FROM tournaments
+         WHERE finalized_at IS NULL AND ends_at <= NOW()
+         ORDER BY ends_at ASC`
+    );
+
+    let finalized = 0;
+    for (const { id } of pending.rows) {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            const claimed = await client.query(
+                `UPDATE tournaments SET finalized_at = NOW()
+                 WHERE id = $1 AND finalized_at IS NULL
+                 RETURNING *`,
+                [id]
+            );
+            if (claimed.rows.length === 0) {
+                await client.query('ROLLBACK');
+                continue;
+            }
+
+            const tournament = claimed.rows[0];
+            const standings = await loadStandings(client, tournament);
+            await client.query(
+                `UPDATE tournament_entries e
+                 SET final_rank = s.rank
+                 FROM UNNEST($2::uuid[], $3::int[]) AS s(player_id, rank)
+                 WHERE e.tournament_id = $1 AND e.player_id = s.player_id`,
+                [id, standings.map((row) => row.playerId), standings.map((row) => row.rank)]
+            );
+
+            const prizes = tournament.prize_coins || [];
+            for (const standing of standings) {
+                const coins = prizes[standing.rank - 1];
+                // Entrants who never landed a qualifying fish can't win.
+                if (!coins || standing.catchCount === 0) continue;
+                await awardPrize(client, tournament, standing, coins);
+            }
+
+            await client.query('COMMIT');
+            finalized += 1;
+        } catch (error) {
+            await client.query('ROLLBACK').catch(() => {});
+            console.error('[TOURNAMENT] Finalize failed:', id, error);
+        } finally {
+            client.release();
+        }
+    }
+    return finalized;
+}
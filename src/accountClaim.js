@@ -30,10 +30,12 @@ export async function claimAccountByUsername(api, username) {
     }
 
     api.setUserId(claimed.userId);
+    api.setSession(claimed.session);
     setAuthStorage({
         userId: claimed.userId,
         username: claimed.username,
-        friendCode: claimed.friendCode
+        friendCode: claimed.friendCode,
+        session: claimed.session ?? null
     });
 
     if (claimed.gameSave) {
@@ -1,4 +1,5 @@
 import { FishTypes, getUnlockedVisibleFishCount } from './fishTypes.js';
+import { getTackleByCategory, hasBait } from './tackleShop.js';
 
 const RARE_RARITIES = ['Rare', 'Epic', 'Legendary', 'Trophy'];
 
@@ -33,9 +34,14 @@ function getUnlockedFishCount(player) {
     return getUnlockedVisibleFishCount(player.caughtFishCollection);
 }
 
+/** Permanent tackle owned plus each bait currently in the tackle box (stocked or unlimited). */
 function getGearCount(player) {
     if (!player?.tackleUnlocks) return 0;
-    return Object.values(player.tackleUnlocks).reduce((sum, list) => sum + (Array.isArray(list) ? list.length : 0), 0);
+    const tackle = Object.entries(player.tackleUnlocks)
+        .filter(([category]) => category !== 'baits')
+        .reduce((sum, [, list]) => sum + (Array.isArray(list) ? list.length : 0), 0);
+    const baits = getTackleByCategory('baits').filter((item) => hasBait(player, item)).length;
+    return tackle + baits;
 }
 
 function getTop10BagWeight(player) {
@@ -12,6 +12,43 @@ export function readIsAdmin(source) {
     return source.isAdmin === true || source.is_admin === true;
 }
 
+/**
+ * Read the staff role (owner, moderator, support, …) from a server profile payload.
+ * Mirrors server/adminAuth.js loadAdminRole; the server still checks every admin call.
+ * @param {object|null|undefined} source
+ * @returns {{ role: string, label: string, permissions: string[] }|null}
+ */
+export function readAdminRole(source) {
+    const adminRole = source?.adminRole;
+    if (!adminRole || typeof adminRole !== 'object' || typeof adminRole.role !== 'string') {
+        return null;
+    }
+    return {
+        role: adminRole.role,
+        label: typeof adminRole.label === 'string' ? adminRole.label : adminRole.role,
+        permissions: Array.isArray(adminRole.permissions) ? adminRole.permissions : []
+    };
+}
+
+/**
+ * Whether the player's role grants one permission from config/adminRoles.js.
+ * @param {{ adminRole?: { permissions: string[] }|null }|null|undefined} player
+ * @param {string} permission
+ * @returns {boolean}
+ */
+export function hasAdminPermission(player, permission) {
+    return Boolean(player?.adminRole?.permissions?.includes(permission));
+}
+
+/**
+ * Any staff role opens the live ops panel; its sections follow the role's permissions.
+ * @param {{ adminRole?: object|null }|null|undefined} player
+ * @returns {boolean}
+ */
+export function hasAdminPanelAccess(player) {
+    return Boolean(player?.adminRole);
+}
+
 /**
  * Localhost dev tools only — admin Halley plays like everyone else.
  * @param {{ isAdmin?: boolean }|null|undefined} player
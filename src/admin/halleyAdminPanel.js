@@ -1,3 +1,10 @@
+import { TackleShop } from '../tackleShop.js';
+import { HIDDEN_RELICS } from '../config/hiddenRelics.js';
+import { MAIL_MAX_COINS, MAIL_MAX_ENERGY } from '../config/mail.js';
+import { describeMailRewards } from '../mailRewards.js';
+import { ADMIN_PERMISSIONS, ADMIN_PERMISSION_LABELS } from '../config/adminRoles.js';
+import { hasAdminPanelAccess, hasAdminPermission } from './adminAuth.js';
+
 const PANEL_STORAGE_KEY = 'halleyAdminPanelOpen';
 
 function readPanelOpenPreference() {
@@ -16,6 +23,40 @@ function writePanelOpenPreference(open) {
     }
 }
 
+const FLAG_REASON_LABELS = {
+    unknown_species: 'Unknown species',
+    unknown_location: 'Unknown location',
+    species_not_at_location: 'Fish not found at location',
+    weight_over_max: 'Over max weight',
+    weight_under_min: 'Under min weight',
+    too_fast: 'Faster than a fight allows',
+    energy_budget: 'Over hourly energy budget'
+};
+
+const AUDIT_ACTION_LABELS = {
+    'announcement.send': 'Broadcast',
+    'mail.send': 'Reward mail',
+    'save.restore': 'Save restored',
+    'player.delete': 'Account deleted',
+    'player.ban': 'Banned',
+    'player.unban': 'Unbanned',
+    'player.rename': 'Renamed',
+    'player.reaction_reset': 'Reaction times cleared',
+    'leaderboard.hide': 'Hidden from leaderboards',
+    'leaderboard.restore': 'Back on leaderboards',
+    'leaderboard.speed_reset': 'Speed board reset',
+    'tournament.create': 'Tournament scheduled',
+    'tournament.cancel': 'Tournament cancelled',
+    'role.assign': 'Role given',
+    'role.revoke': 'Role removed'
+};
+
+const SAVE_REASON_LABELS = {
+    autosave: 'Backup',
+    progress_drop: 'Before progress drop',
+    before_restore: 'Before restore'
+};
+
 function formatRelativeTime(value) {
     if (!value) return '';
     const date = new Date(value);
@@ -30,11 +71,14 @@ function formatRelativeTime(value) {
 }
 
 /**
- * Live-ops panel for Halley — reach other players, not personal cheats.
+ * Live-ops panel for Halley and staff — reach other players, not personal cheats.
+ * Sections the signed-in role has no permission for are hidden.
  * @param {import('../main.js').default} game
  */
 export function initHalleyAdminPanel(game) {
-    if (!game?.player?.isAdmin || !game?.api) return;
+    if (!hasAdminPanelAccess(game?.player) || !game?.api) return;
+
+    const can = (permission) => hasAdminPermission(game.player, permission);
 
     const existing = document.getElementById('halley-admin-panel');
     if (existing) existing.remove();
@@ -51,11 +95,13 @@ export function initHalleyAdminPanel(game) {
             <div class="command-panel-title">☄ Halley Live Ops</div>
             <button type="button" class="command-panel-close" data-action="close" aria-label="Close">✕</button>
         </div>
-        <p class="command-panel-intro">Send messages to everyone playing. They appear as toasts or banners on their screen.</p>
+        <p class="command-panel-intro">Send messages to everyone playing, or a chosen group, now or later. They appear as toasts or banners on their screen.</p>
+        <p class="command-panel-hint">Signed in as ${escapeHtml(game.player.adminRole.label)}</p>
         <div class="halley-admin-stat-row">
             <span data-role="online-count">Checking who's online…</span>
             <button type="button" data-action="refresh-online" class="halley-admin-mini-btn">Refresh</button>
         </div>
+        <div data-permission="${ADMIN_PERMISSIONS.ANNOUNCEMENTS}">
         <div class="command-panel-section">Broadcast</div>
         <label class="halley-admin-label">Title</label>
         <input type="text" class="halley-admin-input" data-role="title" maxlength="80" placeholder="Halley says…" />
@@ -76,14 +122,129 @@ export function initHalleyAdminPanel(game) {
                 <option value="error">Alert</option>
             </select>
         </div>
-        <button type="button" data-action="send" class="halley-admin-send-btn">Send to all players</button>
+        <div class="halley-admin-row">
+            <label class="halley-admin-label">Starts (blank = now)</label>
+            <input type="datetime-local" class="halley-admin-input" data-role="broadcast-start" />
+        </div>
+        <div class="halley-admin-row">
+            <label class="halley-admin-label">Show for (hours)</label>
+            <input type="number" class="halley-admin-input" data-role="broadcast-hours" min="1" max="720" step="1" value="24" />
+        </div>
+        <label class="halley-admin-label">Audience (blank = everyone)</label>
+        <div class="halley-admin-travel-row halley-admin-pair-row">
+            <input type="number" class="halley-admin-input" data-role="target-min-level" min="1" placeholder="Min level" />
+            <input type="number" class="halley-admin-input" data-role="target-max-level" min="1" placeholder="Max level" />
+        </div>
+        <input type="number" class="halley-admin-input" data-role="target-inactive-days" min="1" max="365" placeholder="Away at least N days" />
+        <input type="text" class="halley-admin-input" data-role="target-friend-codes" maxlength="2000" placeholder="Friend codes, comma separated" />
+        <div class="halley-admin-row">
+            <label class="halley-admin-label">Button</label>
+            <select class="command-panel-select" data-role="action-type">
+                <option value="none">None</option>
+                <option value="open_shop">Open shop</option>
+                <option value="jump_location">Go to location</option>
+                ${can(ADMIN_PERMISSIONS.ECONOMY) ? '<option value="claim_gift">Claim gift</option>' : ''}
+            </select>
+        </div>
+        <div class="halley-admin-row hidden" data-role="action-shop-row">
+            <label class="halley-admin-label">Shop tab</label>
+            <select class="command-panel-select" data-role="action-shop-category">
+                <option value="rods">Rods</option>
+                <option value="reels">Reels</option>
+                <option value="lines">Lines</option>
+                <option value="hooks">Hooks</option>
+                <option value="baits">Baits</option>
+            </select>
+        </div>
+        <div class="halley-admin-row hidden" data-role="action-location-row">
+            <label class="halley-admin-label">Location</label>
+            <select class="command-panel-select" data-role="action-location"></select>
+        </div>
+        <div class="halley-admin-travel-row halley-admin-pair-row hidden" data-role="action-gift-row">
+            <input type="number" class="halley-admin-input" data-role="action-gift-coins" min="0" max="${MAIL_MAX_COINS}" placeholder="Coins" />
+            <input type="number" class="halley-admin-input" data-role="action-gift-energy" min="0" max="${MAIL_MAX_ENERGY}" placeholder="Energy" />
+        </div>
+        <input type="text" class="halley-admin-input hidden" data-role="action-label" maxlength="24" placeholder="Button label (optional)" />
+        <button type="button" data-action="send" class="halley-admin-send-btn">Send broadcast</button>
         <div class="command-panel-section">Quick sends</div>
         <button type="button" data-action="preset-live">🎣 Halley is fishing live!</button>
         <button type="button" data-action="preset-event">🏆 Trophy hour — legendary fish are biting!</button>
         <button type="button" data-action="preset-thanks">💛 Thanks for fishing with me today!</button>
+        </div>
+        <div data-permission="${ADMIN_PERMISSIONS.ECONOMY}">
+        <div class="command-panel-section">Reward mail</div>
+        <label class="halley-admin-label">Subject</label>
+        <input type="text" class="halley-admin-input" data-role="mail-subject" maxlength="80" placeholder="Sorry about the outage!" />
+        <label class="halley-admin-label">Message</label>
+        <textarea class="halley-admin-textarea" data-role="mail-body" maxlength="500" rows="2" placeholder="A little something for your trouble."></textarea>
+        <div class="halley-admin-row">
+            <label class="halley-admin-label">Send to</label>
+            <select class="command-panel-select" data-role="mail-recipient">
+                <option value="player">One player</option>
+                <option value="segment">Segment</option>
+                <option value="everyone">Everyone</option>
+            </select>
+        </div>
+        <input type="text" class="halley-admin-input" data-role="mail-player" maxlength="40" placeholder="Username or friend code" />
+        <div class="hidden" data-role="mail-segment">
+            <div class="halley-admin-travel-row halley-admin-pair-row">
+                <input type="number" class="halley-admin-input" data-role="mail-min-level" min="1" placeholder="Min level" />
+                <input type="number" class="halley-admin-input" data-role="mail-max-level" min="1" placeholder="Max level" />
+            </div>
+            <input type="number" class="halley-admin-input" data-role="mail-inactive-days" min="1" max="365" placeholder="Away at least N days" />
+            <input type="text" class="halley-admin-input" data-role="mail-friend-codes" maxlength="2000" placeholder="Friend codes, comma separated" />
+        </div>
+        <div class="halley-admin-travel-row halley-admin-pair-row">
+            <input type="number" class="halley-admin-input" data-role="mail-coins" min="0" max="${MAIL_MAX_COINS}" placeholder="Coins" />
+            <input type="number" class="halley-admin-input" data-role="mail-energy" min="0" max="${MAIL_MAX_ENERGY}" placeholder="Energy" />
+        </div>
+        <div class="halley-admin-row">
+            <label class="halley-admin-label">Tackle</label>
+            <select class="command-panel-select" data-role="mail-tackle"></select>
+        </div>
+        <div class="halley-admin-row">
+            <label class="halley-admin-label">Relic</label>
+            <select class="command-panel-select" data-role="mail-relic"></select>
+        </div>
+        <button type="button" data-action="send-mail" class="halley-admin-send-btn">Send mail</button>
+        <div class="halley-admin-recent" data-role="mail-recent-list">Loading…</div>
+        </div>
+        <div data-permission="${ADMIN_PERMISSIONS.MODERATION}">
         <div class="command-panel-section">Leaderboards</div>
         <button type="button" data-action="reset-speed-board" class="halley-admin-mini-btn halley-admin-danger-btn">Reset speed board stats</button>
         <p class="command-panel-hint">Clears all hook reaction times globally.</p>
+        </div>
+        <div data-permission="${ADMIN_PERMISSIONS.ECONOMY}">
+        <div class="command-panel-section">Tournaments</div>
+        <label class="halley-admin-label">Name</label>
+        <input type="text" class="halley-admin-input" data-role="tournament-name" maxlength="60" placeholder="Saturday Bass Bash" />
+        <div class="halley-admin-row">
+            <label class="halley-admin-label">Location</label>
+            <select class="command-panel-select" data-role="tournament-location"></select>
+        </div>
+        <div class="halley-admin-row">
+            <label class="halley-admin-label">Scoring</label>
+            <select class="command-panel-select" data-role="tournament-scoring">
+                <option value="heaviest">Heaviest single fish</option>
+                <option value="total_weight">Total bag weight</option>
+                <option value="species_count">Most species</option>
+            </select>
+        </div>
+        <label class="halley-admin-label">Allowed species (comma separated, blank = all)</label>
+        <input type="text" class="halley-admin-input" data-role="tournament-species" maxlength="200" placeholder="Bass, Sunfish" />
+        <div class="halley-admin-row">
+            <label class="halley-admin-label">Starts</label>
+            <input type="datetime-local" class="halley-admin-input" data-role="tournament-start" />
+        </div>
+        <div class="halley-admin-row">
+            <label class="halley-admin-label">Hours</label>
+            <input type="number" class="halley-admin-input" data-role="tournament-hours" min="0.1" max="336" step="0.5" value="2" />
+        </div>
+        <label class="halley-admin-label">Prizes (coins for #1, #2, …)</label>
+        <input type="text" class="halley-admin-input" data-role="tournament-prizes" maxlength="80" value="1000, 500, 250" />
+        <button type="button" data-action="schedule-tournament" class="halley-admin-send-btn">Schedule tournament</button>
+        <p class="command-panel-hint">Winners get coins and a badge in their save when the window closes.</p>
+        </div>
         <div class="command-panel-section">Player management</div>
         <label class="halley-admin-label">Username or friend code</label>
         <div class="halley-admin-travel-row">
@@ -91,6 +252,28 @@ export function initHalleyAdminPanel(game) {
             <button type="button" data-action="lookup-player" class="halley-admin-mini-btn">Look up</button>
         </div>
         <div class="halley-admin-player-card hidden" data-role="player-card"></div>
+        <div class="command-panel-section">Suspicious catches</div>
+        <div class="halley-admin-stat-row">
+            <span>Rejected leaderboard posts</span>
+            <button type="button" data-action="refresh-flags" class="halley-admin-mini-btn">Refresh</button>
+        </div>
+        <div class="halley-admin-recent" data-role="flag-list">Loading…</div>
+        <div class="command-panel-section">Audit log</div>
+        <div class="halley-admin-stat-row">
+            <span>Every admin action</span>
+            <button type="button" data-action="refresh-audit-log" class="halley-admin-mini-btn">Refresh</button>
+        </div>
+        <div class="halley-admin-recent" data-role="audit-list">Loading…</div>
+        <div data-permission="${ADMIN_PERMISSIONS.ROLES}">
+        <div class="command-panel-section">Staff roles</div>
+        <label class="halley-admin-label">Username or friend code</label>
+        <div class="halley-admin-travel-row">
+            <input type="text" class="halley-admin-input" data-role="role-player" maxlength="40" placeholder="e.g. TestAngler or ABC123" />
+            <select class="command-panel-select" data-role="role-select"></select>
+        </div>
+        <button type="button" data-action="assign-role" class="halley-admin-send-btn">Give role</button>
+        <div class="halley-admin-recent" data-role="role-list">Loading…</div>
+        </div>
         <div class="command-panel-section">Recent</div>
         <div class="halley-admin-recent" data-role="recent-list">Loading…</div>
         <p class="command-panel-hint">Tap ☄ top-left to hide · Ctrl+Shift+H</p>
@@ -113,10 +296,85 @@ export function initHalleyAdminPanel(game) {
     const displayTypeSelect = panel.querySelector('[data-role="display-type"]');
     const toastTypeRow = panel.querySelector('[data-role="toast-type-row"]');
     const toastTypeSelect = panel.querySelector('[data-role="toast-type"]');
+    const broadcastStartInput = panel.querySelector('[data-role="broadcast-start"]');
+    const broadcastHoursInput = panel.querySelector('[data-role="broadcast-hours"]');
+    const targetMinLevelInput = panel.querySelector('[data-role="target-min-level"]');
+    const targetMaxLevelInput = panel.querySelector('[data-role="target-max-level"]');
+    const targetInactiveDaysInput = panel.querySelector('[data-role="target-inactive-days"]');
+    const targetFriendCodesInput = panel.querySelector('[data-role="target-friend-codes"]');
+    const actionTypeSelect = panel.querySelector('[data-role="action-type"]');
+    const actionShopRow = panel.querySelector('[data-role="action-shop-row"]');
+    const actionShopCategorySelect = panel.querySelector('[data-role="action-shop-category"]');
+    const actionLocationRow = panel.querySelector('[data-role="action-location-row"]');
+    const actionLocationSelect = panel.querySelector('[data-role="action-location"]');
+    const actionGiftRow = panel.querySelector('[data-role="action-gift-row"]');
+    const actionGiftCoinsInput = panel.querySelector('[data-role="action-gift-coins"]');
+    const actionGiftEnergyInput = panel.querySelector('[data-role="action-gift-energy"]');
+    const actionLabelInput = panel.querySelector('[data-role="action-label"]');
     const onlineCountEl = panel.querySelector('[data-role="online-count"]');
     const recentListEl = panel.querySelector('[data-role="recent-list"]');
     const lookupQueryInput = panel.querySelector('[data-role="lookup-query"]');
     const playerCardEl = panel.querySelector('[data-role="player-card"]');
+    const flagListEl = panel.querySelector('[data-role="flag-list"]');
+    const auditListEl = panel.querySelector('[data-role="audit-list"]');
+    const rolePlayerInput = panel.querySelector('[data-role="role-player"]');
+    const roleSelect = panel.querySelector('[data-role="role-select"]');
+    const roleListEl = panel.querySelector('[data-role="role-list"]');
+
+    panel.querySelectorAll('[data-permission]').forEach((section) => {
+        section.classList.toggle('hidden', !can(section.dataset.permission));
+    });
+
+    const mailSubjectInput = panel.querySelector('[data-role="mail-subject"]');
+    const mailBodyInput = panel.querySelector('[data-role="mail-body"]');
+    const mailRecipientSelect = panel.querySelector('[data-role="mail-recipient"]');
+    const mailPlayerInput = panel.querySelector('[data-role="mail-player"]');
+    const mailSegmentEl = panel.querySelector('[data-role="mail-segment"]');
+    const mailMinLevelInput = panel.querySelector('[data-role="mail-min-level"]');
+    const mailMaxLevelInput = panel.querySelector('[data-role="mail-max-level"]');
+    const mailInactiveDaysInput = panel.querySelector('[data-role="mail-inactive-days"]');
+    const mailFriendCodesInput = panel.querySelector('[data-role="mail-friend-codes"]');
+    const mailCoinsInput = panel.querySelector('[data-role="mail-coins"]');
+    const mailEnergyInput = panel.querySelector('[data-role="mail-energy"]');
+    const mailTackleSelect = panel.querySelector('[data-role="mail-tackle"]');
+    const mailRelicSelect = panel.querySelector('[data-role="mail-relic"]');
+    const mailRecentListEl = panel.querySelector('[data-role="mail-recent-list"]');
+
+    const tournamentNameInput = panel.querySelector('[data-role="tournament-name"]');
+    const tournamentLocationSelect = panel.querySelector('[data-role="tournament-location"]');
+    const tournamentScoringSelect = panel.querySelector('[data-role="tournament-scoring"]');
+    const tournamentSpeciesInput = panel.querySelector('[data-role="tournament-species"]');
+    const tournamentStartInput = panel.querySelector('[data-role="tournament-start"]');
+    const tournamentHoursInput = panel.querySelector('[data-role="tournament-hours"]');
+    const tournamentPrizesInput = panel.querySelector('[data-role="tournament-prizes"]');
+
+    if (tournamentLocationSelect) {
+        const locations = game.locations?.getLocations?.() || [];
+        tournamentLocationSelect.innerHTML = locations
+            .filter((location) => location.waterBodyType !== 'CELESTIAL')
+            .map((location) => `<option value="${escapeHtml(location.name)}">${escapeHtml(location.name)}</option>`)
+            .join('');
+    }
+
+    if (actionLocationSelect) {
+        const locations = game.locations?.getLocations?.() || [];
+        actionLocationSelect.innerHTML = locations
+            .map((location) => `<option value="${escapeHtml(location.name)}">${escapeHtml(location.name)}</option>`)
+            .join('');
+    }
+
+    if (mailTackleSelect) {
+        const options = Object.entries(TackleShop).flatMap(([category, items]) => items
+            .filter((item) => item.cost > 0 && !item.forgeOnly)
+            .map((item) => `<option value="${category}:${item.id}">${escapeHtml(item.name)}</option>`));
+        mailTackleSelect.innerHTML = `<option value="">None</option>${options.join('')}`;
+    }
+
+    if (mailRelicSelect) {
+        mailRelicSelect.innerHTML = `<option value="">None</option>${HIDDEN_RELICS
+            .map((relic) => `<option value="${relic.id}">${escapeHtml(relic.name)}</option>`)
+            .join('')}`;
+    }
 
     let lookedUpPlayer = null;
     let confirmModalEl = null;
@@ -132,6 +390,10 @@ export function initHalleyAdminPanel(game) {
         if (visible) {
             refreshOnlineCount();
             refreshRecent();
+            if (can(ADMIN_PERMISSIONS.ECONOMY)) refreshRecentMail();
+            refreshFlags();
+            refreshAuditLog();
+            if (can(ADMIN_PERMISSIONS.ROLES)) refreshRoles();
         }
     };
 
@@ -145,6 +407,26 @@ export function initHalleyAdminPanel(game) {
     displayTypeSelect?.addEventListener('change', syncToastTypeVisibility);
     syncToastTypeVisibility();
 
+    const syncActionFields = () => {
+        const type = actionTypeSelect?.value || 'none';
+        actionShopRow?.classList.toggle('hidden', type !== 'open_shop');
+        actionLocationRow?.classList.toggle('hidden', type !== 'jump_location');
+        actionGiftRow?.classList.toggle('hidden', type !== 'claim_gift');
+        actionLabelInput?.classList.toggle('hidden', type === 'none');
+    };
+
+    actionTypeSelect?.addEventListener('change', syncActionFields);
+    syncActionFields();
+
+    const syncMailRecipientFields = () => {
+        const recipient = mailRecipientSelect?.value || 'player';
+        mailPlayerInput?.classList.toggle('hidden', recipient !== 'player');
+        mailSegmentEl?.classList.toggle('hidden', recipient !== 'segment');
+    };
+
+    mailRecipientSelect?.addEventListener('change', syncMailRecipientFields);
+    syncMailRecipientFields();
+
     toggle.addEventListener('click', () => setPanelVisible(!panelVisible));
 
     const onKeyDown = (event) => {
@@ -180,6 +462,7 @@ export function initHalleyAdminPanel(game) {
                     <strong>${escapeHtml(row.title || 'Untitled')}</strong>
                     <span>${escapeHtml(row.displayType || 'toast')} · ${formatRelativeTime(row.createdAt)}</span>
                     ${row.body ? `<p>${escapeHtml(row.body)}</p>` : ''}
+                    <span>${escapeHtml(describeBroadcastDelivery(row))}</span>
                 </div>
             `).join('');
         } catch {
@@ -187,6 +470,324 @@ export function initHalleyAdminPanel(game) {
         }
     }
 
+    async function refreshRecentMail() {
+        if (!mailRecentListEl) return;
+        try {
+            const rows = await game.api.getRecentAdminMail(5);
+            if (!Array.isArray(rows) || rows.length === 0) {
+                mailRecentListEl.innerHTML = '<p class="halley-admin-recent-empty">No mail sent yet.</p>';
+                return;
+            }
+            mailRecentListEl.innerHTML = rows.map((row) => `
+                <div class="halley-admin-recent-item">
+                    <strong>${escapeHtml(row.subject || 'Untitled')}</strong>
+                    <span>${escapeHtml(row.audience)} · ${row.claimedCount}/${row.recipientCount} claimed · ${formatRelativeTime(row.createdAt)}</span>
+                    <p>${escapeHtml(describeMailRewards(row.rewards))}</p>
+                </div>
+            `).join('');
+        } catch {
+            mailRecentListEl.textContent = 'Could not load recent mail.';
+        }
+    }
+
+    function readMailRewards() {
+        const rewards = {
+            coins: Number(mailCoinsInput?.value) || 0,
+            energy: Number(mailEnergyInput?.value) || 0,
+            tackle: [],
+            relics: []
+        };
+        const [category, id] = (mailTackleSelect?.value || '').split(':');
+        if (category && id !== undefined) {
+            rewards.tackle.push({ category, id: Number(id) });
+        }
+        if (mailRelicSelect?.value) {
+            rewards.relics.push(mailRelicSelect.value);
+        }
+        return rewards;
+    }
+
+    async function sendMail(button) {
+        const subject = mailSubjectInput?.value?.trim();
+        if (!subject) {
+            game.ui?.showToast?.({ type: 'error', title: 'Subject required', body: 'Give the mail a subject.' });
+            return;
+        }
+
+        const recipient = mailRecipientSelect?.value || 'player';
+        const target = {};
+        if (recipient === 'segment') {
+            if (mailMinLevelInput?.value) target.minLevel = Number(mailMinLevelInput.value);
+            if (mailMaxLevelInput?.value) target.maxLevel = Number(mailMaxLevelInput.value);
+            if (mailInactiveDaysInput?.value) target.inactiveDays = Number(mailInactiveDaysInput.value);
+            if (mailFriendCodesInput?.value?.trim()) target.friendCodes = mailFriendCodesInput.value;
+        }
+
+        if (recipient === 'everyone'
+            && !window.confirm(`Send "${subject}" to every player? Each one can claim it once.`)) {
+            return;
+        }
+
+        if (button) button.disabled = true;
+        try {
+            const result = await game.api.sendAdminMail({
+                subject,
+                body: mailBodyInput?.value?.trim() || '',
+                recipient,
+                player: mailPlayerInput?.value?.trim() || '',
+                target,
+                rewards: readMailRewards()
+            });
+            game.ui?.showToast?.({
+                type: 'success',
+                title: 'Mail sent',
+                body: `Delivered to ${result?.sentCount ?? 0} inbox${result?.sentCount === 1 ? '' : 'es'}.`
+            });
+            [
+                mailSubjectInput, mailBodyInput, mailPlayerInput, mailMinLevelInput, mailMaxLevelInput,
+                mailInactiveDaysInput, mailFriendCodesInput, mailCoinsInput, mailEnergyInput
+            ].forEach((input) => {
+                if (input) input.value = '';
+            });
+            if (mailTackleSelect) mailTackleSelect.value = '';
+            if (mailRelicSelect) mailRelicSelect.value = '';
+            await refreshRecentMail();
+        } catch (error) {
+            game.ui?.showToast?.({
+                type: 'error',
+                title: 'Mail failed',
+                body: error?.message || 'Could not send mail.'
+            });
+        } finally {
+            if (button) button.disabled = false;
+        }
+    }
+
+    function describeBroadcastDelivery(row) {
+        const target = row.target || {};
+        const audience = [];
+        if (target.minLevel || target.maxLevel) {
+            audience.push(`Lv ${target.minLevel ?? 1}–${target.maxLevel ?? '∞'}`);
+        }
+        if (target.inactiveDays) audience.push(`away ${target.inactiveDays}d+`);
+        if (target.friendCodes?.length) audience.push(`${target.friendCodes.length} friend code(s)`);
+        const audienceText = audience.length > 0 ? audience.join(', ') : 'everyone';
+
+        if (row.status === 'scheduled') {
+            return `Scheduled for ${new Date(row.startsAt).toLocaleString()} · ${audienceText}`;
+        }
+
+        const parts = [audienceText];
+        if (row.audienceCount !== null && row.audienceCount !== undefined) {
+            parts.push(`${row.deliveredCount}/${row.audienceCount} delivered`);
+        } else {
+            parts.push(`${row.deliveredCount ?? 0} delivered`);
+        }
+        if (row.action) {
+            const verb = row.action.type === 'claim_gift' ? 'claimed' : 'tapped';
+            parts.push(`${row.actionCount ?? 0} ${verb}`);
+        }
+        return parts.join(' · ');
+    }
+
+    function readBroadcastTarget() {
+        const target = {};
+        const minLevel = Number(targetMinLevelInput?.value);
+        const maxLevel = Number(targetMaxLevelInput?.value);
+        const inactiveDays = Number(targetInactiveDaysInput?.value);
+        if (targetMinLevelInput?.value && Number.isFinite(minLevel)) target.minLevel = minLevel;
+        if (targetMaxLevelInput?.value && Number.isFinite(maxLevel)) target.maxLevel = maxLevel;
+        if (targetInactiveDaysInput?.value && Number.isFinite(inactiveDays)) target.inactiveDays = inactiveDays;
+        const friendCodes = (targetFriendCodesInput?.value || '')
+            .split(/[\s,]+/)
+            .map((code) => code.trim())
+            .filter(Boolean);
+        if (friendCodes.length > 0) target.friendCodes = friendCodes;
+        return target;
+    }
+
+    function readBroadcastAction() {
+        const type = actionTypeSelect?.value || 'none';
+        if (type === 'none') return null;
+        const action = { type, label: actionLabelInput?.value?.trim() || undefined };
+        if (type === 'open_shop') action.category = actionShopCategorySelect?.value || 'rods';
+        if (type === 'jump_location') action.locationName = actionLocationSelect?.value;
+        if (type === 'claim_gift') {
+            action.coins = Number(actionGiftCoinsInput?.value) || 0;
+            action.energy = Number(actionGiftEnergyInput?.value) || 0;
+        }
+        return action;
+    }
+
+    function resetBroadcastForm() {
+        [
+            titleInput, bodyInput, broadcastStartInput, targetMinLevelInput, targetMaxLevelInput,
+            targetInactiveDaysInput, targetFriendCodesInput, actionGiftCoinsInput, actionGiftEnergyInput,
+            actionLabelInput
+        ].forEach((input) => {
+            if (input) input.value = '';
+        });
+        if (broadcastHoursInput) broadcastHoursInput.value = '24';
+        if (actionTypeSelect) actionTypeSelect.value = 'none';
+        syncActionFields();
+    }
+
+    async function refreshFlags() {
+        if (!flagListEl) return;
+        try {
+            const rows = await game.api.getAdminCatchFlags(8);
+            if (!Array.isArray(rows) || rows.length === 0) {
+                flagListEl.innerHTML = '<p class="halley-admin-recent-empty">No flagged accounts.</p>';
+                return;
+            }
+            flagListEl.innerHTML = rows.map((row) => {
+                const fish = row.lastFishName
+                    ? `${escapeHtml(row.lastFishName)}${row.lastFishWeight != null ? ` ${Number(row.lastFishWeight).toFixed(2)} lbs` : ''}`
+                    : '';
+                return `
+                    <div class="halley-admin-recent-item">
+                        <strong>${escapeHtml(row.username || 'Unknown')}</strong>
+                        <span>${row.flagCount} flag${row.flagCount === 1 ? '' : 's'} · ${formatRelativeTime(row.lastFlaggedAt)}</span>
+                        <p>${escapeHtml(FLAG_REASON_LABELS[row.lastReason] || row.lastReason || '')}${fish ? ` — ${fish}` : ''}${row.lastLocationName ? ` @ ${escapeHtml(row.lastLocationName)}` : ''}</p>
+                    </div>
+                `;
+            }).join('');
+        } catch {
+            flagListEl.textContent = 'Could not load flagged accounts.';
+        }
+    }
+
+    function describeAuditEntry(row) {
+        const payload = row.payload || {};
+        switch (row.action) {
+            case 'player.ban':
+                return `${payload.bannedUntil ? `until ${new Date(payload.bannedUntil).toLocaleString()}` : 'permanent'} — ${payload.reason || ''}`;
+            case 'player.rename':
+                return `${payload.from} → ${payload.to}`;
+            case 'role.assign':
+                return payload.previousRole ? `${payload.previousRole} → ${payload.role}` : payload.role;
+            case 'role.revoke':
+                return `was ${payload.previousRole}`;
+            case 'announcement.send':
+            case 'tournament.create':
+            case 'tournament.cancel':
+                return payload.title || payload.name || '';
+            case 'mail.send':
+                return `${payload.subject || ''} · ${payload.sentCount ?? 0} sent`;
+            case 'player.reaction_reset':
+            case 'leaderboard.speed_reset':
+                return `${payload.playerCatchesCleared ?? 0} catch times cleared`;
+            default:
+                return '';
+        }
+    }
+
+    async function refreshAuditLog() {
+        if (!auditListEl) return;
+        try {
+            const rows = await game.api.getAdminAuditLog({ limit: 12 });
+            if (!Array.isArray(rows) || rows.length === 0) {
+                auditListEl.innerHTML = '<p class="halley-admin-recent-empty">No admin actions yet.</p>';
+                return;
+            }
+            auditListEl.innerHTML = rows.map((row) => {
+                const detail = describeAuditEntry(row);
+                return `
+                    <div class="halley-admin-recent-item">
+                        <strong>${escapeHtml(AUDIT_ACTION_LABELS[row.action] || row.action)}${row.targetUsername ? ` · ${escapeHtml(row.targetUsername)}` : ''}</strong>
+                        <span>${escapeHtml(row.actorUsername || 'Unknown')}${row.actorRole ? ` (${escapeHtml(row.actorRole)})` : ''} · ${formatRelativeTime(row.createdAt)}</span>
+                        ${detail ? `<p>${escapeHtml(detail)}</p>` : ''}
+                    </div>
+                `;
+            }).join('');
+        } catch {
+            auditListEl.textContent = 'Could not load the audit log.';
+        }
+    }
+
+    async function refreshRoles() {
+        if (!roleListEl) return;
+        try {
+            const { roles = [], assignments = [] } = await game.api.getAdminRoles();
+            if (roleSelect) {
+                const selected = roleSelect.value;
+                roleSelect.innerHTML = roles
+                    .map((role) => `<option value="${escapeHtml(role.role)}">${escapeHtml(role.label)}</option>`)
+                    .join('');
+                if (selected) roleSelect.value = selected;
+            }
+
+            const roleSummaries = roles.map((role) => `
+                <div class="halley-admin-recent-item">
+                    <strong>${escapeHtml(role.label)}</strong>
+                    <p>${escapeHtml(role.permissions.map((permission) => ADMIN_PERMISSION_LABELS[permission] || permission).join(' · ') || 'No permissions')}</p>
+                </div>
+            `).join('');
+            const staff = assignments.map((assignment) => `
+                <div class="halley-admin-recent-item">
+                    <strong>${escapeHtml(assignment.username)} · ${escapeHtml(assignment.role)}</strong>
+                    <span>${assignment.builtIn ? 'Configured admin account' : `Given by ${escapeHtml(assignment.grantedBy || 'unknown')} · ${formatRelativeTime(assignment.grantedAt)}`}</span>
+                    ${assignment.builtIn
+                        ? ''
+                        : `<button type="button" data-action="revoke-role" data-player-id="${escapeHtml(assignment.playerId)}" data-username="${escapeHtml(assignment.username)}" class="halley-admin-mini-btn">Remove role</button>`}
+                </div>
+            `).join('');
+            roleListEl.innerHTML = roleSummaries + staff;
+        } catch {
+            roleListEl.textContent = 'Could not load staff roles.';
+        }
+    }
+
+    async function assignRole(button) {
+        const query = rolePlayerInput?.value?.trim();
+        const role = roleSelect?.value;
+        if (!query || !role) {
+            game.ui?.showToast?.({ type: 'error', title: 'Role not given', body: 'Enter a username or friend code.' });
+            return;
+        }
+
+        if (button) button.disabled = true;
+        try {
+            const player = await game.api.lookupAdminPlayer(query);
+            await game.api.setAdminPlayerRole(player.id, role);
+            game.ui?.showToast?.({
+                type: 'success',
+                title: 'Role given',
+                body: `${player.username} is now ${role}. They see the panel next time they load the game.`
+            });
+            if (rolePlayerInput) rolePlayerInput.value = '';
+            await Promise.all([refreshRoles(), refreshAuditLog()]);
+        } catch (error) {
+            game.ui?.showToast?.({
+                type: 'error',
+                title: 'Role not given',
+                body: error?.message || 'Could not give that role.'
+            });
+        } finally {
+            if (button) button.disabled = false;
+        }
+    }
+
+    async function revokeRole(button) {
+        const playerId = button?.dataset?.playerId;
+        const username = button?.dataset?.username;
+        if (!playerId || !window.confirm(`Remove ${username}'s staff role?`)) return;
+
+        button.disabled = true;
+        try {
+            await game.api.removeAdminPlayerRole(playerId);
+            game.ui?.showToast?.({ type: 'success', title: 'Role removed', body: `${username} is a regular player again.` });
+            await Promise.all([refreshRoles(), refreshAuditLog()]);
+        } catch (error) {
+            game.ui?.showToast?.({
+                type: 'error',
+                title: 'Remove failed',
+                body: error?.message || 'Could not remove that role.'
+            });
+            button.disabled = false;
+        }
+    }
+
     function escapeHtml(value) {
         return String(value)
             .replace(/&/g, '&amp;')
@@ -220,13 +821,186 @@ export function initHalleyAdminPanel(game) {
                 · ${player.totalCaught ?? 0} caught
             </div>
             ${player.biggestCatch != null ? `<div class="halley-admin-player-meta">Biggest: ${Number(player.biggestCatch).toFixed(2)} lbs</div>` : ''}
+            ${player.adminRole ? `<div class="halley-admin-player-meta">Staff role: ${escapeHtml(player.adminRole)}</div>` : ''}
+            ${renderModerationStatus(player)}
+            <button type="button" data-action="load-save-history" class="halley-admin-mini-btn">Save history</button>
+            <div class="halley-admin-recent hidden" data-role="save-history"></div>
             ${blocked
                 ? `<p class="halley-admin-player-blocked">${blockReason}</p>`
-                : `<button type="button" data-action="delete-player" class="halley-admin-danger-btn">Delete account…</button>`
+                : `${can(ADMIN_PERMISSIONS.MODERATION) ? renderModerationControls(player) : ''}
+                   ${can(ADMIN_PERMISSIONS.PLAYER_DELETION)
+                       ? '<button type="button" data-action="delete-player" class="halley-admin-danger-btn">Delete account…</button>'
+                       : ''}`
             }
         `;
     }
 
+    function renderModerationStatus(player) {
+        const lines = [];
+        if (player.banned) {
+            const until = player.bannedUntil
+                ? `until ${new Date(player.bannedUntil).toLocaleString()}`
+                : 'permanently';
+            lines.push(`Banned ${until}${player.banReason ? ` — ${escapeHtml(player.banReason)}` : ''}`);
+        }
+        if (player.leaderboardHidden) {
+            lines.push('Hidden from leaderboards');
+        }
+        return lines.map((line) => `<p class="halley-admin-player-blocked">${line}</p>`).join('');
+    }
+
+    function renderModerationControls(player) {
+        const banControls = player.banned
+            ? '<button type="button" data-action="unban-player" class="halley-admin-mini-btn">Lift ban</button>'
+            : `
+                <div class="halley-admin-row halley-admin-pair-row">
+                    <input type="number" class="halley-admin-input" data-role="ban-hours" min="1" step="1" placeholder="Hours (blank = permanent)" />
+                    <input type="text" class="halley-admin-input" data-role="ban-reason" maxlength="200" placeholder="Reason" />
+                </div>
+                <button type="button" data-action="ban-player" class="halley-admin-danger-btn">Ban</button>
+            `;
+
+        return `
+            <div class="halley-admin-moderation">
+                <label class="halley-admin-label">Moderation</label>
+                ${banControls}
+                <div class="halley-admin-travel-row">
+                    <input type="text" class="halley-admin-input" data-role="rename-username" maxlength="20" placeholder="New username" />
+                    <button type="button" data-action="rename-player" class="halley-admin-mini-btn">Rename</button>
+                </div>
+                <div class="halley-admin-travel-row">
+                    <button type="button" data-action="toggle-leaderboard-hidden" class="halley-admin-mini-btn">
+                        ${player.leaderboardHidden ? 'Restore to leaderboards' : 'Remove from leaderboards'}
+                    </button>
+                    <button type="button" data-action="reset-player-reactions" class="halley-admin-mini-btn">Clear reaction times</button>
+                </div>
+            </div>
+        `;
+    }
+
+    /** Run one moderation call on the looked-up player, then reload their card and the audit log. */
+    async function moderatePlayer(button, { run, success, failure }) {
+        const player = lookedUpPlayer;
+        if (!player) return;
+
+        if (button) button.disabled = true;
+        try {
+            const result = await run(player);
+            game.ui?.showToast?.({ type: 'success', title: success.title, body: success.body(player, result) });
+            const refreshed = await game.api.lookupAdminPlayer(player.friendCode || player.username);
+            renderPlayerCard(refreshed);
+            await refreshAuditLog();
+        } catch (error) {
+            game.ui?.showToast?.({
+                type: 'error',
+                title: failure,
+                body: error?.message || 'The server rejected that action.'
+            });
+            if (button) button.disabled = false;
+        }
+    }
+
+    async function banPlayer(button) {
+        const reason = playerCardEl?.querySelector('[data-role="ban-reason"]')?.value?.trim();
+        const hoursValue = playerCardEl?.querySelector('[data-role="ban-hours"]')?.value;
+        if (!reason) {
+            game.ui?.showToast?.({ type: 'error', title: 'Ban failed', body: 'Give a reason for the ban.' });
+            return;
+        }
+        const durationHours = hoursValue ? Number(hoursValue) : null;
+        const length = durationHours ? `for ${durationHours} hour${durationHours === 1 ? '' : 's'}` : 'permanently';
+        if (!window.confirm(`Ban ${lookedUpPlayer?.username} ${length}?\n\nThey are signed out on every device.`)) {
+            return;
+        }
+
+        await moderatePlayer(button, {
+            run: (player) => game.api.banAdminPlayer(player.id, { reason, durationHours }),
+            success: { title: 'Player banned', body: (player) => `${player.username} is banned ${length}.` },
+            failure: 'Ban failed'
+        });
+    }
+
+    async function renamePlayer(button) {
+        const username = playerCardEl?.querySelector('[data-role="rename-username"]')?.value?.trim();
+        if (!username) {
+            game.ui?.showToast?.({ type: 'error', title: 'Rename failed', body: 'Enter the new username.' });
+            return;
+        }
+
+        await moderatePlayer(button, {
+            run: (player) => game.api.renameAdminPlayer(player.id, username),
+            success: { title: 'Player renamed', body: (player, result) => `${player.username} is now ${result.username}.` },
+            failure: 'Rename failed'
+        });
+    }
+
+    function formatSaveDiff(diff = {}) {
+        const parts = [
+            diff.level ? `${diff.level > 0 ? '+' : ''}${diff.level} lvl` : null,
+            diff.money ? `${diff.money > 0 ? '+' : ''}${diff.money} coins` : null,
+            diff.relicCount ? `${diff.relicCount > 0 ? '+' : ''}${diff.relicCount} relics` : null
+        ].filter(Boolean);
+        return parts.length ? `vs. now: ${parts.join(', ')}` : 'Same as now';
+    }
+
+    async function loadSaveHistory() {
+        const historyEl = playerCardEl?.querySelector('[data-role="save-history"]');
+        if (!historyEl || !lookedUpPlayer) return;
+
+        historyEl.classList.remove('hidden');
+        historyEl.textContent = 'Loading…';
+        try {
+            const history = await game.api.getAdminSaveHistory(lookedUpPlayer.id);
+            const snapshots = Array.isArray(history?.snapshots) ? history.snapshots : [];
+            if (snapshots.length === 0) {
+                historyEl.innerHTML = '<p class="halley-admin-recent-empty">No earlier saves.</p>';
+                return;
+            }
+            historyEl.innerHTML = snapshots.map((snapshot) => `
+                <div class="halley-admin-recent-item">
+                    <strong>Lv ${snapshot.summary?.level ?? '?'} · ${snapshot.summary?.money ?? 0} coins · ${snapshot.summary?.relicCount ?? 0} relics</strong>
+                    <span>${escapeHtml(SAVE_REASON_LABELS[snapshot.reason] || snapshot.reason || '')} · ${formatRelativeTime(snapshot.createdAt)}</span>
+                    <p>${formatSaveDiff(snapshot.diff)}</p>
+                    ${can(ADMIN_PERMISSIONS.ECONOMY)
+                        ? `<button type="button" data-action="restore-save" data-snapshot-id="${escapeHtml(snapshot.id)}" class="halley-admin-mini-btn">Restore</button>`
+                        : ''}
+                </div>
+            `).join('');
+        } catch (error) {
+            historyEl.textContent = error?.message || 'Could not load save history.';
+        }
+    }
+
+    async function restoreSave(button) {
+        const player = lookedUpPlayer;
+        const snapshotId = button?.dataset?.snapshotId;
+        if (!player || !snapshotId) return;
+
+        const confirmed = window.confirm(
+            `Restore this save for ${player.username}?\n\n` +
+            'Their current save is kept in history, and their devices pick up the restore on next sync.'
+        );
+        if (!confirmed) return;
+
+        button.disabled = true;
+        try {
+            await game.api.restoreAdminSaveSnapshot(player.id, snapshotId);
+            game.ui?.showToast?.({
+                type: 'success',
+                title: 'Save restored',
+                body: `${player.username}'s earlier save is live again.`
+            });
+            await loadSaveHistory();
+        } catch (error) {
+            game.ui?.showToast?.({
+                type: 'error',
+                title: 'Restore failed',
+                body: error?.message || 'Could not restore that save.'
+            });
+            button.disabled = false;
+        }
+    }
+
     function closeConfirmModal() {
         if (confirmModalEl) {
             confirmModalEl.remove();
@@ -320,23 +1094,84 @@ export function initHalleyAdminPanel(game) {
         }
     }
 
-    async function sendBroadcast({ title, body, displayType, toastType }) {
+    async function scheduleTournament(button) {
+        const name = tournamentNameInput?.value?.trim();
+        if (!name) {
+            game.ui?.showToast?.({ type: 'error', title: 'Name required', body: 'Give the tournament a name.' });
+            return;
+        }
+
+        const startValue = tournamentStartInput?.value;
+        const startsAt = startValue ? new Date(startValue) : new Date();
+        const hours = Number(tournamentHoursInput?.value) || 2;
+        const endsAt = new Date(startsAt.getTime() + hours * 60 * 60 * 1000);
+        const allowedSpecies = (tournamentSpeciesInput?.value || '')
+            .split(',')
+            .map((entry) => entry.trim())
+            .filter(Boolean);
+        const prizeCoins = (tournamentPrizesInput?.value || '')
+            .split(',')
+            .map((entry) => Number(entry.trim()))
+            .filter((value) => Number.isFinite(value) && value > 0);
+
+        if (button) button.disabled = true;
+        try {
+            const tournament = await game.api.createAdminTournament({
+                name,
+                locationName: tournamentLocationSelect?.value,
+                scoringRule: tournamentScoringSelect?.value || 'heaviest',
+                allowedSpecies,
+                startsAt: startsAt.toISOString(),
+                endsAt: endsAt.toISOString(),
+                prizeCoins
+            });
+            game.ui?.showToast?.({
+                type: 'success',
+                title: 'Tournament scheduled',
+                body: `${tournament?.name || name} at ${tournament?.locationName || 'the chosen spot'}.`
+            });
+            if (tournamentNameInput) tournamentNameInput.value = '';
+            if (tournamentSpeciesInput) tournamentSpeciesInput.value = '';
+        } catch (error) {
+            game.ui?.showToast?.({
+                type: 'error',
+                title: 'Schedule failed',
+                body: error?.message || 'Could not schedule tournament.'
+            });
+        } finally {
+            if (button) button.disabled = false;
+        }
+    }
+
+    async function sendBroadcast({
+        title, body, displayType, toastType, startsAt = null, expiresInMinutes = 24 * 60, target = {}, action = null
+    }) {
         const ui = game.ui;
         try {
-            await game.api.sendAdminAnnouncement({
+            const result = await game.api.sendAdminAnnouncement({
                 title,
                 body,
                 displayType: displayType || 'toast',
                 toastType: toastType || 'info',
-                expiresInMinutes: 24 * 60
+                startsAt,
+                expiresInMinutes,
+                target,
+                action
             });
+            const sent = result?.announcement;
+            const audience = Object.keys(target).length > 0
+                ? (sent?.audienceCount !== null && sent?.audienceCount !== undefined
+                    ? `${sent.audienceCount} matching player${sent.audienceCount === 1 ? '' : 's'}`
+                    : 'Matching players')
+                : 'Every player';
             ui?.showToast?.({
                 type: 'success',
-                title: 'Broadcast sent',
-                body: 'Every player will see it on their next sync.'
+                title: sent?.status === 'scheduled' ? 'Broadcast scheduled' : 'Broadcast sent',
+                body: sent?.status === 'scheduled'
+                    ? `Goes out ${new Date(sent.startsAt).toLocaleString()}.`
+                    : `${audience} will see it on their next sync.`
             });
-            if (titleInput) titleInput.value = '';
-            if (bodyInput) bodyInput.value = '';
+            resetBroadcastForm();
             await refreshRecent();
         } catch (error) {
             ui?.showToast?.({
@@ -398,15 +1233,36 @@ export function initHalleyAdminPanel(game) {
                 game.ui?.showToast?.({ type: 'error', title: 'Title required', body: 'Add a short headline for players.' });
                 return;
             }
+            const startValue = broadcastStartInput?.value;
+            const hours = Number(broadcastHoursInput?.value) || 24;
             await sendBroadcast({
                 title,
                 body,
                 displayType: displayTypeSelect?.value || 'toast',
-                toastType: toastTypeSelect?.value || 'info'
+                toastType: toastTypeSelect?.value || 'info',
+                startsAt: startValue ? new Date(startValue).toISOString() : null,
+                expiresInMinutes: hours * 60,
+                target: readBroadcastTarget(),
+                action: readBroadcastAction()
             });
             return;
         }
 
+        if (action === 'send-mail') {
+            await sendMail(event.target.closest('[data-action="send-mail"]'));
+            return;
+        }
+
+        if (action === 'schedule-tournament') {
+            await scheduleTournament(event.target.closest('[data-action="schedule-tournament"]'));
+            return;
+        }
+
+        if (action === 'refresh-flags') {
+            await refreshFlags();
+            return;
+        }
+
         if (action === 'lookup-player') {
             await lookupPlayer();
             return;
@@ -439,6 +1295,80 @@ export function initHalleyAdminPanel(game) {
             return;
         }
 
+        if (action === 'load-save-history') {
+            await loadSaveHistory();
+            return;
+        }
+
+        if (action === 'restore-save') {
+            await restoreSave(event.target.closest('[data-action="restore-save"]'));
+            return;
+        }
+
+        if (action === 'refresh-audit-log') {
+            await refreshAuditLog();
+            return;
+        }
+
+        if (action === 'assign-role') {
+            await assignRole(event.target.closest('[data-action="assign-role"]'));
+            return;
+        }
+
+        if (action === 'revoke-role') {
+            await revokeRole(event.target.closest('[data-action="revoke-role"]'));
+            return;
+        }
+
+        if (action === 'ban-player') {
+            await banPlayer(event.target.closest('[data-action="ban-player"]'));
+            return;
+        }
+
+        if (action === 'unban-player') {
+            await moderatePlayer(event.target.closest('[data-action="unban-player"]'), {
+                run: (player) => game.api.unbanAdminPlayer(player.id),
+                success: { title: 'Ban lifted', body: (player) => `${player.username} can sign in again.` },
+                failure: 'Unban failed'
+            });
+            return;
+        }
+
+        if (action === 'rename-player') {
+            await renamePlayer(event.target.closest('[data-action="rename-player"]'));
+            return;
+        }
+
+        if (action === 'toggle-leaderboard-hidden') {
+            const hidden = !lookedUpPlayer?.leaderboardHidden;
+            await moderatePlayer(event.target.closest('[data-action="toggle-leaderboard-hidden"]'), {
+                run: (player) => game.api.setAdminPlayerLeaderboardHidden(player.id, hidden),
+                success: {
+                    title: hidden ? 'Removed from leaderboards' : 'Back on leaderboards',
+                    body: (player) => hidden
+                        ? `${player.username} no longer shows on any board.`
+                        : `${player.username} shows on the boards again.`
+                },
+                failure: 'Leaderboard update failed'
+            });
+            return;
+        }
+
+        if (action === 'reset-player-reactions') {
+            if (!window.confirm(`Clear every hook reaction time for ${lookedUpPlayer?.username}?`)) {
+                return;
+            }
+            await moderatePlayer(event.target.closest('[data-action="reset-player-reactions"]'), {
+                run: (player) => game.api.resetAdminPlayerReactionTimes(player.id),
+                success: {
+                    title: 'Reaction times cleared',
+                    body: (player, result) => `Cleared ${result?.playerCatchesCleared ?? 0} of ${player.username}'s catch times.`
+                },
+                failure: 'Reset failed'
+            });
+            return;
+        }
+
         if (action === 'delete-player') {
             if (lookedUpPlayer) {
                 openDeleteConfirmModal(lookedUpPlayer);
@@ -456,6 +1386,10 @@ export function initHalleyAdminPanel(game) {
     if (panelVisible) {
         refreshOnlineCount();
         refreshRecent();
+        if (can(ADMIN_PERMISSIONS.ECONOMY)) refreshRecentMail();
+        refreshFlags();
+        refreshAuditLog();
+        if (can(ADMIN_PERMISSIONS.ROLES)) refreshRoles();
     }
 
     console.info('[ADMIN] Halley live ops panel ready');
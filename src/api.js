@@ -17,6 +17,11 @@ export class API {
 
         this.baseURL = this.normalizeBaseURL(globalBase || metaBase || '/api');
         this.userId = null;
+        /** @type {{ accessToken: string, accessTokenExpiresAt: string, refreshToken: string, refreshTokenExpiresAt: string }|null} */
+        this.session = null;
+        /** Called with the new session (or null) whenever tokens rotate, so callers can persist them. */
+        this.onSessionChange = null;
+        this._refreshPromise = null;
     }
     
     /**
@@ -44,21 +49,93 @@ export class API {
     setUserId(userId) {
         this.userId = userId;
     }
+
+    /**
+     * Set the signed session tokens issued by login/register/claim/recover/refresh
+     * @param {Object|null} session
+     */
+    setSession(session) {
+        this.session = session?.accessToken && session?.refreshToken ? { ...session } : null;
+        if (typeof this.onSessionChange === 'function') {
+            try {
+                this.onSessionChange(this.session);
+            } catch (error) {
+                console.warn('[API] Session listener failed:', error);
+            }
+        }
+    }
+
+    clearSession() {
+        this.setSession(null);
+    }
+
+    /**
+     * Whether the access token is missing or about to expire
+     * @returns {boolean}
+     */
+    isAccessTokenStale() {
+        if (!this.session?.accessToken) return true;
+        const expiresAt = Date.parse(this.session.accessTokenExpiresAt);
+        return !Number.isFinite(expiresAt) || expiresAt - Date.now() < 30000;
+    }
+
+    /**
+     * Rotate the refresh token for a new access token. Concurrent callers share one request.
+     * @returns {Promise<Object>} New session
+     */
+    async refreshSession() {
+        if (!this.session?.refreshToken) {
+            throw new Error('Not signed in');
+        }
+
+        if (!this._refreshPromise) {
+            const refreshToken = this.session.refreshToken;
+            this._refreshPromise = fetch(`${this.baseURL}/auth/refresh`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ refreshToken })
+            })
+                .then(async (response) => {
+                    const data = await response.json().catch(() => ({}));
+                    if (!response.ok || !data?.session) {
+                        // Only drop the session when the server rejected it, not on network hiccups.
+                        if (response.status === 401) {
+                            this.clearSession();
+                        }
+                        throw new Error(data?.error || `API Error: ${response.status}`);
+                    }
+                    this.setSession(data.session);
+                    return data.session;
+                })
+                .finally(() => {
+                    this._refreshPromise = null;
+                });
+        }
+
+        return this._refreshPromise;
+    }
     
     /**
      * Make an authenticated API request
      * @param {string} endpoint - API endpoint
      * @param {Object} options - Fetch options
+     * @param {boolean} [allowRefresh=true] - Retry once with a refreshed token on 401
      * @returns {Promise<Object>} Response data
      */
-    async request(endpoint, options = {}) {
+    async request(endpoint, options = {}, allowRefresh = true) {
         const headers = {
             'Content-Type': 'application/json',
             ...options.headers
         };
+
+        if (this.session?.refreshToken && this.isAccessTokenStale()) {
+            await this.refreshSession().catch((error) => {
+                console.warn('[API] Session refresh failed:', error);
+            });
+        }
         
-        if (this.userId) {
-            headers['Authorization'] = `Bearer ${this.userId}`;
+        if (this.session?.accessToken) {
+            headers['Authorization'] = `Bearer ${this.session.accessToken}`;
         }
         
         try {
@@ -66,10 +143,19 @@ export class API {
                 ...options,
                 headers
             });
+
+            if (response.status === 401 && allowRefresh && this.session?.refreshToken) {
+                await this.refreshSession();
+                return this.request(endpoint, options, false);
+            }
             
             if (!response.ok) {
                 const error = await response.json().catch(() => ({ error: `HTTP ${response.status}` }));
-                throw new Error(error.error || `API Error: ${response.status}`);
+                const requestError = new Error(error.error || `API Error: ${response.status}`);
+                requestError.status = response.status;
+                requestError.code = error.code;
+                requestError.data = error;
+                throw requestError;
             }
             
             return await response.json();
@@ -127,17 +213,58 @@ export class API {
         });
     }
 
+    /**
+     * Revoke this device's session on the server (or every device)
+     * @param {{ allDevices?: boolean }} [options]
+     */
+    async logout({ allDevices = false } = {}) {
+        if (!this.session) {
+            return { success: true, revoked: 0 };
+        }
+        try {
+            return await this.request('/auth/logout', {
+                method: 'POST',
+                body: JSON.stringify({ allDevices })
+            }, false);
+        } finally {
+            this.clearSession();
+        }
+    }
+
     async getGameSave() {
         return this.request('/players/me/save');
     }
 
-    async updateGameSave(gameSave) {
+    /**
+     * Upload the cloud save. Rejected with code SAVE_CONFLICT (error.data carries the
+     * server's merged save and current revision) when baseRevision is out of date.
+     * @param {Object} gameSave
+     * @param {number|null} baseRevision - Revision this save was built on
+     */
+    async updateGameSave(gameSave, baseRevision = null) {
         return this.request('/players/me/save', {
             method: 'PUT',
-            body: JSON.stringify({ gameSave })
+            body: JSON.stringify({ gameSave, baseRevision })
         });
     }
 
+    /**
+     * Earlier cloud saves, newest first, each with its level / money / relic change
+     * against the current save.
+     */
+    async getSaveHistory() {
+        return this.request('/players/me/save/history');
+    }
+
+    /**
+     * Make an earlier cloud save live again. The save it replaces stays in history.
+     * @param {string} snapshotId
+     * @returns {Promise<{ success: boolean, gameSave: Object, revision: number }>}
+     */
+    async restoreSaveSnapshot(snapshotId) {
+        return this.request(`/players/me/save/history/${snapshotId}/restore`, { method: 'POST' });
+    }
+
     async setSavePin(pin) {
         return this.request('/players/me/pin', {
             method: 'PUT',
@@ -298,12 +425,38 @@ export class API {
         });
     }
 
-    async getGlobalLeaderboard(limit = 20) {
-        return this.request(`/leaderboard/global?limit=${limit}`);
+    async getGlobalLeaderboard(limit = 20, period = 'all') {
+        return this.request(`/leaderboard/global?limit=${limit}&period=${period}`);
     }
 
-    async getSpeedLeaderboard(limit = 20) {
-        return this.request(`/leaderboard/speed?limit=${limit}`);
+    async getSpeedLeaderboard(limit = 20, period = 'all') {
+        return this.request(`/leaderboard/speed?limit=${limit}&period=${period}`);
+    }
+
+    async getLeaderboardChampions(board = 'global', period = 'week') {
+        return this.request(`/leaderboard/champions?board=${board}&period=${period}`);
+    }
+
+    async getCatchBoard(boardType, key, limit = 20, period = 'all') {
+        return this.request(`/leaderboard/boards/${boardType}?key=${encodeURIComponent(key)}&limit=${limit}&period=${period}`);
+    }
+
+    async getTournaments() {
+        return this.request('/tournaments');
+    }
+
+    async joinTournament(tournamentId) {
+        return this.request(`/tournaments/${tournamentId}/join`, {
+            method: 'POST'
+        });
+    }
+
+    async getTournamentStandings(tournamentId, limit = 20) {
+        return this.request(`/tournaments/${tournamentId}/standings?limit=${limit}`);
+    }
+
+    async getTournamentRewards() {
+        return this.request('/tournaments/rewards/me');
     }
 
     async getPlayerCatches(limit = 50) {
@@ -330,6 +483,31 @@ export class API {
         return this.request(`/announcements/${announcementId}/ack`, { method: 'POST' });
     }
 
+    /** Action button pressed; for a gift returns { gift: { coins, energy }, alreadyClaimed }. */
+    async recordAnnouncementAction(announcementId) {
+        return this.request(`/announcements/${announcementId}/action`, { method: 'POST' });
+    }
+
+    /** @returns {Promise<{ mail: Array<object>, unclaimedCount: number }>} */
+    async getMailInbox() {
+        return this.request('/mail');
+    }
+
+    async claimMail(mailId) {
+        return this.request(`/mail/${mailId}/claim`, { method: 'POST' });
+    }
+
+    async sendAdminMail(payload) {
+        return this.request('/admin/mail', {
+            method: 'POST',
+            body: JSON.stringify(payload)
+        });
+    }
+
+    async getRecentAdminMail(limit = 6) {
+        return this.request(`/admin/mail/recent?limit=${limit}`);
+    }
+
     async getAdminOnlineCount(minutes = 5) {
         return this.request(`/admin/online-count?minutes=${minutes}`);
     }
@@ -364,6 +542,95 @@ export class API {
             body: JSON.stringify({ confirmUsername })
         });
     }
+
+    async getAdminSaveHistory(playerId) {
+        return this.request(`/admin/players/${playerId}/save-history`);
+    }
+
+    async restoreAdminSaveSnapshot(playerId, snapshotId) {
+        return this.request(`/admin/players/${playerId}/save-history/${snapshotId}/restore`, {
+            method: 'POST'
+        });
+    }
+
+    /**
+     * @param {string} playerId
+     * @param {{ reason: string, durationHours?: number|null }} ban - No duration bans permanently
+     */
+    async banAdminPlayer(playerId, ban) {
+        return this.request(`/admin/players/${playerId}/ban`, {
+            method: 'POST',
+            body: JSON.stringify(ban)
+        });
+    }
+
+    async unbanAdminPlayer(playerId) {
+        return this.request(`/admin/players/${playerId}/ban`, { method: 'DELETE' });
+    }
+
+    async renameAdminPlayer(playerId, username) {
+        return this.request(`/admin/players/${playerId}/rename`, {
+            method: 'POST',
+            body: JSON.stringify({ username })
+        });
+    }
+
+    async setAdminPlayerLeaderboardHidden(playerId, hidden) {
+        return this.request(`/admin/players/${playerId}/leaderboard`, {
+            method: 'POST',
+            body: JSON.stringify({ hidden })
+        });
+    }
+
+    async resetAdminPlayerReactionTimes(playerId) {
+        return this.request(`/admin/players/${playerId}/reaction-times/reset`, { method: 'POST' });
+    }
+
+    /**
+     * @param {{ limit?: number, before?: string, action?: string, playerId?: string }} [filters]
+     */
+    async getAdminAuditLog(filters = {}) {
+        const params = new URLSearchParams();
+        Object.entries(filters).forEach(([key, value]) => {
+            if (value !== undefined && value !== null && value !== '') {
+                params.set(key, String(value));
+            }
+        });
+        const query = params.toString();
+        return this.request(`/admin/audit-log${query ? `?${query}` : ''}`);
+    }
+
+    async getAdminRoles() {
+        return this.request('/admin/roles');
+    }
+
+    async setAdminPlayerRole(playerId, role) {
+        return this.request(`/admin/players/${playerId}/role`, {
+            method: 'PUT',
+            body: JSON.stringify({ role })
+        });
+    }
+
+    async removeAdminPlayerRole(playerId) {
+        return this.request(`/admin/players/${playerId}/role`, { method: 'DELETE' });
+    }
+
+    async getAdminCatchFlags(limit = 20) {
+        return this.request(`/admin/catch-flags?limit=${limit}`);
+    }
+
+    async createAdminTournament(tournament) {
+        return this.request('/admin/tournaments', {
+            method: 'POST',
+            body: JSON.stringify(tournament)
+        });
+    }
+
+    async deleteAdminTournament(tournamentId) {
+        return this.request(`/admin/tournaments/${tournamentId}`, {
+            method: 'DELETE'
+        });
+    }
     
     // ==================== Utility Methods ====================
     
@@ -31,6 +31,12 @@ export const CRAGGY_COAST_AMBIENCE_URL =
     '/src/audio/soundreality-wind-blowing-457954.mp3';
 export const CRAGGY_COAST_AMBIENCE_VOLUME = 0.32;
 
+/** Steady river hiss, quieter — reads as rainfall when layered over a location. */
+export const WEATHER_RAIN_AMBIENCE_URL = AMAZON_DEPTHS_AMBIENCE_URL;
+export const WEATHER_RAIN_AMBIENCE_VOLUME = 0.26;
+export const WEATHER_WIND_AMBIENCE_URL = CRAGGY_COAST_AMBIENCE_URL;
+export const WEATHER_WIND_AMBIENCE_VOLUME = 0.24;
+
 export class LoopingLocationAmbience {
     /**
      * @param {{ resolveSource: () => string, peakVolume: number }} options
@@ -277,3 +283,75 @@ export class StormbreakerBayAmbience {
         this.surf.resumeAfterGesture();
     }
 }
+
+/** Weather layers (rain, wind) played on top of whichever location ambience is running. */
+export class WeatherAmbienceLayers {
+    constructor() {
+        this.layers = {
+            rain: new LoopingLocationAmbience({
+                resolveSource: () => WEATHER_RAIN_AMBIENCE_URL,
+                peakVolume: WEATHER_RAIN_AMBIENCE_VOLUME
+            }),
+            wind: new LoopingLocationAmbience({
+                resolveSource: () => WEATHER_WIND_AMBIENCE_URL,
+                peakVolume: WEATHER_WIND_AMBIENCE_VOLUME
+            })
+        };
+    }
+
+    /**
+     * Fade in the named layers and fade out the rest.
+     * @param {string[]} layerIds
+     */
+    setLayers(layerIds = []) {
+        for (const [id, layer] of Object.entries(this.layers)) {
+            if (layerIds.includes(id)) {
+                layer.start();
+            } else {
+                layer.stop();
+            }
+        }
+    }
+
+    stop() {
+        this.setLayers([]);
+    }
+
+    resumeAfterGesture() {
+        for (const layer of Object.values(this.layers)) {
+            layer.resumeAfterGesture();
+        }
+    }
+}
+
+/** Ambience tracks a location pack can name (config/locationPacks.js). */
+export const LOCATION_AMBIENCE_TRACKS = {
+    celestialDepths: CelestialDepthsMusic,
+    amazonDepths: AmazonDepthsAmbience,
+    crescentPond: CrescentPondAmbience,
+    cortezBackwaters: CortezBackwatersAmbience,
+    craggyCoast: CraggyCoastAmbience,
+    stormbreakerBay: StormbreakerBayAmbience
+};
+
+/** Default peak volume for a pack's own looping file. */
+export const PACK_AMBIENCE_VOLUME = 0.3;
+
+/**
+ * Ambience for a pack track — a LOCATION_AMBIENCE_TRACKS id, or { src, volume } for a pack's own loop.
+ * @param {string|{ src: string, volume?: number }} track
+ * @returns {{ start: Function, stop: Function, resumeAfterGesture: Function }|null}
+ */
+export function createLocationAmbience(track) {
+    if (typeof track === 'string') {
+        const Track = LOCATION_AMBIENCE_TRACKS[track];
+        return Track ? new Track() : null;
+    }
+    if (track?.src) {
+        return new LoopingLocationAmbience({
+            resolveSource: () => track.src,
+            peakVolume: clampVolume(track.volume ?? PACK_AMBIENCE_VOLUME)
+        });
+    }
+    return null;
+}
@@ -4,15 +4,17 @@
  */
 
 import { getTotalCatchBonus, getHookTimingWindow } from './tackleShop.js';
+import { getLocationWeather } from './weather.js';
 
 /**
  * Calculate catch probability based on player stats, gear, and location
  * @param {Object} player - Player instance
  * @param {Object} location - Current location
  * @param {Object} tackleShop - Tackle shop instance
+ * @param {Object} [weather] - Weather at the location (defaults to its current weather)
  * @returns {number} Catch probability (0-1)
  */
-export function calculateCatchChance(player, location, tackleShop) {
+export function calculateCatchChance(player, location, tackleShop, weather = getLocationWeather(location)) {
     // Base chance: 90% (increased from 80% in reference)
     let chance = 0.9;
     
@@ -47,6 +49,9 @@ export function calculateCatchChance(player, location, tackleShop) {
     const strengthBonus = (player.stats.strength - 50) * 0.001;
     
     chance += accuracyBonus + luckBonus + patienceBonus + strengthBonus;
+
+    // Weather: overcast/rain make fish bolder, storms and snow make them sulk
+    chance += weather?.biteChance ?? 0;
     
     // Cap between 20% and 85%
     return Math.min(0.85, Math.max(0.20, chance));
@@ -9,7 +9,13 @@ import {
     shouldPlayStoryPrologue,
     shouldShowReturnSplash
 } from './prologue.js';
-import { applyGameSaveToLocal, captureLocalGameSave, getNewerGameSave } from './cloudSave.js';
+import {
+    applyGameSaveToLocal,
+    captureLocalGameSave,
+    mergeWithRemoteSave,
+    setLocalSaveRevision,
+    uploadGameSave
+} from './cloudSave.js';
 import {
     ensureSavePin,
     normalizeHasPin,
@@ -17,7 +23,7 @@ import {
     switchToDifferentAccount,
     validatePinInput
 } from './savePinSetup.js';
-import { readIsAdmin } from './admin/adminAuth.js';
+import { readAdminRole, readIsAdmin } from './admin/adminAuth.js';
 
 const AUTH_STORAGE_KEY = 'kittyCreekAuth';
 
@@ -65,6 +71,7 @@ async function startOfflineGame(reason) {
     console.warn('[BOOTSTRAP] API unavailable. Starting offline mode.', reason || '');
     loadingProgress.update(12, 'Offline mode — loading local save data...');
     api.setUserId(null);
+    api.setSession(null);
     return launchGame({});
 }
 
@@ -208,14 +215,22 @@ async function handleOfflineMode(message) {
 
 async function fetchPlayerState(userId) {
     try {
-        const profile = await api.getPlayer();
         const saveResponse = await api.getGameSave().catch(() => null);
         const localSave = captureLocalGameSave();
         const remoteSave = saveResponse?.gameSave;
-        const mergedSave = getNewerGameSave(localSave, remoteSave);
+        const mergedSave = mergeWithRemoteSave(localSave, remoteSave);
         if (mergedSave) {
             applyGameSaveToLocal(mergedSave);
         }
+        if (saveResponse) {
+            setLocalSaveRevision(userId, saveResponse.revision);
+            // Push the merge back before reading the profile so its columns match.
+            await uploadGameSave(api, userId).catch((error) => {
+                console.warn('[BOOTSTRAP] Cloud save upload failed:', error);
+            });
+        }
+
+        const profile = await api.getPlayer();
 
         const collectionResponse = await api.getPlayerCollection(profile?.id || userId);
         let collection = null;
@@ -324,10 +339,12 @@ async function finishClaimedAccount(claimed) {
     }
 
     api.setUserId(claimed.userId);
+    api.setSession(claimed.session);
     setAuthStorage({
         userId: claimed.userId,
         username: claimed.username,
-        friendCode: claimed.friendCode
+        friendCode: claimed.friendCode,
+        session: claimed.session ?? null
     });
 
     if (claimed.gameSave) {
@@ -409,7 +426,7 @@ async function promptForUsername(options = {}) {
         };
 
         const onSwitchAccount = () => {
-            switchToDifferentAccount();
+            switchToDifferentAccount(api);
         };
 
         const onNewTab = () => {
@@ -503,10 +520,12 @@ async function promptForUsername(options = {}) {
                         }
 
                         api.setUserId(login.userId);
+                        api.setSession(login.session);
                         setAuthStorage({
                             userId: login.userId,
                             username: login.username,
-                            friendCode: login.friendCode
+                            friendCode: login.friendCode,
+                            session: login.session ?? null
                         });
 
                         if (login.gameSave) {
@@ -546,10 +565,12 @@ async function promptForUsername(options = {}) {
                 }
 
                 api.setUserId(registration.userId);
+                api.setSession(registration.session);
                 setAuthStorage({
                     userId: registration.userId,
                     username: registration.username,
-                    friendCode: registration.friendCode
+                    friendCode: registration.friendCode,
+                    session: registration.session ?? null
                 });
 
                 const { profile, collection } = await fetchPlayerState(registration.userId);
@@ -605,6 +626,14 @@ async function bootstrapGameInner() {
     loadingProgress.show('Connecting to Halley\'s Big Catch...');
     loadingProgress.update(2, 'Connecting to server...');
 
+    // Persist rotated session tokens alongside the stored account.
+    api.onSessionChange = (session) => {
+        const stored = getAuthStorage();
+        if (stored?.userId) {
+            setAuthStorage({ ...stored, session });
+        }
+    };
+
     // Begin loading prologue media during auth — does not block server connect.
     if (shouldPlayStoryPrologue()) {
         prefetchProloguePack({ full: true });
@@ -642,8 +671,17 @@ async function bootstrapGameInner() {
         let collection = null;
         let hasPin = false;
 
+        // Saves from before signed sessions only stored the raw userId — those must sign in again.
+        if (auth?.userId && !auth?.session?.refreshToken) {
+            console.warn('[BOOTSTRAP] Stored auth has no session token, requesting sign in.');
+            preferReturning = true;
+            clearAuthStorage();
+            auth = null;
+        }
+
         if (auth?.userId) {
             api.setUserId(auth.userId);
+            api.setSession(auth.session);
             try {
                 loadingProgress.update(12, 'Syncing your fisher cat profile...');
                 const result = await fetchPlayerState(auth.userId);
@@ -655,11 +693,13 @@ async function bootstrapGameInner() {
                 auth = {
                     userId: profile?.id ?? auth.userId,
                     username: profile?.username ?? auth.username,
-                    friendCode: profile?.friend_code ?? auth.friendCode
+                    friendCode: profile?.friend_code ?? auth.friendCode,
+                    session: api.session
                 };
                 setAuthStorage(auth);
             } catch (error) {
                 console.warn('[BOOTSTRAP] Existing auth invalid, requesting new username.', error);
+                api.clearSession();
                 clearAuthStorage();
                 auth = null;
                 profile = null;
@@ -688,7 +728,8 @@ async function bootstrapGameInner() {
             userId: profile?.id ?? auth?.userId,
             username: profile?.username ?? auth?.username,
             friendCode: profile?.friend_code ?? profile?.friendCode ?? auth?.friendCode,
-            isAdmin: readIsAdmin(profile)
+            isAdmin: readIsAdmin(profile),
+            adminRole: readAdminRole(profile)
         };
 
         api.setUserId(playerContext.userId);
@@ -0,0 +1,90 @@
+/**
+ * Aimed casting. The player steers left/right of the camera's view and times a power meter;
+ * the landing point is that aim plus a random scatter that shrinks with the accuracy stat.
+ */
+
+import * as THREE from 'three';
+import {
+    CAST_AIM_MAX_DISTANCE,
+    CAST_AIM_MAX_YAW_DEG,
+    CAST_AIM_MIN_DISTANCE,
+    CAST_POWER_CYCLE_SEC,
+    CAST_SCATTER_AT_MAX_ACCURACY,
+    CAST_SCATTER_AT_MIN_ACCURACY,
+    CAST_SCATTER_MIN_SHARE
+} from './config/castAim.js';
+
+const STAT_MIN = 20;
+const STAT_MAX = 100;
+
+const _forward = new THREE.Vector3();
+const _right = new THREE.Vector3();
+
+/**
+ * Power meter reading after holding for heldSec: rises 0 → 1, falls back to 0, repeats.
+ * @param {number} heldSec
+ * @returns {number}
+ */
+export function getCastPower(heldSec) {
+    const phase = ((heldSec / CAST_POWER_CYCLE_SEC) % 1 + 1) % 1;
+    return phase < 0.5 ? phase * 2 : 2 - phase * 2;
+}
+
+/**
+ * Landing scatter radius for an accuracy stat (20–100) and cast power (0–1).
+ * @param {number} accuracy
+ * @param {number} power
+ * @returns {number}
+ */
+export function getCastScatterRadius(accuracy, power) {
+    const skill = THREE.MathUtils.clamp(((accuracy ?? 50) - STAT_MIN) / (STAT_MAX - STAT_MIN), 0, 1);
+    const radius = THREE.MathUtils.lerp(CAST_SCATTER_AT_MIN_ACCURACY, CAST_SCATTER_AT_MAX_ACCURACY, skill);
+    return radius * (CAST_SCATTER_MIN_SHARE + (1 - CAST_SCATTER_MIN_SHARE) * THREE.MathUtils.clamp(power, 0, 1));
+}
+
+/**
+ * Horizontal cast direction for a steer value, relative to what the camera sees.
+ * @param {THREE.Camera} camera
+ * @param {number} steer - -1 (full left on screen) to 1 (full right)
+ * @param {THREE.Vector3} [out]
+ * @returns {THREE.Vector3}
+ */
+export function getAimDirection(camera, steer, out = new THREE.Vector3()) {
+    camera.getWorldDirection(_forward);
+    _forward.y = 0;
+    if (_forward.lengthSq() < 1e-6) {
+        _forward.set(0, 0, 1);
+    }
+    _forward.normalize();
+    _right.set(-_forward.z, 0, _forward.x);
+
+    const yaw = THREE.MathUtils.degToRad(CAST_AIM_MAX_YAW_DEG * THREE.MathUtils.clamp(steer, -1, 1));
+    return out.copy(_forward).multiplyScalar(Math.cos(yaw)).addScaledVector(_right, Math.sin(yaw)).normalize();
+}
+
+/**
+ * Aimed landing point before scatter.
+ * @param {THREE.Vector3} origin - Cat position (y is ignored)
+ * @param {THREE.Vector3} direction - From getAimDirection
+ * @param {number} power - 0–1
+ * @param {THREE.Vector3} [out]
+ * @returns {THREE.Vector3}
+ */
+export function getAimedCastPoint(origin, direction, power, out = new THREE.Vector3()) {
+    const distance = THREE.MathUtils.lerp(CAST_AIM_MIN_DISTANCE, CAST_AIM_MAX_DISTANCE, THREE.MathUtils.clamp(power, 0, 1));
+    return out.set(origin.x + direction.x * distance, origin.y, origin.z + direction.z * distance);
+}
+
+/**
+ * Move a point to a uniformly random spot within radius on the XZ plane.
+ * @param {THREE.Vector3} point - Modified in place
+ * @param {number} radius
+ * @returns {THREE.Vector3}
+ */
+export function applyCastScatter(point, radius) {
+    const r = radius * Math.sqrt(Math.random());
+    const angle = Math.random() * Math.PI * 2;
+    point.x += Math.cos(angle) * r;
+    point.z += Math.sin(angle) * r;
+    return point;
+}
@@ -9,6 +9,7 @@ import {
     PORTRAIT_BLEND_ACTIVE_THRESHOLD
 } from './config/idlePortrait.js';
 import { debugLog } from './config/debug.js';
+import { FIGHT_STANCE_TIME_SCALE } from './config/fightProfiles.js';
 import { loadDevGemOffset, clearDevGemOffset } from './dev/devGemOffset.js';
 
 const CAT_MODEL_URL = 'assets/glb/Cat.glb?v=20260627-sanitize';
@@ -275,6 +276,7 @@ export class Cat {
         this._devManualRotation = false;
         this._devRotationY = 0;
         this._holdReelingAfterThrow = false;
+        this._fightStance = null;
     }
 
     async load(onProgress = null) {
@@ -730,7 +732,22 @@ export class Cat {
 
     playReeling() {
         this._holdReelingAfterThrow = false;
-        return this.playClip('Reeling', { loop: THREE.LoopRepeat, fade: 0.12 });
+        const action = this.playClip('Reeling', { loop: THREE.LoopRepeat, fade: 0.12 });
+        action?.setEffectiveTimeScale(FIGHT_STANCE_TIME_SCALE[this._fightStance] ?? 1);
+        return action;
+    }
+
+    /**
+     * Reeling stance for the fish's current fight move ('reel' | 'brace' | 'scramble', null after the fight).
+     * @param {string|null} stance
+     */
+    setFightStance(stance) {
+        this._fightStance = stance;
+        const clip = this.animationClips['Reeling'];
+        const current = this._currentAction;
+        if (clip && current?.getClip() === clip) {
+            current.setEffectiveTimeScale(FIGHT_STANCE_TIME_SCALE[stance] ?? 1);
+        }
     }
 
     ensureThrowAnimation() {
@@ -2,19 +2,15 @@
  * Cloud save capture/restore — full game state for cross-device play.
  */
 
-const SAVE_VERSION = 1;
+import { mergeGameSaves } from './saveMerge.js';
+import { SAVE_STORAGE_KINDS, migrateSaveData, readMigratedSave } from './saveMigrations.js';
 
-export function captureLocalGameSave() {
-    const read = (key) => {
-        try {
-            const raw = localStorage.getItem(key);
-            return raw ? JSON.parse(raw) : null;
-        } catch {
-            return null;
-        }
-    };
+/** Envelope version. 2 = payloads carry their own schemaVersion (see saveMigrations.js). */
+const SAVE_VERSION = 2;
+const SAVE_REVISION_KEY = 'kittyCreekSaveRevision';
 
-    const player = read('kittyCreekPlayer');
+export function captureLocalGameSave() {
+    const player = readMigratedSave('kittyCreekPlayer');
     if (!player) {
         return null;
     }
@@ -23,8 +19,8 @@ export function captureLocalGameSave() {
         version: SAVE_VERSION,
         savedAt: Date.now(),
         player,
-        inventory: read('kittyCreekInventory'),
-        collection: read('kittyCreekCollection')
+        inventory: readMigratedSave('kittyCreekInventory'),
+        collection: readMigratedSave('kittyCreekCollection')
     };
 }
 
@@ -33,11 +29,13 @@ export function applyGameSaveToLocal(gameSave) {
         return false;
     }
 
+    // Saves uploaded by older builds are upgraded before they touch local storage.
     const write = (key, data) => {
-        if (!data || typeof data !== 'object') {
+        const migrated = migrateSaveData(SAVE_STORAGE_KINDS[key], data);
+        if (!migrated) {
             return;
         }
-        const serialized = JSON.stringify(data);
+        const serialized = JSON.stringify(migrated);
         localStorage.setItem(key, serialized);
         localStorage.setItem(`${key}_backup`, serialized);
     };
@@ -55,14 +53,79 @@ export function applyGameSaveToLocal(gameSave) {
     return Boolean(gameSave.player);
 }
 
-export function getNewerGameSave(localSave, remoteSave) {
-    if (!remoteSave?.player) {
-        return localSave;
+/**
+ * Server revision this device's save is based on, scoped to the signed-in account.
+ * @param {string} userId
+ * @returns {number|null}
+ */
+export function getLocalSaveRevision(userId) {
+    try {
+        const stored = JSON.parse(localStorage.getItem(SAVE_REVISION_KEY) || 'null');
+        return stored && stored.userId === userId && Number.isInteger(stored.revision) ? stored.revision : null;
+    } catch {
+        return null;
+    }
+}
+
+export function setLocalSaveRevision(userId, revision) {
+    if (!userId || !Number.isInteger(revision)) {
+        return;
+    }
+    localStorage.setItem(SAVE_REVISION_KEY, JSON.stringify({ userId, revision }));
+}
+
+/**
+ * Merge a server save into this device's save (see saveMerge.js).
+ * @returns {object|null}
+ */
+export function mergeWithRemoteSave(localSave, remoteSave) {
+    return mergeGameSaves(remoteSave, localSave);
+}
+
+/**
+ * Upload the local save. When another device wrote first the server rejects the write
+ * and returns its merged copy; that copy is folded into local storage (picking up
+ * anything earned locally in the meantime) and uploaded again on the new revision.
+ * @param {import('./api.js').API} api
+ * @param {string} userId
+ * @returns {Promise<{ uploaded: boolean, merged: boolean }>}
+ */
+export async function uploadGameSave(api, userId) {
+    let merged = false;
+    for (let attempt = 0; attempt < 2; attempt++) {
+        const gameSave = captureLocalGameSave();
+        if (!gameSave) {
+            return { uploaded: false, merged };
+        }
+
+        try {
+            const result = await api.updateGameSave(gameSave, getLocalSaveRevision(userId));
+            setLocalSaveRevision(userId, result?.revision);
+            return { uploaded: true, merged };
+        } catch (error) {
+            if (error?.code !== 'SAVE_CONFLICT' || !error.data?.gameSave) {
+                throw error;
+            }
+            applyGameSaveToLocal(mergeWithRemoteSave(captureLocalGameSave(), error.data.gameSave));
+            setLocalSaveRevision(userId, error.data.revision);
+            merged = true;
+        }
     }
-    if (!localSave?.player) {
-        return remoteSave;
+    return { uploaded: false, merged };
+}
+
+/**
+ * Restore an earlier cloud save (see server/saveHistory.js) and make it this device's
+ * save. The caller reloads so every system starts from the restored state.
+ * @param {import('./api.js').API} api
+ * @param {string} userId
+ * @param {string} snapshotId
+ */
+export async function restoreCloudSaveSnapshot(api, userId, snapshotId) {
+    const restored = await api.restoreSaveSnapshot(snapshotId);
+    if (!restored?.gameSave || !applyGameSaveToLocal(restored.gameSave)) {
+        throw new Error('Restored save was empty.');
     }
-    const localTs = localSave.savedAt || 0;
-    const remoteTs = remoteSave.savedAt || 0;
-    return remoteTs >= localTs ? remoteSave : localSave;
+    setLocalSaveRevision(userId, restored.revision);
+    return restored;
 }
@@ -0,0 +1,22 @@
+/**
+ * Admin permissions. Roles (owner, moderator, support, …) live in the server's admin_roles
+ * table, each with a list of these; the configured admin account is always an owner.
+ */
+
+export const ADMIN_PERMISSIONS = {
+    ANNOUNCEMENTS: 'announcements',
+    MODERATION: 'moderation',
+    ECONOMY: 'economy',
+    PLAYER_DELETION: 'player_deletion',
+    ROLES: 'roles'
+};
+
+export const ADMIN_PERMISSION_LABELS = {
+    announcements: 'Broadcasts',
+    moderation: 'Moderation',
+    economy: 'Mail, restores & tournaments',
+    player_deletion: 'Delete accounts',
+    roles: 'Assign roles'
+};
+
+export const OWNER_ROLE = 'owner';
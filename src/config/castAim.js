@@ -0,0 +1,23 @@
+/** Aimed casting — drag to steer, hold for power, accuracy sets the scatter. */
+
+/** Cast distance from the cat (world units) at zero and full power. */
+export const CAST_AIM_MIN_DISTANCE = 6;
+export const CAST_AIM_MAX_DISTANCE = 36;
+
+/** Widest steer left/right of straight ahead (degrees), reached after dragging CAST_AIM_DRAG_PX. */
+export const CAST_AIM_MAX_YAW_DEG = 28;
+export const CAST_AIM_DRAG_PX = 120;
+
+/** The power meter fills and empties once per cycle while the cast button is held. */
+export const CAST_POWER_CYCLE_SEC = 1.8;
+
+/**
+ * Landing scatter radius (world units) at full power for the worst and best accuracy stat.
+ * Shorter casts scatter less: radius × (CAST_SCATTER_MIN_SHARE + (1 - share) × power).
+ */
+export const CAST_SCATTER_AT_MIN_ACCURACY = 7;
+export const CAST_SCATTER_AT_MAX_ACCURACY = 1;
+export const CAST_SCATTER_MIN_SHARE = 0.35;
+
+/** Hold shorter than this and the cast is a plain tap (random spot, as before aiming existed). */
+export const CAST_AIM_TAP_SEC = 0.18;
@@ -0,0 +1,52 @@
+/**
+ * Fight length — the weight bands calculateFightDuration rolls from and every multiplier that
+ * can shorten a fight. The server imports this to work out the quickest a catch can land
+ * (server/catchValidation.js), so anything that speeds fights up belongs here.
+ */
+
+import { FIGHT_PROFILES } from './fightProfiles.js';
+import { REEL_HARD_FIGHT_RATE } from './lineTension.js';
+
+/** Fights last base + random × variation seconds, by the fish's weight (lbs, exclusive upper bound). */
+export const FIGHT_DURATION_BANDS = [
+    { below: 3, base: 4, variation: 3 },
+    { below: 4, base: 7, variation: 3 },
+    { below: 6, base: 10, variation: 3 },
+    { below: 10, base: 13, variation: 3 },
+    { below: Infinity, base: 16, variation: 4 }
+];
+
+/** Fast reels trim the fight, but never below this share of it. */
+export const MIN_REEL_FIGHT_DURATION_MULTIPLIER = 0.5;
+
+/** Quickest-fighting profile's durationScale. */
+export const MIN_FIGHT_DURATION_SCALE = Math.min(
+    ...Object.values(FIGHT_PROFILES).map((profile) => profile.durationScale)
+);
+
+/**
+ * Fastest a fight can run against its rolled duration: the fight clock while reeling hard,
+ * and the cap on active stamina drain (see ReelingFight).
+ */
+export const MAX_FIGHT_SPEEDUP = REEL_HARD_FIGHT_RATE;
+
+/**
+ * @param {number} weight
+ * @returns {{ below: number, base: number, variation: number }}
+ */
+export function getFightDurationBand(weight) {
+    return FIGHT_DURATION_BANDS.find((band) => weight < band.below);
+}
+
+/**
+ * Shortest real time a fight for this weight can take: lowest roll, quickest profile,
+ * fastest reel, reeling hard the whole way.
+ * @param {number} weight
+ * @returns {number} Seconds
+ */
+export function getMinFightSeconds(weight) {
+    return getFightDurationBand(weight).base
+        * MIN_FIGHT_DURATION_SCALE
+        * MIN_REEL_FIGHT_DURATION_MULTIPLIER
+        / MAX_FIGHT_SPEEDUP;
+}
@@ -0,0 +1,115 @@
+/** Species fight behaviour — the moves a hooked fish strings together and how each one looks and pulls. */
+
+/**
+ * One fight move.
+ * duration: [min, max] seconds before the next move is picked.
+ * speed: multiplier on Fish.speedFight. heading: 'random' | 'away' (straight off the dock) | 'hold'.
+ * tautness: 0 slack → 1 bar-tight line in rope.js. depth / lift: extra bobber submerge / pop (world units).
+ * splash: Splash.triggerFightSplash kind at the start of the move, or null.
+ * tug: multiplier on bobber tug strength; tugRate shortens the gap between tugs.
+ * load: multiplier on the fish's pull in LineTension.
+ * stance: cat reeling stance — 'reel' | 'brace' (straining against a run or dive) | 'scramble' (taking up slack).
+ */
+export const FIGHT_MOVES = {
+    wander: {
+        duration: [0.8, 1.2],
+        speed: 1,
+        heading: 'random',
+        tautness: 0.6,
+        depth: 0,
+        lift: 0,
+        splash: null,
+        tug: 1,
+        tugRate: 1,
+        load: 1,
+        stance: 'reel'
+    },
+    run: {
+        duration: [1.2, 2.2],
+        speed: 2.6,
+        heading: 'away',
+        tautness: 1,
+        depth: 0.05,
+        lift: 0,
+        splash: 'wake',
+        tug: 1.35,
+        tugRate: 1.3,
+        load: 1.35,
+        stance: 'brace'
+    },
+    jump: {
+        duration: [0.7, 1.0],
+        speed: 1.2,
+        heading: 'random',
+        tautness: 0.1,
+        depth: 0,
+        lift: 0.55,
+        splash: 'jump',
+        tug: 0.4,
+        tugRate: 0.5,
+        load: 0.6,
+        stance: 'scramble'
+    },
+    dive: {
+        duration: [1.6, 2.6],
+        speed: 0.5,
+        heading: 'hold',
+        tautness: 1,
+        depth: 0.3,
+        lift: 0,
+        splash: null,
+        tug: 1.2,
+        tugRate: 0.7,
+        load: 1.25,
+        stance: 'brace'
+    },
+    headShake: {
+        duration: [0.6, 1.0],
+        speed: 0.25,
+        heading: 'hold',
+        tautness: 0.85,
+        depth: 0.02,
+        lift: 0,
+        splash: 'shake',
+        tug: 1.5,
+        tugRate: 2.5,
+        load: 1.15,
+        stance: 'reel'
+    },
+    thrash: {
+        duration: [0.8, 1.4],
+        speed: 0.6,
+        heading: 'random',
+        tautness: 0.7,
+        depth: 0,
+        lift: 0.18,
+        splash: 'thrash',
+        tug: 1.25,
+        tugRate: 1.8,
+        load: 1.1,
+        stance: 'reel'
+    }
+};
+
+/**
+ * Weighted move tables by profile. durationScale stretches calculateFightDuration —
+ * divers slug it out, thrashers burn out quickly.
+ */
+export const FIGHT_PROFILES = {
+    steady: { durationScale: 1, moves: { wander: 6, run: 1 } },
+    runner: { durationScale: 1.1, moves: { wander: 3, run: 4, headShake: 1 } },
+    leaper: { durationScale: 1.05, moves: { wander: 3, run: 2, jump: 3, headShake: 1 } },
+    diver: { durationScale: 1.2, moves: { wander: 3, dive: 4, run: 1, headShake: 1 } },
+    shaker: { durationScale: 0.95, moves: { wander: 4, headShake: 3, run: 1 } },
+    thrasher: { durationScale: 0.9, moves: { wander: 3, thrash: 4, headShake: 1 } }
+};
+
+/** Species without a `fight` entry in FishTypes. */
+export const DEFAULT_FIGHT_PROFILE = 'steady';
+
+/** Reeling clip speed per cat stance — slow and heavy when braced, frantic when winding up slack. */
+export const FIGHT_STANCE_TIME_SCALE = {
+    reel: 1,
+    brace: 0.55,
+    scramble: 1.7
+};
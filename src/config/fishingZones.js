@@ -0,0 +1,55 @@
+/**
+ * Fishing zones — fixed patches of water per location with their own spawn table. A bobber
+ * that lands inside one rolls from the zone's fishSpawnWeights instead of the location's
+ * (same id → weight format as Locations fishSpawnWeights). Shapes are world-space XZ:
+ *   { type: 'circle', x, z, radius }
+ *   { type: 'ring', x, z, inner, outer }
+ *   { type: 'rect', xMin, xMax, zMin, zMax }
+ */
+
+export const FISHING_ZONES = {
+    // Shallow weed beds in front of the dock; pondSubmergedGrass.js packs extra blades into them
+    'Crescent Pond': [
+        {
+            id: 'crescent-west-weeds',
+            label: 'Weed beds',
+            description: 'Sunfish and bass hide in the shallow weeds.',
+            shape: { type: 'circle', x: -8, z: 12, radius: 5.5 },
+            fishSpawnWeights: { 0: 20, 1: 45, 2: 35 }
+        },
+        {
+            id: 'crescent-east-weeds',
+            label: 'Weed beds',
+            description: 'Sunfish and bass hide in the shallow weeds.',
+            shape: { type: 'circle', x: 10, z: 22, radius: 6.5 },
+            fishSpawnWeights: { 0: 20, 1: 45, 2: 35 }
+        }
+    ],
+    // The outer rim of the coral ring around the boat (colonies stop 20 units out)
+    'Coral Kingdoms': [
+        {
+            id: 'coral-reef-edge',
+            label: 'Reef edge',
+            description: 'Lionfish and angelfish patrol where the coral drops off.',
+            shape: { type: 'ring', x: 0, z: -1.5, inner: 16, outer: 23 },
+            fishSpawnWeights: { 34: 12, 35: 22, 36: 18, 37: 28, 38: 20 }
+        }
+    ],
+    // Mangrove roots lining both sides of the dock channel
+    'Cortez Backwaters': [
+        {
+            id: 'cortez-west-roots',
+            label: 'Mangrove roots',
+            description: 'Snook and redfish ambush from the roots.',
+            shape: { type: 'rect', xMin: -13, xMax: -4.5, zMin: -9, zMax: 12 },
+            fishSpawnWeights: { 39: 16, 40: 8, 41: 24, 42: 24, 43: 20, 44: 8 }
+        },
+        {
+            id: 'cortez-east-roots',
+            label: 'Mangrove roots',
+            description: 'Snook and redfish ambush from the roots.',
+            shape: { type: 'rect', xMin: 4.5, xMax: 13, zMin: -9, zMax: 12 },
+            fishSpawnWeights: { 39: 16, 40: 8, 41: 24, 42: 24, 43: 20, 44: 8 }
+        }
+    ]
+};
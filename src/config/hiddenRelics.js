@@ -3,6 +3,8 @@
  * Collect all ten to forge the Starlight Lure and unlock the Celestial Depths.
  */
 
+import { getLocationPack } from '../locationPacks.js';
+
 export const STARLIGHT_LURE_BAIT_ID = 6;
 export const STARLIGHT_LURE_BAIT_NAME = 'Starlight Lure';
 export const CELESTIAL_DEPTHS_LOCATION_INDEX = 9;
@@ -121,7 +123,12 @@ export function getRelicById(id) {
     return HIDDEN_RELICS.find((relic) => relic.id === id) || null;
 }
 
+/** Relic hidden at a location — the pack's `relic` id, else matched by region name. */
 export function getRelicForGameLocation(locationName) {
     if (!locationName) return null;
+    const packRelic = getLocationPack(locationName)?.relic;
+    if (packRelic) {
+        return getRelicById(packRelic);
+    }
     return HIDDEN_RELICS.find((relic) => relic.location === locationName) || null;
 }
@@ -0,0 +1,42 @@
+/** Fishing hotspots — patches of active water that are worth casting into. */
+
+/** Hotspots on the water at once. */
+export const HOTSPOT_COUNT = 2;
+
+/** Radius (world units) a bobber must land within to count. */
+export const HOTSPOT_RADIUS = 3.5;
+
+/** Each hotspot moves to a new patch of water after this long. */
+export const HOTSPOT_RELOCATE_SEC = 150;
+
+/** Hotspots wander slowly (units/sec), turning up to this much per second, within range of where they appeared. */
+export const HOTSPOT_DRIFT_SPEED = 0.35;
+export const HOTSPOT_DRIFT_TURN_RATE = 0.8;
+export const HOTSPOT_DRIFT_RANGE = 6;
+
+/** Chance a new hotspot appears inside one of the location's fishing zones (see fishingZones.js). */
+export const HOTSPOT_ZONE_CHANCE = 0.6;
+
+/** Surface cue per hotspot: a cluster of rising-fish ripples, or birds circling overhead. */
+export const HOTSPOT_CUES = ['ripples', 'birds'];
+
+/** Spawn weight multiplier by rarity for fish hooked in a hotspot. */
+export const HOTSPOT_RARITY_MULTIPLIERS = {
+    Common: 0.7,
+    Uncommon: 1.1,
+    Rare: 1.6,
+    Epic: 1.9,
+    Legendary: 2,
+    Trophy: 2
+};
+
+/** Bites come this much sooner in a hotspot. */
+export const HOTSPOT_BITE_TIME_MULTIPLIER = 0.6;
+
+/** Seconds between ripple rings at a 'ripples' hotspot. */
+export const HOTSPOT_RIPPLE_INTERVAL_SEC = 1.1;
+
+/** Birds per 'birds' hotspot and how high / wide they circle. */
+export const HOTSPOT_BIRD_COUNT = 3;
+export const HOTSPOT_BIRD_HEIGHT = 4.5;
+export const HOTSPOT_BIRD_ORBIT = 2.2;
@@ -0,0 +1,118 @@
+/** Line depth modes and lure retrieves — how the rig is fished while waiting for a bite. */
+
+/**
+ * Where the rig sits. `requires` names an equipped gear slot and item (see tackleShop.js).
+ * Float is the default and needs nothing.
+ */
+export const LINE_MODES = [
+    { id: 'float', label: 'Float', icon: '🎈', description: 'Bobber on top, bait hanging just below the surface.' },
+    { id: 'bottom', label: 'Bottom', icon: '⚓', description: 'Sinker down, bait resting on the bed.' },
+    {
+        id: 'trolling',
+        label: 'Trolling',
+        icon: '〰️',
+        description: 'Lure swept slowly through mid-water.',
+        requires: { slot: 'bait', item: 'Artificial Lure' }
+    }
+];
+
+export const DEFAULT_LINE_MODE = 'float';
+
+/** Retrieves the player can work while waiting. */
+export const RETRIEVE_STYLES = [
+    {
+        id: 'twitch',
+        label: 'Twitch',
+        icon: '⚡',
+        description: 'Sharp little jerks that make the lure dart.',
+        requires: { slot: 'bait', item: 'Artificial Lure' }
+    },
+    { id: 'steady', label: 'Steady', icon: '➖', description: 'A slow, even pull back toward you.' },
+    {
+        id: 'jig',
+        label: 'Jig',
+        icon: '↕️',
+        description: 'Hop the rig up and let it flutter back down.',
+        requires: { slot: 'hook', item: 'Jig Hook' }
+    }
+];
+
+/**
+ * How each retrieve moves the rig: pulled `pull` units toward the rod over `duration` seconds,
+ * dipping up to `dip` below its resting height `hops` times.
+ */
+export const RETRIEVE_MOTION = {
+    twitch: { duration: 0.35, pull: 0.45, dip: 0.05, hops: 1 },
+    steady: { duration: 1.6, pull: 1.4, dip: 0, hops: 0 },
+    jig: { duration: 1.2, pull: 0.2, dip: 0.12, hops: 3 }
+};
+
+/** Seconds between retrieves. */
+export const RETRIEVE_COOLDOWN_SEC = 1.2;
+
+/**
+ * How each mode draws while waiting (rope.js): how far the bobber rides below its usual float
+ * height, how much of the idle bob is kept, and the line's sag as a share of its length.
+ */
+export const LINE_MODE_RENDER = {
+    float: { bobberDrop: 0, bounce: 1, sag: 0.18 },
+    bottom: { bobberDrop: 0.07, bounce: 0.35, sag: 0.07 },
+    trolling: { bobberDrop: 0.03, bounce: 0.5, sag: 0.05 }
+};
+
+/** Trolling sweeps the lure sideways this fast (units/sec) while waiting. */
+export const TROLLING_DRIFT_SPEED = 0.35;
+
+/** Spawn weight multipliers when the line mode / last retrieve matches a species' preference or not. */
+export const LINE_MODE_MATCH_MULTIPLIER = 2;
+export const LINE_MODE_MISMATCH_MULTIPLIER = 0.5;
+export const RETRIEVE_MATCH_MULTIPLIER = 1.8;
+export const RETRIEVE_MISMATCH_MULTIPLIER = 0.8;
+
+/** Preferred line mode and retrieve per fish id (species not listed take anything). */
+export const SPECIES_TECHNIQUES = {
+    0: { lineMode: 'float', retrieve: 'twitch' },      // Minnow
+    1: { lineMode: 'float', retrieve: 'twitch' },      // Sunfish
+    2: { lineMode: 'bottom', retrieve: 'jig' },        // Bass
+    3: { lineMode: 'bottom', retrieve: 'jig' },        // Perch
+    4: { lineMode: 'float', retrieve: 'jig' },         // Crappie
+    5: { lineMode: 'float', retrieve: 'steady' },      // Trout
+    6: { lineMode: 'trolling', retrieve: 'steady' },   // Pike
+    7: { lineMode: 'bottom', retrieve: 'jig' },        // Walleye
+    8: { lineMode: 'trolling', retrieve: 'twitch' },   // Muskie
+    9: { lineMode: 'bottom', retrieve: 'steady' },     // Carp
+    10: { lineMode: 'trolling', retrieve: 'steady' },  // Salmon
+    11: { lineMode: 'bottom', retrieve: 'steady' },    // Catfish
+    12: { lineMode: 'bottom', retrieve: 'steady' },    // Sturgeon
+    13: { lineMode: 'trolling', retrieve: 'twitch' },  // Marlin
+    14: { lineMode: 'trolling', retrieve: 'steady' },  // Tuna
+    15: { lineMode: 'bottom', retrieve: 'jig' },       // Crystal Bass
+    16: { lineMode: 'float', retrieve: 'twitch' },     // Golden Trout
+    17: { lineMode: 'trolling', retrieve: 'twitch' },  // Ice Pike
+    18: { lineMode: 'bottom', retrieve: 'steady' },    // Shadow Catfish
+    19: { lineMode: 'bottom', retrieve: 'jig' },       // Abyssal Eel
+    20: { lineMode: 'bottom', retrieve: 'steady' },    // Ancient Sturgeon
+    21: { lineMode: 'trolling', retrieve: 'steady' },  // Leviathan
+    22: { lineMode: 'float', retrieve: 'twitch' },     // Phoenix Fish
+    23: { lineMode: 'bottom', retrieve: 'steady' },    // Dragon Carp
+    24: { lineMode: 'trolling', retrieve: 'jig' },     // Tournament King
+    25: { lineMode: 'bottom', retrieve: 'jig' },       // Trophy Bass
+    26: { lineMode: 'trolling', retrieve: 'twitch' },  // Trophy Pike
+    27: { lineMode: 'trolling', retrieve: 'steady' },  // Trophy Salmon
+    28: { lineMode: 'trolling', retrieve: 'twitch' },  // Trophy Marlin
+    29: { lineMode: 'trolling', retrieve: 'steady' },  // Trophy Tuna
+    30: { lineMode: 'bottom', retrieve: 'steady' },    // Trophy Sturgeon
+    31: { lineMode: 'bottom', retrieve: 'steady' },    // Trophy Catfish
+    32: { lineMode: 'trolling', retrieve: 'jig' },     // Trophy King
+    34: { lineMode: 'float', retrieve: 'twitch' },     // Clownfish
+    35: { lineMode: 'float', retrieve: 'steady' },     // Blue Tang
+    36: { lineMode: 'bottom', retrieve: 'steady' },    // Pufferfish
+    37: { lineMode: 'bottom', retrieve: 'jig' },       // Lionfish
+    38: { lineMode: 'float', retrieve: 'twitch' },     // Queen Angelfish
+    39: { lineMode: 'float', retrieve: 'twitch' },     // Speckled Trout
+    40: { lineMode: 'bottom', retrieve: 'jig' },       // Southern Flounder
+    41: { lineMode: 'bottom', retrieve: 'steady' },    // Sheepshead
+    42: { lineMode: 'bottom', retrieve: 'jig' },       // Redfish
+    43: { lineMode: 'trolling', retrieve: 'twitch' },  // Snook
+    44: { lineMode: 'float', retrieve: 'steady' }      // Tarpon
+};
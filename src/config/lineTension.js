@@ -0,0 +1,73 @@
+/** Line tension during HOOKED_FIGHT — fish pull vs. rod, line and reel ratings. */
+
+/** How hard a fish pulls relative to its weight, by rarity. Species below override it. */
+export const RARITY_AGGRESSION = {
+    Common: 0.8,
+    Uncommon: 1,
+    Rare: 1.15,
+    Epic: 1.3,
+    Trophy: 1.35,
+    Legendary: 1.5,
+    Mythic: 1
+};
+
+export const SPECIES_AGGRESSION = {
+    Minnow: 0.5,
+    Sunfish: 0.6,
+    Carp: 0.85,
+    Pike: 1.25,
+    Muskie: 1.4,
+    Salmon: 1.3,
+    Catfish: 1.05,
+    Sturgeon: 1.1,
+    Marlin: 1.6,
+    Tuna: 1.5,
+    'Ice Pike': 1.45,
+    'Abyssal Eel': 1.4,
+    Leviathan: 1.7,
+    'Trophy Marlin': 1.7,
+    'Trophy Tuna': 1.6,
+    Pufferfish: 0.6,
+    Snook: 1.35,
+    Tarpon: 1.65
+};
+
+/** Gauge value at which the line is overloaded; staying there for SNAP_OVERLOAD_SEC breaks it. */
+export const TENSION_SNAP_THRESHOLD = 1;
+export const TENSION_SNAP_OVERLOAD_SEC = 0.5;
+
+/** Each strength point above/below 50 stretches (or shortens) how long the line can stay overloaded. */
+export const STRENGTH_SNAP_TOLERANCE_PER_POINT = 0.01;
+
+/** Gauge turns red above this. */
+export const TENSION_DANGER = 0.75;
+
+/** Letting the reel run on its own never pushes the gauge past this, so only reeling hard can snap. */
+export const TENSION_PASSIVE_CAP = 0.92;
+
+/** Converts load / line rating into the 0–1 gauge. */
+export const TENSION_SCALE = 0.45;
+
+/** Extra load while the player holds to reel hard, and how much faster the fight clock runs. */
+export const REEL_HARD_LOAD = 0.6;
+export const REEL_HARD_FIGHT_RATE = 1.75;
+
+/** Line rating = base + strength / points-per-rating (Monofilament = 1, Titanium = 2.25). */
+export const LINE_BASE_RATING = 0.5;
+export const LINE_STRENGTH_PER_RATING = 20;
+
+/** Rod strength above the Basic Rod soaks up this share of the fish's pull per point. */
+export const ROD_ABSORB_PER_POINT = 1 / 80;
+
+/** Fish runs: average gap between surges (sec, divided by aggression) and extra pull at base smoothness. */
+export const SURGE_INTERVAL_SEC = 2.6;
+export const SURGE_DURATION_SEC = 0.9;
+export const SURGE_PULL = 0.6;
+
+/** Reel smoothness damps surges and slows how quickly spikes reach the line. */
+export const SMOOTHNESS_SURGE_DAMPING_PER_POINT = 1 / 60;
+export const TENSION_RESPONSE_RATE = 6;
+export const SMOOTHNESS_RESPONSE_PER_POINT = 0.1;
+
+/** Each reel speedBonus point trims this share off calculateFightDuration. */
+export const REEL_SPEED_FIGHT_REDUCTION_PER_POINT = 0.01;
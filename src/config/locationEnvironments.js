@@ -0,0 +1,147 @@
+/**
+ * Sky, fog and light profiles a location pack can pick with `environment.profile`.
+ * `scene` goes to Scene.setEnvironment; `waterParticles` is laid over the particle
+ * defaults captured at startup (null keeps the defaults). `blending: 'additive'`
+ * stands in for THREE.AdditiveBlending so this file stays free of three.js.
+ */
+
+export const DEFAULT_ENVIRONMENT_PROFILE = 'DEFAULT';
+
+export const LOCATION_ENVIRONMENTS = {
+    DEFAULT: {
+        scene: {},
+        waterParticles: null
+    },
+    CELESTIAL: {
+        scene: {
+            background: 0x02040c,
+            fogColor: 0x050818,
+            fogNear: 18,
+            fogFar: 140,
+            hemisphereSkyColor: 0x7888a8,
+            hemisphereGroundColor: 0x010204,
+            hemisphereIntensity: 0.24,
+            directionalColor: 0xd8e8ff,
+            directionalIntensity: 0.54,
+            ambientColor: 0x1a2840,
+            ambientIntensity: 0.14,
+            rimIntensity: 0.04
+        },
+        waterParticles: {
+            size: 0.22,
+            opacity: 0.9,
+            blending: 'additive',
+            depthWrite: false,
+            color: 0xf4f8ff,
+            rotationSpeed: 0
+        }
+    },
+    FJORD: {
+        scene: {
+            fogColor: 0xc5d4e4,
+            fogNear: 30,
+            fogFar: 220,
+            hemisphereSkyColor: 0xa8bdd4,
+            hemisphereGroundColor: 0x3a4654,
+            hemisphereIntensity: 0.62,
+            directionalColor: 0xe6eef8,
+            directionalIntensity: 0.68,
+            ambientColor: 0x647888,
+            ambientIntensity: 0.4
+        },
+        waterParticles: null
+    },
+    CORAL: {
+        scene: {
+            fogColor: 0x72d8f2,
+            fogNear: 35,
+            fogFar: 190,
+            hemisphereSkyColor: 0xe8fbff,
+            hemisphereGroundColor: 0x1f8fb0,
+            hemisphereIntensity: 0.78,
+            directionalColor: 0xffffff,
+            directionalIntensity: 0.72,
+            ambientColor: 0xbdf5ff,
+            ambientIntensity: 0.32
+        },
+        waterParticles: null
+    },
+    CORTEZ: {
+        scene: {
+            fogColor: 0xb8d2c3,
+            fogNear: 26,
+            fogFar: 168,
+            hemisphereSkyColor: 0xfff4d6,
+            hemisphereGroundColor: 0x3d7a62,
+            hemisphereIntensity: 0.72,
+            directionalColor: 0xffe8b8,
+            directionalIntensity: 0.78,
+            ambientColor: 0x9ecfb8,
+            ambientIntensity: 0.38,
+            rimIntensity: 0.06
+        },
+        waterParticles: {
+            opacity: 0.55,
+            color: 0xd8f5e8
+        }
+    },
+    DEEP_REEF: {
+        scene: {
+            fogColor: 0x2a6cb0,
+            fogNear: 22,
+            fogFar: 175,
+            hemisphereSkyColor: 0x88c4f0,
+            hemisphereGroundColor: 0x0c2d5c,
+            hemisphereIntensity: 0.58,
+            directionalColor: 0xc0e0ff,
+            directionalIntensity: 0.64,
+            ambientColor: 0x2a68a8,
+            ambientIntensity: 0.32,
+            rimIntensity: 0.05
+        },
+        waterParticles: {
+            opacity: 0.44,
+            color: 0x5ab0e8
+        }
+    },
+    MOONLIGHT: {
+        scene: {
+            background: 0x02040c,
+            fogColor: 0x050818,
+            fogNear: 18,
+            fogFar: 140,
+            hemisphereSkyColor: 0x7888a8,
+            hemisphereGroundColor: 0x010204,
+            hemisphereIntensity: 0.24,
+            directionalColor: 0xd8e8ff,
+            directionalIntensity: 0.54,
+            ambientColor: 0x1a2840,
+            ambientIntensity: 0.14,
+            rimIntensity: 0.04
+        },
+        waterParticles: {
+            opacity: 0.32,
+            color: 0xc8d8f0
+        }
+    },
+    STORM: {
+        scene: {
+            background: 0x5a6570,
+            fogColor: 0x4a5560,
+            fogNear: 16,
+            fogFar: 128,
+            hemisphereSkyColor: 0x8a94a0,
+            hemisphereGroundColor: 0x2e3640,
+            hemisphereIntensity: 0.4,
+            directionalColor: 0xb8c2cc,
+            directionalIntensity: 0.34,
+            ambientColor: 0x5a6470,
+            ambientIntensity: 0.26,
+            rimIntensity: 0.03
+        },
+        waterParticles: {
+            opacity: 0.42,
+            color: 0xaab4be
+        }
+    }
+};
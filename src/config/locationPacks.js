@@ -0,0 +1,230 @@
+/**
+ * Location packs — everything one fishing spot needs, as plain data. Built-in packs are listed
+ * in location index order (saves store unlocks by index, so only ever append). Extra packs are
+ * JSON files in the same shape, loaded at startup from LOCATION_PACK_URLS or registered at
+ * runtime through locationPacks.js. The server registers the LOCATION_PACK_URLS files too
+ * (server/catchValidation.js), so catches at a pack validate without a server change; a pack
+ * registered only in the browser is unknown to it.
+ *
+ *   name, difficulty, description, cost, unlockLevel   — shown in the location selector
+ *   fish, fishSpawnWeights?, fishingZones?             — spawn table (fish ids from fishTypes.js,
+ *                                                        zones as in config/fishingZones.js)
+ *   waterBodyType                                      — POND | RIVER | LAKE | FJORD | OCEAN | CELESTIAL
+ *   water.features                                     — Water2Lake location effects (WATER_FEATURES)
+ *   submergedGrass                                     — pondSubmergedGrass profile, or null for none
+ *   platform: { type, boatRocking? }                   — DOCK | SMALL_BOAT | LARGE_BOAT, deck rocking scale
+ *   environment: { profile, moonlight?, hdriSky?, skyLook? }
+ *                                                      — profile from config/locationEnvironments.js,
+ *                                                        or inline { scene, waterParticles }
+ *   scenery                                            — scene modules to show (SCENERY_MODULES)
+ *   ambience: { track, includes? } | null              — AMBIENCE_TRACKS id or { src, volume };
+ *                                                        includes lists weather layers it already plays
+ *   camera: { portraitOffset? }                        — named offset or [x, y, z]
+ *   climate?                                           — weather transitions (see config/weather.js)
+ *   relic                                              — HIDDEN_RELICS id hidden here, or null
+ *   requiresStarlightLure?, requiresStarfishCatch?     — story gates
+ */
+
+import { CORTEZ_FISH_SPAWN_WEIGHTS } from './cortezBackwaters.js';
+import { FISHING_ZONES } from './fishingZones.js';
+
+export const WATER_BODY_TYPES = ['POND', 'RIVER', 'LAKE', 'FJORD', 'OCEAN', 'CELESTIAL'];
+export const PLATFORM_TYPES = ['DOCK', 'SMALL_BOAT', 'LARGE_BOAT'];
+
+/** Water2Lake toggles a pack can switch on, by feature id. */
+export const WATER_FEATURES = {
+    coralReef: 'setCoralReefEnabled',
+    cortezBackwaters: 'setCortezBackwatersEnabled',
+    craggyCoast: 'setCraggyCoastEnabled',
+    stormbreakerBay: 'setStormbreakerBayEnabled',
+    forgottenReefs: 'setForgottenReefsEnabled',
+    twilightTrench: 'setTwilightTrenchEnabled',
+    amazonAnaconda: 'setAmazonAnacondaEnabled',
+    fjordIceFloes: 'setFjordIceFloesEnabled'
+};
+
+/** Extra pack JSON files fetched before the location list is built. */
+export const LOCATION_PACK_URLS = [];
+
+export const BUILTIN_LOCATION_PACKS = [
+    {
+        id: 'crescent-pond',
+        name: 'Crescent Pond',
+        difficulty: 'Easy',
+        fish: [0, 1, 2],
+        cost: 0,
+        unlockLevel: 1,
+        description: "Halley's home pond — where the smallest ripples began",
+        waterBodyType: 'POND',
+        platform: { type: 'DOCK' },
+        fishingZones: FISHING_ZONES['Crescent Pond'],
+        submergedGrass: 'crescent',
+        environment: { profile: 'DEFAULT', skyLook: 'crescentPond' },
+        scenery: ['crescentFarShore', 'crescentPondSky', 'crescentPondVegetation'],
+        ambience: { track: 'crescentPond' },
+        relic: 'weathered_bobber'
+    },
+    {
+        id: 'amazon-depths',
+        name: 'Amazon Depths',
+        difficulty: 'Easy',
+        fish: [0, 1, 2, 3],
+        cost: 0,
+        unlockLevel: 2,
+        description: 'Jungle rivers where the stars still whisper their names',
+        waterBodyType: 'RIVER',
+        platform: { type: 'DOCK' },
+        water: { features: ['amazonAnaconda'] },
+        ambience: { track: 'amazonDepths' },
+        relic: 'message_in_bottle'
+    },
+    {
+        id: 'coral-kingdoms',
+        name: 'Coral Kingdoms',
+        difficulty: 'Medium',
+        fish: [34, 35, 36, 37, 38],
+        cost: 50,
+        unlockLevel: 3,
+        description: 'Shallow reefs hiding treasures that remember your name',
+        waterBodyType: 'LAKE',
+        // Calm the small boat over the reef
+        platform: { type: 'SMALL_BOAT', boatRocking: 0.04 },
+        water: { features: ['coralReef'] },
+        fishingZones: FISHING_ZONES['Coral Kingdoms'],
+        environment: { profile: 'CORAL' },
+        relic: 'sunken_treasure'
+    },
+    {
+        id: 'frozen-fjords',
+        name: 'Frozen Fjords',
+        difficulty: 'Hard',
+        fish: [15, 16, 17, 18],
+        cost: 200,
+        unlockLevel: 9,
+        description: 'Ice-bound waters where even time can sleep',
+        waterBodyType: 'FJORD',
+        platform: { type: 'SMALL_BOAT' },
+        water: { features: ['fjordIceFloes'] },
+        environment: { profile: 'FJORD' },
+        relic: 'frozen_pocket_watch'
+    },
+    {
+        id: 'craggy-coast',
+        name: 'Craggy Coast',
+        difficulty: 'Expert',
+        fish: [6, 7, 8, 9],
+        cost: 300,
+        unlockLevel: 12,
+        description: 'Rugged shores where hunters become seekers',
+        waterBodyType: 'LAKE',
+        platform: { type: 'SMALL_BOAT' },
+        water: { features: ['craggyCoast'] },
+        ambience: { track: 'craggyCoast', includes: ['wind'] },
+        relic: 'broken_harpoon'
+    },
+    {
+        id: 'sandy-shoals',
+        name: 'Sandy Shoals',
+        difficulty: 'Medium',
+        fish: [10, 11, 12],
+        cost: 100,
+        unlockLevel: 6,
+        description: 'Sun-warmed shallows — the sea never forgets its course',
+        waterBodyType: 'OCEAN',
+        platform: { type: 'LARGE_BOAT' },
+        relic: 'driftwood_compass'
+    },
+    {
+        id: 'stormbreaker-bay',
+        name: 'Stormbreaker Bay',
+        difficulty: 'Hard',
+        fish: [12, 13, 14],
+        cost: 250,
+        unlockLevel: 10,
+        description: 'Storm-lashed waters — the path forward rides the current',
+        waterBodyType: 'OCEAN',
+        // Normal deck rocking — the swell is in the water shader
+        platform: { type: 'LARGE_BOAT' },
+        water: { features: ['stormbreakerBay'] },
+        environment: { profile: 'STORM', hdriSky: false },
+        ambience: { track: 'stormbreakerBay', includes: ['wind'] },
+        relic: 'map_fragment'
+    },
+    {
+        id: 'forgotten-reefs',
+        name: 'Forgotten Reefs',
+        difficulty: 'Expert',
+        fish: [25, 26, 27, 28, 29, 30, 31, 32],
+        cost: 500,
+        unlockLevel: 15,
+        description: 'Lost coral gardens where two lights were born as one',
+        waterBodyType: 'OCEAN',
+        platform: { type: 'LARGE_BOAT' },
+        water: { features: ['forgottenReefs'] },
+        environment: { profile: 'DEEP_REEF' },
+        relic: 'coral_pendant'
+    },
+    {
+        id: 'twilight-trench',
+        name: 'Twilight Trench',
+        difficulty: 'Expert',
+        fish: [19, 20, 21, 22, 23],
+        cost: 400,
+        unlockLevel: 14,
+        description: 'The deepest trench — the ocean remembers every spark',
+        waterBodyType: 'OCEAN',
+        platform: { type: 'LARGE_BOAT' },
+        water: { features: ['twilightTrench'] },
+        environment: { profile: 'MOONLIGHT', moonlight: true },
+        relic: 'luminescent_shell'
+    },
+    {
+        id: 'celestial-depths',
+        name: 'Celestial Depths',
+        difficulty: 'Legendary',
+        fish: [33],
+        cost: 0,
+        unlockLevel: 99,
+        description: 'A star-lit abyss where ocean and sky become one',
+        waterBodyType: 'CELESTIAL',
+        platform: { type: 'LARGE_BOAT' },
+        environment: { profile: 'CELESTIAL', moonlight: true },
+        // Only plays once the Starlight Lure has opened the way
+        ambience: { track: 'celestialDepths' },
+        requiresStarlightLure: true
+    },
+    {
+        id: 'desert-lagoon',
+        name: 'Desert Lagoon',
+        difficulty: 'Hard',
+        fish: [4, 5, 6, 7],
+        cost: 150,
+        unlockLevel: 8,
+        description: 'Hidden oasis — look to the stars that guide the waves',
+        waterBodyType: 'POND',
+        platform: { type: 'DOCK' },
+        scenery: ['desertLagoonPalms'],
+        relic: 'buried_telescope'
+    },
+    {
+        id: 'cortez-backwaters',
+        name: 'Cortez Backwaters',
+        difficulty: 'Hard',
+        fish: [39, 40, 41, 42, 43, 44],
+        cost: 0,
+        unlockLevel: 99,
+        description: 'Weathered docks and warm Gulf tides — the Silver King still rules these backwaters',
+        waterBodyType: 'LAKE',
+        platform: { type: 'DOCK' },
+        fishSpawnWeights: CORTEZ_FISH_SPAWN_WEIGHTS,
+        fishingZones: FISHING_ZONES['Cortez Backwaters'],
+        water: { features: ['cortezBackwaters'] },
+        submergedGrass: 'cortez',
+        environment: { profile: 'CORTEZ' },
+        scenery: ['cortezMangroves', 'cortezDockWater'],
+        ambience: { track: 'cortezBackwaters' },
+        // Raised and pulled back so the portrait pan clears the mangrove canopy
+        camera: { portraitOffset: 'cortez' },
+        requiresStarfishCatch: true
+    }
+];
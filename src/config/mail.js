@@ -0,0 +1,18 @@
+/**
+ * Reward mail — gifts admins send to one player, a segment, or everyone.
+ * Caps are enforced by the server; the client only uses them to size the admin form.
+ */
+
+export const MAIL_MAX_COINS = 100000;
+export const MAIL_MAX_ENERGY = 500;
+export const MAIL_MAX_TACKLE_ITEMS = 5;
+
+/** Unclaimed mail disappears after this many days unless the sender picks another expiry. */
+export const MAIL_DEFAULT_EXPIRY_DAYS = 30;
+export const MAIL_MAX_EXPIRY_DAYS = 90;
+
+/** Claimed mail ids kept in the save (oldest dropped first; the server refuses repeats anyway). */
+export const CLAIMED_MAIL_LIMIT = 200;
+
+/** How often the inbox badge checks for new mail while online. */
+export const MAIL_POLL_MS = 60000;
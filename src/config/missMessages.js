@@ -156,6 +156,28 @@ export const RARE_LEGENDARY_ESCAPES = [
     'Today, the legend remains free.'
 ];
 
+export const LINE_SNAP_ESCAPES = [
+    'Snap! Thanks for the free jewelry.',
+    'Your line gave up before I did.',
+    'Pull harder next time. Oh wait.',
+    'That string was never going to hold me.',
+    'I\'ll wear your hook with pride.',
+    'Gentle, Halley. Gentle.',
+    'Note to self: cheap line, big fish, bad idea.',
+    'Twang! There goes dinner.',
+    'Maybe let the reel do some of the work.',
+    'Heavier line. Softer paws.'
+];
+
+export const THREW_HOOK_ESCAPES = [
+    'Slack line? Don\'t mind if I do.',
+    'A little shake and I\'m free.',
+    'You stopped reeling. I stopped staying.',
+    'Keep it tight next time, Halley.',
+    'One jump and the hook was history.',
+    'Hold on, let go, hold on... make up your mind.'
+];
+
 const RARE_RARITIES = new Set(['Rare', 'Epic', 'Legendary', 'Trophy']);
 
 function pickRandom(list) {
@@ -208,6 +230,14 @@ export function pickMissMessage(options = {}) {
         return pickRandom(HALLEY_THINKING);
     }
 
+    if (reasonLower.includes('snapped') && Math.random() < 0.7) {
+        return pickRandom(LINE_SNAP_ESCAPES);
+    }
+
+    if (reasonLower.includes('threw the hook') && Math.random() < 0.7) {
+        return pickRandom(THREW_HOOK_ESCAPES);
+    }
+
     const sizeClass = classifyEscapedFish(fish);
     const tooEager = reasonLower.includes('too eager');
 
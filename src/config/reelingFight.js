@@ -0,0 +1,45 @@
+/** Active reeling fight — fish stamina vs. hook hold, and the passive fallback setting. */
+
+/**
+ * 'active': hold to reel and release on runs; the fish lands when its stamina is spent and
+ * can throw the hook if the line stays slack.
+ * 'passive': accessibility fallback — the catch roll at hook-set decides and the fight plays
+ * out on its timer (holding still reels hard, but nothing is required).
+ */
+export const FIGHT_CONTROL_MODES = ['active', 'passive'];
+export const DEFAULT_FIGHT_CONTROL_MODE = 'active';
+export const FIGHT_CONTROL_MODE_LABELS = {
+    active: 'Active reeling (hold and release)',
+    passive: 'Passive fights (no input needed)'
+};
+
+/**
+ * Stamina runs from 1 to 0 over the fight. Its base drain is 1 / calculateFightDuration, scaled
+ * by these while the player holds to reel or lets the fish run. Reeling drain (with the strength
+ * bonus) is capped at MAX_FIGHT_SPEEDUP in config/fightDuration.js.
+ */
+export const STAMINA_DRAIN_REELING = 1.6;
+export const STAMINA_DRAIN_RELEASED = 0.45;
+
+/** Share of the base drain the fish wins back per second while it runs or dives against a slack reel. */
+export const STAMINA_RECOVERY_ON_RUN = 0.35;
+
+/**
+ * Hook hold runs from 1 to 0; at 0 the fish throws the hook. It slips while the player is not
+ * reeling (faster on slack-line moves like jumps) and is won back while reeling.
+ */
+export const HOOK_SLIP_PER_SEC = 0.12;
+export const HOOK_RECOVER_PER_SEC = 0.3;
+
+/** Hold below which the gauge warns that the line is going slack. */
+export const HOOK_HOLD_WARNING = 0.35;
+
+/**
+ * A good hook-set (high catch chance from calculateCatchChance) slips slower:
+ * slip × (HOOK_QUALITY_BASE - catchChance).
+ */
+export const HOOK_QUALITY_BASE = 1.5;
+
+/** Per stat point above/below 50: patience slows slipping, strength tires the fish faster while reeling. */
+export const PATIENCE_SLIP_PER_POINT = 0.008;
+export const STRENGTH_DRAIN_PER_POINT = 0.006;
@@ -0,0 +1,36 @@
+/** In-game calendar — which season it is and how seasons gate species. */
+
+/** Order matters: the accelerated calendar cycles through them from the epoch. */
+export const SEASONS = ['Spring', 'Summer', 'Fall', 'Winter'];
+
+export const SEASON_ICONS = {
+    Spring: '🌸',
+    Summer: '🌞',
+    Fall: '🍂',
+    Winter: '❄️'
+};
+
+/**
+ * 'real': meteorological seasons from today's UTC date (northern hemisphere).
+ * 'accelerated': a full year every four weeks, counted from GAME_CALENDAR_EPOCH.
+ * Every client must use the same mode so friends agree on what is in season.
+ */
+export const CALENDAR_MODE = 'real';
+
+/** Accelerated calendar: each season lasts this long, starting with Spring at the epoch. */
+export const ACCELERATED_SEASON_MS = 7 * 24 * 60 * 60 * 1000;
+export const GAME_CALENDAR_EPOCH = Date.UTC(2025, 2, 1);
+
+/** Real calendar: UTC month (0-based) each season starts in. */
+export const SEASON_START_MONTHS = {
+    Spring: 2,
+    Summer: 5,
+    Fall: 8,
+    Winter: 11
+};
+
+/** Species whose `season` is this (or missing) can be caught all year. */
+export const ALL_SEASONS = 'All';
+
+/** Spawn weight for a species outside its season (0 = cannot be caught). */
+export const OUT_OF_SEASON_WEIGHT = 0;
@@ -0,0 +1,106 @@
+/** Skill tree — perks bought with skill points earned on level-up. */
+
+/** Points granted per level gained (level 1 starts with none). */
+export const SKILL_POINTS_PER_LEVEL = 1;
+
+/** Respec price: base + per point refunded. */
+export const SKILL_RESPEC_BASE_COST = 150;
+export const SKILL_RESPEC_COST_PER_POINT = 40;
+
+export const SKILL_BRANCHES = [
+    { id: 'technique', label: 'Technique', icon: '🎯' },
+    { id: 'endurance', label: 'Endurance', icon: '💪' },
+    { id: 'fortune', label: 'Fortune', icon: '🍀' }
+];
+
+/** Rarities that count as a rare catch for the Trophy Hunter perk. */
+export const SKILL_RARE_RARITIES = ['Rare', 'Epic', 'Legendary', 'Trophy'];
+
+/**
+ * Each rank costs one point. `requires` gates the first rank behind another skill's rank.
+ * effect.type:
+ *   'stat'          — +perRank to player.stats[effect.stat] (on top of gear, capped at 100)
+ *   'hookWindowMs'  — +perRank ms on the hook timing window
+ *   'castEnergy'    — −perRank energy per cast (never below 1)
+ *   'relicChance'   — +perRank relic discovery chance per cast
+ *   'rareCatchXp'   — +perRank share of XP on Rare and rarer catches
+ */
+export const SKILLS = [
+    {
+        id: 'steady_paws',
+        branch: 'technique',
+        name: 'Steady Paws',
+        icon: '🐾',
+        description: '+4 accuracy per rank.',
+        maxRank: 3,
+        effect: { type: 'stat', stat: 'accuracy', perRank: 4 }
+    },
+    {
+        id: 'quick_strike',
+        branch: 'technique',
+        name: 'Quick Strike',
+        icon: '⚡',
+        description: '+150 ms to set the hook per rank.',
+        maxRank: 3,
+        requires: { skill: 'steady_paws', rank: 1 },
+        effect: { type: 'hookWindowMs', perRank: 150 }
+    },
+    {
+        id: 'iron_grip',
+        branch: 'endurance',
+        name: 'Iron Grip',
+        icon: '✊',
+        description: '+4 strength per rank.',
+        maxRank: 3,
+        effect: { type: 'stat', stat: 'strength', perRank: 4 }
+    },
+    {
+        id: 'calm_waters',
+        branch: 'endurance',
+        name: 'Calm Waters',
+        icon: '🌊',
+        description: '+4 patience per rank.',
+        maxRank: 3,
+        requires: { skill: 'iron_grip', rank: 1 },
+        effect: { type: 'stat', stat: 'patience', perRank: 4 }
+    },
+    {
+        id: 'light_cast',
+        branch: 'endurance',
+        name: 'Light Cast',
+        icon: '🪶',
+        description: '−1 energy per cast per rank.',
+        maxRank: 2,
+        requires: { skill: 'calm_waters', rank: 2 },
+        effect: { type: 'castEnergy', perRank: 1 }
+    },
+    {
+        id: 'lucky_whiskers',
+        branch: 'fortune',
+        name: 'Lucky Whiskers',
+        icon: '🍀',
+        description: '+4 luck per rank.',
+        maxRank: 3,
+        effect: { type: 'stat', stat: 'luck', perRank: 4 }
+    },
+    {
+        id: 'relic_sense',
+        branch: 'fortune',
+        name: 'Relic Sense',
+        icon: '🔮',
+        description: '+2% relic discovery chance per rank.',
+        maxRank: 3,
+        requires: { skill: 'lucky_whiskers', rank: 1 },
+        effect: { type: 'relicChance', perRank: 0.02 }
+    },
+    {
+        id: 'trophy_hunter',
+        branch: 'fortune',
+        name: 'Trophy Hunter',
+        icon: '🏆',
+        description: '+10% XP on Rare and rarer catches per rank.',
+        maxRank: 3,
+        requires: { skill: 'lucky_whiskers', rank: 2 },
+        effect: { type: 'rareCatchXp', perRank: 0.1 }
+    }
+];
@@ -0,0 +1,103 @@
+/** Day/night cycle — clock modes, lighting keyframes and night-feeding species. */
+
+/**
+ * 'device': the player's local clock, so evening sessions fish at night.
+ * 'fast': a shared game clock where a full day passes every FAST_DAY_MS.
+ */
+export const TIME_OF_DAY_MODES = ['device', 'fast'];
+export const DEFAULT_TIME_OF_DAY_MODE = 'device';
+export const TIME_OF_DAY_MODE_LABELS = {
+    device: 'Device clock',
+    fast: 'Fast game clock (1 day = 24 min)'
+};
+
+/** Fast clock: one game day per this many real ms, counted from the Unix epoch so every client agrees. */
+export const FAST_DAY_MS = 24 * 60 * 1000;
+
+/** Phase start hours (0–24). Night wraps past midnight. */
+export const TIME_OF_DAY_PHASES = [
+    { id: 'night', label: 'Night', icon: '🌙', start: 0 },
+    { id: 'dawn', label: 'Dawn', icon: '🌅', start: 5 },
+    { id: 'day', label: 'Day', icon: '🏞️', start: 8 },
+    { id: 'dusk', label: 'Dusk', icon: '🌇', start: 17.5 },
+    { id: 'night', label: 'Night', icon: '🌙', start: 20.5 }
+];
+
+const NIGHT_KEY = {
+    sunElevation: 50,
+    sunAzimuth: 20,
+    sunScale: 0.22,
+    sunColor: 0x9fb4ff,
+    ambientScale: 0.38,
+    skyTint: 0x2a3658,
+    skyBrightness: 0.2,
+    fogTint: 0x2c3858,
+    waterTint: 0x4a5a80,
+    darkness: 1
+};
+
+const DAY_KEY = {
+    sunScale: 1,
+    sunColor: 0xffffff,
+    ambientScale: 1,
+    skyTint: 0xffffff,
+    skyBrightness: 1,
+    fogTint: 0xffffff,
+    waterTint: 0xffffff,
+    darkness: 0
+};
+
+/**
+ * Lighting keyframes by hour, interpolated in between. Scales and tints multiply the
+ * location's own environment; sunElevation/sunAzimuth (degrees) place the key light
+ * relative to its default spot (azimuth 0 at elevation ~60° is the untouched daytime sun).
+ */
+export const TIME_OF_DAY_KEYFRAMES = [
+    { hour: 0, ...NIGHT_KEY },
+    { hour: 4.5, ...NIGHT_KEY },
+    {
+        hour: 6,
+        sunElevation: 8,
+        sunAzimuth: -50,
+        sunScale: 0.55,
+        sunColor: 0xffb07a,
+        ambientScale: 0.62,
+        skyTint: 0xf4b49a,
+        skyBrightness: 0.7,
+        fogTint: 0xeec0a8,
+        waterTint: 0xd0b0a8,
+        darkness: 0.4
+    },
+    { hour: 8.5, sunElevation: 42, sunAzimuth: -30, ...DAY_KEY },
+    { hour: 12.5, sunElevation: 60, sunAzimuth: 0, ...DAY_KEY },
+    { hour: 16.5, sunElevation: 40, sunAzimuth: 30, ...DAY_KEY },
+    {
+        hour: 19,
+        sunElevation: 6,
+        sunAzimuth: 50,
+        sunScale: 0.55,
+        sunColor: 0xff9a5a,
+        ambientScale: 0.6,
+        skyTint: 0xf29a78,
+        skyBrightness: 0.65,
+        fogTint: 0xdca090,
+        waterTint: 0xc49a96,
+        darkness: 0.45
+    },
+    { hour: 20.5, ...NIGHT_KEY },
+    { hour: 24, ...NIGHT_KEY }
+];
+
+/**
+ * Spawn weight multipliers for night feeders at full darkness; dawn and dusk get part of
+ * the boost in proportion to their keyframe darkness.
+ */
+export const NIGHT_SPAWN_MULTIPLIERS = {
+    Walleye: 3,
+    'Shadow Catfish': 3,
+    Catfish: 2,
+    'Abyssal Eel': 1.5
+};
+
+/** Seconds between lighting refreshes in the render loop. */
+export const TIME_OF_DAY_UPDATE_SEC = 0.5;
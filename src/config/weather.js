@@ -0,0 +1,174 @@
+/** Location weather — states, gameplay modifiers and per-location climates. */
+
+import {
+    AMAZON_DEPTHS_NAME,
+    CORAL_KINGDOMS_NAME,
+    CORTEZ_BACKWATERS_NAME,
+    CRAGGY_COAST_NAME,
+    DESERT_LAGOON_NAME,
+    FORGOTTEN_REEFS_NAME,
+    FROZEN_FJORDS_NAME,
+    STORMBREAKER_BAY_NAME,
+    TWILIGHT_TRENCH_NAME
+} from '../locations.js';
+import { getLocationPack } from '../locationPacks.js';
+
+/** Each forecast slot lasts this long; every player sees the same weather in the same slot. */
+export const WEATHER_SLOT_MS = 20 * 60 * 1000;
+
+/** Slots shown in the location selector forecast (current + upcoming). */
+export const WEATHER_FORECAST_SLOTS = 3;
+
+/**
+ * biteChance: added to calculateCatchChance before its cap.
+ * rareWeight: spawn weight multiplier for Rare and above (Common/Uncommon stay at 1).
+ * roughness: 0 calm → 1 storm chop, fed to the water shader.
+ * visibility: multiplier on the location's scene fog distance.
+ * precipitation: 'rain' | 'snow' | null particle layer, precipitationIntensity 0–1 thins it.
+ * ambience: extra looping layers on top of the location ambience.
+ */
+export const WEATHER_TYPES = {
+    clear: {
+        id: 'clear',
+        label: 'Clear',
+        icon: '☀️',
+        biteChance: 0,
+        rareWeight: 1,
+        roughness: 0,
+        visibility: 1,
+        precipitation: null,
+        ambience: []
+    },
+    overcast: {
+        id: 'overcast',
+        label: 'Overcast',
+        icon: '☁️',
+        biteChance: 0.03,
+        rareWeight: 1.1,
+        roughness: 0.2,
+        visibility: 0.9,
+        precipitation: null,
+        ambience: []
+    },
+    rain: {
+        id: 'rain',
+        label: 'Rain',
+        icon: '🌧️',
+        biteChance: 0.05,
+        rareWeight: 1.25,
+        roughness: 0.45,
+        visibility: 0.75,
+        precipitation: 'rain',
+        precipitationIntensity: 0.6,
+        ambience: ['rain']
+    },
+    storm: {
+        id: 'storm',
+        label: 'Storm',
+        icon: '⛈️',
+        biteChance: -0.06,
+        rareWeight: 1.6,
+        roughness: 1,
+        visibility: 0.55,
+        precipitation: 'rain',
+        precipitationIntensity: 1,
+        ambience: ['rain', 'wind']
+    },
+    fog: {
+        id: 'fog',
+        label: 'Fog',
+        icon: '🌫️',
+        biteChance: 0.02,
+        rareWeight: 1.35,
+        roughness: 0.05,
+        visibility: 0.35,
+        precipitation: null,
+        ambience: []
+    },
+    snow: {
+        id: 'snow',
+        label: 'Snow',
+        icon: '🌨️',
+        biteChance: -0.03,
+        rareWeight: 1.3,
+        roughness: 0.3,
+        visibility: 0.6,
+        precipitation: 'snow',
+        precipitationIntensity: 0.7,
+        ambience: ['wind']
+    }
+};
+
+export const DEFAULT_WEATHER_ID = 'clear';
+
+/** Fish rarities boosted by a weather state's rareWeight. */
+export const WEATHER_BOOSTED_RARITIES = ['Rare', 'Epic', 'Trophy', 'Legendary', 'Mythic'];
+
+/** Weights for the next slot's weather given the current one. Missing states fall back to DEFAULT_CLIMATE. */
+const DEFAULT_CLIMATE = {
+    clear: { clear: 6, overcast: 3, fog: 1 },
+    overcast: { clear: 3, overcast: 3, rain: 3, fog: 1 },
+    rain: { overcast: 3, rain: 3, storm: 1, clear: 1 },
+    storm: { rain: 3, storm: 1, overcast: 2 },
+    fog: { fog: 2, clear: 3, overcast: 2 }
+};
+
+const LOCATION_CLIMATES = {
+    [AMAZON_DEPTHS_NAME]: {
+        clear: { clear: 3, overcast: 3, rain: 2 },
+        overcast: { overcast: 2, rain: 4, clear: 1 },
+        rain: { rain: 4, storm: 2, overcast: 2 },
+        storm: { rain: 4, storm: 1, overcast: 1 }
+    },
+    [FROZEN_FJORDS_NAME]: {
+        clear: { clear: 4, overcast: 3, fog: 1 },
+        overcast: { overcast: 3, snow: 4, clear: 2, fog: 1 },
+        snow: { snow: 4, overcast: 3 },
+        fog: { fog: 2, overcast: 3, clear: 2 }
+    },
+    [STORMBREAKER_BAY_NAME]: {
+        clear: { clear: 3, overcast: 4 },
+        overcast: { overcast: 2, rain: 3, storm: 2 },
+        rain: { rain: 3, storm: 3, overcast: 2 },
+        storm: { storm: 3, rain: 3, overcast: 1 }
+    },
+    [CRAGGY_COAST_NAME]: {
+        clear: { clear: 4, overcast: 3, fog: 2 },
+        fog: { fog: 3, overcast: 2, clear: 2 }
+    },
+    [DESERT_LAGOON_NAME]: {
+        clear: { clear: 9, overcast: 1 },
+        overcast: { clear: 4, overcast: 2, rain: 1 },
+        rain: { clear: 2, overcast: 2, rain: 1 }
+    },
+    [CORAL_KINGDOMS_NAME]: {
+        clear: { clear: 7, overcast: 2, rain: 1 }
+    },
+    [FORGOTTEN_REEFS_NAME]: {
+        clear: { clear: 4, overcast: 3, fog: 2 },
+        fog: { fog: 3, overcast: 2, clear: 2 }
+    },
+    [TWILIGHT_TRENCH_NAME]: {
+        clear: { clear: 3, overcast: 3, fog: 3 },
+        fog: { fog: 4, overcast: 2, storm: 1 }
+    },
+    [CORTEZ_BACKWATERS_NAME]: {
+        clear: { clear: 5, overcast: 3, rain: 1 },
+        overcast: { overcast: 2, rain: 3, storm: 1, clear: 2 }
+    }
+};
+
+/**
+ * Transition weights for a location, or null when the location has no weather
+ * (Celestial Depths sits beyond the sky). Locations without an entry here can bring
+ * their own `climate` in their location pack.
+ * @param {{ name?: string, waterBodyType?: string }|null} location
+ * @returns {Record<string, Record<string, number>>|null}
+ */
+export function getLocationClimate(location) {
+    if (!location || location.waterBodyType === 'CELESTIAL') {
+        return null;
+    }
+    const climate = LOCATION_CLIMATES[location.name] || getLocationPack(location.name)?.climate || {};
+    return { ...DEFAULT_CLIMATE, ...climate };
+}
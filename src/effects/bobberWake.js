@@ -34,7 +34,7 @@ function createWakeTexture() {
 }
 
 /**
- * Trailing V-shaped wake ripples that follow a bobber during reel-in and fights.
+ * Trailing V-shaped wake ripples that follow a bobber during reel-in, fights and lure retrieves.
  * Purely visual — no splash sounds or heavy shader ripples.
  */
 export class BobberWake {
@@ -132,10 +132,21 @@ export class BobberWake {
         mesh.userData.startOpacity = opacity;
     }
 
+    /**
+     * One soft ring where a lure twitches or a jig hops.
+     * @param {number} x
+     * @param {number} z
+     * @param {number} waterY
+     * @param {number} [size=0.32]
+     */
+    pulse(x, z, waterY, size = 0.32) {
+        this._spawn(x, z, waterY, size, size, 0, BASE_LIFETIME * 0.8, 0.3);
+    }
+
     /**
      * @param {number} delta
      * @param {THREE.Vector3} bobberPos
-     * @param {boolean} active — reel-in, fight, or landing
+     * @param {boolean} active — reel-in, fight, landing, or a lure being trolled / retrieved
      * @param {(x: number, z: number) => number} getWaterHeight
      * @param {(x: number, z: number) => void} [shaderRipple] — optional, throttled
      */
@@ -0,0 +1,128 @@
+import * as THREE from 'three';
+import {
+    HOTSPOT_BIRD_COUNT,
+    HOTSPOT_BIRD_HEIGHT,
+    HOTSPOT_BIRD_ORBIT,
+    HOTSPOT_RADIUS,
+    HOTSPOT_RIPPLE_INTERVAL_SEC
+} from '../config/hotspots.js';
+
+function createBirdTexture() {
+    const size = 64;
+    const canvas = document.createElement('canvas');
+    canvas.width = size;
+    canvas.height = size;
+    const ctx = canvas.getContext('2d');
+
+    ctx.strokeStyle = 'rgba(30, 34, 40, 0.9)';
+    ctx.lineWidth = 4;
+    ctx.lineCap = 'round';
+    ctx.beginPath();
+    ctx.moveTo(6, 26);
+    ctx.quadraticCurveTo(18, 16, 32, 34);
+    ctx.quadraticCurveTo(46, 16, 58, 26);
+    ctx.stroke();
+
+    const tex = new THREE.CanvasTexture(canvas);
+    tex.needsUpdate = true;
+    return tex;
+}
+
+/**
+ * Surface cues that give hotspots away: rings from fish rising under 'ripples' hotspots
+ * and a few birds wheeling over 'birds' hotspots. Purely visual.
+ */
+export class HotspotCues {
+    constructor(scene) {
+        this.scene = scene;
+        this.texture = createBirdTexture();
+        this.material = new THREE.SpriteMaterial({
+            map: this.texture,
+            transparent: true,
+            depthWrite: false,
+            fog: true
+        });
+        /** @type {Map<string, { group: THREE.Group, birds: THREE.Sprite[], rippleT: number }>} */
+        this.cues = new Map();
+        this.time = 0;
+    }
+
+    /**
+     * @param {number} delta
+     * @param {Array<{ id: string, cue: string, position: THREE.Vector3 }>} hotspots
+     * @param {number} waterY
+     * @param {{ triggerRipple?: Function }|null} splash
+     */
+    update(delta, hotspots, waterY, splash) {
+        this.time += delta;
+        const live = new Set(hotspots.map((spot) => spot.id));
+        this.cues.forEach((cue, id) => {
+            if (!live.has(id)) {
+                this.scene.remove(cue.group);
+                this.cues.delete(id);
+            }
+        });
+
+        hotspots.forEach((spot, index) => {
+            let cue = this.cues.get(spot.id);
+            if (!cue) {
+                cue = this.createCue(spot);
+                this.cues.set(spot.id, cue);
+            }
+            cue.group.position.set(spot.position.x, waterY, spot.position.z);
+
+            if (spot.cue === 'birds') {
+                cue.birds.forEach((bird, i) => {
+                    const angle = this.time * (0.45 + i * 0.08) + (i / cue.birds.length) * Math.PI * 2 + index;
+                    const orbit = HOTSPOT_BIRD_ORBIT * (0.8 + i * 0.15);
+                    bird.position.set(
+                        Math.cos(angle) * orbit,
+                        HOTSPOT_BIRD_HEIGHT + Math.sin(this.time * 0.7 + i) * 0.4,
+                        Math.sin(angle) * orbit
+                    );
+                    bird.scale.set(0.9, 0.9 * (0.6 + Math.abs(Math.sin(this.time * 6 + i * 1.7)) * 0.4), 1);
+                });
+            } else if (splash?.triggerRipple) {
+                cue.rippleT -= delta;
+                if (cue.rippleT <= 0) {
+                    cue.rippleT = HOTSPOT_RIPPLE_INTERVAL_SEC * (0.6 + Math.random() * 0.8);
+                    const r = HOTSPOT_RADIUS * 0.6 * Math.sqrt(Math.random());
+                    const a = Math.random() * Math.PI * 2;
+                    splash.triggerRipple(
+                        new THREE.Vector3(spot.position.x + Math.cos(a) * r, waterY, spot.position.z + Math.sin(a) * r),
+                        { duration: 1.6, maxScale: 1.5, peakOpacity: 0.22 }
+                    );
+                }
+            }
+        });
+    }
+
+    createCue(spot) {
+        const group = new THREE.Group();
+        group.name = `HotspotCue_${spot.id}`;
+        const birds = [];
+        if (spot.cue === 'birds') {
+            for (let i = 0; i < HOTSPOT_BIRD_COUNT; i++) {
+                const bird = new THREE.Sprite(this.material);
+                bird.scale.set(0.9, 0.9, 1);
+                group.add(bird);
+                birds.push(bird);
+            }
+        }
+        this.scene.add(group);
+        return { group, birds, rippleT: Math.random() * HOTSPOT_RIPPLE_INTERVAL_SEC };
+    }
+
+    setVisible(visible) {
+        this.cues.forEach((cue) => {
+            cue.group.visible = visible;
+        });
+    }
+
+    dispose() {
+        this.cues.forEach((cue) => this.scene.remove(cue.group));
+        this.cues.clear();
+        this.material.dispose();
+        this.texture.dispose();
+    }
+}
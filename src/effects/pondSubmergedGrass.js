@@ -1,6 +1,7 @@
 import * as THREE from 'three';
 import { GROUND_SIZE, POND_MASK_PROFILE } from '../buildLakeMask.js';
 import { getStylizedDockWorldBounds } from '../scene/stylizedDock.js';
+import { getFishingZones, sampleFishingZonePoint } from '../fishingZones.js';
 
 const MAX_INSTANCES = 175;
 const MASK_ROTATE = POND_MASK_PROFILE.rotate;
@@ -27,7 +28,12 @@ export const SUBMERGED_GRASS_PROFILES = {
         waveCoupling: 0.32,
         waveScale: 0.11,
         colorDeep: new THREE.Vector3(0.1, 0.3, 0.08),
-        colorTip: new THREE.Vector3(0.26, 0.48, 0.12)
+        colorTip: new THREE.Vector3(0.26, 0.48, 0.12),
+        // Share of blades packed into the pond's weed-bed fishing zones, denser and more often breaking the surface
+        weedBedLocation: 'Crescent Pond',
+        weedBedShare: 0.4,
+        weedBedMinSpacing: 1.15,
+        weedBedPeekChance: 0.45
     },
     cortez: {
         targetBlades: 148,
@@ -346,18 +352,25 @@ export class PondSubmergedGrass {
         let attempts = 0;
         const maxAttempts = profile.targetBlades * 40;
         const surfaceY = this.waterY;
+        const weedBeds = profile.weedBedLocation ? getFishingZones(profile.weedBedLocation) : [];
+        const weedBedTarget = weedBeds.length > 0 ? Math.round(profile.targetBlades * profile.weedBedShare) : 0;
 
         while (placed < profile.targetBlades && attempts < maxAttempts) {
             attempts += 1;
-            const { x, z } = profile.placement === 'nearDock'
-                ? sampleNearDockPoint(rand, profile)
-                : samplePondPoint(rand, this.groundSize);
+            // Weed beds fill first; give up on them after half the attempt budget
+            const inWeedBed = placed < weedBedTarget && attempts < maxAttempts / 2;
+            const { x, z } = inWeedBed
+                ? sampleFishingZonePoint(weedBeds[Math.floor(rand() * weedBeds.length)], rand)
+                : profile.placement === 'nearDock'
+                    ? sampleNearDockPoint(rand, profile)
+                    : samplePondPoint(rand, this.groundSize);
 
             if (!sampleMaskWater(x, z, this.lakeMask, this.groundSize)) continue;
             if (isOnDock(x, z)) continue;
 
+            const spacing = inWeedBed ? profile.weedBedMinSpacing : profile.minSpacing;
             const tooClose = placedPoints.some(
-                (p) => Math.hypot(p.x - x, p.z - z) < profile.minSpacing
+                (p) => Math.hypot(p.x - x, p.z - z) < spacing
             );
             if (tooClose) continue;
 
@@ -366,7 +379,7 @@ export class PondSubmergedGrass {
                 surfaceY - (profile.baseDepthMax ?? 0.1),
                 rand()
             );
-            const peek = rand() < profile.peekChance;
+            const peek = rand() < (inWeedBed ? profile.weedBedPeekChance : profile.peekChance);
             const submergedTip = profile.submergedTipY ?? -0.01;
             const maxTip = peek ? surfaceY + profile.peekLift : surfaceY + submergedTip;
             let bladeHeight = profile.bladeHeightMin + rand() * profile.bladeHeightRange;
@@ -0,0 +1,136 @@
+import * as THREE from 'three';
+
+const COUNT = 1400;
+const AREA = 60; // world units around the camera
+const TOP = 26;
+const BOTTOM = -0.5;
+
+const STYLES = {
+    rain: { size: 0.16, opacity: 0.55, color: 0xbfd6ea, fall: 22, drift: 1.2, sway: 0 },
+    snow: { size: 0.22, opacity: 0.85, color: 0xffffff, fall: 2.4, drift: 0.6, sway: 0.9 }
+};
+
+function createStreakTexture(kind) {
+    const canvas = document.createElement('canvas');
+    canvas.width = 32;
+    canvas.height = 32;
+    const ctx = canvas.getContext('2d');
+
+    if (kind === 'rain') {
+        const g = ctx.createLinearGradient(16, 0, 16, 32);
+        g.addColorStop(0, 'rgba(255,255,255,0)');
+        g.addColorStop(1, 'rgba(255,255,255,0.9)');
+        ctx.fillStyle = g;
+        ctx.fillRect(15, 0, 2, 32);
+    } else {
+        const g = ctx.createRadialGradient(16, 16, 0, 16, 16, 16);
+        g.addColorStop(0, 'rgba(255,255,255,1)');
+        g.addColorStop(0.6, 'rgba(255,255,255,0.4)');
+        g.addColorStop(1, 'rgba(255,255,255,0)');
+        ctx.fillStyle = g;
+        ctx.fillRect(0, 0, 32, 32);
+    }
+
+    const tex = new THREE.CanvasTexture(canvas);
+    tex.needsUpdate = true;
+    return tex;
+}
+
+/**
+ * Rain or snow falling in a box that follows the camera. Hidden when the weather
+ * has no precipitation; intensity thins the particle count for light showers.
+ */
+export class WeatherParticles {
+    constructor(scene) {
+        this.scene = scene;
+        this.kind = null;
+        this.intensity = 0;
+        this.time = 0;
+        this.textures = { rain: createStreakTexture('rain'), snow: createStreakTexture('snow') };
+
+        const positions = new Float32Array(COUNT * 3);
+        for (let i = 0; i < COUNT; i++) {
+            positions[i * 3] = (Math.random() - 0.5) * AREA;
+            positions[i * 3 + 1] = BOTTOM + Math.random() * (TOP - BOTTOM);
+            positions[i * 3 + 2] = (Math.random() - 0.5) * AREA;
+        }
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+
+        this.material = new THREE.PointsMaterial({
+            size: STYLES.rain.size,
+            map: this.textures.rain,
+            color: STYLES.rain.color,
+            transparent: true,
+            opacity: STYLES.rain.opacity,
+            depthWrite: false
+        });
+
+        this.points = new THREE.Points(geometry, this.material);
+        this.points.name = 'WeatherParticles';
+        this.points.frustumCulled = false;
+        this.points.visible = false;
+        this.points.renderOrder = 5;
+        scene.add(this.points);
+    }
+
+    /**
+     * @param {'rain'|'snow'|null} kind
+     * @param {number} [intensity] 0–1, storms use 1
+     */
+    setPrecipitation(kind, intensity = 1) {
+        const style = kind ? STYLES[kind] : null;
+        this.kind = style ? kind : null;
+        this.intensity = style ? Math.min(1, Math.max(0, intensity)) : 0;
+        this.points.visible = Boolean(style) && this.intensity > 0;
+        if (!style) {
+            return;
+        }
+        this.material.size = style.size;
+        this.material.color.setHex(style.color);
+        this.material.opacity = style.opacity;
+        this.material.map = this.textures[kind];
+        this.material.needsUpdate = true;
+        this.points.geometry.setDrawRange(0, Math.round(COUNT * (0.35 + this.intensity * 0.65)));
+    }
+
+    update(delta, cameraPosition) {
+        if (!this.points.visible) {
+            return;
+        }
+        const style = STYLES[this.kind];
+        this.time += delta;
+
+        if (cameraPosition) {
+            this.points.position.set(cameraPosition.x, 0, cameraPosition.z);
+        }
+
+        const attr = this.points.geometry.attributes.position;
+        const positions = attr.array;
+        const fall = style.fall * (0.75 + this.intensity * 0.5) * delta;
+        const drift = style.drift * this.intensity * delta;
+        const half = AREA / 2;
+
+        for (let i = 0; i < COUNT; i++) {
+            const i3 = i * 3;
+            positions[i3 + 1] -= fall;
+            positions[i3] += drift + (style.sway ? Math.sin(this.time + i) * style.sway * delta : 0);
+            if (positions[i3 + 1] < BOTTOM) {
+                positions[i3 + 1] = TOP;
+                positions[i3] = (Math.random() - 0.5) * AREA;
+                positions[i3 + 2] = (Math.random() - 0.5) * AREA;
+            } else if (positions[i3] > half) {
+                positions[i3] -= AREA;
+            }
+        }
+        attr.needsUpdate = true;
+    }
+
+    dispose() {
+        this.scene.remove(this.points);
+        this.points.geometry.dispose();
+        this.material.dispose();
+        this.textures.rain.dispose();
+        this.textures.snow.dispose();
+    }
+}
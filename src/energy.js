@@ -8,6 +8,7 @@ import {
     FIRST_CATCH_BONUS_COINS,
     FIRST_CATCH_BONUS_ENERGY
 } from './config/energy.js';
+import { getSkillEffect } from './skills.js';
 
 /** @returns {string} YYYY-MM-DD in local timezone */
 export function getCalendarDateString(date = new Date()) {
@@ -45,14 +46,19 @@ export function applyOfflineEnergyRegen(player) {
     return gained;
 }
 
+/** Energy per cast after the Light Cast skill (never below 1). */
+export function getCastEnergyCost(player) {
+    return Math.max(1, CAST_ENERGY_COST - getSkillEffect(player, 'castEnergy'));
+}
+
 export function canAffordCast(player) {
     if (!player) return false;
-    return (player.energy ?? 0) >= CAST_ENERGY_COST;
+    return (player.energy ?? 0) >= getCastEnergyCost(player);
 }
 
 export function spendCastEnergy(player) {
     if (!canAffordCast(player)) return false;
-    player.energy -= CAST_ENERGY_COST;
+    player.energy -= getCastEnergyCost(player);
     return true;
 }
 
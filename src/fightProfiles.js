@@ -0,0 +1,44 @@
+/**
+ * Species fight profiles. Each FishTypes entry names a profile (`fight`), the profile weights
+ * which moves the fish strings together, and each move drives the fish path, line, splashes
+ * and the cat's stance (see config/fightProfiles.js).
+ */
+
+import { getFishTypeById } from './fishTypes.js';
+import { DEFAULT_FIGHT_PROFILE, FIGHT_MOVES, FIGHT_PROFILES } from './config/fightProfiles.js';
+
+/**
+ * @param {{ id?: number, fishId?: number, fight?: string }|null} fish
+ * @returns {{ id: string, durationScale: number, moves: Record<string, number> }}
+ */
+export function getFightProfile(fish) {
+    const id = fish?.fight
+        ?? getFishTypeById(fish?.fishId ?? fish?.id)?.fight
+        ?? DEFAULT_FIGHT_PROFILE;
+    const profile = FIGHT_PROFILES[id] ? id : DEFAULT_FIGHT_PROFILE;
+    return { id: profile, ...FIGHT_PROFILES[profile] };
+}
+
+/**
+ * Roll the next move from a profile, never repeating a showy move (jump, dive, ...) twice in a row.
+ * @param {{ moves: Record<string, number> }} profile
+ * @param {string|null} [previous]
+ * @returns {{ id: string, durationSec: number } & typeof FIGHT_MOVES.wander}
+ */
+export function pickFightMove(profile, previous = null) {
+    const entries = Object.entries(profile.moves)
+        .filter(([id, weight]) => weight > 0 && FIGHT_MOVES[id] && (id === 'wander' || id !== previous));
+    const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+    let roll = Math.random() * total;
+    let picked = 'wander';
+    for (const [id, weight] of entries) {
+        roll -= weight;
+        if (roll <= 0) {
+            picked = id;
+            break;
+        }
+    }
+    const move = FIGHT_MOVES[picked];
+    const [min, max] = move.duration;
+    return { id: picked, ...move, durationSec: min + Math.random() * (max - min) };
+}
@@ -12,6 +12,10 @@ import {
 } from './config/starfishEncounter.js';
 import { debugLog } from './config/debug.js';
 import { getCatchSplashDuration } from './splash.js';
+import { LineTension, getReelFightDurationMultiplier } from './lineTension.js';
+import { getFightProfile, pickFightMove } from './fightProfiles.js';
+import { ReelingFight } from './reelingFight.js';
+import { getFightDurationBand } from './config/fightDuration.js';
 
 // Minimal fish FSM: IDLE -> HOOKED_FIGHT -> LANDING -> LANDED
 export const FishState = {
@@ -47,6 +51,10 @@ export class Fish {
         this._hasTriggeredCaught = false;  // Prevent multiple catch callbacks
         this._gentleReunion = false;
         this._gentlePulseT = 0;
+        this.lineTension = null;
+        this.reelingFight = null;
+        this.fightProfile = null;
+        this.fightMove = null;
         
         // Play area: fish can move in water area where casts land
         // Match CAST_BOUNDS from fishing.js: zMin = -38, zMax = 38 (allows positive Z)
@@ -56,45 +64,20 @@ export class Fish {
     }
     
     /**
-     * Calculate fight duration based on fish weight
+     * Calculate fight duration based on fish weight, species fight profile and the equipped reel
      * @param {number} weight - Fish weight in lbs
+     * @param {Object|null} [player] - Player whose reel speedBonus shortens the fight
+     * @param {Object|null} [fish] - Hooked fish; its fight profile stretches or shortens the fight
      * @returns {number} Fight duration in seconds
      */
-    calculateFightDuration(weight) {
-        // Slowed down fight durations:
-        // Small fish (1-3 lbs): 4-7 seconds (slowed from 2-4)
-        // Medium fish (3-4 lbs): 7-10 seconds (slowed from 4-6)
-        // Big fish (4-6 lbs): 10-13 seconds (slowed from 6-8)
-        // Really big fish (6-10 lbs): 13-16 seconds (slowed from 8-10)
-        // Trophy fish (10+ lbs): 16-20 seconds
+    calculateFightDuration(weight, player = null, fish = null) {
+        const { base, variation } = getFightDurationBand(weight);
         
-        let baseDuration;
-        let randomVariation;
-        
-        if (weight < 3.0) {
-            // Small fish: 4-7 seconds (slowed down)
-            baseDuration = 4.0;
-            randomVariation = 3.0;
-        } else if (weight < 4.0) {
-            // Medium fish: 7-10 seconds (slowed down)
-            baseDuration = 7.0;
-            randomVariation = 3.0;
-        } else if (weight < 6.0) {
-            // Big fish: 10-13 seconds (slowed down)
-            baseDuration = 10.0;
-            randomVariation = 3.0;
-        } else if (weight < 10.0) {
-            // Really big fish: 13-16 seconds (slowed down)
-            baseDuration = 13.0;
-            randomVariation = 3.0;
-        } else {
-            // Trophy fish: 16-20 seconds
-            baseDuration = 16.0;
-            randomVariation = 4.0;
-        }
-        
-        // Add some randomization within the range
-        const duration = baseDuration + Math.random() * randomVariation;
+        // Add some randomization within the range, scale by how the species fights,
+        // then let faster reels wrap it up sooner
+        const duration = (base + Math.random() * variation)
+            * (fish ? getFightProfile(fish).durationScale : 1)
+            * getReelFightDurationMultiplier(player);
         
         // Log fight duration for debugging
         debugLog(`[FISH] Weight: ${weight.toFixed(2)} lbs, Fight duration: ${duration.toFixed(2)}s`);
@@ -118,7 +101,12 @@ export class Fish {
         this.sceneRef.scene.add(this.fish);
     }
     
-    hook() {
+    /**
+     * @param {{ active?: boolean, catchChance?: number }} [options]
+     *   active: run an active reeling fight (stamina vs. hook hold) instead of the fight timer;
+     *   catchChance: calculateCatchChance at hook-set, for how well the hook is set
+     */
+    hook({ active = false, catchChance } = {}) {
         // Start the simple fight - fish MUST start exactly where bobber currently is
         // This is where the bite happens - fish spawns right at bobber location
         if (!this.mesh || !this.fishing.bobber || !this.fishing.bobber.visible) {
@@ -153,10 +141,7 @@ export class Fish {
             let availableFishIds = [0, 1, 2];
             let locations = null;
             let currentLocation = null;
-            const player =
-                this.fishing?.game?.player ??
-                window.game?.player ??
-                null;
+            const player = this._getPlayer();
             
             if (this.fishing?.game?.locations) {
                 locations = this.fishing.game.locations;
@@ -178,7 +163,10 @@ export class Fish {
             
             const fishData = getRandomFishForLocation(availableFishIds, {
                 playerLevel,
-                location: currentLocation
+                location: currentLocation,
+                hotspot: this.fishing?.castHotspot ?? null,
+                zone: this.fishing?.castZone ?? null,
+                technique: this.fishing?.getLineTechnique?.() ?? null
             });
             if (!fishData) {
                 console.warn('[FISH] No fish roll at', currentLocation?.name);
@@ -203,7 +191,13 @@ export class Fish {
         this._gentleReunion = isStarfishReunionEncounter(this, this.fishing);
         const fightDur = this._gentleReunion
             ? STARFISH_APPROACH_DURATION_SEC
-            : this.calculateFightDuration(weight);
+            : this.calculateFightDuration(weight, this._getPlayer(), this.currentFish);
+        this.lineTension = this._gentleReunion ? null : new LineTension(this.currentFish, this._getPlayer());
+        this.reelingFight = active && !this._gentleReunion
+            ? new ReelingFight(this._getPlayer()?.stats, { fightDuration: fightDur, catchChance })
+            : null;
+        this._endFightMoves();
+        this.fightProfile = this._gentleReunion ? null : getFightProfile(this.currentFish);
         
         // Reset state for fight
         this.state = FishState.HOOKED_FIGHT;
@@ -248,11 +242,97 @@ export class Fish {
         }
     }
     
+    _getPlayer() {
+        return this.fishing?.game?.player ?? window.game?.player ?? null;
+    }
+
+    /** Hold (true) or release (false) to reel hard during the fight. */
+    setReelingHard(active) {
+        this.lineTension?.setReelingHard(active);
+    }
+
+    /**
+     * Line broke mid-fight — fish swims off and the fishing UI resets via onLineSnapped.
+     */
+    snapLine() {
+        if (this.state !== FishState.HOOKED_FIGHT) return;
+        debugLog(`[FISH] Line snapped at ${this._fightT.toFixed(2)}s`, this.currentFish?.species);
+        const escaped = this._releaseHookedFish();
+        this.fishing?.onLineSnapped?.(escaped);
+    }
+
+    /**
+     * Active fight: the hook worked loose while the line was slack — fish swims off and the
+     * fishing UI resets via onFishEscaped.
+     */
+    throwHook() {
+        if (this.state !== FishState.HOOKED_FIGHT) return;
+        debugLog(`[FISH] Fish threw the hook at ${this._fightT.toFixed(2)}s`, this.currentFish?.species);
+        const escaped = this._releaseHookedFish();
+        this.fishing?.onFishEscaped?.(escaped);
+    }
+
+    _releaseHookedFish() {
+        const escaped = this.currentFish;
+        this.state = FishState.IDLE;
+        this.isHooked = false;
+        this.lineTension = null;
+        this.reelingFight = null;
+        this._endFightMoves();
+        this.currentFish = null;
+        if (this.mesh) {
+            this.mesh.visible = false;
+        }
+        this.fishing?.onLineTension?.(null);
+        return escaped;
+    }
+
+    /**
+     * Begin the next move from the species' fight profile: heading and speed for the path,
+     * line shape for the rope, a splash, the cat's stance and extra line load.
+     */
+    _startFightMove() {
+        const profile = this.fightProfile ?? getFightProfile(this.currentFish);
+        const move = pickFightMove(profile, this.fightMove?.id ?? null);
+        this.fightMove = move;
+        this._dirT = move.durationSec;
+
+        if (move.heading === 'away') {
+            // Straight off the dock, give or take 25°
+            const home = this._getCatWorldXZ();
+            const away = new THREE.Vector3(this.mesh.position.x - home.x, 0, this.mesh.position.z - home.z);
+            const ang = Math.atan2(away.z, away.x) + (Math.random() - 0.5) * (Math.PI / 3.6);
+            this._dir.set(Math.cos(ang), 0, Math.sin(ang));
+        } else if (move.heading === 'random' || this._dir.lengthSq() < 1e-4) {
+            const ang = Math.random() * Math.PI * 2;
+            this._dir.set(Math.cos(ang), 0, Math.sin(ang));
+        }
+
+        this.lineTension?.setMoveLoad(move.load);
+        this.fishing?.rope?.setFightMove?.(move);
+        this.fishing?.cat?.setFightStance?.(move.stance);
+        if (move.splash && this.fishing?.splash) {
+            this.fishing.splash.triggerFightSplash(this.mesh.position, move.splash);
+        }
+        debugLog(`[FISH] ${this.currentFish?.species} fight move: ${move.id} (${move.durationSec.toFixed(2)}s)`);
+    }
+
+    _endFightMoves() {
+        this.fightMove = null;
+        this.fightProfile = null;
+        this.fishing?.rope?.setFightMove?.(null);
+        this.fishing?.cat?.setFightStance?.(null);
+    }
+
     startLanding() {
         if (this.state === FishState.LANDED) return;
         // Only transition to LANDING if we were in HOOKED_FIGHT (prevent premature transitions)
         if (this.state === FishState.HOOKED_FIGHT) {
             this.state = FishState.LANDING;
+            this.lineTension = null;
+            this.reelingFight = null;
+            this._endFightMoves();
+            this.fishing?.onLineTension?.(null);
             this._landingStartLogged = false;
             this._lastLandingLogTime = 0;
             debugLog('[FISH] startLanding() called, state set to LANDING');
@@ -539,15 +619,41 @@ export class Fish {
                 }
                 return;
             }
+
+            if (this.lineTension) {
+                if (this.lineTension.update(delta)) {
+                    this.snapLine();
+                    return;
+                }
+            }
+
+            // Active fight: stamina and hook hold decide the outcome instead of the timer
+            if (this.reelingFight) {
+                const outcome = this.reelingFight.update(delta, this.lineTension?.reelingHard, this.fightMove);
+                if (outcome === 'escaped') {
+                    this.throwHook();
+                    return;
+                }
+                if (outcome === 'landed') {
+                    debugLog('[FISH] Fish exhausted, transitioning to LANDING');
+                    this.startLanding();
+                    return;
+                }
+            }
+
+            if (this.lineTension) {
+                this.fishing?.onLineTension?.({
+                    ...this.lineTension.getState(),
+                    ...this.reelingFight?.getState()
+                });
+            }
             
-            this._fightT += delta;
+            this._fightT += delta * (this.lineTension?.getFightRate() ?? 1);
             this._dirT -= delta;
             
-            // pick a new gentle random direction every 0.8–1.2 s
+            // Next move from the species' fight profile (wander, run, jump, dive, ...)
             if (this._dirT <= 0) {
-                this._dirT = 0.8 + Math.random() * 0.4;
-                const ang = Math.random() * Math.PI * 2;
-                this._dir.set(Math.cos(ang), 0, Math.sin(ang));
+                this._startFightMove();
                 // bias away from dock (never go behind or beside)
                 // If too close to dock boundary (z < dockZ + 0.5), force away from dock (positive Z)
                 if (this.mesh.position.z < (this.dockZ + 0.5)) {
@@ -570,9 +676,10 @@ export class Fish {
                 this._dir.normalize();
             }
             
-            // move - fish fights by moving randomly
-            const moveX = this._dir.x * this.speedFight * delta;
-            const moveZ = this._dir.z * this.speedFight * delta;
+            // move - fish fights with its current move's heading and speed
+            const speed = this.speedFight * (this.fightMove?.speed ?? 1);
+            const moveX = this._dir.x * speed * delta;
+            const moveZ = this._dir.z * speed * delta;
             this.mesh.position.x += moveX;
             this.mesh.position.z += moveZ;
             
@@ -602,7 +709,7 @@ export class Fish {
             // Use exponential distribution for more sporadic timing
             const baseInterval = 0.15;
             const randomVariation = Math.random() * Math.random() * 0.4; // Exponential-like distribution (more frequent short intervals, rare long ones)
-            const tugInterval = baseInterval + randomVariation; // 0.15-0.55s with bias toward shorter
+            const tugInterval = (baseInterval + randomVariation) / (this.fightMove?.tugRate ?? 1); // 0.15-0.55s with bias toward shorter; head shakes tug faster
             
             // Add chance to skip tug entirely for more sporadic feel (10% skip chance)
             const shouldTug = Math.random() > 0.1;
@@ -619,7 +726,7 @@ export class Fish {
                 // Pass sfx and scene for sound playback
                 const sfx = this.fishing.sfx || null;
                 const scene = this.fishing.sceneRef?.scene || null;
-                applyTug(this.fishing.bobber, Math.max(0.7, intensity), sfx, scene);
+                applyTug(this.fishing.bobber, Math.max(0.7, intensity * (this.fightMove?.tug ?? 1)), sfx, scene);
                 this._tugTimer = 0; // Reset timer
             } else if (this._tugTimer >= tugInterval && !shouldTug) {
                 // Skip this tug for sporadic feel
@@ -631,8 +738,8 @@ export class Fish {
                 debugLog(`[FISH] Fighting: ${this._fightT.toFixed(2)}s / ${this._fightDur.toFixed(2)}s, pos: (${this.mesh.position.x.toFixed(2)}, ${this.mesh.position.z.toFixed(2)})`);
             }
             
-            // after a few seconds, go land
-            if (this._fightT >= this._fightDur) {
+            // after a few seconds, go land (active fights land on stamina instead)
+            if (!this.reelingFight && this._fightT >= this._fightDur) {
                 debugLog('[FISH] Fight duration complete, transitioning to LANDING');
                 this.startLanding();
             }
@@ -836,7 +943,10 @@ export class Fish {
             
             const fishData = getRandomFishForLocation(availableFishIds, {
                 playerLevel,
-                location: currentLocation
+                location: currentLocation,
+                hotspot: this.fishing?.castHotspot ?? null,
+                zone: this.fishing?.castZone ?? null,
+                technique: this.fishing?.getLineTechnique?.() ?? null
             });
             if (!fishData) {
                 console.warn('[FISH] No fish roll at', currentLocation?.name);
@@ -13,6 +13,7 @@ import {
     getCollectionSpeciesTotal,
     getUnlockedVisibleFishCount
 } from './fishTypes.js';
+import { SAVE_SCHEMA_VERSIONS, migrateSaveData } from './saveMigrations.js';
 
 export { resolveFishImagePath as getFishImagePath, getFishImagePaths };
 
@@ -122,6 +123,7 @@ export class FishCollection {
     saveLocal() {
         try {
             const collectionData = {
+                schemaVersion: SAVE_SCHEMA_VERSIONS.collection,
                 caughtFishCollection: this.caughtFishCollection
             };
 
@@ -158,9 +160,9 @@ export class FishCollection {
             const savedData = localStorage.getItem('kittyCreekCollection');
             
             if (savedData) {
-                const collectionData = JSON.parse(savedData);
+                const collectionData = migrateSaveData('collection', JSON.parse(savedData));
                 
-                this.caughtFishCollection = collectionData.caughtFishCollection || {};
+                this.caughtFishCollection = collectionData.caughtFishCollection;
                 if (collectionData.userId) {
                     this.userId = collectionData.userId;
                 }
@@ -171,8 +173,8 @@ export class FishCollection {
             try {
                 const backupData = localStorage.getItem('kittyCreekCollection_backup');
                 if (backupData) {
-                    const collectionData = JSON.parse(backupData);
-                    this.caughtFishCollection = collectionData.caughtFishCollection || {};
+                    const collectionData = migrateSaveData('collection', JSON.parse(backupData));
+                    this.caughtFishCollection = collectionData.caughtFishCollection;
                 }
             } catch (backupError) {
                 console.error('[FISH_COLLECTION] Backup load also failed:', backupError);
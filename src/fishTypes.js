@@ -5,72 +5,78 @@
 
 import { STARFISH_ID } from './config/starfishEncounter.js';
 import { getFishCollectionOrder, getLocationAssignedFishIdSet } from './locations.js';
+import { getLocationWeather, getWeatherSpawnMultiplier } from './weather.js';
+import { getCurrentSeason, getSeasonSpawnMultiplier, isFishInSeason } from './seasons.js';
+import { getGameHour, getTimeOfDaySpawnMultiplier } from './timeOfDay.js';
+import { getHotspotSpawnMultiplier } from './hotspots.js';
+import { getLineTechniqueSpawnMultiplier } from './lineTechniques.js';
 
 export { getFishImagePath, getFishImagePaths } from './utils/imageAssets.js';
 
+// fight: how the species behaves once hooked (profile ids in config/fightProfiles.js)
 export const FishTypes = [
     // Common (0-4)
-    { id: 0, name: 'Minnow', rarity: 'Common', minWeight: 0.1, maxWeight: 0.5, recordWeight: 0.6, value: 5, experience: 4, season: 'All' },
-    { id: 1, name: 'Sunfish', rarity: 'Common', minWeight: 0.3, maxWeight: 1.2, recordWeight: 4.5, value: 8, experience: 6, season: 'All' },
-    { id: 2, name: 'Bass', rarity: 'Common', minWeight: 1.0, maxWeight: 5.0, recordWeight: 22.5, value: 15, experience: 9, season: 'All' },
-    { id: 3, name: 'Perch', rarity: 'Common', minWeight: 0.5, maxWeight: 2.0, recordWeight: 4.8, value: 12, experience: 7, season: 'All' },
-    { id: 4, name: 'Crappie', rarity: 'Common', minWeight: 0.8, maxWeight: 3.0, recordWeight: 6.0, value: 18, experience: 8, season: 'All' },
+    { id: 0, name: 'Minnow', rarity: 'Common', minWeight: 0.1, maxWeight: 0.5, recordWeight: 0.6, value: 5, experience: 4, season: 'All', fight: 'thrasher' },
+    { id: 1, name: 'Sunfish', rarity: 'Common', minWeight: 0.3, maxWeight: 1.2, recordWeight: 4.5, value: 8, experience: 6, season: 'All', fight: 'thrasher' },
+    { id: 2, name: 'Bass', rarity: 'Common', minWeight: 1.0, maxWeight: 5.0, recordWeight: 22.5, value: 15, experience: 9, season: 'All', fight: 'leaper' },
+    { id: 3, name: 'Perch', rarity: 'Common', minWeight: 0.5, maxWeight: 2.0, recordWeight: 4.8, value: 12, experience: 7, season: 'All', fight: 'shaker' },
+    { id: 4, name: 'Crappie', rarity: 'Common', minWeight: 0.8, maxWeight: 3.0, recordWeight: 6.0, value: 18, experience: 8, season: 'All', fight: 'steady' },
     
     // Uncommon (5-9)
-    { id: 5, name: 'Trout', rarity: 'Uncommon', minWeight: 0.5, maxWeight: 3.0, recordWeight: 50.0, value: 25, experience: 14, season: 'Spring/Fall' },
-    { id: 6, name: 'Pike', rarity: 'Uncommon', minWeight: 2.0, maxWeight: 8.0, recordWeight: 55.0, value: 40, experience: 18, season: 'All' },
-    { id: 7, name: 'Walleye', rarity: 'Uncommon', minWeight: 1.5, maxWeight: 6.0, recordWeight: 25.0, value: 35, experience: 16, season: 'Spring/Fall' },
-    { id: 8, name: 'Muskie', rarity: 'Uncommon', minWeight: 5.0, maxWeight: 15.0, recordWeight: 70.0, value: 60, experience: 22, season: 'All' },
-    { id: 9, name: 'Carp', rarity: 'Uncommon', minWeight: 3.0, maxWeight: 20.0, recordWeight: 110.0, value: 30, experience: 13, season: 'All' },
+    { id: 5, name: 'Trout', rarity: 'Uncommon', minWeight: 0.5, maxWeight: 3.0, recordWeight: 50.0, value: 25, experience: 14, season: 'Spring/Fall', fight: 'leaper' },
+    { id: 6, name: 'Pike', rarity: 'Uncommon', minWeight: 2.0, maxWeight: 8.0, recordWeight: 55.0, value: 40, experience: 18, season: 'All', fight: 'shaker' },
+    { id: 7, name: 'Walleye', rarity: 'Uncommon', minWeight: 1.5, maxWeight: 6.0, recordWeight: 25.0, value: 35, experience: 16, season: 'Spring/Fall', fight: 'shaker' },
+    { id: 8, name: 'Muskie', rarity: 'Uncommon', minWeight: 5.0, maxWeight: 15.0, recordWeight: 70.0, value: 60, experience: 22, season: 'All', fight: 'leaper' },
+    { id: 9, name: 'Carp', rarity: 'Uncommon', minWeight: 3.0, maxWeight: 20.0, recordWeight: 110.0, value: 30, experience: 13, season: 'All', fight: 'runner' },
     
     // Rare (10-14)
-    { id: 10, name: 'Salmon', rarity: 'Rare', minWeight: 8.0, maxWeight: 25.0, recordWeight: 130.0, value: 80, experience: 28, season: 'Fall' },
-    { id: 11, name: 'Catfish', rarity: 'Rare', minWeight: 5.0, maxWeight: 30.0, recordWeight: 150.0, value: 70, experience: 26, season: 'All' },
-    { id: 12, name: 'Sturgeon', rarity: 'Rare', minWeight: 20.0, maxWeight: 50.0, recordWeight: 500.0, value: 120, experience: 34, season: 'All' },
-    { id: 13, name: 'Marlin', rarity: 'Rare', minWeight: 50.0, maxWeight: 200.0, recordWeight: 1400.0, value: 200, experience: 42, season: 'All' },
-    { id: 14, name: 'Tuna', rarity: 'Rare', minWeight: 30.0, maxWeight: 150.0, recordWeight: 1500.0, value: 150, experience: 38, season: 'All' },
+    { id: 10, name: 'Salmon', rarity: 'Rare', minWeight: 8.0, maxWeight: 25.0, recordWeight: 130.0, value: 80, experience: 28, season: 'Fall', fight: 'leaper' },
+    { id: 11, name: 'Catfish', rarity: 'Rare', minWeight: 5.0, maxWeight: 30.0, recordWeight: 150.0, value: 70, experience: 26, season: 'All', fight: 'diver' },
+    { id: 12, name: 'Sturgeon', rarity: 'Rare', minWeight: 20.0, maxWeight: 50.0, recordWeight: 500.0, value: 120, experience: 34, season: 'All', fight: 'diver' },
+    { id: 13, name: 'Marlin', rarity: 'Rare', minWeight: 50.0, maxWeight: 200.0, recordWeight: 1400.0, value: 200, experience: 42, season: 'All', fight: 'leaper' },
+    { id: 14, name: 'Tuna', rarity: 'Rare', minWeight: 30.0, maxWeight: 150.0, recordWeight: 1500.0, value: 150, experience: 38, season: 'All', fight: 'runner' },
     
     // Epic (15-19)
-    { id: 15, name: 'Crystal Bass', rarity: 'Epic', minWeight: 10.0, maxWeight: 35.0, value: 300, experience: 46, season: 'All' },
-    { id: 16, name: 'Golden Trout', rarity: 'Epic', minWeight: 5.0, maxWeight: 20.0, value: 250, experience: 44, season: 'Spring' },
-    { id: 17, name: 'Ice Pike', rarity: 'Epic', minWeight: 15.0, maxWeight: 40.0, value: 350, experience: 50, season: 'Winter' },
-    { id: 18, name: 'Shadow Catfish', rarity: 'Epic', minWeight: 25.0, maxWeight: 60.0, value: 400, experience: 54, season: 'All' },
-    { id: 19, name: 'Abyssal Eel', rarity: 'Epic', minWeight: 30.0, maxWeight: 80.0, value: 500, experience: 58, season: 'All' },
+    { id: 15, name: 'Crystal Bass', rarity: 'Epic', minWeight: 10.0, maxWeight: 35.0, value: 300, experience: 46, season: 'All', fight: 'leaper' },
+    { id: 16, name: 'Golden Trout', rarity: 'Epic', minWeight: 5.0, maxWeight: 20.0, value: 250, experience: 44, season: 'Spring', fight: 'leaper' },
+    { id: 17, name: 'Ice Pike', rarity: 'Epic', minWeight: 15.0, maxWeight: 40.0, value: 350, experience: 50, season: 'Winter', fight: 'shaker' },
+    { id: 18, name: 'Shadow Catfish', rarity: 'Epic', minWeight: 25.0, maxWeight: 60.0, value: 400, experience: 54, season: 'All', fight: 'diver' },
+    { id: 19, name: 'Abyssal Eel', rarity: 'Epic', minWeight: 30.0, maxWeight: 80.0, value: 500, experience: 58, season: 'All', fight: 'thrasher' },
     
     // Legendary (20-24)
-    { id: 20, name: 'Ancient Sturgeon', rarity: 'Legendary', minWeight: 100.0, maxWeight: 300.0, value: 1000, experience: 70, season: 'All' },
-    { id: 21, name: 'Leviathan', rarity: 'Legendary', minWeight: 200.0, maxWeight: 500.0, value: 2000, experience: 80, season: 'All' },
-    { id: 22, name: 'Phoenix Fish', rarity: 'Legendary', minWeight: 50.0, maxWeight: 150.0, value: 1500, experience: 74, season: 'All' },
-    { id: 23, name: 'Dragon Carp', rarity: 'Legendary', minWeight: 80.0, maxWeight: 200.0, value: 1800, experience: 76, season: 'All' },
-    { id: 24, name: 'Tournament King', rarity: 'Legendary', minWeight: 60.0, maxWeight: 120.0, value: 1200, experience: 72, season: 'All' },
+    { id: 20, name: 'Ancient Sturgeon', rarity: 'Legendary', minWeight: 100.0, maxWeight: 300.0, value: 1000, experience: 70, season: 'All', fight: 'diver' },
+    { id: 21, name: 'Leviathan', rarity: 'Legendary', minWeight: 200.0, maxWeight: 500.0, value: 2000, experience: 80, season: 'All', fight: 'diver' },
+    { id: 22, name: 'Phoenix Fish', rarity: 'Legendary', minWeight: 50.0, maxWeight: 150.0, value: 1500, experience: 74, season: 'All', fight: 'leaper' },
+    { id: 23, name: 'Dragon Carp', rarity: 'Legendary', minWeight: 80.0, maxWeight: 200.0, value: 1800, experience: 76, season: 'All', fight: 'runner' },
+    { id: 24, name: 'Tournament King', rarity: 'Legendary', minWeight: 60.0, maxWeight: 120.0, value: 1200, experience: 72, season: 'All', fight: 'leaper' },
     
     // Trophy (25-32)
-    { id: 25, name: 'Trophy Bass', rarity: 'Trophy', minWeight: 20.0, maxWeight: 50.0, value: 500, experience: 84, season: 'All' },
-    { id: 26, name: 'Trophy Pike', rarity: 'Trophy', minWeight: 30.0, maxWeight: 70.0, value: 600, experience: 88, season: 'All' },
-    { id: 27, name: 'Trophy Salmon', rarity: 'Trophy', minWeight: 40.0, maxWeight: 80.0, value: 700, experience: 92, season: 'Fall' },
-    { id: 28, name: 'Trophy Marlin', rarity: 'Trophy', minWeight: 100.0, maxWeight: 300.0, value: 1000, experience: 98, season: 'All' },
-    { id: 29, name: 'Trophy Tuna', rarity: 'Trophy', minWeight: 80.0, maxWeight: 200.0, value: 800, experience: 94, season: 'All' },
-    { id: 30, name: 'Trophy Sturgeon', rarity: 'Trophy', minWeight: 150.0, maxWeight: 400.0, value: 1200, experience: 104, season: 'All' },
-    { id: 31, name: 'Trophy Catfish', rarity: 'Trophy', minWeight: 60.0, maxWeight: 150.0, value: 900, experience: 90, season: 'All' },
-    { id: 32, name: 'Trophy King', rarity: 'Trophy', minWeight: 200.0, maxWeight: 500.0, value: 1500, experience: 110, season: 'All' },
+    { id: 25, name: 'Trophy Bass', rarity: 'Trophy', minWeight: 20.0, maxWeight: 50.0, value: 500, experience: 84, season: 'All', fight: 'leaper' },
+    { id: 26, name: 'Trophy Pike', rarity: 'Trophy', minWeight: 30.0, maxWeight: 70.0, value: 600, experience: 88, season: 'All', fight: 'shaker' },
+    { id: 27, name: 'Trophy Salmon', rarity: 'Trophy', minWeight: 40.0, maxWeight: 80.0, value: 700, experience: 92, season: 'Fall', fight: 'leaper' },
+    { id: 28, name: 'Trophy Marlin', rarity: 'Trophy', minWeight: 100.0, maxWeight: 300.0, value: 1000, experience: 98, season: 'All', fight: 'leaper' },
+    { id: 29, name: 'Trophy Tuna', rarity: 'Trophy', minWeight: 80.0, maxWeight: 200.0, value: 800, experience: 94, season: 'All', fight: 'runner' },
+    { id: 30, name: 'Trophy Sturgeon', rarity: 'Trophy', minWeight: 150.0, maxWeight: 400.0, value: 1200, experience: 104, season: 'All', fight: 'diver' },
+    { id: 31, name: 'Trophy Catfish', rarity: 'Trophy', minWeight: 60.0, maxWeight: 150.0, value: 900, experience: 90, season: 'All', fight: 'diver' },
+    { id: 32, name: 'Trophy King', rarity: 'Trophy', minWeight: 200.0, maxWeight: 500.0, value: 1500, experience: 110, season: 'All', fight: 'runner' },
     
     // Mythic (33)
-    { id: 33, name: 'Starfish of Eternity', rarity: 'Mythic', minWeight: 120.0, maxWeight: 220.0, recordWeight: 250.0, value: 5000, experience: 240, season: 'All' },
+    { id: 33, name: 'Starfish of Eternity', rarity: 'Mythic', minWeight: 120.0, maxWeight: 220.0, recordWeight: 250.0, value: 5000, experience: 240, season: 'All', fight: 'steady' },
 
     // Coral Kingdoms reef fish (34-38)
-    { id: 34, name: 'Clownfish', rarity: 'Common', minWeight: 0.1, maxWeight: 0.35, recordWeight: 0.5, value: 14, experience: 8, season: 'All' },
-    { id: 35, name: 'Blue Tang', rarity: 'Uncommon', minWeight: 0.3, maxWeight: 1.8, recordWeight: 2.5, value: 26, experience: 14, season: 'All' },
-    { id: 36, name: 'Pufferfish', rarity: 'Uncommon', minWeight: 0.5, maxWeight: 3.5, recordWeight: 5.0, value: 38, experience: 18, season: 'All' },
-    { id: 37, name: 'Lionfish', rarity: 'Rare', minWeight: 1.0, maxWeight: 4.5, recordWeight: 6.5, value: 65, experience: 26, season: 'All' },
-    { id: 38, name: 'Queen Angelfish', rarity: 'Epic', minWeight: 0.8, maxWeight: 3.2, recordWeight: 4.8, value: 92, experience: 34, season: 'All' },
+    { id: 34, name: 'Clownfish', rarity: 'Common', minWeight: 0.1, maxWeight: 0.35, recordWeight: 0.5, value: 14, experience: 8, season: 'All', fight: 'thrasher' },
+    { id: 35, name: 'Blue Tang', rarity: 'Uncommon', minWeight: 0.3, maxWeight: 1.8, recordWeight: 2.5, value: 26, experience: 14, season: 'All', fight: 'runner' },
+    { id: 36, name: 'Pufferfish', rarity: 'Uncommon', minWeight: 0.5, maxWeight: 3.5, recordWeight: 5.0, value: 38, experience: 18, season: 'All', fight: 'steady' },
+    { id: 37, name: 'Lionfish', rarity: 'Rare', minWeight: 1.0, maxWeight: 4.5, recordWeight: 6.5, value: 65, experience: 26, season: 'All', fight: 'shaker' },
+    { id: 38, name: 'Queen Angelfish', rarity: 'Epic', minWeight: 0.8, maxWeight: 3.2, recordWeight: 4.8, value: 92, experience: 34, season: 'All', fight: 'runner' },
 
     // Cortez Backwaters inshore Gulf species (39-44)
-    { id: 39, name: 'Speckled Trout', rarity: 'Common', minWeight: 1.0, maxWeight: 6.0, recordWeight: 17.0, value: 22, experience: 10, season: 'All' },
-    { id: 40, name: 'Southern Flounder', rarity: 'Common', minWeight: 1.5, maxWeight: 8.0, recordWeight: 20.0, value: 28, experience: 12, season: 'All' },
-    { id: 41, name: 'Sheepshead', rarity: 'Uncommon', minWeight: 2.0, maxWeight: 10.0, recordWeight: 21.0, value: 42, experience: 18, season: 'All' },
-    { id: 42, name: 'Redfish', rarity: 'Rare', minWeight: 4.0, maxWeight: 18.0, recordWeight: 52.0, value: 85, experience: 30, season: 'All' },
-    { id: 43, name: 'Snook', rarity: 'Trophy', minWeight: 6.0, maxWeight: 28.0, recordWeight: 44.0, value: 140, experience: 48, season: 'All' },
-    { id: 44, name: 'Tarpon', rarity: 'Legendary', minWeight: 40.0, maxWeight: 120.0, recordWeight: 286.0, value: 900, experience: 95, season: 'All' }
+    { id: 39, name: 'Speckled Trout', rarity: 'Common', minWeight: 1.0, maxWeight: 6.0, recordWeight: 17.0, value: 22, experience: 10, season: 'All', fight: 'shaker' },
+    { id: 40, name: 'Southern Flounder', rarity: 'Common', minWeight: 1.5, maxWeight: 8.0, recordWeight: 20.0, value: 28, experience: 12, season: 'All', fight: 'diver' },
+    { id: 41, name: 'Sheepshead', rarity: 'Uncommon', minWeight: 2.0, maxWeight: 10.0, recordWeight: 21.0, value: 42, experience: 18, season: 'All', fight: 'shaker' },
+    { id: 42, name: 'Redfish', rarity: 'Rare', minWeight: 4.0, maxWeight: 18.0, recordWeight: 52.0, value: 85, experience: 30, season: 'All', fight: 'runner' },
+    { id: 43, name: 'Snook', rarity: 'Trophy', minWeight: 6.0, maxWeight: 28.0, recordWeight: 44.0, value: 140, experience: 48, season: 'All', fight: 'leaper' },
+    { id: 44, name: 'Tarpon', rarity: 'Legendary', minWeight: 40.0, maxWeight: 120.0, recordWeight: 286.0, value: 900, experience: 95, season: 'All', fight: 'leaper' }
 ];
 
 // Fish facts database
@@ -168,10 +174,24 @@ export function getUnlockedVisibleFishCount(caughtFishCollection = {}, locations
 /**
  * Get random fish for location based on fish array
  * @param {Array<number>} fishIds - Array of fish IDs available at location
+ * @param {{ playerLevel?: number, location?: Object|null, weather?: Object|null, season?: string, hour?: number, hotspot?: Object|null, zone?: Object|null, technique?: Object|null }} [options]
+ *   weather defaults to the location's current weather (see weather.js), season and hour
+ *   to the current calendar season and game clock (see seasons.js, timeOfDay.js); zone is
+ *   the fishing zone the bobber landed in (see fishingZones.js) and technique the line mode
+ *   and last retrieve worked ({ lineMode, retrieve }, see lineTechniques.js)
  * @returns {Object} Fish type with random weight
  */
 export function getRandomFishForLocation(fishIds, options = {}) {
-    const { playerLevel = 1, location = null } = options;
+    const {
+        playerLevel = 1,
+        location = null,
+        weather = getLocationWeather(location),
+        season = getCurrentSeason(),
+        hour = getGameHour(),
+        hotspot = null,
+        zone = null,
+        technique = null
+    } = options;
     let pool = fishIds;
     if (!pool || pool.length === 0) {
         if (location?.waterBodyType === 'CELESTIAL') {
@@ -193,24 +213,37 @@ export function getRandomFishForLocation(fishIds, options = {}) {
     const smallWaterBody = waterBodyType === 'POND' || waterBodyType === 'RIVER';
     const aggressiveScaling = earlyGameLocation || smallWaterBody;
     
+    // Zone or location spawn table (or an even spread), then weather tilts it toward rarer fish,
+    // the calendar keeps out-of-season species away, night feeders bite more after dark,
+    // hotspots favour rarer fish and species answer to their preferred depth and retrieve.
+    const tableWeights = zone?.fishSpawnWeights ?? location?.fishSpawnWeights;
+    const baseWeights = tableWeights && Object.keys(tableWeights).length > 0
+        ? tableWeights
+        : null;
+    const entries = pool
+        .map((id) => [id, baseWeights ? (baseWeights[id] ?? 0) : 1])
+        .map(([id, weight]) => [id, weight * getWeatherSpawnMultiplier(weather, getFishTypeById(id)?.rarity)])
+        .map(([id, weight]) => [id, weight * getSeasonSpawnMultiplier(getFishTypeById(id), season)])
+        .map(([id, weight]) => [id, weight * getTimeOfDaySpawnMultiplier(getFishTypeById(id), hour)])
+        .map(([id, weight]) => [id, weight * getHotspotSpawnMultiplier(getFishTypeById(id), hotspot)])
+        .map(([id, weight]) => [id, weight * getLineTechniqueSpawnMultiplier(getFishTypeById(id), technique)])
+        .filter(([, weight]) => weight > 0);
+    const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
     let randomFishId;
-    if (location?.fishSpawnWeights && Object.keys(location.fishSpawnWeights).length > 0) {
-        const weights = location.fishSpawnWeights;
-        const entries = Object.entries(weights).filter(([id]) => pool.includes(Number(id)));
-        const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
-        if (total > 0) {
-            let roll = Math.random() * total;
-            for (const [id, weight] of entries) {
-                roll -= weight;
-                if (roll <= 0) {
-                    randomFishId = Number(id);
-                    break;
-                }
+    if (total > 0) {
+        let roll = Math.random() * total;
+        for (const [id, weight] of entries) {
+            roll -= weight;
+            if (roll <= 0) {
+                randomFishId = id;
+                break;
             }
         }
     }
     if (randomFishId === undefined) {
-        randomFishId = pool[Math.floor(Math.random() * pool.length)];
+        const inSeason = pool.filter((id) => isFishInSeason(getFishTypeById(id), season));
+        const fallbackPool = inSeason.length > 0 ? inSeason : pool;
+        randomFishId = fallbackPool[Math.floor(Math.random() * fallbackPool.length)];
     }
     const fishType = getFishTypeById(randomFishId);
     
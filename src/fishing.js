@@ -13,6 +13,12 @@ import { attachRodToHand } from './fishing/attachRod.js';
 import { aimRodForwardAt45 } from './fishing/aimRod.js';
 import { STARFISH_LANDING_REEL_RATE } from './config/starfishEncounter.js';
 import { BobberWake } from './effects/bobberWake.js';
+import { applyCastScatter, getAimDirection, getAimedCastPoint, getCastPower, getCastScatterRadius } from './castAim.js';
+import { CAST_AIM_TAP_SEC } from './config/castAim.js';
+import { FishingHotspots } from './fishing/hotspots.js';
+import { getFishingZoneAt } from './fishingZones.js';
+import { getActiveLineMode, getRetrieveStyleById, meetsTechniqueRequirement } from './lineTechniques.js';
+import { RETRIEVE_COOLDOWN_SEC } from './config/lineTechniques.js';
 
 // Apply tug visual to bobber when fish pulls
 export function applyTug(bobber, intensity = 1.0, sfx = null, scene = null) {
@@ -104,6 +110,21 @@ export class Fishing {
         this.defaultBobberAppearance = null;
         this.starfishCelebration = null;
         this.pendingCelebrateDuration = null;
+        // Aimed casting: set while the cast button is held (see beginAim)
+        this.aim = null;
+        this.aimReticle = null;
+        this._aimDirection = new THREE.Vector3();
+        /** Called every frame while aiming with { steer, power, scatter }. */
+        this.onAimUpdate = null;
+        this.hotspots = null;
+        /** Hotspot the last cast landed in, or null. */
+        this.castHotspot = null;
+        /** Fishing zone (weed bed, reef edge…) the last cast landed in, or null. */
+        this.castZone = null;
+        // Line mode fixed at cast time and the last retrieve worked since (see lineTechniques.js)
+        this.lineMode = 'float';
+        this.castRetrieve = null;
+        this.retrieveCooldown = 0;
     }
     
     clampToCastBounds(v) {
@@ -119,11 +140,7 @@ export class Fishing {
         const waterY = this.water.waterY;
         
         // Get cat position to ensure casts are always in front
-        let catPos = new THREE.Vector3(0, 0, -4.4); // Default cat position on dock
-        if (this.cat && this.cat.getModel()) {
-            this.cat.getModel().updateMatrixWorld(true);
-            this.cat.getModel().getWorldPosition(catPos);
-        }
+        const catPos = this.getCastOrigin();
         
         // Try to get a point in front of the cat
         let attempts = 0;
@@ -179,6 +196,162 @@ export class Fishing {
         return this.randomOnscreenWaterPoint(margin);
     }
 
+    /** Where casts are measured from — the cat on the dock. */
+    getCastOrigin() {
+        const catPos = new THREE.Vector3(0, 0, -4.4); // Default cat position on dock
+        if (this.cat && this.cat.getModel()) {
+            this.cat.getModel().updateMatrixWorld(true);
+            this.cat.getModel().getWorldPosition(catPos);
+        }
+        return catPos;
+    }
+
+    /**
+     * Start aiming a cast: the power meter starts cycling and a reticle marks the landing area.
+     * @returns {boolean} False when a cast or fight is already under way
+     */
+    beginAim() {
+        if (this.isCasting || this.isReeling) {
+            return false;
+        }
+        this.aim = { heldSec: 0, steer: 0, power: 0, scatter: 0 };
+        this.ensureAimReticle();
+        return true;
+    }
+
+    /** @param {number} steer - -1 (left) to 1 (right) on screen */
+    setAimSteer(steer) {
+        if (this.aim) {
+            this.aim.steer = THREE.MathUtils.clamp(steer, -1, 1);
+        }
+    }
+
+    /**
+     * Stop aiming and return the aim to cast with, or null for a quick tap (random cast).
+     * @returns {{ steer: number, power: number }|null}
+     */
+    endAim() {
+        const aim = this.aim;
+        this.cancelAim();
+        if (!aim || aim.heldSec < CAST_AIM_TAP_SEC) {
+            return null;
+        }
+        return { steer: aim.steer, power: aim.power };
+    }
+
+    cancelAim() {
+        this.aim = null;
+        if (this.aimReticle) {
+            this.aimReticle.visible = false;
+        }
+        this.onAimUpdate?.(null);
+    }
+
+    ensureAimReticle() {
+        if (this.aimReticle) {
+            return;
+        }
+        const material = new THREE.MeshBasicMaterial({
+            color: 0xffffff,
+            transparent: true,
+            opacity: 0.55,
+            depthWrite: false,
+            side: THREE.DoubleSide
+        });
+        const group = new THREE.Group();
+        group.name = 'CastAimReticle';
+        // Unit-radius scatter ring, scaled to the scatter radius each frame
+        const scatterRing = new THREE.Mesh(new THREE.RingGeometry(0.94, 1, 48), material);
+        scatterRing.rotation.x = -Math.PI / 2;
+        group.add(scatterRing);
+        const center = new THREE.Mesh(new THREE.RingGeometry(0.18, 0.3, 24), material);
+        center.rotation.x = -Math.PI / 2;
+        group.add(center);
+        group.userData.scatterRing = scatterRing;
+        group.visible = false;
+        this.sceneRef.scene.add(group);
+        this.aimReticle = group;
+    }
+
+    getPlayerAccuracy() {
+        return this.game?.player?.stats?.accuracy ?? 50;
+    }
+
+    updateAim(delta) {
+        if (!this.aim) {
+            return;
+        }
+        this.aim.heldSec += delta;
+        this.aim.power = getCastPower(this.aim.heldSec);
+        this.aim.scatter = getCastScatterRadius(this.getPlayerAccuracy(), this.aim.power);
+
+        getAimDirection(this.sceneRef.camera, this.aim.steer, this._aimDirection);
+        const target = getAimedCastPoint(this.getCastOrigin(), this._aimDirection, this.aim.power);
+        this.clampToCastBounds(target);
+        if (this.aimReticle) {
+            this.aimReticle.visible = this.aim.heldSec >= CAST_AIM_TAP_SEC;
+            this.aimReticle.position.set(target.x, this.water.waterY + 0.05, target.z);
+            this.aimReticle.userData.scatterRing.scale.setScalar(Math.max(0.4, this.aim.scatter));
+        }
+        this.onAimUpdate?.(this.aim);
+    }
+
+    /** How the current cast is being fished, for spawning. */
+    getLineTechnique() {
+        return { lineMode: this.lineMode, retrieve: this.castRetrieve };
+    }
+
+    /** Whether a retrieve can be worked now: rig settled in the water, nothing on it, off cooldown. */
+    canRetrieve() {
+        const ud = this.bobber?.userData;
+        return Boolean(
+            this.bobber?.visible
+            && ud?.floating
+            && !ud.isHooked
+            && !ud.biteStrike
+            && !ud.relicStrike
+            && !this.isCasting
+            && !this.isReeling
+            && !this.fishOnLine
+            && this.retrieveCooldown <= 0
+        );
+    }
+
+    /**
+     * Work the rig with a retrieve while waiting.
+     * @param {string} styleId - twitch, steady or jig
+     * @returns {{ ok: boolean, reason?: 'unknown'|'gear'|'busy' }}
+     */
+    retrieve(styleId) {
+        const style = getRetrieveStyleById(styleId);
+        if (!style) {
+            return { ok: false, reason: 'unknown' };
+        }
+        if (!meetsTechniqueRequirement(this.game?.player, style)) {
+            return { ok: false, reason: 'gear' };
+        }
+        if (!this.canRetrieve() || !this.rope) {
+            return { ok: false, reason: 'busy' };
+        }
+        this.rope.startRetrieve(style.id);
+        this.castRetrieve = style.id;
+        this.retrieveCooldown = RETRIEVE_COOLDOWN_SEC;
+        return { ok: true };
+    }
+
+    /**
+     * Landing point for an aimed cast: aim point plus accuracy scatter, kept inside the cast bounds.
+     * @param {{ steer: number, power: number }} aim
+     */
+    getAimedCastTarget(aim) {
+        getAimDirection(this.sceneRef.camera, aim.steer, this._aimDirection);
+        const target = getAimedCastPoint(this.getCastOrigin(), this._aimDirection, aim.power);
+        applyCastScatter(target, getCastScatterRadius(this.getPlayerAccuracy(), aim.power));
+        this.clampToCastBounds(target);
+        target.y = this.water.waterY;
+        return target;
+    }
+
     async init() {
         if (this.tempRodTip) {
             this.rodTipBone = this.tempRodTip;
@@ -206,6 +379,7 @@ export class Fishing {
         }
         
         this.bobberWake = new BobberWake(this.sceneRef.scene);
+        this.hotspots = new FishingHotspots(this);
     }
 
     createRadialTexture(innerColor = 'rgba(255,255,255,1)', outerColor = 'rgba(255,255,255,0)') {
@@ -920,7 +1094,10 @@ export class Fishing {
         }
     }
 
-    cast() {
+    /**
+     * @param {{ steer: number, power: number }|null} [aim] - From endAim; null casts to a random on-screen spot
+     */
+    cast(aim = null) {
         console.log('Cast called! isCasting:', this.isCasting, 'isReeling:', this.isReeling);
         
         if (this.isCasting || this.isReeling) {
@@ -951,10 +1128,20 @@ export class Fishing {
         this.castStart.copy(rodTipWorld);
         this.castStart.y += 0.02;
         
-        // Get random spot on-screen using camera raycasting
-        this.currentTarget = this.randomOnscreenWaterPoint();
+        // Aimed spot, or a random spot on-screen using camera raycasting
+        this.currentTarget = aim ? this.getAimedCastTarget(aim) : this.randomOnscreenWaterPoint();
+        this.castHotspot = this.hotspots?.getHotspotAt(this.currentTarget) ?? null;
+        this.castZone = getFishingZoneAt(
+            this.game?.locations?.getCurrentLocation()?.name ?? null,
+            this.currentTarget.x,
+            this.currentTarget.z
+        );
+        this.lineMode = getActiveLineMode(this.game?.player);
+        this.rope?.setLineMode(this.lineMode);
+        this.castRetrieve = null;
         this.castEnd.copy(this.currentTarget);
         this.castEnd.y = this.water.waterY + 0.1;
+        this.game?.lobby?.sendCast(this.castEnd);
         
         // Generous rope length so constraints don't yank back mid-flight
         // Pin last node during flight to prevent spring-back
@@ -1075,6 +1262,9 @@ export class Fishing {
         const elapsedTime = this.sceneRef?.clock?.elapsedTime ?? 0;
         this.updateBobberHalo(elapsedTime);
         this.tickBobberStrikeAnimations(elapsedTime);
+        this.updateAim(delta);
+        this.hotspots?.update(delta);
+        this.retrieveCooldown = Math.max(0, this.retrieveCooldown - delta);
         if (this.starfishCelebration?.active) {
             this.starfishCelebration.timer += delta;
             if (this.starfishCelebration.timer >= this.starfishCelebration.duration) {
@@ -1168,6 +1358,7 @@ export class Fishing {
             // Check if cast completed
             if (t >= 1) {
                 this.isCasting = false;
+                this.game?.lobby?.sendBobberLanded(this.bobber.position);
 
                 if (this.rope && this.rope.rope.length > 0) {
                     // Get tip and bobber positions
@@ -1523,13 +1714,19 @@ export class Fishing {
                 );
 
             if (this.bobberWake && this.bobber) {
+                const lureWakeActive = this.bobber.visible && Boolean(this.rope?.isLureMoving());
                 this.bobberWake.update(
                     delta,
                     this.bobber.position,
-                    fightWaterActive,
+                    fightWaterActive || lureWakeActive,
                     (x, z) => this.water.getWaterHeight(x, z),
                     null
                 );
+                if (this.rope?.retrievePulse) {
+                    this.rope.retrievePulse = false;
+                    const { x, z } = this.bobber.position;
+                    this.bobberWake.pulse(x, z, this.water.getWaterHeight(x, z));
+                }
             }
 
             if (fightWaterActive && this.splash && this.bobber) {
@@ -1742,6 +1939,7 @@ export class Fishing {
         }
         
         this.isReeling = true;
+        this.game?.lobby?.sendReel();
         console.log('[FISHING] isReeling set to:', this.isReeling);
         this.cat?.playReeling?.();
         if (this.rope) {
@@ -2157,6 +2355,7 @@ export class Fishing {
                 // Reeling complete - no fish
                 // No splash/ripple when reeling without fish completes - just quietly finish
                 this.isReeling = false;
+                this.game?.lobby?.sendIdle();
                 this.cat?.playIdle?.();
                 if (this.rope) {
                     this.rope.setReeling(false);
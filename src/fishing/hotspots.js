@@ -0,0 +1,156 @@
+import * as THREE from 'three';
+import { getAimDirection, getAimedCastPoint } from '../castAim.js';
+import { HotspotCues } from '../effects/hotspotCues.js';
+import { getFishingZones, sampleFishingZonePoint } from '../fishingZones.js';
+import {
+    CAST_AIM_MAX_DISTANCE,
+    CAST_AIM_MAX_YAW_DEG,
+    CAST_AIM_MIN_DISTANCE
+} from '../config/castAim.js';
+import {
+    HOTSPOT_COUNT,
+    HOTSPOT_CUES,
+    HOTSPOT_DRIFT_RANGE,
+    HOTSPOT_DRIFT_SPEED,
+    HOTSPOT_DRIFT_TURN_RATE,
+    HOTSPOT_RADIUS,
+    HOTSPOT_RELOCATE_SEC,
+    HOTSPOT_ZONE_CHANCE
+} from '../config/hotspots.js';
+
+const PLACEMENT_ATTEMPTS = 12;
+const DRIFT_RETURN_RATE = 1.5;
+
+/**
+ * The live hotspots on the water (see ../hotspots.js for what they do to bites). Each one
+ * appears somewhere in the casting fan, often over one of the location's fishing zones,
+ * drifts slowly around that spot and moves on after roughly HOTSPOT_RELOCATE_SEC.
+ */
+export class FishingHotspots {
+    /**
+     * @param {import('../fishing.js').Fishing} fishing
+     */
+    constructor(fishing) {
+        this.fishing = fishing;
+        this.cues = new HotspotCues(fishing.sceneRef.scene);
+        /** @type {Array<{ id: string, cue: string, position: THREE.Vector3, anchor: THREE.Vector3, heading: number, age: number, lifetime: number }>} */
+        this.hotspots = [];
+        this._nextId = 0;
+        this._direction = new THREE.Vector3();
+        this._forward = new THREE.Vector3();
+        this._offset = new THREE.Vector3();
+    }
+
+    /** Scatter every hotspot to a fresh spot (new session or location). */
+    relocateAll() {
+        this.hotspots = [];
+        for (let i = 0; i < HOTSPOT_COUNT; i++) {
+            this.hotspots.push(this.createHotspot(i));
+        }
+    }
+
+    createHotspot(index) {
+        const position = this.pickPosition();
+        return {
+            id: `hotspot-${this._nextId++}`,
+            cue: HOTSPOT_CUES[index % HOTSPOT_CUES.length],
+            position,
+            anchor: position.clone(),
+            heading: Math.random() * Math.PI * 2,
+            age: 0,
+            // Stagger lifetimes so hotspots don't all move at once
+            lifetime: HOTSPOT_RELOCATE_SEC * (0.75 + Math.random() * 0.5)
+        };
+    }
+
+    /** Random point in the casting fan (often inside a fishing zone), kept clear of the other hotspots. */
+    pickPosition() {
+        const origin = this.fishing.getCastOrigin();
+        const camera = this.fishing.sceneRef.camera;
+        const zones = getFishingZones(this.fishing.game?.locations?.getCurrentLocation()?.name ?? null);
+        const preferZone = zones.length > 0 && Math.random() < HOTSPOT_ZONE_CHANCE;
+        let point = new THREE.Vector3();
+        for (let attempt = 0; attempt < PLACEMENT_ATTEMPTS; attempt++) {
+            // Zone tries come first; the rest fall back to open water so the spot is always reachable
+            const zone = preferZone && attempt < PLACEMENT_ATTEMPTS / 2
+                ? zones[Math.floor(Math.random() * zones.length)]
+                : null;
+            if (zone) {
+                const { x, z } = sampleFishingZonePoint(zone);
+                point = new THREE.Vector3(x, origin.y, z);
+                if (!this.isInCastFan(point, origin, camera)) {
+                    continue;
+                }
+            } else {
+                getAimDirection(camera, THREE.MathUtils.lerp(-0.85, 0.85, Math.random()), this._direction);
+                point = getAimedCastPoint(origin, this._direction, THREE.MathUtils.lerp(0.25, 0.95, Math.random()));
+            }
+            this.fishing.clampToCastBounds(point);
+            const crowded = this.hotspots.some((spot) => spot.position.distanceTo(point) < HOTSPOT_RADIUS * 3);
+            if (!crowded) {
+                break;
+            }
+        }
+        point.y = this.fishing.water.waterY;
+        return point;
+    }
+
+    /** Whether an aimed cast could reach a point (before scatter). */
+    isInCastFan(point, origin, camera) {
+        this._offset.set(point.x - origin.x, 0, point.z - origin.z);
+        const distance = this._offset.length();
+        if (distance < CAST_AIM_MIN_DISTANCE || distance > CAST_AIM_MAX_DISTANCE) {
+            return false;
+        }
+        getAimDirection(camera, 0, this._forward);
+        const yaw = this._forward.angleTo(this._offset);
+        return yaw <= THREE.MathUtils.degToRad(CAST_AIM_MAX_YAW_DEG);
+    }
+
+    /** Wander with a slowly turning heading, steering back once too far from the anchor. */
+    drift(spot, delta) {
+        spot.heading += (Math.random() * 2 - 1) * HOTSPOT_DRIFT_TURN_RATE * delta;
+        const dx = spot.anchor.x - spot.position.x;
+        const dz = spot.anchor.z - spot.position.z;
+        if (dx * dx + dz * dz > HOTSPOT_DRIFT_RANGE * HOTSPOT_DRIFT_RANGE) {
+            const home = Math.atan2(dz, dx);
+            const turn = Math.atan2(Math.sin(home - spot.heading), Math.cos(home - spot.heading));
+            spot.heading += turn * Math.min(1, DRIFT_RETURN_RATE * delta);
+        }
+        spot.position.x += Math.cos(spot.heading) * HOTSPOT_DRIFT_SPEED * delta;
+        spot.position.z += Math.sin(spot.heading) * HOTSPOT_DRIFT_SPEED * delta;
+        this.fishing.clampToCastBounds(spot.position);
+    }
+
+    /**
+     * Hotspot containing a water point, or null.
+     * @param {THREE.Vector3} point
+     */
+    getHotspotAt(point) {
+        if (!point) {
+            return null;
+        }
+        return this.hotspots.find((spot) => {
+            const dx = spot.position.x - point.x;
+            const dz = spot.position.z - point.z;
+            return dx * dx + dz * dz <= HOTSPOT_RADIUS * HOTSPOT_RADIUS;
+        }) || null;
+    }
+
+    update(delta) {
+        if (this.hotspots.length === 0) {
+            this.relocateAll();
+        }
+        this.hotspots.forEach((spot, index) => {
+            spot.age += delta;
+            // Never pull a hotspot out from under a bobber that is already fishing it
+            const fished = spot === this.fishing.castHotspot && this.fishing.bobber?.visible;
+            if (spot.age >= spot.lifetime && !fished) {
+                this.hotspots[index] = this.createHotspot(index);
+            } else {
+                this.drift(spot, delta);
+            }
+        });
+        this.cues.update(delta, this.hotspots, this.fishing.water.waterY, this.fishing.splash);
+    }
+}
@@ -0,0 +1,67 @@
+/**
+ * Per-location fishing zones (see config/fishingZones.js), carried by each location pack's
+ * fishingZones. Pure geometry so spawning, hotspot placement and scenery can all share the
+ * same shapes.
+ */
+
+import { getLocationPack } from './locationPacks.js';
+
+/**
+ * @param {string|null} locationName
+ * @returns {Array<Object>}
+ */
+export function getFishingZones(locationName) {
+    return getLocationPack(locationName)?.fishingZones || [];
+}
+
+/**
+ * @param {{ shape: Object }} zone
+ * @param {number} x
+ * @param {number} z
+ * @returns {boolean}
+ */
+export function isPointInFishingZone(zone, x, z) {
+    const shape = zone?.shape;
+    if (!shape) {
+        return false;
+    }
+    if (shape.type === 'rect') {
+        return x >= shape.xMin && x <= shape.xMax && z >= shape.zMin && z <= shape.zMax;
+    }
+    const distSq = (x - shape.x) ** 2 + (z - shape.z) ** 2;
+    if (shape.type === 'ring') {
+        return distSq >= shape.inner ** 2 && distSq <= shape.outer ** 2;
+    }
+    return distSq <= shape.radius ** 2;
+}
+
+/**
+ * Zone containing a water point at a location, or null.
+ * @param {string|null} locationName
+ * @param {number} x
+ * @param {number} z
+ */
+export function getFishingZoneAt(locationName, x, z) {
+    return getFishingZones(locationName).find((zone) => isPointInFishingZone(zone, x, z)) || null;
+}
+
+/**
+ * Uniformly random point inside a zone.
+ * @param {{ shape: Object }} zone
+ * @param {() => number} [random]
+ * @returns {{ x: number, z: number }}
+ */
+export function sampleFishingZonePoint(zone, random = Math.random) {
+    const shape = zone.shape;
+    if (shape.type === 'rect') {
+        return {
+            x: shape.xMin + random() * (shape.xMax - shape.xMin),
+            z: shape.zMin + random() * (shape.zMax - shape.zMin)
+        };
+    }
+    const inner = shape.type === 'ring' ? shape.inner : 0;
+    const outer = shape.type === 'ring' ? shape.outer : shape.radius;
+    const r = Math.sqrt(inner * inner + random() * (outer * outer - inner * inner));
+    const angle = random() * Math.PI * 2;
+    return { x: shape.x + Math.cos(angle) * r, z: shape.z + Math.sin(angle) * r };
+}
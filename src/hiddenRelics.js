@@ -7,6 +7,7 @@ import {
     RELIC_DISCOVERY_PITY_STEP,
     STARLIGHT_LURE_BAIT_ID
 } from './config/hiddenRelics.js';
+import { getSkillEffect } from './skills.js';
 
 export { HIDDEN_RELICS, getRelicById, getRelicForGameLocation } from './config/hiddenRelics.js';
 
@@ -29,7 +30,8 @@ export function rollRelicDiscovery(player, relic) {
 
     const luckBonus = ((player.stats?.luck ?? 50) - 50) * 0.001;
     const pityBonus = attempts * RELIC_DISCOVERY_PITY_STEP;
-    const chance = Math.min(0.55, RELIC_DISCOVERY_CHANCE + luckBonus + pityBonus);
+    const skillBonus = getSkillEffect(player, 'relicChance');
+    const chance = Math.min(0.55, RELIC_DISCOVERY_CHANCE + luckBonus + pityBonus + skillBonus);
     const found = Math.random() < chance;
     player.recordRelicCastAttempt(relic.id, found);
     return found;
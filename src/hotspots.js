@@ -0,0 +1,29 @@
+/**
+ * Fishing hotspots. A few patches of water inside the casting fan hold livelier, rarer fish;
+ * they move every HOTSPOT_RELOCATE_SEC and show themselves through surface cues. Landing the
+ * bobber in one changes what bites and how soon. The hotspots themselves live in
+ * fishing/hotspots.js; this module only holds the rules so spawning stays free of three.js.
+ */
+
+import {
+    HOTSPOT_BITE_TIME_MULTIPLIER,
+    HOTSPOT_RARITY_MULTIPLIERS
+} from './config/hotspots.js';
+
+/**
+ * Spawn weight multiplier for a fish rolled inside a hotspot (1 outside one).
+ * @param {{ rarity?: string }|null} fish
+ * @param {Object|null} hotspot
+ * @returns {number}
+ */
+export function getHotspotSpawnMultiplier(fish, hotspot) {
+    if (!hotspot) {
+        return 1;
+    }
+    return HOTSPOT_RARITY_MULTIPLIERS[fish?.rarity] ?? 1;
+}
+
+/** Multiplier on the wait for a bite. */
+export function getHotspotBiteTimeMultiplier(hotspot) {
+    return hotspot ? HOTSPOT_BITE_TIME_MULTIPLIER : 1;
+}
@@ -3,6 +3,8 @@
  * Tracks recent catches and top 10 biggest fish
  */
 
+import { SAVE_SCHEMA_VERSIONS, migrateSaveData } from './saveMigrations.js';
+
 export class Inventory {
     constructor() {
         this.recentCatches = []; // Last 10 catches
@@ -118,6 +120,7 @@ export class Inventory {
     save() {
         try {
             const inventoryData = {
+                schemaVersion: SAVE_SCHEMA_VERSIONS.inventory,
                 recentCatches: this.recentCatches,
                 top10BiggestFish: this.top10BiggestFish,
                 caughtFish: this.caughtFish
@@ -140,11 +143,11 @@ export class Inventory {
             const savedData = localStorage.getItem('kittyCreekInventory');
             
             if (savedData) {
-                const inventoryData = JSON.parse(savedData);
+                const inventoryData = migrateSaveData('inventory', JSON.parse(savedData));
                 
-                this.recentCatches = inventoryData.recentCatches || [];
-                this.top10BiggestFish = inventoryData.top10BiggestFish || [];
-                this.caughtFish = inventoryData.caughtFish || {};
+                this.recentCatches = inventoryData.recentCatches;
+                this.top10BiggestFish = inventoryData.top10BiggestFish;
+                this.caughtFish = inventoryData.caughtFish;
             }
         } catch (error) {
             console.error('[INVENTORY] Failed to load:', error);
@@ -152,10 +155,10 @@ export class Inventory {
             try {
                 const backupData = localStorage.getItem('kittyCreekInventory_backup');
                 if (backupData) {
-                    const inventoryData = JSON.parse(backupData);
-                    this.recentCatches = inventoryData.recentCatches || [];
-                    this.top10BiggestFish = inventoryData.top10BiggestFish || [];
-                    this.caughtFish = inventoryData.caughtFish || {};
+                    const inventoryData = migrateSaveData('inventory', JSON.parse(backupData));
+                    this.recentCatches = inventoryData.recentCatches;
+                    this.top10BiggestFish = inventoryData.top10BiggestFish;
+                    this.caughtFish = inventoryData.caughtFish;
                 }
             } catch (backupError) {
                 console.error('[INVENTORY] Backup load also failed:', backupError);
@@ -0,0 +1,96 @@
+/**
+ * Line depth modes and lure retrieves. The mode is a saved preference applied at each cast;
+ * a retrieve worked during the wait counts until the next cast. Both tilt which species bite
+ * via SPECIES_TECHNIQUES, and some need a specific hook or bait equipped.
+ */
+
+import {
+    DEFAULT_LINE_MODE,
+    LINE_MODE_MATCH_MULTIPLIER,
+    LINE_MODE_MISMATCH_MULTIPLIER,
+    LINE_MODES,
+    RETRIEVE_MATCH_MULTIPLIER,
+    RETRIEVE_MISMATCH_MULTIPLIER,
+    RETRIEVE_STYLES,
+    SPECIES_TECHNIQUES
+} from './config/lineTechniques.js';
+
+export { LINE_MODES, RETRIEVE_STYLES } from './config/lineTechniques.js';
+
+export const LINE_MODE_STORAGE_KEY = 'kittyCreekLineMode';
+
+export function getLineModeById(modeId) {
+    return LINE_MODES.find((mode) => mode.id === modeId) || null;
+}
+
+export function getRetrieveStyleById(styleId) {
+    return RETRIEVE_STYLES.find((style) => style.id === styleId) || null;
+}
+
+/**
+ * Whether the player's equipped gear covers a mode's or retrieve's `requires`.
+ * @param {{ gear?: Record<string, string> }|null} player
+ * @param {{ requires?: { slot: string, item: string } }|null} technique
+ * @returns {boolean}
+ */
+export function meetsTechniqueRequirement(player, technique) {
+    if (!technique) {
+        return false;
+    }
+    if (!technique.requires) {
+        return true;
+    }
+    return player?.gear?.[technique.requires.slot] === technique.requires.item;
+}
+
+/** @returns {string} Saved line mode id */
+export function getLineModePreference() {
+    try {
+        const stored = localStorage.getItem(LINE_MODE_STORAGE_KEY);
+        return getLineModeById(stored) ? stored : DEFAULT_LINE_MODE;
+    } catch {
+        return DEFAULT_LINE_MODE;
+    }
+}
+
+export function setLineModePreference(modeId) {
+    if (!getLineModeById(modeId)) {
+        return;
+    }
+    try {
+        localStorage.setItem(LINE_MODE_STORAGE_KEY, modeId);
+    } catch {
+        /* ignore */
+    }
+}
+
+/** Line mode the next cast uses: the saved one, or float if the gear for it is no longer equipped. */
+export function getActiveLineMode(player) {
+    const preferred = getLineModePreference();
+    return meetsTechniqueRequirement(player, getLineModeById(preferred)) ? preferred : DEFAULT_LINE_MODE;
+}
+
+/**
+ * Spawn weight multiplier from how the rig was fished.
+ * @param {{ id?: number }|null} fish
+ * @param {{ lineMode?: string|null, retrieve?: string|null }|null} technique - retrieve is null when none was worked
+ * @returns {number}
+ */
+export function getLineTechniqueSpawnMultiplier(fish, technique) {
+    const preference = SPECIES_TECHNIQUES[fish?.id];
+    if (!preference || !technique) {
+        return 1;
+    }
+    let multiplier = 1;
+    if (technique.lineMode) {
+        multiplier *= technique.lineMode === preference.lineMode
+            ? LINE_MODE_MATCH_MULTIPLIER
+            : LINE_MODE_MISMATCH_MULTIPLIER;
+    }
+    if (technique.retrieve) {
+        multiplier *= technique.retrieve === preference.retrieve
+            ? RETRIEVE_MATCH_MULTIPLIER
+            : RETRIEVE_MISMATCH_MULTIPLIER;
+    }
+    return multiplier;
+}
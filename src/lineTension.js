@@ -0,0 +1,170 @@
+/**
+ * Line tension model for the HOOKED_FIGHT phase.
+ *
+ * The fish pulls with a force from its weight and species aggression, plus periodic runs.
+ * The rod soaks up part of that pull, the line's rating sets how much load fills the gauge,
+ * and the reel's smoothness damps runs and slows spikes. Holding to reel hard speeds up the
+ * fight but adds load — keep the gauge pinned past the snap threshold and the line breaks
+ * (a stronger cat can hold it there a little longer).
+ */
+
+import { getTackleByName } from './tackleShop.js';
+import {
+    LINE_BASE_RATING,
+    LINE_STRENGTH_PER_RATING,
+    RARITY_AGGRESSION,
+    REEL_HARD_FIGHT_RATE,
+    REEL_HARD_LOAD,
+    REEL_SPEED_FIGHT_REDUCTION_PER_POINT,
+    ROD_ABSORB_PER_POINT,
+    SMOOTHNESS_RESPONSE_PER_POINT,
+    SMOOTHNESS_SURGE_DAMPING_PER_POINT,
+    SPECIES_AGGRESSION,
+    STRENGTH_SNAP_TOLERANCE_PER_POINT,
+    SURGE_DURATION_SEC,
+    SURGE_INTERVAL_SEC,
+    SURGE_PULL,
+    TENSION_PASSIVE_CAP,
+    TENSION_RESPONSE_RATE,
+    TENSION_SCALE,
+    TENSION_SNAP_OVERLOAD_SEC,
+    TENSION_SNAP_THRESHOLD
+} from './config/lineTension.js';
+import { MIN_REEL_FIGHT_DURATION_MULTIPLIER } from './config/fightDuration.js';
+
+const BASE_ROD_STRENGTH = 10;
+const BASE_LINE_STRENGTH = 10;
+const BASE_REEL_SMOOTHNESS = 10;
+const STAT_BASELINE = 50;
+
+/**
+ * @param {{ species?: string, name?: string, rarity?: string }|null} fish
+ * @returns {number}
+ */
+export function getFishAggression(fish) {
+    if (!fish) {
+        return 1;
+    }
+    const species = fish.species || fish.name;
+    return SPECIES_AGGRESSION[species] ?? RARITY_AGGRESSION[fish.rarity] ?? 1;
+}
+
+/**
+ * Fight-relevant stats of the player's equipped rod, line and reel (Basic gear when missing).
+ * @param {{ gear?: { rod?: string, line?: string, reel?: string } }|null} player
+ */
+export function getFightGear(player) {
+    const rod = getTackleByName('rods', player?.gear?.rod);
+    const line = getTackleByName('lines', player?.gear?.line);
+    const reel = getTackleByName('reels', player?.gear?.reel);
+    return {
+        rodStrength: rod?.strength ?? BASE_ROD_STRENGTH,
+        lineStrength: line?.strength ?? BASE_LINE_STRENGTH,
+        smoothness: reel?.smoothness ?? BASE_REEL_SMOOTHNESS,
+        speedBonus: reel?.speedBonus ?? 0
+    };
+}
+
+/**
+ * Multiplier on fight duration from the equipped reel (faster reels end fights sooner).
+ * @param {Object|null} player
+ * @returns {number}
+ */
+export function getReelFightDurationMultiplier(player) {
+    const { speedBonus } = getFightGear(player);
+    return Math.max(MIN_REEL_FIGHT_DURATION_MULTIPLIER, 1 - speedBonus * REEL_SPEED_FIGHT_REDUCTION_PER_POINT);
+}
+
+export class LineTension {
+    /**
+     * @param {{ weight?: number, species?: string, rarity?: string }} fish
+     * @param {Object|null} player
+     */
+    constructor(fish, player) {
+        const gear = getFightGear(player);
+        const weight = Math.max(0, fish?.weight ?? 1);
+
+        this.pull = getFishAggression(fish) * (0.3 + 0.22 * Math.log2(1 + weight));
+        this.rodAbsorb = 1 / (1 + Math.max(0, gear.rodStrength - BASE_ROD_STRENGTH) * ROD_ABSORB_PER_POINT);
+        this.lineRating = LINE_BASE_RATING + gear.lineStrength / LINE_STRENGTH_PER_RATING;
+        this.surgePull = SURGE_PULL * Math.max(0.1, 1 - (gear.smoothness - BASE_REEL_SMOOTHNESS) * SMOOTHNESS_SURGE_DAMPING_PER_POINT);
+        this.responseRate = Math.max(1.5, TENSION_RESPONSE_RATE - (gear.smoothness - BASE_REEL_SMOOTHNESS) * SMOOTHNESS_RESPONSE_PER_POINT);
+        this.surgeInterval = SURGE_INTERVAL_SEC / Math.max(0.3, getFishAggression(fish));
+        const strength = player?.stats?.strength ?? STAT_BASELINE;
+        this.snapOverloadSec = TENSION_SNAP_OVERLOAD_SEC * Math.max(0.5, 1 + (strength - STAT_BASELINE) * STRENGTH_SNAP_TOLERANCE_PER_POINT);
+
+        this.tension = 0;
+        this.overload = 0;
+        this.reelingHard = false;
+        this.moveLoad = 1;
+        this.snapped = false;
+        this._surgeT = 0;
+        this._nextSurgeIn = this.surgeInterval * (0.5 + Math.random());
+    }
+
+    setReelingHard(active) {
+        this.reelingHard = Boolean(active);
+    }
+
+    /** Pull multiplier from the fish's current fight move (runs and dives load the line, jumps ease it). */
+    setMoveLoad(load) {
+        this.moveLoad = Math.max(0, Number(load) || 1);
+    }
+
+    /** How fast the fight clock should run this frame. */
+    getFightRate() {
+        return this.reelingHard ? REEL_HARD_FIGHT_RATE : 1;
+    }
+
+    /**
+     * Advance the model one frame.
+     * @param {number} delta
+     * @returns {boolean} true on the frame the line snaps
+     */
+    update(delta) {
+        if (this.snapped) {
+            return false;
+        }
+
+        this._nextSurgeIn -= delta;
+        if (this._nextSurgeIn <= 0) {
+            this._surgeT = SURGE_DURATION_SEC * (0.7 + Math.random() * 0.6);
+            this._nextSurgeIn = this.surgeInterval * (0.5 + Math.random());
+        }
+        const surging = this._surgeT > 0;
+        if (surging) {
+            this._surgeT -= delta;
+        }
+
+        const load = this.pull * this.moveLoad * this.rodAbsorb * (1 + (surging ? this.surgePull : 0))
+            + (this.reelingHard ? REEL_HARD_LOAD : 0);
+        let target = (load / this.lineRating) * TENSION_SCALE;
+        if (!this.reelingHard) {
+            target = Math.min(target, TENSION_PASSIVE_CAP);
+        }
+
+        this.tension += (target - this.tension) * Math.min(1, delta * this.responseRate);
+
+        if (this.tension >= TENSION_SNAP_THRESHOLD) {
+            this.overload += delta;
+        } else {
+            this.overload = Math.max(0, this.overload - delta * 0.5);
+        }
+
+        if (this.overload >= this.snapOverloadSec) {
+            this.snapped = true;
+            return true;
+        }
+        return false;
+    }
+
+    /** Gauge snapshot for the UI. */
+    getState() {
+        return {
+            tension: Math.min(1.2, this.tension),
+            overload: this.overload / this.snapOverloadSec,
+            reelingHard: this.reelingHard,
+            surging: this._surgeT > 0
+        };
+    }
+}
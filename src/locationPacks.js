@@ -0,0 +1,197 @@
+/**
+ * Location pack registry (pack format in config/locationPacks.js). Built-in packs register on
+ * import; extra packs can be registered or fetched at runtime and show up as new locations
+ * after the built-ins. Pure data so Locations, spawning and weather can read it under node.
+ */
+
+import {
+    BUILTIN_LOCATION_PACKS,
+    PLATFORM_TYPES,
+    WATER_BODY_TYPES,
+    WATER_FEATURES
+} from './config/locationPacks.js';
+import { DEFAULT_ENVIRONMENT_PROFILE } from './config/locationEnvironments.js';
+
+export { LOCATION_PACK_URLS, WATER_FEATURES } from './config/locationPacks.js';
+
+const packs = [];
+const packsByName = new Map();
+const listeners = new Set();
+
+function toArray(value) {
+    return Array.isArray(value) ? [...value] : [];
+}
+
+function slugify(name) {
+    return String(name).trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * Why a pack can't be registered, or null when it is valid.
+ * @param {Object} pack
+ * @returns {string|null}
+ */
+export function validateLocationPack(pack) {
+    if (!pack || typeof pack !== 'object') {
+        return 'pack must be an object';
+    }
+    if (typeof pack.name !== 'string' || !pack.name.trim()) {
+        return 'name is required';
+    }
+    if (packsByName.has(pack.name)) {
+        return `a location named "${pack.name}" already exists`;
+    }
+    if (!Array.isArray(pack.fish) || pack.fish.length === 0 || !pack.fish.every(Number.isInteger)) {
+        return 'fish must be a non-empty list of fish ids';
+    }
+    if (!WATER_BODY_TYPES.includes(pack.waterBodyType)) {
+        return `waterBodyType must be one of ${WATER_BODY_TYPES.join(', ')}`;
+    }
+    const platformType = pack.platform?.type ?? pack.platformType;
+    if (!PLATFORM_TYPES.includes(platformType)) {
+        return `platform.type must be one of ${PLATFORM_TYPES.join(', ')}`;
+    }
+    const unknownFeature = toArray(pack.water?.features).find((id) => !WATER_FEATURES[id]);
+    if (unknownFeature) {
+        return `unknown water feature "${unknownFeature}"`;
+    }
+    return null;
+}
+
+/** Fill in defaults so the rest of the game can read any pack without guards. */
+function normalizeLocationPack(pack) {
+    const environment = pack.environment || {};
+    const ambience = typeof pack.ambience === 'string' ? { track: pack.ambience } : pack.ambience;
+    return {
+        ...pack,
+        id: pack.id || slugify(pack.name),
+        difficulty: pack.difficulty || 'Medium',
+        description: pack.description || '',
+        cost: Number.isFinite(pack.cost) ? pack.cost : 0,
+        unlockLevel: Number.isFinite(pack.unlockLevel) ? pack.unlockLevel : 1,
+        fish: [...pack.fish],
+        fishingZones: toArray(pack.fishingZones),
+        platform: {
+            type: pack.platform?.type ?? pack.platformType,
+            boatRocking: pack.platform?.boatRocking ?? 1
+        },
+        water: { features: toArray(pack.water?.features) },
+        submergedGrass: pack.submergedGrass || null,
+        environment: {
+            ...environment,
+            profile: environment.profile
+                ?? (environment.scene ? null : pack.waterBodyType ?? DEFAULT_ENVIRONMENT_PROFILE),
+            moonlight: environment.moonlight === true,
+            hdriSky: environment.hdriSky !== false,
+            skyLook: environment.skyLook || null
+        },
+        scenery: toArray(pack.scenery),
+        ambience: ambience?.track ? { track: ambience.track, includes: toArray(ambience.includes) } : null,
+        camera: pack.camera || {},
+        climate: pack.climate || null,
+        relic: pack.relic || null
+    };
+}
+
+/**
+ * Add a location pack. It becomes the next location index.
+ * @param {Object} pack
+ * @returns {Object|null} The registered pack, or null if it was rejected
+ */
+export function registerLocationPack(pack) {
+    const problem = validateLocationPack(pack);
+    if (problem) {
+        console.warn('[LOCATION PACKS] Rejected pack:', pack?.name ?? pack, '—', problem);
+        return null;
+    }
+    const normalized = normalizeLocationPack(pack);
+    packs.push(normalized);
+    packsByName.set(normalized.name, normalized);
+    listeners.forEach((listener) => listener(normalized));
+    return normalized;
+}
+
+/**
+ * Fetch a pack JSON file and register it.
+ * @param {string} url
+ * @returns {Promise<Object|null>}
+ */
+export async function loadLocationPack(url) {
+    try {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        return registerLocationPack(await response.json());
+    } catch (error) {
+        console.warn('[LOCATION PACKS] Could not load', url, error);
+        return null;
+    }
+}
+
+/**
+ * Load several pack files in order (so their location indexes stay stable between visits).
+ * @param {string[]} urls
+ * @returns {Promise<Object[]>} The packs that registered
+ */
+export async function loadLocationPacks(urls) {
+    const loaded = [];
+    for (const url of urls) {
+        const pack = await loadLocationPack(url);
+        if (pack) {
+            loaded.push(pack);
+        }
+    }
+    return loaded;
+}
+
+/** @returns {Object[]} Registered packs in location index order */
+export function getLocationPacks() {
+    return packs;
+}
+
+/**
+ * @param {string|null} locationName
+ * @returns {Object|null}
+ */
+export function getLocationPack(locationName) {
+    return packsByName.get(locationName) || null;
+}
+
+/**
+ * Call `listener(pack)` for every pack registered from now on.
+ * @returns {() => void} Unsubscribe
+ */
+export function onLocationPackRegistered(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+/**
+ * The location entry Locations hands out (same shape the game always used).
+ * @param {Object} pack
+ */
+export function toLocationEntry(pack) {
+    const entry = {
+        name: pack.name,
+        difficulty: pack.difficulty,
+        fish: [...pack.fish],
+        cost: pack.cost,
+        unlockLevel: pack.unlockLevel,
+        description: pack.description,
+        waterBodyType: pack.waterBodyType,
+        platformType: pack.platform.type
+    };
+    if (pack.fishSpawnWeights) {
+        entry.fishSpawnWeights = pack.fishSpawnWeights;
+    }
+    if (pack.requiresStarlightLure) {
+        entry.requiresStarlightLure = true;
+    }
+    if (pack.requiresStarfishCatch) {
+        entry.requiresStarfishCatch = true;
+    }
+    return entry;
+}
+
+BUILTIN_LOCATION_PACKS.forEach(registerLocationPack);
@@ -0,0 +1,185 @@
+/**
+ * Reward mail contents (coins, energy, tackle, relics) and how a claim lands in a save.
+ * The server validates rewards and writes claims into the cloud save with the same
+ * function the client uses, so both copies agree and saveMerge never pays out twice.
+ * Announcement gifts (claim_gift) land in the save the same way.
+ * Pure data — no browser APIs.
+ */
+
+import {
+    CLAIMED_MAIL_LIMIT,
+    MAIL_MAX_COINS,
+    MAIL_MAX_ENERGY,
+    MAIL_MAX_TACKLE_ITEMS
+} from './config/mail.js';
+import { HIDDEN_RELICS, STARLIGHT_LURE_BAIT_ID } from './config/hiddenRelics.js';
+import { getTackleByCategory, isConsumableBait } from './tackleShop.js';
+import { MONEY_LOG_LIMIT } from './saveMerge.js';
+
+const TACKLE_CATEGORIES = ['rods', 'reels', 'lines', 'hooks', 'baits'];
+
+/** Money log id for a mail claim; the server uses it too so merges see one payment. */
+export function getMailMoneyLogId(mailId) {
+    return `mail:${mailId}`;
+}
+
+/**
+ * Claim id for an announcement's claim_gift. It is both the money log id and the entry
+ * kept in claimedMail, so the server's copy and the client's copy merge as one payment.
+ */
+export function getAnnouncementGiftId(announcementId) {
+    return `announcement:${announcementId}`;
+}
+
+/**
+ * Validate the rewards an admin attached to a mail.
+ * @param {Object} raw - { coins?, energy?, tackle?: [{ category, id }], relics?: string[] }
+ * @returns {{ ok: true, value: Object }|{ ok: false, error: string }}
+ */
+export function normalizeMailRewards(raw = {}) {
+    const rewards = raw && typeof raw === 'object' ? raw : {};
+    const coins = Math.min(Math.max(Math.floor(Number(rewards.coins) || 0), 0), MAIL_MAX_COINS);
+    const energy = Math.min(Math.max(Math.floor(Number(rewards.energy) || 0), 0), MAIL_MAX_ENERGY);
+
+    const tackle = [];
+    for (const entry of Array.isArray(rewards.tackle) ? rewards.tackle : []) {
+        const category = entry?.category;
+        const id = Number(entry?.id);
+        const item = TACKLE_CATEGORIES.includes(category)
+            ? getTackleByCategory(category).find((candidate) => candidate.id === id)
+            : null;
+        if (!item || item.forgeOnly) {
+            return { ok: false, error: `Unknown tackle: ${category} #${entry?.id}` };
+        }
+        if (!tackle.some((gift) => gift.category === category && gift.id === id)) {
+            tackle.push({ category, id });
+        }
+    }
+    if (tackle.length > MAIL_MAX_TACKLE_ITEMS) {
+        return { ok: false, error: `At most ${MAIL_MAX_TACKLE_ITEMS} tackle items per mail` };
+    }
+
+    const relics = [];
+    for (const relicId of Array.isArray(rewards.relics) ? rewards.relics : []) {
+        if (!HIDDEN_RELICS.some((relic) => relic.id === relicId)) {
+            return { ok: false, error: `Unknown relic: ${relicId}` };
+        }
+        if (!relics.includes(relicId)) {
+            relics.push(relicId);
+        }
+    }
+
+    if (coins === 0 && energy === 0 && tackle.length === 0 && relics.length === 0) {
+        return { ok: false, error: 'Attach at least one reward' };
+    }
+    return { ok: true, value: { coins, energy, tackle, relics } };
+}
+
+/** Short human list of what a mail holds, e.g. "500 coins · 20 Energy · Pro Rod". */
+export function describeMailRewards(rewards = {}) {
+    const parts = [];
+    if (rewards.coins > 0) parts.push(`${rewards.coins.toLocaleString()} coins`);
+    if (rewards.energy > 0) parts.push(`${rewards.energy} Energy`);
+    (rewards.tackle || []).forEach(({ category, id }) => {
+        const item = getTackleByCategory(category).find((candidate) => candidate.id === id);
+        if (!item) return;
+        parts.push(category === 'baits' && isConsumableBait(item) ? `${item.packSize || 1} × ${item.name}` : item.name);
+    });
+    (rewards.relics || []).forEach((relicId) => {
+        const relic = HIDDEN_RELICS.find((entry) => entry.id === relicId);
+        if (relic) parts.push(relic.name);
+    });
+    return parts.join(' · ');
+}
+
+export function hasClaimedMail(playerData, mailId) {
+    return Array.isArray(playerData?.claimedMail) && playerData.claimedMail.includes(mailId);
+}
+
+/**
+ * Add a claimed mail's rewards to a player save (a Player or the plain kittyCreekPlayer blob).
+ * Idempotent per mail id. Tackle already owned is skipped; bait gifts add one pack.
+ * Collecting the last relic forges the Starlight Lure the same way finding it would.
+ * @param {Object} playerData
+ * @param {{ id: string, rewards: Object }} mail
+ * @returns {boolean} True if the rewards were added now
+ */
+export function applyMailRewards(playerData, mail) {
+    if (!mail?.id) {
+        return false;
+    }
+    return grantRewards(playerData, mail.id, mail.rewards || {}, { id: getMailMoneyLogId(mail.id), reason: 'mail' });
+}
+
+/**
+ * Add an announcement's claim_gift coins and energy to a player save. Idempotent per
+ * announcement, the same way applyMailRewards is per mail.
+ * @param {Object} playerData
+ * @param {string} announcementId
+ * @param {{ coins?: number, energy?: number }} gift
+ * @returns {boolean} True if the gift was added now
+ */
+export function applyAnnouncementGift(playerData, announcementId, gift) {
+    if (!announcementId) {
+        return false;
+    }
+    const claimId = getAnnouncementGiftId(announcementId);
+    return grantRewards(playerData, claimId, { coins: gift?.coins, energy: gift?.energy }, { id: claimId, reason: 'gift' });
+}
+
+function grantRewards(playerData, claimId, rewards, moneyLogEntry) {
+    if (!playerData || hasClaimedMail(playerData, claimId)) {
+        return false;
+    }
+
+    const coins = Math.max(0, Math.floor(Number(rewards.coins) || 0));
+    if (coins > 0) {
+        playerData.money = (Number(playerData.money) || 0) + coins;
+        playerData.moneyLog = [
+            ...(Array.isArray(playerData.moneyLog) ? playerData.moneyLog : []),
+            { ...moneyLogEntry, amount: coins, at: Date.now() }
+        ].slice(-MONEY_LOG_LIMIT);
+    }
+
+    const energy = Math.max(0, Math.floor(Number(rewards.energy) || 0));
+    if (energy > 0) {
+        // Gifts stack above the cap, like the daily bonus.
+        playerData.energy = (Number(playerData.energy) || 0) + energy;
+    }
+
+    (rewards.tackle || []).forEach(({ category, id }) => {
+        const item = getTackleByCategory(category).find((candidate) => candidate.id === id);
+        if (!item) return;
+        if (!playerData.tackleUnlocks || typeof playerData.tackleUnlocks !== 'object') {
+            playerData.tackleUnlocks = {};
+        }
+        const owned = Array.isArray(playerData.tackleUnlocks[category]) ? playerData.tackleUnlocks[category] : [];
+        if (!owned.includes(id)) {
+            playerData.tackleUnlocks[category] = [...owned, id];
+        }
+        if (category === 'baits' && isConsumableBait(item, playerData)) {
+            const stock = playerData.baitStock && typeof playerData.baitStock === 'object' ? playerData.baitStock : {};
+            const casts = Number.isFinite(stock[id]) && stock[id] > 0 ? stock[id] : 0;
+            playerData.baitStock = { ...stock, [id]: casts + (item.packSize || 1) * item.durability };
+        }
+    });
+
+    const relics = Array.isArray(rewards.relics) ? rewards.relics : [];
+    if (relics.length > 0) {
+        const collected = Array.isArray(playerData.hiddenRelicsCollected) ? playerData.hiddenRelicsCollected : [];
+        playerData.hiddenRelicsCollected = [...new Set([...collected, ...relics])];
+        if (playerData.hiddenRelicsCollected.length >= HIDDEN_RELICS.length) {
+            playerData.starlightLureCrafted = true;
+            const baits = Array.isArray(playerData.tackleUnlocks?.baits) ? playerData.tackleUnlocks.baits : [];
+            if (!baits.includes(STARLIGHT_LURE_BAIT_ID)) {
+                playerData.tackleUnlocks = { ...playerData.tackleUnlocks, baits: [...baits, STARLIGHT_LURE_BAIT_ID] };
+            }
+        }
+    }
+
+    playerData.claimedMail = [
+        ...(Array.isArray(playerData.claimedMail) ? playerData.claimedMail : []),
+        claimId
+    ].slice(-CLAIMED_MAIL_LIMIT);
+    return true;
+}
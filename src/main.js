@@ -5,14 +5,23 @@ import { Water2Lake } from './water2.js?v=20250625-anaconda-bark2';
 import { Grass } from './grass.js';
 import { Dock } from './dock.js';
 import { Platform } from './platform.js';
-import { Locations, AMAZON_DEPTHS_NAME, FROZEN_FJORDS_NAME, CORAL_KINGDOMS_NAME, CORTEZ_BACKWATERS_NAME, CRAGGY_COAST_NAME, STORMBREAKER_BAY_NAME, FORGOTTEN_REEFS_NAME, TWILIGHT_TRENCH_NAME, DESERT_LAGOON_NAME } from './locations.js';
+import { Locations } from './locations.js';
+import {
+    LOCATION_PACK_URLS,
+    WATER_FEATURES,
+    getLocationPack,
+    loadLocationPacks,
+    onLocationPackRegistered
+} from './locationPacks.js';
+import { DEFAULT_ENVIRONMENT_PROFILE, LOCATION_ENVIRONMENTS } from './config/locationEnvironments.js';
+import { SCENERY_MODULES } from './scene/sceneryModules.js';
 import { applyDevOceanUnlocks, isDevMode } from './dev/devMode.js';
 import {
     initDevFaceCameraFromUrl,
     isDevFaceCameraEnabled
 } from './dev/devFaceCamera.js';
 import { canAccessCortezBackwaters } from './config/cortezBackwaters.js';
-import { hasPrivilegedAccess } from './admin/adminAuth.js';
+import { hasAdminPanelAccess, hasPrivilegedAccess } from './admin/adminAuth.js';
 import { debugLog } from './config/debug.js';
 import { Fishing } from './fishing.js';
 import { Fish } from './fish.js';
@@ -22,15 +31,14 @@ import { Splash } from './splash.js';
 import { buildLakeMaskForWaterBody } from './buildLakeMask.js';
 import { SoundManager } from './sound.js';
 import { addWaterParticles } from './effects/waterParticles.js';
+import { WeatherParticles } from './effects/weatherParticles.js';
+import { getLocationWeather } from './weather.js';
+import { getFishTypeById } from './fishTypes.js';
 import { Sfx } from './audio/sfx.js';
 import { Voiceover } from './audio/voiceover.js';
 import {
-    CelestialDepthsMusic,
-    AmazonDepthsAmbience,
-    CrescentPondAmbience,
-    CortezBackwatersAmbience,
-    CraggyCoastAmbience,
-    StormbreakerBayAmbience
+    WeatherAmbienceLayers,
+    createLocationAmbience
 } from './audio/locationMusic.js?v=20260624-location-ambience';
 import { VOICEOVER_TAP_COOLDOWN_MS, VOICEOVER_ANACONDA_COOLDOWN_MS } from './config/voiceover.js';
 
@@ -43,6 +51,8 @@ import { Inventory } from './inventory.js';
 import { Leaderboard } from './leaderboard.js';
 import { FishCollection } from './fishCollection.js';
 import { loadingProgress } from './loadingProgress.js';
+import { LobbyClient } from './multiplayer/lobbyClient.js';
+import { RemoteAnglers } from './multiplayer/remoteAnglers.js';
 import { collectGalleryImageUrls, warmImageCache } from './utils/imageAssets.js';
 import { showAdBanner } from './ads.js';
 import {
@@ -50,46 +60,30 @@ import {
     PORTRAIT_BOBBER_TRACKING_CUTOFF,
     PORTRAIT_CAMERA_OFFSET_CORTEZ
 } from './config/idlePortrait.js';
+
+/** Named portrait offsets a location pack's `camera.portraitOffset` can pick. */
+const PORTRAIT_CAMERA_OFFSETS = {
+    cortez: PORTRAIT_CAMERA_OFFSET_CORTEZ
+};
 import { preloadDockWoodTexture } from './scene/dockTextures.js';
 import { preloadFarShoreGroundTextures } from './scene/farShoreGroundTextures.js';
 import { loadSkyEnvironment, applySkyEnvironment, applyDarkMoonlightSky } from './environment/loadSkyEnvironment.js';
 import {
     SUN_DIRECTIONAL_POSITION,
-    SUN_DIRECTIONAL_TARGET
+    SUN_DIRECTIONAL_TARGET,
+    getSunDirectionalPositionAt
 } from './scene/sunShadowDirection.js';
+import { getDayLighting, getGameHour, getNightFeeders, getTimeOfDayPhase } from './timeOfDay.js';
+import { TIME_OF_DAY_UPDATE_SEC } from './config/timeOfDay.js';
+import { updateCrescentPondFarShore } from './scene/crescentPondFarShore.js';
 import {
-    createCrescentPondFarShore,
-    rebuildCrescentPondFarShore,
-    updateCrescentPondFarShore,
-    isCrescentPondLocation,
-    CRESCENT_POND_NAME
-} from './scene/crescentPondFarShore.js';
-import {
-    createCrescentPondSky,
     updateCrescentPondSky,
-    syncCrescentPondSkyVisibility,
     applyCrescentPondSkyLook,
-    restoreDefaultSkyLook
+    restoreDefaultSkyLook,
+    setCrescentPondSkyTint
 } from './scene/crescentPondSky.js';
-import {
-    createCrescentPondVegetation,
-    rebuildCrescentPondVegetation,
-    syncCrescentPondVegetationVisibility
-} from './effects/pondVegetation.js';
-import {
-    createCortezMangroves,
-    syncCortezMangrovesVisibility,
-    updateMangroveCameraObstruction
-} from './effects/mangroves.js';
-import {
-    createDesertLagoonPalms,
-    syncDesertLagoonPalmsVisibility,
-    updatePalmBaseRipples
-} from './effects/desertLagoonPalms.js';
-import {
-    createCortezDockWaterEffects,
-    syncCortezDockWaterVisibility
-} from './effects/dockLappingWater.js';
+import { updateMangroveCameraObstruction } from './effects/mangroves.js';
+import { updatePalmBaseRipples } from './effects/desertLagoonPalms.js';
 
 export class Game {
     constructor(options = {}) {
@@ -113,12 +107,9 @@ export class Game {
         this.lakeMask = null;
         this.soundManager = null;
         this.sfx = null;
-        this.celestialMusic = new CelestialDepthsMusic();
-        this.amazonAmbience = new AmazonDepthsAmbience();
-        this.crescentPondAmbience = new CrescentPondAmbience();
-        this.cortezAmbience = new CortezBackwatersAmbience();
-        this.craggyCoastAmbience = new CraggyCoastAmbience();
-        this.stormbreakerBayAmbience = new StormbreakerBayAmbience();
+        // Location ambience by pack track, created the first time a location plays it
+        this.locationAmbiences = new Map();
+        this.weatherAmbience = new WeatherAmbienceLayers();
         
         // Gameplay systems
         this.player = null;
@@ -127,6 +118,13 @@ export class Game {
         this.fishCollection = null;
         this.waterParticles = null;
         this.waterParticleDefaults = null;
+        this.weatherParticles = null;
+        this.currentWeather = null;
+        this._locationFog = null;
+        this._weatherCheckTimer = 0;
+        this._timeOfDayBase = null;
+        this._timeOfDayTimer = 0;
+        this.currentTimeOfDayPhase = null;
         this.STARLIGHT_LURE_ID = 6;
         this.STARLIGHT_LURE_NAME = 'Starlight Lure';
         this.idlePortraitDelaySec = IDLE_PORTRAIT_DELAY_SEC;
@@ -141,6 +139,9 @@ export class Game {
         this.crescentPondVegetation = null;
         this.cortezMangroves = null;
         this.desertLagoonPalms = null;
+        this.cortezDockWater = null;
+        this.lobby = null;
+        this.remoteAnglers = null;
         if (this.deferReveal) {
             document.getElementById('game-container')?.classList.add('pre-entry');
         }
@@ -221,7 +222,7 @@ export class Game {
         if (!this._revealed || !this.locations) {
             return;
         }
-        if (this.locations.getCurrentLocation()?.name !== AMAZON_DEPTHS_NAME) {
+        if (!this.locationHasWaterFeature('amazonAnaconda')) {
             return;
         }
 
@@ -247,7 +248,7 @@ export class Game {
             return;
         }
 
-        if (!this._revealed || this.locations?.getCurrentLocation()?.name !== AMAZON_DEPTHS_NAME) {
+        if (!this._revealed || !this.locationHasWaterFeature('amazonAnaconda')) {
             return;
         }
 
@@ -393,6 +394,8 @@ export class Game {
                 };
             }
             debugLog('Water particles created');
+
+            this.weatherParticles = new WeatherParticles(this.scene.scene);
             
             loadingProgress.update(44, 'Growing grass around the lake...');
             this.grass = new Grass(this.scene, this.lakeMask, 400, 0);
@@ -427,8 +430,14 @@ export class Game {
             debugLog('[GAME] Gameplay systems initialized');
             this.ensureStarlightLureUnlocked();
             
-            // Initialize location system
+            // Initialize location system (extra location packs first so their indexes are stable)
+            await loadLocationPacks(LOCATION_PACK_URLS);
             this.locations = new Locations();
+            onLocationPackRegistered((pack) => {
+                const index = this.locations.addLocationPack(pack);
+                debugLog('[LOCATION PACKS] Registered', pack.name, 'as location', index);
+                this.ui?.updateLocationSelector?.();
+            });
             if (this.player && Array.isArray(this.locations.locations)) {
                 let unlocksAdded = false;
                 this.locations.locations.forEach((location, index) => {
@@ -464,21 +473,15 @@ export class Game {
             const currentLocation = this.locations.getCurrentLocation();
             debugLog('[LOCATIONS] Current location:', currentLocation.name, 'Water type:', currentLocation.waterBodyType, 'Platform:', currentLocation.platformType);
             
-            // Coral / fjord flags before water type so LAKE+coral tuning applies correctly
-            this.water.setCoralReefEnabled(this.locations.getCurrentLocation()?.name === CORAL_KINGDOMS_NAME);
-            this.water.setCortezBackwatersEnabled(this.locations.getCurrentLocation()?.name === CORTEZ_BACKWATERS_NAME);
-            this.water.setCraggyCoastEnabled(this.locations.getCurrentLocation()?.name === CRAGGY_COAST_NAME);
-            this.water.setStormbreakerBayEnabled(this.locations.getCurrentLocation()?.name === STORMBREAKER_BAY_NAME);
-            this.water.setForgottenReefsEnabled(this.locations.getCurrentLocation()?.name === FORGOTTEN_REEFS_NAME);
-            this.water.setTwilightTrenchEnabled(this.locations.getCurrentLocation()?.name === TWILIGHT_TRENCH_NAME);
-            this.water.setAmazonAnacondaEnabled(this.locations.getCurrentLocation()?.name === AMAZON_DEPTHS_NAME);
+            // Reef / ice flags before water type so LAKE+coral tuning applies correctly
+            this.applyLocationWaterFeatures(currentLocation);
             this.water.setWaterBodyType(currentLocation.waterBodyType);
             this.applyLakeMaskForWaterBody(currentLocation.waterBodyType);
             this.syncPondSubmergedGrassForLocation(currentLocation);
-            this.water.setFjordIceFloesEnabled(this.locations.getCurrentLocation()?.name === FROZEN_FJORDS_NAME);
             this.applyLocationEnvironment(currentLocation);
             this.applyCelestialBaitPreference(currentLocation);
             this.syncLocationMusic(currentLocation);
+            this.syncLocationWeather(currentLocation);
             
             loadingProgress.update(56, 'Loading dock textures...');
             await Promise.all([
@@ -486,46 +489,8 @@ export class Game {
                 preloadFarShoreGroundTextures()
             ]);
 
-            this.crescentFarShore = createCrescentPondFarShore(this.scene.scene);
-            this.crescentPondSky = createCrescentPondSky(this.scene.scene);
-            syncCrescentPondSkyVisibility(
-                this.crescentPondSky,
-                currentLocation.name === CRESCENT_POND_NAME
-            );
-            this.crescentPondVegetation = createCrescentPondVegetation(
-                this.scene.scene,
-                this.water?.waterY ?? 0
-            );
-            syncCrescentPondVegetationVisibility(
-                this.crescentPondVegetation,
-                currentLocation.name === CRESCENT_POND_NAME
-            );
-            this.cortezMangroves = createCortezMangroves(
-                this.scene.scene,
-                this.water?.waterY ?? 0
-            );
-            syncCortezMangrovesVisibility(
-                this.cortezMangroves,
-                currentLocation.name === CORTEZ_BACKWATERS_NAME
-            );
-
-            this.desertLagoonPalms = createDesertLagoonPalms(
-                this.scene.scene,
-                this.water?.waterY ?? 0
-            );
-            syncDesertLagoonPalmsVisibility(
-                this.desertLagoonPalms,
-                currentLocation.name === DESERT_LAGOON_NAME
-            );
-
-            this.cortezDockWater = createCortezDockWaterEffects(
-                this.scene.scene,
-                this.water?.waterY ?? 0
-            );
-            syncCortezDockWaterVisibility(
-                this.cortezDockWater,
-                currentLocation.name === CORTEZ_BACKWATERS_NAME
-            );
+            this.createLocationScenery();
+            this.syncLocationScenery(currentLocation, { rebuild: false });
 
             loadingProgress.update(58, `Building ${currentLocation.name}...`);
             this.platform = new Platform(this.scene, this.water);
@@ -623,12 +588,11 @@ export class Game {
             // Set up camera (after everything is loaded) - delayed to ensure models are ready
             this.camera = new Camera(this.scene, this.cat, this.dock, this.water);
             this.camera.resolvePortraitOffset = () => {
-                const isCortez =
-                    this.locations?.getCurrentLocation()?.name === CORTEZ_BACKWATERS_NAME;
-                if (isCortez) {
-                    return PORTRAIT_CAMERA_OFFSET_CORTEZ.clone();
+                const offset = this.locations?.getCurrentLocationPack()?.camera?.portraitOffset;
+                if (Array.isArray(offset)) {
+                    return new THREE.Vector3(...offset);
                 }
-                return this.camera.portraitOffset;
+                return PORTRAIT_CAMERA_OFFSETS[offset]?.clone() ?? this.camera.portraitOffset;
             };
             this.camera.setup();
             
@@ -710,19 +674,26 @@ export class Game {
                 });
             }
 
-            if (typeof window !== 'undefined' && this.player?.isAdmin) {
+            if (typeof window !== 'undefined' && hasAdminPanelAccess(this.player)) {
                 import('./admin/halleyAdminPanel.js').then(({ initHalleyAdminPanel }) => {
                     initHalleyAdminPanel(this);
                 });
             }
 
             if (this.player) {
+                this.player.onSaveMerged = () => {
+                    this.inventory?.load();
+                    this.fishCollection?.load();
+                    this.ui?.updatePlayerInfo();
+                };
                 this.player.enableSync();
             }
             if (this.fishCollection) {
                 this.fishCollection.enableSync();
             }
 
+            this.setupMultiplayerLobby();
+
             if (this.deferReveal) {
                 return;
             }
@@ -738,6 +709,43 @@ export class Game {
         }
     }
 
+    /**
+     * Live lobby: friends at the same location see each other's cats, casts and catches.
+     * Friend polling in UI keeps running underneath, so nothing breaks if sockets are blocked.
+     */
+    setupMultiplayerLobby() {
+        if (!this.api?.session || !this.playerContext?.userId || !LobbyClient.isSupported()) {
+            return;
+        }
+
+        this.remoteAnglers = new RemoteAnglers(this);
+        this.lobby = new LobbyClient(this.api);
+
+        this.lobby.on('room', (message) => this.remoteAnglers.setRoom(message.anglers));
+        this.lobby.on('angler_joined', (message) => {
+            this.remoteAnglers.add(message.angler);
+            this.ui?.announceFriendArrived?.(message.angler);
+        });
+        this.lobby.on('angler_left', (message) => this.remoteAnglers.remove(message.playerId));
+        this.lobby.on('angler_event', (message) => {
+            this.remoteAnglers.handleEvent(message);
+            if (message.event === 'catch') {
+                this.ui?.announceFriendCatch?.({
+                    ...message,
+                    username: this.remoteAnglers.getUsername(message.playerId)
+                });
+            }
+        });
+        this.lobby.on('status', ({ connected }) => {
+            if (!connected) {
+                this.remoteAnglers.clear();
+            }
+        });
+
+        this.lobby.joinLocation(this.locations?.getCurrentLocation()?.name);
+        this.lobby.connect();
+    }
+
     startGalleryImageWarmup() {
         if (this._galleryWarmupStarted) return;
         this._galleryWarmupStarted = true;
@@ -766,12 +774,8 @@ export class Game {
 
     markActivity() {
         this.lastActivityTime = performance.now();
-        this.celestialMusic?.resumeAfterGesture?.();
-        this.amazonAmbience?.resumeAfterGesture?.();
-        this.crescentPondAmbience?.resumeAfterGesture?.();
-        this.cortezAmbience?.resumeAfterGesture?.();
-        this.craggyCoastAmbience?.resumeAfterGesture?.();
-        this.stormbreakerBayAmbience?.resumeAfterGesture?.();
+        this.locationAmbiences.forEach((ambience) => ambience.resumeAfterGesture?.());
+        this.weatherAmbience?.resumeAfterGesture?.();
         if (isDevFaceCameraEnabled()) {
             return;
         }
@@ -931,6 +935,18 @@ export class Game {
         }
 
         this.checkAnacondaInFrontOfCat();
+
+        this.weatherParticles?.update(delta, this.scene.camera?.position);
+        this._weatherCheckTimer += delta;
+        if (this._weatherCheckTimer >= 5) {
+            this._weatherCheckTimer = 0;
+            this.syncLocationWeather(this.locations?.getCurrentLocation());
+        }
+        this._timeOfDayTimer += delta;
+        if (this._timeOfDayTimer >= TIME_OF_DAY_UPDATE_SEC) {
+            this._timeOfDayTimer = 0;
+            this.applyTimeOfDay();
+        }
         
         // Update grass (wind sway)
         if (this.grass) {
@@ -942,6 +958,8 @@ export class Game {
             this.platform.updatePlatform(delta);
         }
 
+        this.remoteAnglers?.update(delta);
+
         this.updateIdlePortrait();
 
         if (this.camera) {
@@ -959,16 +977,13 @@ export class Game {
         updateCrescentPondFarShore(
             this.crescentFarShore,
             portraitBlend,
-            isCrescentPondLocation(this.locations)
+            this.locationHasScenery('crescentFarShore')
         );
 
         updateCrescentPondSky(this.crescentPondSky, delta, portraitBlend);
 
-        const isCortez =
-            this.locations?.getCurrentLocation()?.name === CORTEZ_BACKWATERS_NAME;
-
         if (this.cortezMangroves) {
-            if (isCortez && this.scene?.camera && this.cat) {
+            if (this.locationHasScenery('cortezMangroves') && this.scene?.camera && this.cat) {
                 const halleyPosition =
                     this.cat.getHeadWorldPosition?.() ??
                     this.cat.getSavedPosition?.();
@@ -1339,23 +1354,56 @@ export class Game {
         }
     }
 
-    /** Coral Kingdoms: calm the small boat. Stormbreaker uses normal deck rocking — swell is in the water shader. */
+    /** Deck rocking from the location pack (Coral Kingdoms calms the small boat). */
     applyPlatformBoatRocking(location) {
         if (!this.platform) return;
-        const calmReef = location?.name === CORAL_KINGDOMS_NAME;
-        this.platform.setBoatRockingScale(calmReef ? 0.04 : 1);
+        this.platform.setBoatRockingScale(getLocationPack(location?.name)?.platform.boatRocking ?? 1);
     }
 
     shouldEnablePondSubmergedGrass(location) {
-        return isCrescentPondLocation(this.locations) || location?.name === CORTEZ_BACKWATERS_NAME;
+        return Boolean(getLocationPack(location?.name)?.submergedGrass);
     }
 
     syncPondSubmergedGrassForLocation(location) {
         const enabled = this.shouldEnablePondSubmergedGrass(location);
         this.water.setPondSubmergedGrassEnabled(enabled);
-        this.water.setPondSubmergedGrassProfile(
-            location?.name === CORTEZ_BACKWATERS_NAME ? 'cortez' : 'crescent'
-        );
+        this.water.setPondSubmergedGrassProfile(getLocationPack(location?.name)?.submergedGrass);
+    }
+
+    /** Switch on the pack's Water2Lake location effects and every other one off. */
+    applyLocationWaterFeatures(location) {
+        const features = getLocationPack(location?.name)?.water.features ?? [];
+        for (const [id, setter] of Object.entries(WATER_FEATURES)) {
+            this.water[setter]?.(features.includes(id));
+        }
+    }
+
+    locationHasWaterFeature(featureId) {
+        return this.locations?.getCurrentLocationPack()?.water.features.includes(featureId) === true;
+    }
+
+    locationHasScenery(moduleId) {
+        return this.locations?.getCurrentLocationPack()?.scenery.includes(moduleId) === true;
+    }
+
+    /** Build every scenery module once; location switches only show, hide or rebuild them. */
+    createLocationScenery() {
+        const waterY = this.water?.waterY ?? 0;
+        for (const module of Object.values(SCENERY_MODULES)) {
+            this[module.field] = module.create(this.scene.scene, waterY);
+        }
+    }
+
+    syncLocationScenery(location, { rebuild = true } = {}) {
+        const scenery = getLocationPack(location?.name)?.scenery ?? [];
+        const waterY = this.water?.waterY ?? 0;
+        for (const [id, module] of Object.entries(SCENERY_MODULES)) {
+            const active = scenery.includes(id);
+            if (active && rebuild && module.rebuild) {
+                this[module.field] = module.rebuild(this.scene.scene, this[module.field], waterY);
+            }
+            module.sync?.(this[module.field], active);
+        }
     }
 
     applyMoonlightSunLighting() {
@@ -1398,174 +1446,16 @@ export class Game {
         if (!location) {
             return;
         }
+        this.restoreTimeOfDayBase();
 
-        const defaultParticleSettings = this.waterParticleDefaults
-            ? {
-                  ...this.waterParticleDefaults,
-                  color: this.waterParticleDefaults.color?.clone?.() || this.waterParticleDefaults.color
-              }
-            : null;
-
-        const profiles = {
-            DEFAULT: {
-                scene: {},
-                waterParticles: defaultParticleSettings
-            },
-            CELESTIAL: {
-                scene: {
-                    background: 0x02040c,
-                    fogColor: 0x050818,
-                    fogNear: 18,
-                    fogFar: 140,
-                    hemisphereSkyColor: 0x7888a8,
-                    hemisphereGroundColor: 0x010204,
-                    hemisphereIntensity: 0.24,
-                    directionalColor: 0xd8e8ff,
-                    directionalIntensity: 0.54,
-                    ambientColor: 0x1a2840,
-                    ambientIntensity: 0.14,
-                    rimIntensity: 0.04
-                },
-                waterParticles: {
-                    size: 0.22,
-                    opacity: 0.9,
-                    blending: THREE.AdditiveBlending,
-                    depthWrite: false,
-                    color: 0xf4f8ff,
-                    rotationSpeed: 0
-                }
-            },
-            FJORD: {
-                scene: {
-                    fogColor: 0xc5d4e4,
-                    fogNear: 30,
-                    fogFar: 220,
-                    hemisphereSkyColor: 0xa8bdd4,
-                    hemisphereGroundColor: 0x3a4654,
-                    hemisphereIntensity: 0.62,
-                    directionalColor: 0xe6eef8,
-                    directionalIntensity: 0.68,
-                    ambientColor: 0x647888,
-                    ambientIntensity: 0.4
-                },
-                waterParticles: defaultParticleSettings
-            },
-            CORAL: {
-                scene: {
-                    fogColor: 0x72d8f2,
-                    fogNear: 35,
-                    fogFar: 190,
-                    hemisphereSkyColor: 0xe8fbff,
-                    hemisphereGroundColor: 0x1f8fb0,
-                    hemisphereIntensity: 0.78,
-                    directionalColor: 0xffffff,
-                    directionalIntensity: 0.72,
-                    ambientColor: 0xbdf5ff,
-                    ambientIntensity: 0.32
-                },
-                waterParticles: defaultParticleSettings
-            },
-            CORTEZ: {
-                scene: {
-                    fogColor: 0xb8d2c3,
-                    fogNear: 26,
-                    fogFar: 168,
-                    hemisphereSkyColor: 0xfff4d6,
-                    hemisphereGroundColor: 0x3d7a62,
-                    hemisphereIntensity: 0.72,
-                    directionalColor: 0xffe8b8,
-                    directionalIntensity: 0.78,
-                    ambientColor: 0x9ecfb8,
-                    ambientIntensity: 0.38,
-                    rimIntensity: 0.06
-                },
-                waterParticles: {
-                    ...defaultParticleSettings,
-                    opacity: 0.55,
-                    color: 0xd8f5e8
-                }
-            },
-            DEEP_REEF: {
-                scene: {
-                    fogColor: 0x2a6cb0,
-                    fogNear: 22,
-                    fogFar: 175,
-                    hemisphereSkyColor: 0x88c4f0,
-                    hemisphereGroundColor: 0x0c2d5c,
-                    hemisphereIntensity: 0.58,
-                    directionalColor: 0xc0e0ff,
-                    directionalIntensity: 0.64,
-                    ambientColor: 0x2a68a8,
-                    ambientIntensity: 0.32,
-                    rimIntensity: 0.05
-                },
-                waterParticles: {
-                    ...defaultParticleSettings,
-                    opacity: 0.44,
-                    color: 0x5ab0e8
-                }
-            },
-            MOONLIGHT: {
-                scene: {
-                    background: 0x02040c,
-                    fogColor: 0x050818,
-                    fogNear: 18,
-                    fogFar: 140,
-                    hemisphereSkyColor: 0x7888a8,
-                    hemisphereGroundColor: 0x010204,
-                    hemisphereIntensity: 0.24,
-                    directionalColor: 0xd8e8ff,
-                    directionalIntensity: 0.54,
-                    ambientColor: 0x1a2840,
-                    ambientIntensity: 0.14,
-                    rimIntensity: 0.04
-                },
-                waterParticles: {
-                    ...defaultParticleSettings,
-                    opacity: 0.32,
-                    color: 0xc8d8f0
-                }
-            },
-            STORM: {
-                scene: {
-                    background: 0x5a6570,
-                    fogColor: 0x4a5560,
-                    fogNear: 16,
-                    fogFar: 128,
-                    hemisphereSkyColor: 0x8a94a0,
-                    hemisphereGroundColor: 0x2e3640,
-                    hemisphereIntensity: 0.4,
-                    directionalColor: 0xb8c2cc,
-                    directionalIntensity: 0.34,
-                    ambientColor: 0x5a6470,
-                    ambientIntensity: 0.26,
-                    rimIntensity: 0.03
-                },
-                waterParticles: {
-                    ...defaultParticleSettings,
-                    opacity: 0.42,
-                    color: 0xaab4be
-                }
-            }
-        };
-
-        const waterType = location.waterBodyType || 'DEFAULT';
-        const isMoonlightLocation = location.name === TWILIGHT_TRENCH_NAME
-            || waterType === 'CELESTIAL';
-        const profileKey = location.name === CORAL_KINGDOMS_NAME
-            ? 'CORAL'
-            : location.name === CORTEZ_BACKWATERS_NAME
-                ? 'CORTEZ'
-                : location.name === STORMBREAKER_BAY_NAME
-                    ? 'STORM'
-                    : location.name === FORGOTTEN_REEFS_NAME
-                        ? 'DEEP_REEF'
-                        : isMoonlightLocation
-                            ? 'MOONLIGHT'
-                            : waterType;
-        const profile = profiles[profileKey] || profiles.DEFAULT;
-        const skipHdriSky = location.name === STORMBREAKER_BAY_NAME
-            || isMoonlightLocation;
+        const environment = getLocationPack(location.name)?.environment ?? {};
+        const profile = environment.scene
+            ? environment
+            : LOCATION_ENVIRONMENTS[environment.profile]
+                ?? LOCATION_ENVIRONMENTS[location.waterBodyType]
+                ?? LOCATION_ENVIRONMENTS[DEFAULT_ENVIRONMENT_PROFILE];
+        const isMoonlightLocation = environment.moonlight === true;
+        const skipHdriSky = environment.hdriSky === false || isMoonlightLocation;
 
         if (this.scene?.setEnvironment) {
             this.scene.setEnvironment(profile.scene || {});
@@ -1585,19 +1475,211 @@ export class Game {
             });
         }
 
-        if (location.name === CRESCENT_POND_NAME && waterType !== 'CELESTIAL') {
+        if (environment.skyLook === 'crescentPond' && !isMoonlightLocation) {
             applyCrescentPondSkyLook(this.scene.scene);
-        } else if (waterType !== 'CELESTIAL' && !skipHdriSky) {
+        } else if (!skipHdriSky) {
             restoreDefaultSkyLook(this.scene.scene);
         }
 
-        if (waterType === 'CELESTIAL' && profiles.CELESTIAL.waterParticles) {
-            this.applyWaterParticleSettings(profiles.CELESTIAL.waterParticles);
-        } else if (profile.waterParticles) {
-            this.applyWaterParticleSettings(profile.waterParticles);
+        if (profile.waterParticles) {
+            this.applyWaterParticleSettings({
+                ...this.waterParticleDefaults,
+                ...profile.waterParticles,
+                blending: profile.waterParticles.blending === 'additive'
+                    ? THREE.AdditiveBlending
+                    : profile.waterParticles.blending ?? this.waterParticleDefaults?.blending
+            });
         } else if (this.waterParticleDefaults) {
             this.applyWaterParticleSettings(this.waterParticleDefaults);
         }
+
+        const fog = this.scene?.scene?.fog;
+        this._locationFog = fog ? { near: fog.near, far: fog.far } : null;
+        this.applyWeatherFog();
+
+        // Moonlit locations are already night; everywhere else follows the game clock.
+        this._timeOfDayBase = isMoonlightLocation ? null : this.captureTimeOfDayBase();
+        if (!this._timeOfDayBase) {
+            this.water?.setDayTint?.(0xffffff);
+            setCrescentPondSkyTint(this.crescentPondSky, 0xffffff);
+        }
+        this.applyTimeOfDay();
+    }
+
+    /** Snapshot the location's daylight lighting so time of day can scale it without drifting. */
+    captureTimeOfDayBase() {
+        const { scene, hemisphereLight, directionalLight, ambientLight } = this.scene ?? {};
+        if (!scene || !directionalLight) {
+            return null;
+        }
+        return {
+            hemisphereColor: hemisphereLight?.color.clone() ?? null,
+            hemisphereGroundColor: hemisphereLight?.groundColor.clone() ?? null,
+            hemisphereIntensity: hemisphereLight?.intensity ?? 0,
+            sunColor: directionalLight.color.clone(),
+            sunIntensity: directionalLight.intensity,
+            ambientColor: ambientLight?.color.clone() ?? null,
+            ambientIntensity: ambientLight?.intensity ?? 0,
+            fogColor: scene.fog?.color.clone() ?? null,
+            background: scene.background?.isColor ? scene.background.clone() : null,
+            backgroundIntensity: scene.backgroundIntensity ?? 1,
+            environmentIntensity: scene.environmentIntensity ?? 1
+        };
+    }
+
+    /** Undo the time-of-day tint before a location change so the next snapshot starts clean. */
+    restoreTimeOfDayBase() {
+        const base = this._timeOfDayBase;
+        const { scene, hemisphereLight, directionalLight, ambientLight } = this.scene ?? {};
+        if (!base || !scene || !directionalLight) {
+            return;
+        }
+        directionalLight.color.copy(base.sunColor);
+        directionalLight.intensity = base.sunIntensity;
+        if (hemisphereLight && base.hemisphereColor) {
+            hemisphereLight.color.copy(base.hemisphereColor);
+            hemisphereLight.intensity = base.hemisphereIntensity;
+        }
+        if (ambientLight && base.ambientColor) {
+            ambientLight.color.copy(base.ambientColor);
+            ambientLight.intensity = base.ambientIntensity;
+        }
+        if (scene.fog && base.fogColor) {
+            scene.fog.color.copy(base.fogColor);
+        }
+        if (base.background && scene.background?.isColor) {
+            scene.background.copy(base.background);
+        }
+        if ('backgroundIntensity' in scene) {
+            scene.backgroundIntensity = base.backgroundIntensity;
+        }
+        if ('environmentIntensity' in scene) {
+            scene.environmentIntensity = base.environmentIntensity;
+        }
+        this._timeOfDayBase = null;
+    }
+
+    /**
+     * Move the sun and tint lights, sky, fog and water for the current game hour (see
+     * timeOfDay.js). Called on location change and a couple of times a second from the loop.
+     */
+    applyTimeOfDay() {
+        const hour = getGameHour();
+        const phase = getTimeOfDayPhase(hour);
+        const previousPhase = this.currentTimeOfDayPhase;
+        this.currentTimeOfDayPhase = phase;
+
+        const base = this._timeOfDayBase;
+        const { scene, hemisphereLight, directionalLight, ambientLight } = this.scene ?? {};
+        if (base && scene && directionalLight) {
+            const light = getDayLighting(hour);
+            const sunColor = new THREE.Color(light.sunColor);
+            const skyTint = new THREE.Color(light.skyTint);
+
+            getSunDirectionalPositionAt(light.sunElevation, light.sunAzimuth, directionalLight.position);
+            directionalLight.target.position.copy(SUN_DIRECTIONAL_TARGET);
+            directionalLight.target.updateMatrixWorld();
+            directionalLight.color.copy(base.sunColor).multiply(sunColor);
+            directionalLight.intensity = base.sunIntensity * light.sunScale;
+
+            if (hemisphereLight && base.hemisphereColor) {
+                hemisphereLight.color.copy(base.hemisphereColor).multiply(skyTint);
+                hemisphereLight.groundColor.copy(base.hemisphereGroundColor);
+                hemisphereLight.intensity = base.hemisphereIntensity * light.ambientScale;
+            }
+            if (ambientLight && base.ambientColor) {
+                ambientLight.color.copy(base.ambientColor).multiply(skyTint);
+                ambientLight.intensity = base.ambientIntensity * light.ambientScale;
+            }
+            if (scene.fog && base.fogColor) {
+                scene.fog.color.copy(base.fogColor).multiply(new THREE.Color(light.fogTint));
+            }
+            if (base.background && scene.background?.isColor) {
+                scene.background.copy(base.background).multiply(skyTint);
+            }
+            if ('backgroundIntensity' in scene && !scene.background?.isColor) {
+                scene.backgroundIntensity = base.backgroundIntensity * light.skyBrightness;
+            }
+            if ('environmentIntensity' in scene) {
+                scene.environmentIntensity = base.environmentIntensity * light.skyBrightness;
+            }
+            this.water?.setDayTint?.(light.waterTint);
+            setCrescentPondSkyTint(this.crescentPondSky, light.skyTint);
+        }
+
+        if (previousPhase && previousPhase.id !== phase.id) {
+            this.ui?.updateLocationSelector?.();
+            if (base && this._revealed && (phase.id === 'night' || phase.id === 'dawn')) {
+                this.showTimeOfDayToast(phase, hour);
+            }
+        }
+    }
+
+    showTimeOfDayToast(phase, hour) {
+        const location = this.locations?.getCurrentLocation();
+        const ids = Array.isArray(location?.fish) ? location.fish : [];
+        const feeders = getNightFeeders(ids.map((id) => getFishTypeById(id)).filter(Boolean), hour);
+        this.ui?.showToast?.({
+            type: 'info',
+            title: `${phase.icon} ${phase.label} at ${location?.name ?? 'the water'}`,
+            body: phase.id === 'night'
+                ? (feeders.length
+                    ? `Night feeders are biting: ${feeders.map((fish) => fish.name).join(', ')}.`
+                    : 'The water goes quiet under the stars.')
+                : 'The night bite is winding down.'
+        });
+    }
+
+    /** Pull the location's fog in for rain, snow and fog weather. */
+    applyWeatherFog() {
+        const fog = this.scene?.scene?.fog;
+        if (!fog || !this._locationFog) {
+            return;
+        }
+        const visibility = this.currentWeather?.visibility ?? 1;
+        fog.near = this._locationFog.near * visibility;
+        fog.far = this._locationFog.far * visibility;
+    }
+
+    /**
+     * Apply the location's current weather (see weather.js): water chop, rain/snow,
+     * fog distance and ambience layers. Cheap when nothing changed, so the render
+     * loop calls it every few seconds to pick up the next forecast slot.
+     * @param {object} location
+     * @param {{ force?: boolean }} [options]
+     */
+    syncLocationWeather(location, { force = false } = {}) {
+        if (!location) {
+            return;
+        }
+        const weather = getLocationWeather(location);
+        const changed = weather !== this.currentWeather;
+        if (!changed && !force) {
+            return;
+        }
+        const previous = this.currentWeather;
+        this.currentWeather = weather;
+
+        this.water?.setWeatherRoughness?.(weather.roughness);
+        this.weatherParticles?.setPrecipitation(weather.precipitation, weather.precipitationIntensity ?? 1);
+        this.applyWeatherFog();
+
+        // Skip layers the location ambience already loops (wind at Craggy Coast and Stormbreaker Bay).
+        const ambienceLayers = getLocationPack(location.name)?.ambience?.includes ?? [];
+        this.weatherAmbience?.setLayers(
+            weather.ambience.filter((layer) => !ambienceLayers.includes(layer))
+        );
+
+        this.ui?.updateLocationSelector?.();
+        if (previous && changed && !force && this._revealed) {
+            this.ui?.showToast?.({
+                type: 'info',
+                title: `${weather.icon} ${weather.label} at ${location.name}`,
+                body: weather.rareWeight > 1
+                    ? 'Rarer fish are stirring.'
+                    : 'The water settles down.'
+            });
+        }
     }
 
     ensureStarlightLureUnlocked() {
@@ -1641,81 +1723,32 @@ export class Game {
         }
     }
 
-    syncLocationMusic(location) {
-        const playCelestial = location?.waterBodyType === 'CELESTIAL'
-            && this.player?.canAccessCelestialDepths?.() === true;
-        const playAmazon = location?.name === AMAZON_DEPTHS_NAME;
-        const playCrescentPond = location?.name === CRESCENT_POND_NAME;
-        const playCortez = location?.name === CORTEZ_BACKWATERS_NAME;
-        const playCraggy = location?.name === CRAGGY_COAST_NAME;
-        const playStormbreaker = location?.name === STORMBREAKER_BAY_NAME;
-
-        if (playCelestial) {
-            this.amazonAmbience?.stop();
-            this.crescentPondAmbience?.stop();
-            this.cortezAmbience?.stop();
-            this.craggyCoastAmbience?.stop();
-            this.stormbreakerBayAmbience?.stop();
-            this.celestialMusic?.start();
-            return;
-        }
-
-        if (playAmazon) {
-            this.celestialMusic?.stop();
-            this.crescentPondAmbience?.stop();
-            this.cortezAmbience?.stop();
-            this.craggyCoastAmbience?.stop();
-            this.stormbreakerBayAmbience?.stop();
-            this.amazonAmbience?.start();
-            return;
-        }
-
-        if (playCortez) {
-            this.celestialMusic?.stop();
-            this.amazonAmbience?.stop();
-            this.crescentPondAmbience?.stop();
-            this.craggyCoastAmbience?.stop();
-            this.stormbreakerBayAmbience?.stop();
-            this.cortezAmbience?.start();
-            return;
-        }
-
-        if (playCraggy) {
-            this.celestialMusic?.stop();
-            this.amazonAmbience?.stop();
-            this.crescentPondAmbience?.stop();
-            this.cortezAmbience?.stop();
-            this.stormbreakerBayAmbience?.stop();
-            this.craggyCoastAmbience?.start();
-            return;
+    /** Ambience object for a pack track, shared by every location that plays it. */
+    getLocationAmbience(track) {
+        const key = typeof track === 'string' ? track : track?.src;
+        if (!key) {
+            return null;
         }
-
-        if (playStormbreaker) {
-            this.celestialMusic?.stop();
-            this.amazonAmbience?.stop();
-            this.crescentPondAmbience?.stop();
-            this.cortezAmbience?.stop();
-            this.craggyCoastAmbience?.stop();
-            this.stormbreakerBayAmbience?.start();
-            return;
+        if (!this.locationAmbiences.has(key)) {
+            this.locationAmbiences.set(key, createLocationAmbience(track));
         }
+        return this.locationAmbiences.get(key);
+    }
 
-        if (playCrescentPond) {
-            this.celestialMusic?.stop();
-            this.amazonAmbience?.stop();
-            this.cortezAmbience?.stop();
-            this.craggyCoastAmbience?.stop();
-            this.stormbreakerBayAmbience?.stop();
-            this.crescentPondAmbience?.start();
-            return;
+    syncLocationMusic(location) {
+        let track = getLocationPack(location?.name)?.ambience?.track ?? null;
+        // The Celestial Depths theme waits until the Starlight Lure has been forged.
+        if (location?.requiresStarlightLure && this.player?.canAccessCelestialDepths?.() !== true) {
+            track = null;
         }
+        const active = track ? this.getLocationAmbience(track) : null;
 
-        this.celestialMusic?.stop();
-        this.amazonAmbience?.stop();
-        this.crescentPondAmbience?.stop();
-        this.cortezAmbience?.stop();
-        this.craggyCoastAmbience?.stop();
-        this.stormbreakerBayAmbience?.stop();
+        this.locationAmbiences.forEach((ambience) => {
+            if (ambience !== active) {
+                ambience?.stop();
+            }
+        });
+        active?.start();
     }
     
     /**
@@ -1749,48 +1782,15 @@ export class Game {
         this.locations.setCurrentLocation(locationIndex);
         
         // Reef / ice flags before water type so location-specific tuning sticks on return
-        this.water.setCoralReefEnabled(location.name === CORAL_KINGDOMS_NAME);
-        this.water.setCortezBackwatersEnabled(location.name === CORTEZ_BACKWATERS_NAME);
-        this.water.setCraggyCoastEnabled(location.name === CRAGGY_COAST_NAME);
-        this.water.setStormbreakerBayEnabled(location.name === STORMBREAKER_BAY_NAME);
-        this.water.setForgottenReefsEnabled(location.name === FORGOTTEN_REEFS_NAME);
-        this.water.setTwilightTrenchEnabled(location.name === TWILIGHT_TRENCH_NAME);
-        this.water.setAmazonAnacondaEnabled(location.name === AMAZON_DEPTHS_NAME);
-        this.water.setFjordIceFloesEnabled(location.name === FROZEN_FJORDS_NAME);
+        this.applyLocationWaterFeatures(location);
         this.water.setWaterBodyType(location.waterBodyType);
         this.applyLakeMaskForWaterBody(location.waterBodyType);
         this.syncPondSubmergedGrassForLocation(location);
-        if (location.name === CRESCENT_POND_NAME) {
-            this.crescentFarShore = rebuildCrescentPondFarShore(this.scene.scene, this.crescentFarShore);
-            this.crescentPondVegetation = rebuildCrescentPondVegetation(
-                this.scene.scene,
-                this.crescentPondVegetation,
-                this.water?.waterY ?? 0
-            );
-        }
-        syncCrescentPondSkyVisibility(
-            this.crescentPondSky,
-            location.name === CRESCENT_POND_NAME
-        );
-        syncCrescentPondVegetationVisibility(
-            this.crescentPondVegetation,
-            location.name === CRESCENT_POND_NAME
-        );
-        syncCortezMangrovesVisibility(
-            this.cortezMangroves,
-            location.name === CORTEZ_BACKWATERS_NAME
-        );
-        syncDesertLagoonPalmsVisibility(
-            this.desertLagoonPalms,
-            location.name === DESERT_LAGOON_NAME
-        );
-        syncCortezDockWaterVisibility(
-            this.cortezDockWater,
-            location.name === CORTEZ_BACKWATERS_NAME
-        );
+        this.syncLocationScenery(location);
         this.applyLocationEnvironment(location);
         this.applyCelestialBaitPreference(location);
         this.syncLocationMusic(location);
+        this.syncLocationWeather(location, { force: true });
         
         // Switch platform
         this.platform.switchPlatform(location.platformType);
@@ -1803,6 +1803,13 @@ export class Game {
             debugLog('[LOCATION SWITCH] Cat repositioned to:', this.cat.savedPosition);
         }
 
+        // Fresh hotspots around the new platform's casting fan
+        this.fishing?.hotspots?.relocateAll();
+
+        // Friends from the previous spot leave; the new room's roster arrives from the lobby.
+        this.remoteAnglers?.clear();
+        this.lobby?.joinLocation(location.name);
+
         return true;
     }
 }
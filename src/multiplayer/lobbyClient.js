@@ -0,0 +1,193 @@
+/**
+ * WebSocket client for the per-location fishing lobby (server/lobby.js).
+ * Purely additive: when sockets are unavailable the game keeps running on REST polling.
+ */
+
+const LOBBY_PATH = '/ws/lobby';
+const RECONNECT_BASE_MS = 2000;
+const RECONNECT_MAX_MS = 30000;
+
+export class LobbyClient {
+    /**
+     * @param {import('../api.js').API} api
+     */
+    constructor(api) {
+        this.api = api;
+        this.socket = null;
+        this.location = null;
+        this.connected = false;
+        this._listeners = new Map();
+        this._reconnectTimer = null;
+        this._reconnectDelay = RECONNECT_BASE_MS;
+        this._closedByUser = false;
+    }
+
+    static isSupported() {
+        return typeof WebSocket !== 'undefined';
+    }
+
+    /**
+     * Resolve ws(s):// URL from the API base (same origin unless __API_BASE_URL__ points elsewhere)
+     * @param {string} token
+     * @returns {string}
+     */
+    buildUrl(token) {
+        const base = new URL(this.api.baseURL, window.location.href);
+        base.protocol = base.protocol === 'https:' ? 'wss:' : 'ws:';
+        base.pathname = LOBBY_PATH;
+        base.search = `?token=${encodeURIComponent(token)}`;
+        return base.toString();
+    }
+
+    /**
+     * @param {string} type - Server message type ('room', 'angler_joined', 'angler_left', 'angler_event', 'status')
+     * @param {(message: object) => void} handler
+     */
+    on(type, handler) {
+        if (!this._listeners.has(type)) {
+            this._listeners.set(type, new Set());
+        }
+        this._listeners.get(type).add(handler);
+        return () => this._listeners.get(type)?.delete(handler);
+    }
+
+    emit(type, message) {
+        this._listeners.get(type)?.forEach((handler) => {
+            try {
+                handler(message);
+            } catch (error) {
+                console.warn('[LOBBY] Listener failed:', type, error);
+            }
+        });
+    }
+
+    async connect() {
+        if (!LobbyClient.isSupported() || !this.api?.session || this.socket) {
+            return;
+        }
+        this._closedByUser = false;
+
+        try {
+            if (this.api.isAccessTokenStale()) {
+                await this.api.refreshSession();
+            }
+        } catch (error) {
+            console.warn('[LOBBY] Could not refresh session for lobby:', error);
+            this.scheduleReconnect();
+            return;
+        }
+
+        const token = this.api.session?.accessToken;
+        if (!token) return;
+
+        let socket;
+        try {
+            socket = new WebSocket(this.buildUrl(token));
+        } catch (error) {
+            console.warn('[LOBBY] WebSocket unavailable:', error);
+            return;
+        }
+        this.socket = socket;
+
+        socket.addEventListener('open', () => {
+            this.connected = true;
+            this._reconnectDelay = RECONNECT_BASE_MS;
+            this.emit('status', { connected: true });
+            if (this.location) {
+                this.send('join', { location: this.location });
+            }
+        });
+
+        socket.addEventListener('message', (event) => {
+            let message;
+            try {
+                message = JSON.parse(event.data);
+            } catch {
+                return;
+            }
+            if (message?.type) {
+                this.emit(message.type, message);
+            }
+        });
+
+        socket.addEventListener('close', () => {
+            const wasConnected = this.connected;
+            this.socket = null;
+            this.connected = false;
+            if (wasConnected) {
+                this.emit('status', { connected: false });
+            }
+            if (!this._closedByUser) {
+                this.scheduleReconnect();
+            }
+        });
+
+        socket.addEventListener('error', () => {
+            // 'close' follows and handles the reconnect.
+        });
+    }
+
+    scheduleReconnect() {
+        if (this._reconnectTimer || this._closedByUser) return;
+        const delay = this._reconnectDelay;
+        this._reconnectDelay = Math.min(this._reconnectDelay * 2, RECONNECT_MAX_MS);
+        this._reconnectTimer = setTimeout(() => {
+            this._reconnectTimer = null;
+            this.connect();
+        }, delay);
+    }
+
+    disconnect() {
+        this._closedByUser = true;
+        if (this._reconnectTimer) {
+            clearTimeout(this._reconnectTimer);
+            this._reconnectTimer = null;
+        }
+        this.socket?.close();
+        this.socket = null;
+        this.connected = false;
+    }
+
+    /**
+     * @param {string} type
+     * @param {object} [payload]
+     * @returns {boolean} Whether the message was sent
+     */
+    send(type, payload = {}) {
+        if (!this.connected || this.socket?.readyState !== WebSocket.OPEN) {
+            return false;
+        }
+        this.socket.send(JSON.stringify({ type, ...payload }));
+        return true;
+    }
+
+    /** Enter the room for a location (re-sent automatically after reconnects). */
+    joinLocation(locationName) {
+        this.location = locationName || null;
+        if (this.location) {
+            this.send('join', { location: this.location });
+        } else {
+            this.send('leave');
+        }
+    }
+
+    sendCast(target) {
+        this.send('cast', { x: target.x, z: target.z });
+    }
+
+    sendBobberLanded(position) {
+        this.send('bobber', { x: position.x, z: position.z });
+    }
+
+    sendReel() {
+        this.send('reel');
+    }
+
+    sendIdle() {
+        this.send('idle');
+    }
+
+    sendCatch({ fishName, fishWeight, rarity }) {
+        this.send('catch', { fishName, fishWeight, rarity });
+    }
+}
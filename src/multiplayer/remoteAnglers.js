@@ -0,0 +1,300 @@
+import * as THREE from 'three';
+import { clone as cloneSkinned } from 'three/addons/utils/SkeletonUtils.js';
+
+/**
+ * Friends fishing the same location: cloned Halley rigs standing beside the local cat,
+ * with their own bobber + line, driven by lobby events (see lobbyClient.js).
+ */
+
+const MAX_REMOTE_ANGLERS = 3;
+const CAST_FLIGHT_SEC = 0.8;
+const REEL_IN_SEC = 2.4;
+const REMOTE_BOBBER_COLOR = 0xffc83d;
+const NAME_TAG_HEIGHT = 2.55;
+
+function createNameTag(username) {
+    const canvas = document.createElement('canvas');
+    canvas.width = 256;
+    canvas.height = 64;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = 'rgba(15, 23, 42, 0.65)';
+    ctx.beginPath();
+    ctx.roundRect?.(8, 8, 240, 48, 20);
+    ctx.fill();
+    ctx.fillStyle = '#f8fafc';
+    ctx.font = 'bold 28px system-ui, sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(username || 'Friend', 128, 33, 224);
+
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.colorSpace = THREE.SRGBColorSpace;
+    const sprite = new THREE.Sprite(new THREE.SpriteMaterial({
+        map: texture,
+        depthWrite: false,
+        transparent: true
+    }));
+    sprite.scale.set(1.4, 0.35, 1);
+    sprite.renderOrder = 1002;
+    return sprite;
+}
+
+export class RemoteAnglers {
+    /**
+     * @param {import('../main.js').Game} game
+     */
+    constructor(game) {
+        this.game = game;
+        /** @type {Map<string, object>} */
+        this.anglers = new Map();
+        this._tipOffset = new THREE.Vector3();
+    }
+
+    canRender() {
+        return Boolean(this.game.cat?.getModel() && this.game.platform && this.game.scene?.scene);
+    }
+
+    /** Replace everyone with the roster from a fresh 'room' message. */
+    setRoom(anglers = []) {
+        this.clear();
+        anglers.forEach((angler) => this.add(angler));
+    }
+
+    add(info) {
+        if (!info?.playerId || !this.canRender()) return;
+        if (this.anglers.has(info.playerId)) {
+            this.remove(info.playerId);
+        }
+        if (this.anglers.size >= MAX_REMOTE_ANGLERS) return;
+
+        const usedSlots = new Set([...this.anglers.values()].map((angler) => angler.slot));
+        let slot = 0;
+        while (usedSlots.has(slot)) slot++;
+
+        const cat = this.game.cat;
+        const model = cloneSkinned(cat.getModel());
+        model.position.set(0, 0, 0);
+
+        const anchor = new THREE.Group();
+        anchor.name = `RemoteAngler:${info.username || info.playerId}`;
+        anchor.rotation.y = cat.baseRotationY;
+        anchor.add(model);
+
+        const nameTag = createNameTag(info.username);
+        nameTag.position.set(0, NAME_TAG_HEIGHT, 0);
+        anchor.add(nameTag);
+
+        const bobber = new THREE.Mesh(
+            new THREE.SphereGeometry(0.08, 12, 12),
+            new THREE.MeshStandardMaterial({
+                color: REMOTE_BOBBER_COLOR,
+                emissive: REMOTE_BOBBER_COLOR,
+                emissiveIntensity: 0.4,
+                roughness: 0.3
+            })
+        );
+        bobber.visible = false;
+
+        const line = new THREE.Line(
+            new THREE.BufferGeometry().setFromPoints([new THREE.Vector3(), new THREE.Vector3()]),
+            new THREE.LineBasicMaterial({ color: 0xffffff, transparent: true, opacity: 0.7 })
+        );
+        line.visible = false;
+        line.frustumCulled = false;
+
+        const scene = this.game.scene.scene;
+        scene.add(anchor);
+        scene.add(bobber);
+        scene.add(line);
+
+        const mixer = new THREE.AnimationMixer(model);
+        const angler = {
+            playerId: info.playerId,
+            username: info.username,
+            slot,
+            anchor,
+            model,
+            mixer,
+            nameTag,
+            bobber,
+            line,
+            action: null,
+            motion: null
+        };
+        this.anglers.set(info.playerId, angler);
+        this.playClip(angler, 'Idle');
+
+        if (info.state === 'waiting' && info.bobber) {
+            this.placeBobber(angler, info.bobber);
+        } else if (info.state === 'reeling') {
+            this.playClip(angler, 'Reeling');
+        }
+    }
+
+    remove(playerId) {
+        const angler = this.anglers.get(playerId);
+        if (!angler) return;
+
+        angler.mixer.stopAllAction();
+        const scene = this.game.scene?.scene;
+        scene?.remove(angler.anchor);
+        scene?.remove(angler.bobber);
+        scene?.remove(angler.line);
+        angler.nameTag.material.map?.dispose();
+        angler.nameTag.material.dispose();
+        angler.bobber.geometry.dispose();
+        angler.bobber.material.dispose();
+        angler.line.geometry.dispose();
+        angler.line.material.dispose();
+        this.anglers.delete(playerId);
+    }
+
+    clear() {
+        [...this.anglers.keys()].forEach((playerId) => this.remove(playerId));
+    }
+
+    getUsername(playerId) {
+        return this.anglers.get(playerId)?.username || null;
+    }
+
+    playClip(angler, name, { once = false, then = null } = {}) {
+        const clip = this.game.cat?.animationClips?.[name];
+        if (!clip) return;
+
+        const next = angler.mixer.clipAction(clip);
+        next.reset();
+        next.setLoop(once ? THREE.LoopOnce : THREE.LoopRepeat, once ? 1 : Infinity);
+        next.clampWhenFinished = true;
+        if (angler.action && angler.action !== next) {
+            angler.action.fadeOut(0.15);
+        }
+        next.fadeIn(0.15).play();
+        angler.action = next;
+
+        if (once && then) {
+            const onDone = (event) => {
+                if (event.action === next) {
+                    angler.mixer.removeEventListener('finished', onDone);
+                    if (angler.action === next) {
+                        this.playClip(angler, then);
+                    }
+                }
+            };
+            angler.mixer.addEventListener('finished', onDone);
+        }
+    }
+
+    placeBobber(angler, { x, z }) {
+        const waterY = this.game.water?.waterY ?? 0;
+        angler.motion = null;
+        angler.bobber.position.set(x, waterY + 0.02, z);
+        angler.bobber.visible = true;
+        angler.line.visible = true;
+    }
+
+    /**
+     * @param {{ playerId: string, event: string, x?: number, z?: number }} message
+     */
+    handleEvent(message) {
+        const angler = this.anglers.get(message?.playerId);
+        if (!angler) return;
+
+        switch (message.event) {
+            case 'cast': {
+                this.playClip(angler, 'Throw', { once: true, then: 'Idle' });
+                const waterY = this.game.water?.waterY ?? 0;
+                angler.motion = {
+                    type: 'cast',
+                    t: 0,
+                    from: this.getRodTipPosition(angler),
+                    to: new THREE.Vector3(message.x, waterY + 0.02, message.z)
+                };
+                angler.bobber.visible = true;
+                angler.line.visible = true;
+                break;
+            }
+            case 'bobber':
+                if (angler.motion?.type !== 'cast') {
+                    this.placeBobber(angler, message);
+                }
+                break;
+            case 'reel':
+                this.playClip(angler, 'Reeling');
+                angler.motion = {
+                    type: 'reel',
+                    t: 0,
+                    from: angler.bobber.position.clone()
+                };
+                break;
+            case 'catch':
+                angler.motion = null;
+                angler.bobber.visible = false;
+                angler.line.visible = false;
+                this.playClip(angler, 'Big Catch', { once: true, then: 'Idle' });
+                break;
+            case 'idle':
+            default:
+                angler.motion = null;
+                angler.bobber.visible = false;
+                angler.line.visible = false;
+                this.playClip(angler, 'Idle');
+                break;
+        }
+    }
+
+    /** Rod tip for a remote cat: the local cat's tip offset, translated to the guest's spot. */
+    getRodTipPosition(angler) {
+        const cat = this.game.cat;
+        const tip = cat?.getRodTipWorldPosition?.();
+        const catAnchor = cat?.catAnchor;
+        if (!tip || !catAnchor) {
+            return angler.anchor.position.clone().add(new THREE.Vector3(0, 1.8, 1.0));
+        }
+        this._tipOffset.copy(tip).sub(catAnchor.position);
+        return angler.anchor.position.clone().add(this._tipOffset);
+    }
+
+    update(delta) {
+        if (this.anglers.size === 0 || !this.canRender()) return;
+
+        const platform = this.game.platform;
+        const cat = this.game.cat;
+        const localSurface = platform.getSurfacePosition();
+        const feetLift = (cat.catAnchor?.position.y ?? localSurface.y) - localSurface.y;
+
+        this.anglers.forEach((angler) => {
+            angler.mixer.update(delta);
+
+            const stand = platform.getGuestStandPosition(angler.slot);
+            angler.anchor.position.set(stand.x, stand.y + feetLift, stand.z);
+            angler.anchor.updateMatrixWorld(true);
+
+            const tip = this.getRodTipPosition(angler);
+            const motion = angler.motion;
+            if (motion?.type === 'cast') {
+                motion.t = Math.min(1, motion.t + delta / CAST_FLIGHT_SEC);
+                angler.bobber.position.lerpVectors(motion.from, motion.to, motion.t);
+                angler.bobber.position.y += Math.sin(motion.t * Math.PI) * 3;
+                if (motion.t >= 1) {
+                    angler.motion = null;
+                }
+            } else if (motion?.type === 'reel') {
+                motion.t = Math.min(1, motion.t + delta / REEL_IN_SEC);
+                angler.bobber.position.x = THREE.MathUtils.lerp(motion.from.x, tip.x, motion.t);
+                angler.bobber.position.z = THREE.MathUtils.lerp(motion.from.z, tip.z, motion.t);
+                if (motion.t >= 1) {
+                    angler.motion = null;
+                    angler.bobber.visible = false;
+                    angler.line.visible = false;
+                }
+            }
+
+            if (angler.line.visible) {
+                const positions = angler.line.geometry.attributes.position;
+                positions.setXYZ(0, tip.x, tip.y, tip.z);
+                positions.setXYZ(1, angler.bobber.position.x, angler.bobber.position.y, angler.bobber.position.z);
+                positions.needsUpdate = true;
+            }
+        });
+    }
+}
@@ -1712,6 +1712,36 @@ export class Platform {
         }
     }
 
+    /**
+     * Where a visiting friend's cat stands (slot 0..2), beside and slightly behind the local cat.
+     * Follows the deck while boats rock.
+     * @param {number} slot
+     */
+    getGuestStandPosition(slot) {
+        const surface = this.getSurfacePosition();
+        const width = this.currentPlatformType === 'LARGE_BOAT'
+            ? this.largeBoatWidth
+            : this.currentPlatformType === 'SMALL_BOAT'
+                ? this.smallBoatWidth
+                : this.dockWidth;
+
+        const side = slot % 2 === 0 ? -1 : 1;
+        const row = Math.floor(slot / 2);
+        const local = new THREE.Vector3(
+            side * width * 0.3,
+            0,
+            -1.2 - row * 1.6
+        );
+
+        if (this.platformMesh && this.currentPlatformType !== 'DOCK') {
+            this.platformMesh.updateMatrixWorld(true);
+            const deckPoint = this.platformMesh.worldToLocal(surface.clone()).add(local);
+            return deckPoint.applyMatrix4(this.platformMesh.matrixWorld);
+        }
+
+        return surface.add(local);
+    }
+
     /**
      * Scale boat pitch/roll/bob (1 = normal, ~0.04 = almost still for calm reef fishing).
      * @param {number} scale
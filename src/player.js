@@ -1,4 +1,4 @@
-import { TackleShop, getTackleByName } from './tackleShop.js';
+import { BASIC_BAIT_NAME, TackleShop, getTackleByName, hasBait, isConsumableBait } from './tackleShop.js';
 import {
     getCollectionSpeciesTotal,
     getUnlockedVisibleFishCount
@@ -6,6 +6,8 @@ import {
 import { MAX_ENERGY, addBonusEnergy } from './energy.js';
 import { LEVEL_UP_ENERGY_BONUS } from './config/energy.js';
 import { debugLog } from './config/debug.js';
+import { MONEY_LOG_LIMIT } from './saveMerge.js';
+import { SAVE_SCHEMA_VERSIONS, migrateSaveData } from './saveMigrations.js';
 import {
     CELESTIAL_DEPTHS_LOCATION_INDEX,
     HIDDEN_RELICS,
@@ -14,6 +16,8 @@ import {
 } from './config/hiddenRelics.js';
 import { CORTEZ_BACKWATERS_LOCATION_INDEX } from './config/cortezBackwaters.js';
 import { STARFISH_ID } from './config/starfishEncounter.js';
+import { canLearnSkill, getSkillEffect, getSkillRespecCost, normalizeSkillRanks } from './skills.js';
+import { applyAnnouncementGift, applyMailRewards, hasClaimedMail } from './mailRewards.js';
 
 /**
  * Player State Management System
@@ -87,6 +91,9 @@ export class Player {
             patience: 50,
             strength: 50
         };
+
+        /** @type {Record<string, number>} skill tree ranks bought with level-up points (see skills.js) */
+        this.skillRanks = {};
         
         // Inventory tracking
         this.totalCaught = 0;
@@ -109,6 +116,10 @@ export class Player {
             hooks: [],
             baits: []
         };
+        /** @type {Record<number, number>} casts left per consumable bait id (0 = ran out) */
+        this.baitStock = {};
+        /** @type {number[]} baits bought before packs existed; they never run out */
+        this.permanentBaits = [];
         
         // Last visited location
         this.currentLocationIndex = 0;
@@ -139,9 +150,31 @@ export class Player {
         /** @type {Record<string, number>} casts without finding each relic (pity tracker) */
         this.relicCastAttempts = {};
 
+        /** @type {Array<{ tournamentId: string, name: string, tournamentName: string, rank: number, coins: number, awardedAt: string }>} */
+        this.tournamentBadges = [];
+
+        /** @type {string[]} Reward mail ids already claimed into this save */
+        this.claimedMail = [];
+
+        /**
+         * Recent coin transactions, replayed when cloud saves from two devices are merged.
+         * @type {Array<{ id: string, amount: number, reason: string, at: number }>}
+         */
+        this.moneyLog = [];
+
+        /**
+         * Bumped by "Reset All Progress" and save restores. Merges never blend saves from
+         * different epochs, so a stale device can't bring wiped progress back (see saveMerge.js).
+         * @type {number}
+         */
+        this.resetEpoch = 0;
+
         /** @type {boolean} Server-verified Halley admin account */
         this.isAdmin = false;
 
+        /** @type {{ role: string, label: string, permissions: string[] }|null} Staff role from the server (not saved) */
+        this.adminRole = null;
+
         /** First-time dock tour after entering the main game window. */
         this.hasSeenGameplayOnboarding = false;
 
@@ -151,6 +184,8 @@ export class Player {
         this.friendCode = null;
         this.syncEnabled = false;
         this._syncTimeout = null;
+        /** Called after a cloud save conflict was merged into local storage and reloaded. */
+        this.onSaveMerged = null;
 
         // Load from localStorage if available
         this.load();
@@ -345,10 +380,12 @@ export class Player {
     /**
      * Add money
      * @param {number} amount - Money to add
+     * @param {string} [reason='reward'] - Recorded in the money log
      */
-    addMoney(amount) {
+    addMoney(amount, reason = 'reward') {
         if (amount > 0) {
             this.money += amount;
+            this.recordMoneyTransaction(amount, reason);
             this.save();
         }
     }
@@ -356,16 +393,72 @@ export class Player {
     /**
      * Spend money
      * @param {number} amount - Money to spend
+     * @param {string} [reason='purchase'] - Recorded in the money log
+     * @param {Object|null} [details] - Extra fields for the log entry (e.g. the bait pack bought)
      * @returns {boolean} True if successful
      */
-    spendMoney(amount) {
+    spendMoney(amount, reason = 'purchase', details = null) {
         if (this.money >= amount) {
             this.money -= amount;
+            this.recordMoneyTransaction(-amount, reason, null, details);
             this.save();
             return true;
         }
         return false;
     }
+
+    /**
+     * Buy the next rank of a skill with an unspent skill point.
+     * @param {string} skillId
+     * @returns {boolean} True if learned
+     */
+    learnSkill(skillId) {
+        if (!canLearnSkill(this, skillId).ok) {
+            return false;
+        }
+        this.skillRanks = { ...this.skillRanks, [skillId]: (this.skillRanks?.[skillId] ?? 0) + 1 };
+        this.recalculateStats();
+        this.save();
+        return true;
+    }
+
+    /**
+     * Refund every spent skill point for coins.
+     * @returns {boolean} True if the tree was reset
+     */
+    respecSkills() {
+        const cost = getSkillRespecCost(this);
+        if (cost <= 0 || !this.spendMoney(cost, 'skill-respec')) {
+            return false;
+        }
+        this.skillRanks = {};
+        this.recalculateStats();
+        this.save();
+        return true;
+    }
+
+    /**
+     * Log a balance change so another device's copy of the save can replay it.
+     * @param {number} amount - Signed coin delta
+     * @param {string} reason
+     * @param {string} [id] - Stable id for transactions that may be recorded twice (server awards)
+     * @param {Object|null} [details] - Extra fields stored on the entry
+     */
+    recordMoneyTransaction(amount, reason, id = null, details = null) {
+        if (!Array.isArray(this.moneyLog)) {
+            this.moneyLog = [];
+        }
+        this.moneyLog.push({
+            ...details,
+            id: id || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`,
+            amount,
+            reason,
+            at: Date.now()
+        });
+        if (this.moneyLog.length > MONEY_LOG_LIMIT) {
+            this.moneyLog = this.moneyLog.slice(-MONEY_LOG_LIMIT);
+        }
+    }
     
     /**
      * Add a catch to tracking
@@ -466,17 +559,21 @@ export class Player {
     saveLocal() {
         try {
             const playerData = {
+                schemaVersion: SAVE_SCHEMA_VERSIONS.player,
                 name: this.name,
                 level: this.level,
                 money: this.money,
                 experience: this.experience,
                 stats: this.stats,
+                skillRanks: this.skillRanks,
                 totalCaught: this.totalCaught,
                 totalWeight: this.totalWeight,
                 biggestCatch: this.biggestCatch,
                 locationUnlocks: this.locationUnlocks,
             tackleUnlocks: this.tackleUnlocks,
             tackleNotified: this.tackleNotified,
+                baitStock: this.baitStock,
+                permanentBaits: this.permanentBaits,
                 gear: this.gear,
                 recentCatches: this.recentCatches,
                 top10BiggestFish: this.top10BiggestFish,
@@ -487,6 +584,10 @@ export class Player {
                 hiddenRelicsCollected: this.hiddenRelicsCollected,
                 starlightLureCrafted: this.starlightLureCrafted,
                 relicCastAttempts: this.relicCastAttempts,
+                tournamentBadges: this.tournamentBadges,
+                claimedMail: this.claimedMail,
+                moneyLog: this.moneyLog,
+                resetEpoch: this.resetEpoch,
                 hasSeenGameplayOnboarding: this.hasSeenGameplayOnboarding === true,
                 energy: this.energy,
                 maxEnergy: this.maxEnergy,
@@ -536,7 +637,7 @@ export class Player {
 
     /**
      * Update user context (userId, username, friend code)
-     * @param {{ userId?: string, username?: string, friendCode?: string, isAdmin?: boolean }} context
+     * @param {{ userId?: string, username?: string, friendCode?: string, isAdmin?: boolean, adminRole?: Object|null }} context
      */
     setUserContext(context = {}) {
         if (context.userId) {
@@ -553,6 +654,9 @@ export class Player {
         } else if (context.isAdmin === false) {
             this.isAdmin = false;
         }
+        if (context.adminRole !== undefined) {
+            this.adminRole = context.adminRole;
+        }
 
         // Persist context locally without triggering sync back to server
         this.save({ skipSync: true });
@@ -650,10 +754,14 @@ export class Player {
             stats: this.stats
         });
 
-        const { captureLocalGameSave } = await import('./cloudSave.js');
-        const gameSave = captureLocalGameSave();
-        if (gameSave) {
-            await this.api.updateGameSave(gameSave);
+        const { uploadGameSave } = await import('./cloudSave.js');
+        const { merged } = await uploadGameSave(this.api, this.userId);
+        if (merged) {
+            // Another device saved first: pick up the merged progress it brought with it.
+            this.load();
+            if (typeof this.onSaveMerged === 'function') {
+                this.onSaveMerged();
+            }
         }
     }
     
@@ -665,7 +773,7 @@ export class Player {
             const savedData = localStorage.getItem('kittyCreekPlayer');
             
             if (savedData) {
-                const playerData = JSON.parse(savedData);
+                const playerData = migrateSaveData('player', JSON.parse(savedData));
                 
                 // Merge saved data with defaults
                 this.name = playerData.name || this.name;
@@ -673,12 +781,15 @@ export class Player {
                 this.money = playerData.money !== undefined ? playerData.money : this.money;
                 this.experience = playerData.experience || this.experience;
                 this.stats = { ...this.stats, ...(playerData.stats || {}) };
+                this.skillRanks = normalizeSkillRanks(playerData.skillRanks);
                 this.totalCaught = playerData.totalCaught || 0;
                 this.totalWeight = playerData.totalWeight || 0;
                 this.biggestCatch = playerData.biggestCatch || 0;
                 this.locationUnlocks = playerData.locationUnlocks || this.locationUnlocks;
                 this.tackleUnlocks = playerData.tackleUnlocks || this.tackleUnlocks;
                 this.tackleNotified = playerData.tackleNotified || this.tackleNotified;
+                this.baitStock = playerData.baitStock;
+                this.permanentBaits = Array.isArray(playerData.permanentBaits) ? playerData.permanentBaits : [];
                 this.gear = { ...this.gear, ...(playerData.gear || {}) };
                 this.recentCatches = playerData.recentCatches || [];
                 this.top10BiggestFish = playerData.top10BiggestFish || [];
@@ -687,24 +798,15 @@ export class Player {
                 if (typeof playerData.currentLocationIndex === 'number') {
                     this.currentLocationIndex = playerData.currentLocationIndex;
                 }
-                // Migrate old array-based achievements to object-based
-                if (Array.isArray(playerData.achievements)) {
-                    const oldAchievements = playerData.achievements;
-                    this.achievements = {};
-                    oldAchievements.forEach(id => {
-                        this.achievements[id] = 1; // Convert to tier 1
-                    });
-                } else {
-                    this.achievements = playerData.achievements || {};
-                }
-
-                this.hiddenRelicsCollected = Array.isArray(playerData.hiddenRelicsCollected)
-                    ? playerData.hiddenRelicsCollected
-                    : [];
-                this.starlightLureCrafted = playerData.starlightLureCrafted === true;
-                this.relicCastAttempts = playerData.relicCastAttempts && typeof playerData.relicCastAttempts === 'object'
-                    ? playerData.relicCastAttempts
-                    : {};
+                // Older shapes are upgraded by saveMigrations.js before we get here.
+                this.achievements = playerData.achievements;
+                this.hiddenRelicsCollected = playerData.hiddenRelicsCollected;
+                this.starlightLureCrafted = playerData.starlightLureCrafted;
+                this.relicCastAttempts = playerData.relicCastAttempts;
+                this.tournamentBadges = playerData.tournamentBadges;
+                this.claimedMail = playerData.claimedMail;
+                this.moneyLog = Array.isArray(playerData.moneyLog) ? playerData.moneyLog : [];
+                this.resetEpoch = Number.isInteger(playerData.resetEpoch) ? playerData.resetEpoch : 0;
                 this.hasSeenGameplayOnboarding = playerData.hasSeenGameplayOnboarding === true;
 
                 if (typeof playerData.energy === 'number') {
@@ -737,7 +839,8 @@ export class Player {
             try {
                 const backupData = localStorage.getItem('kittyCreekPlayer_backup');
                 if (backupData) {
-                    const playerData = JSON.parse(backupData);
+                    const playerData = migrateSaveData('player', JSON.parse(backupData));
+                    delete playerData.schemaVersion;
                     Object.assign(this, playerData);
                     this.normalizeTackleState();
                     this.syncStoryUnlocks();
@@ -769,6 +872,78 @@ export class Player {
         };
     }
 
+    hasClaimedMail(mailId) {
+        return hasClaimedMail(this, mailId);
+    }
+
+    /**
+     * Add a claimed reward mail to this save. Idempotent per mail id, so a claim the server
+     * already wrote into the cloud save (or another device applied) is not paid twice.
+     * @param {{ id: string, rewards: Object }} mail
+     * @returns {boolean} True if the rewards were added now
+     */
+    applyMail(mail) {
+        if (!applyMailRewards(this, mail)) {
+            return false;
+        }
+        if (mail.rewards?.relics?.length > 0) {
+            this.syncStoryUnlocks();
+        }
+        this.save();
+        return true;
+    }
+
+    /**
+     * Add an announcement's claim_gift to this save. Idempotent per announcement, like applyMail.
+     * @param {string} announcementId
+     * @param {{ coins?: number, energy?: number }} gift
+     * @returns {boolean} True if the gift was added now
+     */
+    applyAnnouncementGift(announcementId, gift) {
+        if (!applyAnnouncementGift(this, announcementId, gift)) {
+            return false;
+        }
+        this.save();
+        return true;
+    }
+
+    hasTournamentBadge(tournamentId) {
+        return Array.isArray(this.tournamentBadges)
+            && this.tournamentBadges.some((badge) => badge?.tournamentId === tournamentId);
+    }
+
+    /**
+     * Apply tournament prizes the server has awarded. Idempotent per tournament: a save
+     * that already carries the badge (server wrote it into the cloud save) is skipped.
+     * @param {Array<{ tournamentId: string, name: string, tournamentName?: string, rank: number, coins: number, awardedAt?: string }>} awards
+     * @returns {Array<object>} Awards newly applied to this save
+     */
+    applyTournamentAwards(awards = []) {
+        if (!Array.isArray(this.tournamentBadges)) {
+            this.tournamentBadges = [];
+        }
+        const applied = [];
+        for (const award of awards) {
+            if (!award?.tournamentId || this.hasTournamentBadge(award.tournamentId)) continue;
+            const coins = Math.max(0, Math.floor(Number(award.coins) || 0));
+            this.tournamentBadges.push({
+                tournamentId: award.tournamentId,
+                name: award.name,
+                tournamentName: award.tournamentName,
+                rank: award.rank,
+                coins,
+                awardedAt: award.awardedAt || new Date().toISOString()
+            });
+            this.money += coins;
+            this.recordMoneyTransaction(coins, 'tournament', `tournament:${award.tournamentId}`);
+            applied.push(award);
+        }
+        if (applied.length > 0) {
+            this.save();
+        }
+        return applied;
+    }
+
     hasHiddenRelic(relicId) {
         return Array.isArray(this.hiddenRelicsCollected) && this.hiddenRelicsCollected.includes(relicId);
     }
@@ -889,6 +1064,17 @@ export class Player {
         if (!this.starlightLureCrafted && isStarlightLureBait(this.gear?.bait)) {
             this.gear.bait = 'Basic Bait';
         }
+
+        if (!this.baitStock || typeof this.baitStock !== 'object' || Array.isArray(this.baitStock)) {
+            this.baitStock = {};
+        }
+        if (!Array.isArray(this.permanentBaits)) {
+            this.permanentBaits = [];
+        }
+        const equippedBait = getTackleByName('baits', this.gear?.bait);
+        if (isConsumableBait(equippedBait, this) && !hasBait(this, equippedBait)) {
+            this.gear.bait = BASIC_BAIT_NAME;
+        }
     }
 
     getEquippedItem(category) {
@@ -942,6 +1128,11 @@ export class Player {
         apply('patience', 'hooks', 'timingWindow', 15);
         apply('patience', 'reels', 'speedBonus', 10, { invert: true });
 
+        // Skill tree stat perks
+        Object.keys(stats).forEach(key => {
+            stats[key] += getSkillEffect(this, 'stat', key);
+        });
+
         Object.keys(stats).forEach(key => {
             const value = Math.round(Math.max(20, Math.min(100, stats[key])));
             stats[key] = value;
@@ -0,0 +1,114 @@
+/**
+ * Active reeling fight. Holding to reel tires the fish and keeps the hook set, but loads the
+ * line (see LineTension); letting go eases the line while the hook slowly slips. The fish lands
+ * when its stamina is spent and throws the hook when the hold runs out.
+ */
+
+import {
+    DEFAULT_FIGHT_CONTROL_MODE,
+    FIGHT_CONTROL_MODES,
+    HOOK_QUALITY_BASE,
+    HOOK_RECOVER_PER_SEC,
+    HOOK_SLIP_PER_SEC,
+    PATIENCE_SLIP_PER_POINT,
+    STAMINA_DRAIN_RELEASED,
+    STAMINA_DRAIN_REELING,
+    STAMINA_RECOVERY_ON_RUN,
+    STRENGTH_DRAIN_PER_POINT
+} from './config/reelingFight.js';
+import { MAX_FIGHT_SPEEDUP } from './config/fightDuration.js';
+
+export const FIGHT_CONTROL_MODE_STORAGE_KEY = 'kittyCreekFightControlMode';
+
+const STAT_BASELINE = 50;
+
+/** @returns {'active'|'passive'} */
+export function getFightControlMode() {
+    try {
+        const stored = localStorage.getItem(FIGHT_CONTROL_MODE_STORAGE_KEY);
+        return FIGHT_CONTROL_MODES.includes(stored) ? stored : DEFAULT_FIGHT_CONTROL_MODE;
+    } catch {
+        return DEFAULT_FIGHT_CONTROL_MODE;
+    }
+}
+
+export function setFightControlMode(mode) {
+    if (!FIGHT_CONTROL_MODES.includes(mode)) {
+        return;
+    }
+    try {
+        localStorage.setItem(FIGHT_CONTROL_MODE_STORAGE_KEY, mode);
+    } catch {
+        /* ignore */
+    }
+}
+
+export function isActiveFightEnabled() {
+    return getFightControlMode() === 'active';
+}
+
+export class ReelingFight {
+    /**
+     * @param {{ patience?: number, strength?: number }|null} stats - player.stats
+     * @param {{ fightDuration: number, catchChance?: number }} options
+     *   fightDuration: seconds a fight takes at the base drain (calculateFightDuration);
+     *   catchChance: calculateCatchChance at hook-set, a better hook slips slower
+     */
+    constructor(stats, { fightDuration, catchChance = 0.6 }) {
+        const patience = stats?.patience ?? STAT_BASELINE;
+        const strength = stats?.strength ?? STAT_BASELINE;
+
+        this.baseDrain = 1 / Math.max(1, fightDuration);
+        // Capped so an active fight never lands sooner than the server's minimum fight time allows
+        this.reelDrain = Math.min(
+            MAX_FIGHT_SPEEDUP,
+            STAMINA_DRAIN_REELING * Math.max(0.5, 1 + (strength - STAT_BASELINE) * STRENGTH_DRAIN_PER_POINT)
+        );
+        this.slipRate = HOOK_SLIP_PER_SEC
+            * Math.max(0.2, HOOK_QUALITY_BASE - catchChance)
+            * Math.max(0.4, 1 - (patience - STAT_BASELINE) * PATIENCE_SLIP_PER_POINT);
+
+        this.stamina = 1;
+        this.hookHold = 1;
+    }
+
+    /**
+     * Advance one frame.
+     * @param {number} delta
+     * @param {boolean} reelingHard
+     * @param {{ load?: number, tautness?: number }|null} move - current fight move
+     * @returns {'landed'|'escaped'|null}
+     */
+    update(delta, reelingHard, move = null) {
+        const load = move?.load ?? 1;
+        const tautness = move?.tautness ?? 1;
+
+        if (reelingHard) {
+            this.stamina -= this.baseDrain * this.reelDrain * delta;
+            this.hookHold = Math.min(1, this.hookHold + HOOK_RECOVER_PER_SEC * delta);
+        } else {
+            this.stamina -= this.baseDrain * STAMINA_DRAIN_RELEASED * delta;
+            if (load > 1) {
+                // A run or dive against a slack reel lets the fish catch its breath
+                this.stamina += this.baseDrain * STAMINA_RECOVERY_ON_RUN * (load - 1) * delta;
+            }
+            this.hookHold -= this.slipRate * (1.6 - tautness) * delta;
+        }
+        this.stamina = Math.min(1, this.stamina);
+
+        if (this.hookHold <= 0) {
+            return 'escaped';
+        }
+        if (this.stamina <= 0) {
+            return 'landed';
+        }
+        return null;
+    }
+
+    getState() {
+        return {
+            stamina: Math.max(0, this.stamina),
+            hookHold: Math.max(0, this.hookHold)
+        };
+    }
+}
@@ -1,5 +1,6 @@
 import * as THREE from 'three';
 import { getRiverDownstreamDir } from './effects/riverDockPostWake.js';
+import { LINE_MODE_RENDER, RETRIEVE_MOTION, TROLLING_DRIFT_SPEED } from './config/lineTechniques.js';
 
 export class FishingRope {
     constructor(scene, rodTipGetter, bobber, water, castBounds) {
@@ -36,6 +37,18 @@ export class FishingRope {
         this.fightingMode = false; // True when fighting a fish
         this.landingMode = false; // True when fish is landing
         this._landingSpring = 0; // 0..1
+        // Current fight move (see config/fightProfiles.js): line tautness, bobber dive depth and jump lift
+        this.fightTautness = 1;
+        this.fightDepth = 0;
+        this.fightLift = 0;
+        this._fightMoveAge = 0;
+        // How the rig is fished while waiting (see config/lineTechniques.js)
+        this.lineMode = 'float';
+        this._retrieve = null;
+        this._retrieveDip = 0;
+        this._lureDriftPerSec = null;
+        /** Set when a retrieve snaps or hops the rig; fishing.js turns it into a wake ring. */
+        this.retrievePulse = false;
         
         this.lineMesh = null;
         
@@ -200,6 +213,16 @@ export class FishingRope {
                     n.pos.x += this._riverDriftPerSec.x * dtSub;
                     n.pos.z += this._riverDriftPerSec.z * dtSub;
                 }
+
+                // Trolling sweep / retrieve pull: shift without adding velocity so the speed is exact
+                if (this._lureDriftPerSec && i === this.rope.length - 1) {
+                    const dx = this._lureDriftPerSec.x * dtSub;
+                    const dz = this._lureDriftPerSec.z * dtSub;
+                    n.pos.x += dx;
+                    n.pos.z += dz;
+                    n.prev.x += dx;
+                    n.prev.z += dz;
+                }
             }
         }
         
@@ -420,8 +443,9 @@ export class FishingRope {
                 
                 // Partially submerged - bobber sits in water with bounce
                 // Base position: partially submerged (waterHeight + 0.06), then add bounce
-                const baseY = waterHeight + 0.06; // Partially submerged (half in water)
-                const combinedBounce = bounce1 + bounce2;
+                const rig = LINE_MODE_RENDER[this.lineMode] || LINE_MODE_RENDER.float;
+                const baseY = waterHeight + 0.06 - rig.bobberDrop - this._retrieveDip; // Partially submerged (half in water); sinkers and jigs pull it lower
+                const combinedBounce = (bounce1 + bounce2) * rig.bounce;
                 const totalY = baseY + combinedBounce + pullDown * 0.3; // Add gentle pull-down effect
                 
                 this.bobber.position.y = totalY;
@@ -565,8 +589,12 @@ export class FishingRope {
                 // Add slight random depth variation for sporadic underwater movement
                 const randomDepthJitter = (Math.random() - 0.5) * 0.03; // Small random jitter ±0.03 units
                 
+                // Dives drag the bobber deeper; jumps and thrashing pop it out in a short arc
+                const liftArc = Math.sin(Math.PI * Math.min(1, this._fightMoveAge / 0.6));
+                const fightOffset = this.fightLift * Math.max(0, liftArc) - this.fightDepth;
+                
                 // Combine base submerged position with tug offset and jitter for sporadic movement
-                this.bobber.position.y = waterHeight - baseSubmerge + resurfaceAmount + tugOffset + randomDepthJitter;
+                this.bobber.position.y = waterHeight - baseSubmerge + resurfaceAmount + tugOffset + randomDepthJitter + fightOffset;
             }
         }
         
@@ -682,9 +710,11 @@ export class FishingRope {
                 const curve = new THREE.CatmullRomCurve3([tip, mid, end], false, 'catmullrom', 0.5);
                 this.lineMesh.geometry = new THREE.TubeGeometry(curve, 48, 0.008, 6, false); // Thin fishing line
             } else if (this.floating && !this.fightingMode && !this.landingMode) {
-                // Floating/idle: use smooth curve with fixed sag (slack line)
+                // Floating/idle: use smooth curve with fixed sag (slack line); sinkers, trolling and retrieves tighten it
+                const rig = LINE_MODE_RENDER[this.lineMode] || LINE_MODE_RENDER.float;
+                const sag = rig.sag * (this._retrieve ? 0.4 : 1);
                 const mid = tip.clone().lerp(end, 0.5);
-                mid.y -= Math.min(1.2, tip.distanceTo(end) * 0.18); // Fixed sag - line is slack
+                mid.y -= Math.min(1.2, tip.distanceTo(end) * sag);
                 const curve = new THREE.CatmullRomCurve3([tip, mid, end], false, 'catmullrom', 0.5);
                 this.lineMesh.geometry = new THREE.TubeGeometry(curve, 48, 0.008, 6, false); // Thin fishing line
             } else if (this.fightingMode || this.landingMode || (this.reeling && this.fightingMode)) {
@@ -692,12 +722,14 @@ export class FishingRope {
                 // Once fish bites, line stays tight all the way until caught
                 let curve;
 
-                if (bobberIsSubmerged) {
+                // A leaping fish throws slack into the line; runs and dives keep it bar-tight
+                const slack = this.fightingMode ? 1 - this.fightTautness : 0;
+                if (bobberIsSubmerged && slack < 0.5) {
                     // Straight clipped line into the water. No sag, no curve overshoot.
                     curve = new THREE.LineCurve3(tip, end);
                 } else {
                     const mid = tip.clone().lerp(end, 0.5);
-                    mid.y -= Math.min(0.15, tip.distanceTo(end) * 0.02); // Minimal sag - line is tight
+                    mid.y -= Math.min(0.15 + slack * 0.75, tip.distanceTo(end) * (0.02 + slack * 0.12)); // Minimal sag unless the fish gives slack
                     curve = new THREE.CatmullRomCurve3([tip, mid, end], false, 'catmullrom', 0.5);
                 }
 
@@ -750,6 +782,92 @@ export class FishingRope {
         this.fightingMode = value;
     }
     
+    /**
+     * Apply a fight move's line shape (null resets to a plain tight line).
+     * @param {{ tautness?: number, depth?: number, lift?: number }|null} move
+     */
+    setFightMove(move) {
+        this.fightTautness = move?.tautness ?? 1;
+        this.fightDepth = move?.depth ?? 0;
+        this.fightLift = move?.lift ?? 0;
+        this._fightMoveAge = 0;
+    }
+    
+    /** @param {string} mode - Line mode id (float, bottom, trolling) */
+    setLineMode(mode) {
+        this.lineMode = LINE_MODE_RENDER[mode] ? mode : 'float';
+    }
+    
+    /** Start working the rig back with a retrieve (twitch, steady, jig). */
+    startRetrieve(style) {
+        const motion = RETRIEVE_MOTION[style];
+        if (!motion) return;
+        this._retrieve = { ...motion, age: 0, hop: -1 };
+        this.retrievePulse = true;
+    }
+    
+    stopRetrieve() {
+        this._retrieve = null;
+        this._retrieveDip = 0;
+    }
+    
+    /** Whether the lure is being drawn through the water (trolling or mid-retrieve). */
+    isLureMoving() {
+        return Boolean(this._lureDriftPerSec);
+    }
+    
+    // Trolling sweeps the lure across the line; a retrieve pulls it toward the rod and hops it
+    updateLureDrift(dt, waiting) {
+        this._lureDriftPerSec = null;
+        if (!waiting) {
+            this.stopRetrieve();
+            return;
+        }
+        const tip = this.rope[0]?.pos;
+        const last = this.rope[this.rope.length - 1]?.pos;
+        if (!tip || !last) return;
+        
+        let toTipX = tip.x - last.x;
+        let toTipZ = tip.z - last.z;
+        const dist = Math.hypot(toTipX, toTipZ);
+        if (dist < 1e-4) return;
+        toTipX /= dist;
+        toTipZ /= dist;
+        
+        let x = 0;
+        let z = 0;
+        if (this.lineMode === 'trolling') {
+            x -= toTipZ * TROLLING_DRIFT_SPEED;
+            z += toTipX * TROLLING_DRIFT_SPEED;
+        }
+        
+        const retrieve = this._retrieve;
+        if (retrieve) {
+            retrieve.age += dt;
+            const t = Math.min(1, retrieve.age / retrieve.duration);
+            const speed = retrieve.pull / retrieve.duration;
+            x += toTipX * speed;
+            z += toTipZ * speed;
+            this.ropeLen = Math.max(1, this.ropeLen - speed * dt);
+            if (retrieve.hops > 0) {
+                const phase = t * retrieve.hops;
+                const hop = Math.min(retrieve.hops - 1, Math.floor(phase));
+                this._retrieveDip = retrieve.dip * Math.sin((phase - hop) * Math.PI);
+                if (hop !== retrieve.hop) {
+                    retrieve.hop = hop;
+                    this.retrievePulse = true;
+                }
+            }
+            if (t >= 1) {
+                this.stopRetrieve();
+            }
+        }
+        
+        if (x !== 0 || z !== 0) {
+            this._lureDriftPerSec = { x, z };
+        }
+    }
+    
     setLandingMode(on) {
         if (on && !this.landingMode) {
             this._landingSpring = 0; // Reset spring when entering landing mode
@@ -769,20 +887,20 @@ export class FishingRope {
         }
 
         this._riverDriftPerSec = null;
-        if (
+        const ud = this.bobber?.userData;
+        const waiting = Boolean(
             this.floating
-            && this.water?.waterBodyConfig?.riverMode
             && !this.reeling
             && !this.fightingMode
             && !this.landingMode
-        ) {
-            const ud = this.bobber?.userData;
-            const waitingOnRiver = ud
-                && !ud.isHooked
-                && !ud.biteStrike
-                && !ud.relicStrike
-                && (ud.freeze ?? 0) <= 0;
-            if (waitingOnRiver) {
+            && ud
+            && !ud.isHooked
+            && !ud.biteStrike
+            && !ud.relicStrike
+            && (ud.freeze ?? 0) <= 0
+        );
+        if (waiting) {
+            if (this.water?.waterBodyConfig?.riverMode) {
                 const downstream = getRiverDownstreamDir(this.water.waterBodyConfig.flowDirection);
                 const flowSpeed = this.water.waterBodyConfig.flowSpeed ?? 0.62;
                 const speed = flowSpeed * 0.2;
@@ -792,6 +910,7 @@ export class FishingRope {
                 };
             }
         }
+        this.updateLureDrift(dt, waiting);
         
         // Decay tug timer if active (so tug effect persists and fades smoothly)
         if (this.bobber.userData.tugActive && this.bobber.userData.tugTime > 0) {
@@ -802,6 +921,8 @@ export class FishingRope {
             }
         }
         
+        this._fightMoveAge += dt;
+        
         // Normal physics for floating/reeling
         // Order matters: cast drives last node first, then reel, then substeps, then sync, then draw
         this.reelUpdate(dt);
@@ -0,0 +1,275 @@
+/**
+ * Cloud save merge engine — combines two copies of the same account's save field by
+ * field instead of letting the newest one overwrite the other.
+ *
+ * Progress only ever grows (collections, relics, unlocks, achievements, level), so those
+ * fields are unioned / maxed. Money can go down as well as up, so it is reconciled from
+ * the per-save transaction log, and bait packs bought on the other device are replayed from
+ * the same log. Everything else
+ * (gear, energy, last location…) comes from whichever save was written most recently.
+ *
+ * A reset or restore bumps player.resetEpoch; saves from different epochs are never blended,
+ * the one from the later epoch is taken whole.
+ *
+ * The server imports this module too (PUT /api/players/me/save), so keep it free of
+ * browser APIs.
+ */
+
+import { CLAIMED_MAIL_LIMIT } from './config/mail.js';
+
+/** Money transactions kept per save; older ones are assumed to be on every device. */
+export const MONEY_LOG_LIMIT = 200;
+
+const TACKLE_CATEGORIES = ['rods', 'reels', 'lines', 'hooks', 'baits'];
+const TOP_FISH_LIMIT = 10;
+
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+const toNumber = (value) => {
+    const parsed = typeof value === 'string' ? parseFloat(value) : value;
+    return typeof parsed === 'number' && Number.isFinite(parsed) ? parsed : 0;
+};
+
+function unionList(a, b) {
+    return Array.from(new Set([...(Array.isArray(a) ? a : []), ...(Array.isArray(b) ? b : [])]));
+}
+
+function unionTackle(a, b) {
+    const merged = {};
+    const categories = new Set([...TACKLE_CATEGORIES, ...Object.keys(a || {}), ...Object.keys(b || {})]);
+    categories.forEach((category) => {
+        merged[category] = unionList(a?.[category], b?.[category]);
+    });
+    return merged;
+}
+
+function mergeAchievements(a, b) {
+    const merged = { ...(isObject(a) ? a : {}) };
+    Object.entries(isObject(b) ? b : {}).forEach(([id, tier]) => {
+        merged[id] = Math.max(toNumber(merged[id]), toNumber(tier));
+    });
+    return merged;
+}
+
+function mergeCaughtFlags(a, b) {
+    return { ...(isObject(a) ? a : {}), ...(isObject(b) ? b : {}) };
+}
+
+/**
+ * Per-species union: caught on either device counts, the higher count wins and the
+ * earliest first-catch date is kept.
+ */
+export function mergeFishCollections(a, b) {
+    const merged = {};
+    const left = isObject(a) ? a : {};
+    const right = isObject(b) ? b : {};
+    new Set([...Object.keys(left), ...Object.keys(right)]).forEach((fishId) => {
+        const x = left[fishId];
+        const y = right[fishId];
+        if (!x || !y) {
+            merged[fishId] = { ...(x || y) };
+            return;
+        }
+        const dates = [x.firstCatchDate, y.firstCatchDate].filter((date) => typeof date === 'number');
+        merged[fishId] = {
+            ...x,
+            ...y,
+            caught: x.caught === true || y.caught === true,
+            count: Math.max(toNumber(x.count), toNumber(y.count)),
+            firstCatchDate: dates.length > 0 ? Math.min(...dates) : (y.firstCatchDate ?? x.firstCatchDate)
+        };
+    });
+    return merged;
+}
+
+function mergeTopFish(a, b) {
+    const seen = new Set();
+    return [...(Array.isArray(a) ? a : []), ...(Array.isArray(b) ? b : [])]
+        .filter((entry) => {
+            if (!entry) return false;
+            const key = `${entry.fishName}|${entry.weight}|${entry.timestamp}`;
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        })
+        .sort((x, y) => toNumber(y.weight) - toNumber(x.weight))
+        .slice(0, TOP_FISH_LIMIT);
+}
+
+function mergeTournamentBadges(a, b) {
+    const byId = new Map();
+    [...(Array.isArray(a) ? a : []), ...(Array.isArray(b) ? b : [])].forEach((badge) => {
+        if (badge?.tournamentId && !byId.has(badge.tournamentId)) {
+            byId.set(badge.tournamentId, badge);
+        }
+    });
+    return [...byId.values()];
+}
+
+function normalizeMoneyLog(log) {
+    if (!Array.isArray(log)) return [];
+    return log
+        .filter((entry) => entry && typeof entry.id === 'string' && Number.isFinite(entry.amount))
+        .sort((x, y) => toNumber(x.at) - toNumber(y.at));
+}
+
+/**
+ * Transactions in `incoming`'s log that `base` has not seen. Transactions older than a full
+ * base log are treated as already seen.
+ */
+function findUnseenTransactions(baseLog, incomingLog) {
+    const seen = new Set(baseLog.map((entry) => entry.id));
+    const horizon = baseLog.length >= MONEY_LOG_LIMIT ? toNumber(baseLog[0].at) : -Infinity;
+    return incomingLog.filter((entry) => !seen.has(entry.id) && toNumber(entry.at) >= horizon);
+}
+
+/**
+ * Reconcile balances from the transaction logs. The base save's balance already includes
+ * every transaction in its log, so only the incoming save's unseen transactions are
+ * replayed on top.
+ * @param {object} base - Save treated as the shared history (the server copy)
+ * @param {object} incoming - Save being folded in (this device)
+ * @param {object} newer - Whichever of the two was written last
+ * @returns {{ money: number, moneyLog: Array<{ id: string, amount: number, reason: string, at: number }> }}
+ */
+export function reconcileMoney(base, incoming, newer) {
+    // Saves from before the ledger existed: nothing to replay, keep the latest balance.
+    if (!Array.isArray(base.moneyLog) || !Array.isArray(incoming.moneyLog)) {
+        return {
+            money: toNumber(newer.money),
+            moneyLog: normalizeMoneyLog(newer.moneyLog)
+        };
+    }
+
+    const baseLog = normalizeMoneyLog(base.moneyLog);
+    const unseen = findUnseenTransactions(baseLog, normalizeMoneyLog(incoming.moneyLog));
+
+    const money = unseen.reduce((total, entry) => total + entry.amount, toNumber(base.money));
+    return {
+        money: Math.max(0, Math.round(money)),
+        moneyLog: normalizeMoneyLog([...baseLog, ...unseen]).slice(-MONEY_LOG_LIMIT)
+    };
+}
+
+/**
+ * Bait stacks go up with packs and down with every cast, and casts are not logged. So the
+ * newer save's count wins per bait, then packs the older save bought (logged with their
+ * `bait: { id, casts }`) that the newer save never saw are added back on top. Stacks the newer
+ * save has never seen are kept as the older save left them. Empty stacks are stored as 0
+ * rather than dropped so running out is not undone by the older copy.
+ * @param {object} older - Player save written first
+ * @param {object} newer - Player save written last
+ * @returns {Record<string, number>}
+ */
+export function mergeBaitStock(older, newer) {
+    const newerStock = isObject(newer.baitStock) ? newer.baitStock : {};
+    const merged = { ...(isObject(older.baitStock) ? older.baitStock : {}), ...newerStock };
+    if (!Array.isArray(older.moneyLog) || !Array.isArray(newer.moneyLog)) {
+        return merged;
+    }
+
+    findUnseenTransactions(normalizeMoneyLog(newer.moneyLog), normalizeMoneyLog(older.moneyLog))
+        .forEach((entry) => {
+            const baitId = entry.bait?.id;
+            const casts = toNumber(entry.bait?.casts);
+            if (baitId === undefined || casts <= 0 || !(baitId in newerStock)) return;
+            merged[baitId] = toNumber(merged[baitId]) + casts;
+        });
+    return merged;
+}
+
+function compareProgress(x, y) {
+    const levelDiff = toNumber(x.level) - toNumber(y.level);
+    return levelDiff !== 0 ? levelDiff : toNumber(x.experience) - toNumber(y.experience);
+}
+
+/**
+ * Merge the kittyCreekPlayer blob.
+ * @param {object} base - Server copy
+ * @param {object} incoming - This device's copy
+ * @param {boolean} incomingIsNewer
+ */
+export function mergePlayerData(base, incoming, incomingIsNewer) {
+    const newer = incomingIsNewer ? incoming : base;
+    const merged = incomingIsNewer ? { ...base, ...incoming } : { ...incoming, ...base };
+    const ahead = compareProgress(incoming, base) > 0 ? incoming : base;
+
+    merged.level = ahead.level;
+    merged.experience = ahead.experience;
+    merged.totalCaught = Math.max(toNumber(base.totalCaught), toNumber(incoming.totalCaught));
+    merged.totalWeight = Math.max(toNumber(base.totalWeight), toNumber(incoming.totalWeight));
+    merged.biggestCatch = Math.max(toNumber(base.biggestCatch), toNumber(incoming.biggestCatch));
+
+    merged.locationUnlocks = unionList(base.locationUnlocks, incoming.locationUnlocks);
+    merged.tackleUnlocks = unionTackle(base.tackleUnlocks, incoming.tackleUnlocks);
+    merged.tackleNotified = unionTackle(base.tackleNotified, incoming.tackleNotified);
+    merged.baitStock = mergeBaitStock(incomingIsNewer ? base : incoming, newer);
+    merged.permanentBaits = unionList(base.permanentBaits, incoming.permanentBaits);
+    merged.achievements = mergeAchievements(base.achievements, incoming.achievements);
+    merged.hiddenRelicsCollected = unionList(base.hiddenRelicsCollected, incoming.hiddenRelicsCollected);
+    merged.starlightLureCrafted = base.starlightLureCrafted === true || incoming.starlightLureCrafted === true;
+    merged.caughtFish = mergeCaughtFlags(base.caughtFish, incoming.caughtFish);
+    merged.caughtFishCollection = mergeFishCollections(base.caughtFishCollection, incoming.caughtFishCollection);
+    merged.top10BiggestFish = mergeTopFish(base.top10BiggestFish, incoming.top10BiggestFish);
+    merged.tournamentBadges = mergeTournamentBadges(base.tournamentBadges, incoming.tournamentBadges);
+    merged.claimedMail = unionList(base.claimedMail, incoming.claimedMail).slice(-CLAIMED_MAIL_LIMIT);
+
+    const { money, moneyLog } = reconcileMoney(base, incoming, newer);
+    merged.money = money;
+    merged.moneyLog = moneyLog;
+
+    return merged;
+}
+
+/**
+ * Merge two full cloud saves ({ version, savedAt, player, inventory, collection }).
+ * @param {object|null} base - Server copy (shared history)
+ * @param {object|null} incoming - This device's copy
+ * @returns {object|null}
+ */
+export function mergeGameSaves(base, incoming) {
+    if (!base?.player) {
+        return incoming || base || null;
+    }
+    if (!incoming?.player) {
+        return base;
+    }
+
+    // Progress wiped by a reset or replaced by a restore must not be unioned back in.
+    const baseEpoch = toNumber(base.player.resetEpoch);
+    const incomingEpoch = toNumber(incoming.player.resetEpoch);
+    if (baseEpoch !== incomingEpoch) {
+        return incomingEpoch > baseEpoch ? incoming : base;
+    }
+
+    const incomingIsNewer = toNumber(incoming.savedAt) > toNumber(base.savedAt);
+    const newer = incomingIsNewer ? incoming : base;
+    const older = incomingIsNewer ? base : incoming;
+
+    const inventory = (base.inventory || incoming.inventory)
+        ? {
+            ...(older.inventory || {}),
+            ...(newer.inventory || {}),
+            top10BiggestFish: mergeTopFish(base.inventory?.top10BiggestFish, incoming.inventory?.top10BiggestFish),
+            caughtFish: mergeCaughtFlags(base.inventory?.caughtFish, incoming.inventory?.caughtFish)
+        }
+        : null;
+
+    const collection = (base.collection || incoming.collection)
+        ? {
+            ...(older.collection || {}),
+            ...(newer.collection || {}),
+            caughtFishCollection: mergeFishCollections(
+                base.collection?.caughtFishCollection,
+                incoming.collection?.caughtFishCollection
+            )
+        }
+        : null;
+
+    return {
+        version: Math.max(toNumber(base.version), toNumber(incoming.version)) || newer.version,
+        savedAt: Math.max(toNumber(base.savedAt), toNumber(incoming.savedAt)),
+        player: mergePlayerData(base.player, incoming.player, incomingIsNewer),
+        inventory,
+        collection
+    };
+}
@@ -0,0 +1,196 @@
+/**
+ * Save schema migrations for the three localStorage payloads (kittyCreekPlayer,
+ * kittyCreekInventory, kittyCreekCollection).
+ *
+ * Every payload carries a `schemaVersion`. Loading runs each registered step from the
+ * stored version up to the current one, in order, so a save from any older build ends up
+ * in today's shape. Payloads with no version predate the registry and start at 0.
+ *
+ * To change a shape: bump the current version below and append one step that upgrades
+ * from the previous version. Never edit a step that has shipped.
+ */
+
+const TACKLE_CATEGORIES = ['rods', 'reels', 'lines', 'hooks', 'baits'];
+const RECENT_CATCH_LIMIT = 10;
+const TOP_FISH_LIMIT = 10;
+
+/**
+ * Baits that were permanent purchases before v4 and became packs. Ones a player already paid
+ * for stay permanent (listed in `permanentBaits`) rather than turning into a stack that runs out.
+ */
+const LEGACY_PERMANENT_BAIT_IDS = [1, 2, 3, 4, 5];
+
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+function normalizeTackleLists(value, fallback) {
+    const lists = isObject(value) ? { ...value } : {};
+    TACKLE_CATEGORIES.forEach((category) => {
+        lists[category] = Array.isArray(lists[category]) ? lists[category] : [...fallback];
+    });
+    return lists;
+}
+
+/** @type {Record<string, Array<{ to: number, migrate: (data: object) => object }>>} */
+const MIGRATIONS = {
+    player: [
+        {
+            // Achievements were a list of ids before tiers existed.
+            to: 1,
+            migrate: (data) => {
+                if (Array.isArray(data.achievements)) {
+                    const achievements = {};
+                    data.achievements.forEach((id) => {
+                        achievements[id] = 1;
+                    });
+                    return { ...data, achievements };
+                }
+                return { ...data, achievements: isObject(data.achievements) ? data.achievements : {} };
+            }
+        },
+        {
+            // Tackle notifications and story relic progress were added to older saves lazily.
+            to: 2,
+            migrate: (data) => ({
+                ...data,
+                tackleUnlocks: normalizeTackleLists(data.tackleUnlocks, [0]),
+                tackleNotified: normalizeTackleLists(data.tackleNotified, []),
+                hiddenRelicsCollected: Array.isArray(data.hiddenRelicsCollected) ? data.hiddenRelicsCollected : [],
+                starlightLureCrafted: data.starlightLureCrafted === true,
+                relicCastAttempts: isObject(data.relicCastAttempts) ? data.relicCastAttempts : {},
+                caughtFishCollection: isObject(data.caughtFishCollection) ? data.caughtFishCollection : {}
+            })
+        },
+        {
+            // Tournament prizes.
+            to: 3,
+            migrate: (data) => ({
+                ...data,
+                tournamentBadges: Array.isArray(data.tournamentBadges) ? data.tournamentBadges : []
+            })
+        },
+        {
+            // Consumable bait: baits bought before packs existed are grandfathered as permanent.
+            to: 4,
+            migrate: (data) => {
+                const owned = Array.isArray(data.tackleUnlocks?.baits) ? data.tackleUnlocks.baits : [];
+                return {
+                    ...data,
+                    baitStock: isObject(data.baitStock) ? data.baitStock : {},
+                    permanentBaits: Array.isArray(data.permanentBaits)
+                        ? data.permanentBaits
+                        : owned.filter((id) => LEGACY_PERMANENT_BAIT_IDS.includes(id))
+                };
+            }
+        },
+        {
+            // Skill tree ranks.
+            to: 5,
+            migrate: (data) => ({
+                ...data,
+                skillRanks: isObject(data.skillRanks) ? data.skillRanks : {}
+            })
+        },
+        {
+            // Reward mail already claimed into this save.
+            to: 6,
+            migrate: (data) => ({
+                ...data,
+                claimedMail: Array.isArray(data.claimedMail) ? data.claimedMail : []
+            })
+        }
+    ],
+    inventory: [
+        {
+            to: 1,
+            migrate: (data) => ({
+                ...data,
+                recentCatches: (Array.isArray(data.recentCatches) ? data.recentCatches : [])
+                    .slice(0, RECENT_CATCH_LIMIT),
+                top10BiggestFish: (Array.isArray(data.top10BiggestFish) ? data.top10BiggestFish : [])
+                    .filter((entry) => typeof entry?.weight === 'number' && Number.isFinite(entry.weight))
+                    .sort((a, b) => b.weight - a.weight)
+                    .slice(0, TOP_FISH_LIMIT),
+                caughtFish: isObject(data.caughtFish) ? data.caughtFish : {}
+            })
+        }
+    ],
+    collection: [
+        {
+            // Early builds stored `{ fishId: true }`; entries now carry count + first catch date.
+            to: 1,
+            migrate: (data) => {
+                const source = isObject(data.caughtFishCollection) ? data.caughtFishCollection : {};
+                const caughtFishCollection = {};
+                Object.entries(source).forEach(([fishId, entry]) => {
+                    if (!entry) return;
+                    const record = isObject(entry) ? entry : {};
+                    caughtFishCollection[fishId] = {
+                        ...record,
+                        caught: true,
+                        count: Number.isFinite(record.count) && record.count > 0 ? record.count : 1,
+                        firstCatchDate: typeof record.firstCatchDate === 'number' ? record.firstCatchDate : null
+                    };
+                });
+                return { ...data, caughtFishCollection };
+            }
+        }
+    ]
+};
+
+/** Current schema version per payload kind. */
+export const SAVE_SCHEMA_VERSIONS = Object.fromEntries(
+    Object.entries(MIGRATIONS).map(([kind, steps]) => [kind, steps[steps.length - 1].to])
+);
+
+/** localStorage key → payload kind. */
+export const SAVE_STORAGE_KINDS = {
+    kittyCreekPlayer: 'player',
+    kittyCreekInventory: 'inventory',
+    kittyCreekCollection: 'collection'
+};
+
+/**
+ * Upgrade a stored payload to the current schema.
+ * Payloads written by a newer build are returned untouched.
+ * @param {'player'|'inventory'|'collection'} kind
+ * @param {object|null} data
+ * @returns {object|null}
+ */
+export function migrateSaveData(kind, data) {
+    if (!isObject(data)) {
+        return null;
+    }
+    const steps = MIGRATIONS[kind];
+    if (!steps) {
+        throw new Error(`Unknown save payload: ${kind}`);
+    }
+
+    const fromVersion = Number.isInteger(data.schemaVersion) ? data.schemaVersion : 0;
+    let migrated = data;
+    steps.forEach((step) => {
+        if (step.to > fromVersion) {
+            migrated = { ...step.migrate(migrated), schemaVersion: step.to };
+        }
+    });
+    return migrated;
+}
+
+/**
+ * Read and migrate one save payload from localStorage, falling back to its backup copy.
+ * @param {string} key - One of SAVE_STORAGE_KINDS
+ * @returns {object|null}
+ */
+export function readMigratedSave(key) {
+    const kind = SAVE_STORAGE_KINDS[key];
+    for (const storageKey of [key, `${key}_backup`]) {
+        try {
+            const raw = localStorage.getItem(storageKey);
+            if (raw) {
+                return migrateSaveData(kind, JSON.parse(raw));
+            }
+        } catch (error) {
+            console.warn(`[SAVE] Could not read ${storageKey}:`, error);
+        }
+    }
+    return null;
+}
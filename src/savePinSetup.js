@@ -1,4 +1,4 @@
-import { captureLocalGameSave } from './cloudSave.js';
+import { uploadGameSave } from './cloudSave.js';
 
 const AUTH_STORAGE_KEY = 'kittyCreekAuth';
 
@@ -27,13 +27,25 @@ export function setAuthStorage(auth) {
     }
 }
 
-export function switchToDifferentAccount() {
+/**
+ * Leave the current account and return to the sign-in screen.
+ * @param {import('./api.js').API} [api] - When given, this device's session is revoked first
+ */
+export function switchToDifferentAccount(api = null) {
     clearAuthStorage();
     try {
         sessionStorage.setItem('preferReturningAuth', '1');
     } catch {
         /* ignore */
     }
+
+    if (api?.session) {
+        api.logout()
+            .catch((error) => console.warn('[SAVE PIN] Sign out failed:', error))
+            .finally(() => window.location.reload());
+        return;
+    }
+
     window.location.reload();
 }
 
@@ -52,10 +64,7 @@ export async function uploadCloudSaveAfterPin(api) {
     if (!api?.userId) {
         return;
     }
-    const gameSave = captureLocalGameSave();
-    if (gameSave) {
-        await api.updateGameSave(gameSave);
-    }
+    await uploadGameSave(api, api.userId);
 }
 
 function showError(element, message) {
@@ -122,7 +131,7 @@ export async function promptForSavePin(api, options = {}) {
         };
 
         const onSwitchAccount = () => {
-            switchToDifferentAccount();
+            switchToDifferentAccount(api);
         };
 
         const handleSubmit = async (event) => {
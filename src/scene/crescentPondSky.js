@@ -290,6 +290,33 @@ export function syncCrescentPondSkyVisibility(group, visible) {
     }
 }
 
+/**
+ * Time-of-day tint for the gradient backdrop and clouds (white = daylight colours).
+ * @param {THREE.Group | null} group
+ * @param {THREE.Color|number} tint
+ */
+export function setCrescentPondSkyTint(group, tint) {
+    if (!group) {
+        return;
+    }
+    const color = new THREE.Color(tint);
+    group.traverse((child) => {
+        const material = child.material;
+        if (!material?.uniforms) {
+            return;
+        }
+        material.userData.baseColors ??= {};
+        ['topColor', 'bottomColor', 'cloudColor'].forEach((name) => {
+            const uniform = material.uniforms[name];
+            if (!uniform) {
+                return;
+            }
+            material.userData.baseColors[name] ??= uniform.value.clone();
+            uniform.value.copy(material.userData.baseColors[name]).multiply(color);
+        });
+    });
+}
+
 /**
  * Crescent Pond should use a simple bright sky, not a detailed HDRI-looking background.
  * @param {THREE.Scene} scene
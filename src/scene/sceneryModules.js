@@ -0,0 +1,66 @@
+/**
+ * Scenery a location pack can mount by id (`scenery` in config/locationPacks.js). Every module
+ * is built once at startup and stored on the Game under `field`; a location switch shows the
+ * ones its pack lists, rebuilding those that re-scatter per visit, and hides the rest.
+ * The far shore has no `sync` — updateCrescentPondFarShore toggles it every frame.
+ */
+
+import {
+    createCrescentPondFarShore,
+    rebuildCrescentPondFarShore
+} from './crescentPondFarShore.js';
+import {
+    createCrescentPondSky,
+    syncCrescentPondSkyVisibility
+} from './crescentPondSky.js';
+import {
+    createCrescentPondVegetation,
+    rebuildCrescentPondVegetation,
+    syncCrescentPondVegetationVisibility
+} from '../effects/pondVegetation.js';
+import {
+    createCortezMangroves,
+    syncCortezMangrovesVisibility
+} from '../effects/mangroves.js';
+import {
+    createDesertLagoonPalms,
+    syncDesertLagoonPalmsVisibility
+} from '../effects/desertLagoonPalms.js';
+import {
+    createCortezDockWaterEffects,
+    syncCortezDockWaterVisibility
+} from '../effects/dockLappingWater.js';
+
+export const SCENERY_MODULES = {
+    crescentFarShore: {
+        field: 'crescentFarShore',
+        create: (scene) => createCrescentPondFarShore(scene),
+        rebuild: (scene, group) => rebuildCrescentPondFarShore(scene, group)
+    },
+    crescentPondSky: {
+        field: 'crescentPondSky',
+        create: (scene) => createCrescentPondSky(scene),
+        sync: syncCrescentPondSkyVisibility
+    },
+    crescentPondVegetation: {
+        field: 'crescentPondVegetation',
+        create: (scene, waterY) => createCrescentPondVegetation(scene, waterY),
+        rebuild: (scene, group, waterY) => rebuildCrescentPondVegetation(scene, group, waterY),
+        sync: syncCrescentPondVegetationVisibility
+    },
+    cortezMangroves: {
+        field: 'cortezMangroves',
+        create: (scene, waterY) => createCortezMangroves(scene, waterY),
+        sync: syncCortezMangrovesVisibility
+    },
+    desertLagoonPalms: {
+        field: 'desertLagoonPalms',
+        create: (scene, waterY) => createDesertLagoonPalms(scene, waterY),
+        sync: syncDesertLagoonPalmsVisibility
+    },
+    cortezDockWater: {
+        field: 'cortezDockWater',
+        create: (scene, waterY) => createCortezDockWaterEffects(scene, waterY),
+        sync: syncCortezDockWaterVisibility
+    }
+};
@@ -10,3 +10,27 @@ export const SUN_DIRECTIONAL_POSITION = new THREE.Vector3(-10, 20, 10);
 
 /** World point the key light looks at — keeps shadow direction stable over the dock. */
 export const SUN_DIRECTIONAL_TARGET = new THREE.Vector3(0, 0, 4);
+
+const SUN_OFFSET = SUN_DIRECTIONAL_POSITION.clone().sub(SUN_DIRECTIONAL_TARGET);
+const SUN_DISTANCE = SUN_OFFSET.length();
+const SUN_BASE_AZIMUTH = Math.atan2(SUN_OFFSET.z, SUN_OFFSET.x);
+
+/**
+ * Key light position for a sun at the given elevation, swung by `azimuthDeg` around the
+ * default direction. Keep |azimuth| ≤ ~50° so the light stays on the -X side and shadows
+ * still fall toward SUN_SHADOW_EXTERIOR_X.
+ * @param {number} elevationDeg
+ * @param {number} azimuthDeg
+ * @param {THREE.Vector3} [out]
+ * @returns {THREE.Vector3}
+ */
+export function getSunDirectionalPositionAt(elevationDeg, azimuthDeg, out = new THREE.Vector3()) {
+    const elevation = THREE.MathUtils.degToRad(elevationDeg);
+    const azimuth = SUN_BASE_AZIMUTH + THREE.MathUtils.degToRad(azimuthDeg);
+    const horizontal = Math.cos(elevation) * SUN_DISTANCE;
+    return out.set(
+        Math.cos(azimuth) * horizontal,
+        Math.sin(elevation) * SUN_DISTANCE,
+        Math.sin(azimuth) * horizontal
+    ).add(SUN_DIRECTIONAL_TARGET);
+}
@@ -0,0 +1,95 @@
+/**
+ * In-game calendar. The season comes from the real UTC date or an accelerated cycle
+ * (see CALENDAR_MODE), so every client agrees without asking the server.
+ */
+
+import {
+    ACCELERATED_SEASON_MS,
+    ALL_SEASONS,
+    CALENDAR_MODE,
+    GAME_CALENDAR_EPOCH,
+    OUT_OF_SEASON_WEIGHT,
+    SEASONS,
+    SEASON_START_MONTHS
+} from './config/seasons.js';
+
+function realSeasonForMonth(month) {
+    // Winter wraps the year end (Dec–Feb); otherwise the latest start month not after this one.
+    let current = 'Winter';
+    SEASONS.forEach((season) => {
+        const start = SEASON_START_MONTHS[season];
+        if (season !== 'Winter' && month >= start && month < SEASON_START_MONTHS.Winter) {
+            current = season;
+        }
+    });
+    return current;
+}
+
+/**
+ * @param {number} [now]
+ * @returns {'Spring'|'Summer'|'Fall'|'Winter'}
+ */
+export function getCurrentSeason(now = Date.now()) {
+    if (CALENDAR_MODE === 'accelerated') {
+        const slot = Math.floor((now - GAME_CALENDAR_EPOCH) / ACCELERATED_SEASON_MS);
+        return SEASONS[((slot % SEASONS.length) + SEASONS.length) % SEASONS.length];
+    }
+    return realSeasonForMonth(new Date(now).getUTCMonth());
+}
+
+/**
+ * When the given season next begins after `now`.
+ * @param {string} season
+ * @param {number} [now]
+ * @returns {number} timestamp (ms)
+ */
+export function getNextSeasonStart(season, now = Date.now()) {
+    if (CALENDAR_MODE === 'accelerated') {
+        const index = SEASONS.indexOf(season);
+        const yearMs = ACCELERATED_SEASON_MS * SEASONS.length;
+        const yearStart = GAME_CALENDAR_EPOCH + Math.floor((now - GAME_CALENDAR_EPOCH) / yearMs) * yearMs;
+        const start = yearStart + index * ACCELERATED_SEASON_MS;
+        return start > now ? start : start + yearMs;
+    }
+    const date = new Date(now);
+    const start = Date.UTC(date.getUTCFullYear(), SEASON_START_MONTHS[season], 1);
+    return start > now ? start : Date.UTC(date.getUTCFullYear() + 1, SEASON_START_MONTHS[season], 1);
+}
+
+/**
+ * Seasons a species can be caught in, or null when it is around all year.
+ * @param {{ season?: string }|null} fish
+ * @returns {string[]|null}
+ */
+export function getFishSeasons(fish) {
+    const value = fish?.season;
+    if (!value || value === ALL_SEASONS) {
+        return null;
+    }
+    const seasons = value.split('/').map((part) => part.trim()).filter((part) => SEASONS.includes(part));
+    return seasons.length > 0 ? seasons : null;
+}
+
+export function isFishInSeason(fish, season = getCurrentSeason()) {
+    const seasons = getFishSeasons(fish);
+    return !seasons || seasons.includes(season);
+}
+
+/** Spawn weight multiplier for one fish in the given season. */
+export function getSeasonSpawnMultiplier(fish, season = getCurrentSeason()) {
+    return isFishInSeason(fish, season) ? 1 : OUT_OF_SEASON_WEIGHT;
+}
+
+/**
+ * For an out-of-season species, the season it returns in and when.
+ * @returns {{ season: string, startsAt: number }|null} null when it can be caught now
+ */
+export function getFishReturn(fish, now = Date.now()) {
+    const seasons = getFishSeasons(fish);
+    if (!seasons || seasons.includes(getCurrentSeason(now))) {
+        return null;
+    }
+    return seasons
+        .map((season) => ({ season, startsAt: getNextSeasonStart(season, now) }))
+        .sort((a, b) => a.startsAt - b.startsAt)[0];
+}
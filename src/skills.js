@@ -0,0 +1,111 @@
+/**
+ * Skill tree. Points come from levels (SKILL_POINTS_PER_LEVEL each), so only the ranks
+ * bought are saved (player.skillRanks) and the unspent balance is always derived.
+ */
+
+import {
+    SKILL_POINTS_PER_LEVEL,
+    SKILL_RARE_RARITIES,
+    SKILL_RESPEC_BASE_COST,
+    SKILL_RESPEC_COST_PER_POINT,
+    SKILLS
+} from './config/skills.js';
+
+export { SKILL_BRANCHES, SKILLS } from './config/skills.js';
+
+export function getSkillById(skillId) {
+    return SKILLS.find((skill) => skill.id === skillId) || null;
+}
+
+/**
+ * @param {{ skillRanks?: Record<string, number> }|null} player
+ * @param {string} skillId
+ * @returns {number}
+ */
+export function getSkillRank(player, skillId) {
+    const rank = player?.skillRanks?.[skillId];
+    return Number.isFinite(rank) && rank > 0 ? Math.floor(rank) : 0;
+}
+
+export function getEarnedSkillPoints(player) {
+    return Math.max(0, ((player?.level ?? 1) - 1) * SKILL_POINTS_PER_LEVEL);
+}
+
+export function getSpentSkillPoints(player) {
+    return SKILLS.reduce((total, skill) => total + getSkillRank(player, skill.id), 0);
+}
+
+export function getAvailableSkillPoints(player) {
+    return Math.max(0, getEarnedSkillPoints(player) - getSpentSkillPoints(player));
+}
+
+/**
+ * Whether the next rank of a skill can be bought.
+ * @returns {{ ok: boolean, reason?: 'unknown'|'maxed'|'locked'|'points' }}
+ */
+export function canLearnSkill(player, skillId) {
+    const skill = getSkillById(skillId);
+    if (!skill) {
+        return { ok: false, reason: 'unknown' };
+    }
+    if (getSkillRank(player, skillId) >= skill.maxRank) {
+        return { ok: false, reason: 'maxed' };
+    }
+    if (skill.requires && getSkillRank(player, skill.requires.skill) < skill.requires.rank) {
+        return { ok: false, reason: 'locked' };
+    }
+    if (getAvailableSkillPoints(player) <= 0) {
+        return { ok: false, reason: 'points' };
+    }
+    return { ok: true };
+}
+
+/**
+ * Sum of one perk type across all learned skills.
+ * @param {Object|null} player
+ * @param {string} type - SKILLS effect.type
+ * @param {string} [stat] - For 'stat' effects, which stat
+ * @returns {number}
+ */
+export function getSkillEffect(player, type, stat = null) {
+    return SKILLS.reduce((total, skill) => {
+        if (skill.effect.type !== type || (stat && skill.effect.stat !== stat)) {
+            return total;
+        }
+        return total + skill.effect.perRank * getSkillRank(player, skill.id);
+    }, 0);
+}
+
+/** Coins to refund every spent point, or 0 when nothing is spent. */
+export function getSkillRespecCost(player) {
+    const spent = getSpentSkillPoints(player);
+    return spent > 0 ? SKILL_RESPEC_BASE_COST + spent * SKILL_RESPEC_COST_PER_POINT : 0;
+}
+
+/**
+ * XP for a catch after Trophy Hunter.
+ * @param {Object|null} player
+ * @param {{ rarity?: string }|null} fish
+ * @param {number} experience
+ */
+export function applyRareCatchXpBonus(player, fish, experience) {
+    if (!SKILL_RARE_RARITIES.includes(fish?.rarity) || experience <= 0) {
+        return experience;
+    }
+    return Math.round(experience * (1 + getSkillEffect(player, 'rareCatchXp')));
+}
+
+/** Drop unknown skills and clamp ranks to each skill's max (saves from other builds). */
+export function normalizeSkillRanks(ranks) {
+    const normalized = {};
+    if (!ranks || typeof ranks !== 'object' || Array.isArray(ranks)) {
+        return normalized;
+    }
+    SKILLS.forEach((skill) => {
+        const rank = Number(ranks[skill.id]);
+        if (Number.isFinite(rank) && rank > 0) {
+            normalized[skill.id] = Math.min(skill.maxRank, Math.floor(rank));
+        }
+    });
+    return normalized;
+}
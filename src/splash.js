@@ -246,6 +246,26 @@ export class Splash {
         }
     }
 
+    /**
+     * Surface effect for a fight move (see config/fightProfiles.js): 'jump' bursts out of the
+     * water, 'thrash' churns the surface, 'shake' and 'wake' leave rings.
+     */
+    triggerFightSplash(pos, kind) {
+        if (kind === 'jump') {
+            this.trigger(pos);
+        } else if (kind === 'thrash') {
+            this.triggerSmallSplash(pos);
+            this.soundManager?.playSplash?.();
+        } else if (kind === 'shake') {
+            this.triggerRipple(pos, { duration: 0.8, maxScale: 1.4, peakOpacity: 0.4 });
+        } else if (kind === 'wake') {
+            this._spawnRippleSet(pos, [
+                { delay: 0, duration: 1.0, maxScale: 1.6, peakOpacity: 0.35 },
+                { delay: 0.2, duration: 0.9, maxScale: 1.3, peakOpacity: 0.25 }
+            ]);
+        }
+    }
+
     update(delta) {
         if (this.splashPS.visible) {
             this.splashPS.userData.t += delta;
@@ -8,6 +8,7 @@ import {
     STARLIGHT_LURE_BAIT_NAME,
     isStarlightLureBait
 } from './config/hiddenRelics.js';
+import { getSkillEffect } from './skills.js';
 
 export const TackleShop = {
     rods: [
@@ -47,12 +48,12 @@ export const TackleShop = {
     ],
     
     baits: [
-        { id: 0, name: 'Basic Bait', cost: 0, catchBonus: 0, durability: 10, description: 'Simple worm bait', unlockLevel: 1 },
-        { id: 1, name: 'Live Bait', cost: 75, catchBonus: 8, durability: 15, description: 'Live worm', unlockLevel: 2 },
-        { id: 2, name: 'Artificial Lure', cost: 250, catchBonus: 5, durability: 25, description: 'Reusable lure', unlockLevel: 4 },
-        { id: 3, name: 'Premium Bait', cost: 1000, catchBonus: 12, durability: 20, description: 'High-quality bait', unlockLevel: 6 },
-        { id: 4, name: 'Specialty Bait', cost: 4000, catchBonus: 18, durability: 15, description: 'Rare fish attractant', unlockLevel: 10 },
-        { id: 5, name: 'Trophy Bait', cost: 15000, catchBonus: 25, durability: 10, description: 'Trophy fish magnet', unlockLevel: 15 },
+        { id: 0, name: 'Basic Bait', cost: 0, catchBonus: 0, durability: 10, description: 'Simple worm bait', unlockLevel: 1, unlimited: true },
+        { id: 1, name: 'Live Bait', cost: 30, packSize: 3, catchBonus: 8, durability: 15, description: 'Live worm', unlockLevel: 2 },
+        { id: 2, name: 'Artificial Lure', cost: 90, packSize: 3, catchBonus: 5, durability: 25, description: 'Reusable lure', unlockLevel: 4 },
+        { id: 3, name: 'Premium Bait', cost: 200, packSize: 3, catchBonus: 12, durability: 20, description: 'High-quality bait', unlockLevel: 6 },
+        { id: 4, name: 'Specialty Bait', cost: 600, packSize: 3, catchBonus: 18, durability: 15, description: 'Rare fish attractant', unlockLevel: 10 },
+        { id: 5, name: 'Trophy Bait', cost: 1500, packSize: 3, catchBonus: 25, durability: 10, description: 'Trophy fish magnet', unlockLevel: 15 },
         {
             id: STARLIGHT_LURE_BAIT_ID,
             name: STARLIGHT_LURE_BAIT_NAME,
@@ -86,6 +87,93 @@ export function getTackleByName(category, name) {
     return items.find(item => item.name === name) || null;
 }
 
+/** Fallback bait when a consumable stack runs out. */
+export const BASIC_BAIT_NAME = 'Basic Bait';
+
+/**
+ * Whether the player bought this bait before it was sold in packs (kept as a permanent unlock)
+ * @param {Object|null} player - Player instance or plain save
+ * @param {number} baitId - Bait item ID
+ * @returns {boolean}
+ */
+export function isPermanentBait(player, baitId) {
+    return Array.isArray(player?.permanentBaits) && player.permanentBaits.includes(baitId);
+}
+
+/**
+ * Whether a bait is used up by casting. Basic Bait, the forged Starlight Lure and the player's
+ * grandfathered permanent baits never run out.
+ * @param {Object|null} item - Bait item
+ * @param {Object|null} [player] - Player instance or plain save; omit to ask about the item alone
+ * @returns {boolean}
+ */
+export function isConsumableBait(item, player = null) {
+    return Boolean(item) && !item.unlimited && !item.forgeOnly && !isPermanentBait(player, item.id);
+}
+
+/**
+ * Casts left on the player's stack of a bait
+ * @param {Object} player - Player instance
+ * @param {number} baitId - Bait item ID
+ * @returns {number}
+ */
+export function getBaitCasts(player, baitId) {
+    const casts = player?.baitStock?.[baitId];
+    return Number.isFinite(casts) && casts > 0 ? Math.floor(casts) : 0;
+}
+
+/**
+ * Baits left in a stack; each lasts `durability` casts and a part-used one still counts
+ * @param {Object} player - Player instance
+ * @param {Object} item - Bait item
+ * @returns {number}
+ */
+export function getBaitCount(player, item) {
+    return Math.ceil(getBaitCasts(player, item.id) / Math.max(1, item.durability));
+}
+
+/**
+ * Whether the player can currently fish with a bait (owned unlimited bait, or stock left)
+ * @param {Object} player - Player instance
+ * @param {Object} item - Bait item
+ * @returns {boolean}
+ */
+export function hasBait(player, item) {
+    if (!item) return false;
+    if (isConsumableBait(item, player)) {
+        return getBaitCasts(player, item.id) > 0;
+    }
+    return Boolean(player?.tackleUnlocks?.baits?.includes(item.id));
+}
+
+/**
+ * Use up one cast of the equipped bait, falling back to Basic Bait when the stack empties.
+ * Caller saves the player.
+ * @param {Object} player - Player instance
+ * @returns {{ item: Object, castsLeft: number, ranOut: boolean }|null} null when the bait is unlimited
+ */
+export function consumeCastBait(player) {
+    const item = getTackleByName('baits', player?.gear?.bait);
+    if (!isConsumableBait(item, player)) {
+        return null;
+    }
+
+    const castsLeft = Math.max(0, getBaitCasts(player, item.id) - 1);
+    if (!player.baitStock || typeof player.baitStock !== 'object') {
+        player.baitStock = {};
+    }
+    player.baitStock[item.id] = castsLeft;
+
+    const ranOut = castsLeft === 0;
+    if (ranOut) {
+        player.gear.bait = BASIC_BAIT_NAME;
+        if (typeof player.recalculateStats === 'function') {
+            player.recalculateStats();
+        }
+    }
+    return { item, castsLeft, ranOut };
+}
+
 /**
  * Check if player can afford item
  * @param {number} cost - Item cost
@@ -132,6 +220,10 @@ export function purchase(player, category, itemId) {
     if (item.forgeOnly) {
         return { success: false, message: 'This lure can only be forged by collecting all ten sea relics.' };
     }
+
+    if (category === 'baits' && isConsumableBait(item, player)) {
+        return purchaseBaitPack(player, item);
+    }
     
     // Check if already owned (unlocked)
     if (player.tackleUnlocks[category].includes(itemId)) {
@@ -161,6 +253,44 @@ export function purchase(player, category, itemId) {
     return { success: false, message: 'Purchase failed' };
 }
 
+/**
+ * Buy a pack of consumable bait; stacks on top of whatever is left
+ * @param {Object} player - Player instance
+ * @param {Object} item - Bait item
+ * @returns {Object} {success: boolean, message: string}
+ */
+function purchaseBaitPack(player, item) {
+    if (!canUnlock(item.unlockLevel, player.level, player.tackleUnlocks.baits, item.id)) {
+        return { success: false, message: `Requires level ${item.unlockLevel}` };
+    }
+
+    if (!canAfford(item.cost, player.money)) {
+        return { success: false, message: 'Not enough money' };
+    }
+
+    // The pack rides on the money log entry so a cloud merge can replay it (see mergeBaitStock)
+    const packSize = item.packSize || 1;
+    const casts = packSize * item.durability;
+    if (!player.spendMoney(item.cost, 'bait', { bait: { id: item.id, casts } })) {
+        return { success: false, message: 'Purchase failed' };
+    }
+
+    if (!player.baitStock || typeof player.baitStock !== 'object') {
+        player.baitStock = {};
+    }
+    player.baitStock[item.id] = getBaitCasts(player, item.id) + casts;
+
+    // First pack also counts as discovering the bait (shop "new" badge, gear collector)
+    if (!player.tackleUnlocks.baits.includes(item.id)) {
+        player.tackleUnlocks.baits.push(item.id);
+    }
+    if (player.tackleNotified && Array.isArray(player.tackleNotified.baits)) {
+        player.tackleNotified.baits = player.tackleNotified.baits.filter(id => id !== item.id);
+    }
+    player.save();
+    return { success: true, message: `Purchased ${packSize} × ${item.name}` };
+}
+
 /**
  * Equip tackle item
  * @param {Object} player - Player instance
@@ -187,7 +317,11 @@ export function equip(player, category, itemId, options = {}) {
     }
     
     // Check if owned
-    if (!player.tackleUnlocks[category].includes(itemId)) {
+    if (category === 'baits' && isConsumableBait(item, player)) {
+        if (!hasBait(player, item)) {
+            return { success: false, message: `Out of ${item.name}` };
+        }
+    } else if (!player.tackleUnlocks[category].includes(itemId)) {
         return { success: false, message: 'Item not owned' };
     }
     
@@ -231,12 +365,13 @@ const HOOK_TIMING_REDUCTION_PER_LEVEL_MS = 20;
 const HOOK_TIMING_MIN_MS = 1000;
 
 /**
- * Get hook timing window from equipped hook, adjusted by player level
+ * Get hook timing window from equipped hook, adjusted by player level and the Quick Strike skill
  * @param {Object} player - Player instance
  * @returns {number} Timing window in milliseconds
  */
 export function getHookTimingWindow(player) {
     const levelReduction = (player.level || 1) * HOOK_TIMING_REDUCTION_PER_LEVEL_MS;
-    return Math.max(HOOK_TIMING_MIN_MS, HOOK_TIMING_BASE_MS - levelReduction);
+    const base = Math.max(HOOK_TIMING_MIN_MS, HOOK_TIMING_BASE_MS - levelReduction);
+    return base + getSkillEffect(player, 'hookWindowMs');
 }
 
@@ -0,0 +1,123 @@
+/**
+ * Time of day. The hour comes from the device clock or a shared fast game clock (see
+ * TIME_OF_DAY_MODES); lighting is interpolated between keyframes and night feeders bite
+ * more often after dark.
+ */
+
+import {
+    DEFAULT_TIME_OF_DAY_MODE,
+    FAST_DAY_MS,
+    NIGHT_SPAWN_MULTIPLIERS,
+    TIME_OF_DAY_KEYFRAMES,
+    TIME_OF_DAY_MODES,
+    TIME_OF_DAY_PHASES
+} from './config/timeOfDay.js';
+
+export const TIME_OF_DAY_MODE_STORAGE_KEY = 'kittyCreekTimeOfDayMode';
+
+const COLOR_KEYS = ['sunColor', 'skyTint', 'fogTint', 'waterTint'];
+
+/** @returns {'device'|'fast'} */
+export function getTimeOfDayMode() {
+    try {
+        const stored = localStorage.getItem(TIME_OF_DAY_MODE_STORAGE_KEY);
+        return TIME_OF_DAY_MODES.includes(stored) ? stored : DEFAULT_TIME_OF_DAY_MODE;
+    } catch {
+        return DEFAULT_TIME_OF_DAY_MODE;
+    }
+}
+
+export function setTimeOfDayMode(mode) {
+    if (!TIME_OF_DAY_MODES.includes(mode)) {
+        return;
+    }
+    try {
+        localStorage.setItem(TIME_OF_DAY_MODE_STORAGE_KEY, mode);
+    } catch {
+        /* ignore */
+    }
+}
+
+/**
+ * Current in-game hour as a fraction (0 ≤ hour < 24).
+ * @param {number} [now]
+ * @param {'device'|'fast'} [mode]
+ * @returns {number}
+ */
+export function getGameHour(now = Date.now(), mode = getTimeOfDayMode()) {
+    if (mode === 'fast') {
+        const dayFraction = (((now % FAST_DAY_MS) + FAST_DAY_MS) % FAST_DAY_MS) / FAST_DAY_MS;
+        return dayFraction * 24;
+    }
+    const date = new Date(now);
+    return date.getHours() + date.getMinutes() / 60 + date.getSeconds() / 3600;
+}
+
+/**
+ * @param {number} [hour]
+ * @returns {{ id: string, label: string, icon: string, start: number }}
+ */
+export function getTimeOfDayPhase(hour = getGameHour()) {
+    let current = TIME_OF_DAY_PHASES[0];
+    TIME_OF_DAY_PHASES.forEach((phase) => {
+        if (hour >= phase.start) {
+            current = phase;
+        }
+    });
+    return current;
+}
+
+function lerpHex(from, to, t) {
+    const channel = (shift) => {
+        const a = (from >> shift) & 0xff;
+        const b = (to >> shift) & 0xff;
+        return Math.round(a + (b - a) * t);
+    };
+    return (channel(16) << 16) | (channel(8) << 8) | channel(0);
+}
+
+/**
+ * Lighting for an hour, interpolated between the surrounding keyframes.
+ * Colours are hex numbers; everything else is a plain number.
+ * @param {number} [hour]
+ */
+export function getDayLighting(hour = getGameHour()) {
+    const h = ((hour % 24) + 24) % 24;
+    let index = TIME_OF_DAY_KEYFRAMES.findIndex((key) => key.hour > h);
+    if (index <= 0) {
+        index = TIME_OF_DAY_KEYFRAMES.length - 1;
+    }
+    const from = TIME_OF_DAY_KEYFRAMES[index - 1];
+    const to = TIME_OF_DAY_KEYFRAMES[index];
+    const span = to.hour - from.hour;
+    const t = span > 0 ? (h - from.hour) / span : 0;
+
+    const lighting = {};
+    Object.keys(from).forEach((key) => {
+        if (key === 'hour') {
+            return;
+        }
+        lighting[key] = COLOR_KEYS.includes(key)
+            ? lerpHex(from[key], to[key], t)
+            : from[key] + (to[key] - from[key]) * t;
+    });
+    return lighting;
+}
+
+/**
+ * Spawn weight multiplier for one fish at an hour (1 for species that don't feed at night).
+ * @param {{ name?: string }|null} fish
+ * @param {number} [hour]
+ */
+export function getTimeOfDaySpawnMultiplier(fish, hour = getGameHour()) {
+    const boost = NIGHT_SPAWN_MULTIPLIERS[fish?.name];
+    if (!boost) {
+        return 1;
+    }
+    return 1 + (boost - 1) * getDayLighting(hour).darkness;
+}
+
+/** Species at a location that bite more right now. */
+export function getNightFeeders(fish, hour = getGameHour()) {
+    return fish.filter((entry) => getTimeOfDaySpawnMultiplier(entry, hour) > 1);
+}
@@ -1,14 +1,44 @@
-import { TackleShop } from './tackleShop.js';
+import { TackleShop, consumeCastBait, getBaitCasts, getBaitCount, getTackleByName, isConsumableBait } from './tackleShop.js';
 import { ACHIEVEMENTS, evaluateAchievements as evaluateAchievementDefs, getAchievementStatuses } from './achievements.js';
 import { replayStoryPrologue } from './prologue.js';
 import { STARLIGHT_LURE_IMAGE, isStarlightLureBait } from './config/hiddenRelics.js';
-import { isCelestialStarfishHook } from './config/starfishEncounter.js';
+import { STARFISH_ID, isCelestialStarfishHook } from './config/starfishEncounter.js';
 import { canAccessCortezBackwaters } from './config/cortezBackwaters.js';
-import { CORTEZ_BACKWATERS_NAME } from './locations.js';
+import { CORTEZ_BACKWATERS_NAME, getFishCollectionOrder } from './locations.js';
 import { getFishImagePaths, getRelicImagePaths } from './utils/imageAssets.js';
-import { getCollectionSpeciesTotal, getUnlockedVisibleFishCount } from './fishTypes.js';
+import { FishTypes, getCollectionSpeciesTotal, getUnlockedVisibleFishCount } from './fishTypes.js';
 import { switchToDifferentAccount } from './savePinSetup.js';
+import { getWeatherForecast } from './weather.js';
+import { WEATHER_SLOT_MS } from './config/weather.js';
+import { getCurrentSeason, getFishReturn, getFishSeasons, isFishInSeason } from './seasons.js';
+import { SEASON_ICONS } from './config/seasons.js';
+import { getGameHour, getNightFeeders, getTimeOfDayMode, getTimeOfDayPhase, setTimeOfDayMode } from './timeOfDay.js';
+import { TIME_OF_DAY_MODES, TIME_OF_DAY_MODE_LABELS } from './config/timeOfDay.js';
 import { pickMissMessage } from './config/missMessages.js';
+import { TENSION_DANGER } from './config/lineTension.js';
+import { getFightControlMode, isActiveFightEnabled, setFightControlMode } from './reelingFight.js';
+import {
+    LINE_MODES,
+    RETRIEVE_STYLES,
+    getActiveLineMode,
+    meetsTechniqueRequirement,
+    setLineModePreference
+} from './lineTechniques.js';
+import { FIGHT_CONTROL_MODES, FIGHT_CONTROL_MODE_LABELS, HOOK_HOLD_WARNING } from './config/reelingFight.js';
+import {
+    SKILL_BRANCHES,
+    SKILLS,
+    applyRareCatchXpBonus,
+    canLearnSkill,
+    getAvailableSkillPoints,
+    getEarnedSkillPoints,
+    getSkillById,
+    getSkillRank,
+    getSkillRespecCost
+} from './skills.js';
+import { SKILL_POINTS_PER_LEVEL } from './config/skills.js';
+import { CAST_AIM_DRAG_PX, CAST_AIM_TAP_SEC } from './config/castAim.js';
+import { getHotspotBiteTimeMultiplier } from './hotspots.js';
 import {
     getCatchWeightClass,
     normalizeCatchRarityClass,
@@ -39,12 +69,20 @@ import {
     WAITING_SPAM_WINDOW_MS
 } from './config/waitingScold.js';
 import { showRewardedAd } from './rewardedAds.js';
+import { MAIL_POLL_MS } from './config/mail.js';
+import { describeMailRewards, getAnnouncementGiftId } from './mailRewards.js';
 
 const FRIEND_ONLINE_THRESHOLD_MS = 5 * 60 * 1000;
 const FRIEND_RECENT_THRESHOLD_MINUTES = 60;
 const FRIEND_CATCH_TOAST_RARITIES = new Set(['Epic', 'Legendary', 'Trophy']);
 const FRIEND_ACTIVITY_POLL_MS = 30000;
 const PRESENCE_PING_MS = 90 * 1000;
+const LEADERBOARD_PERIOD_LABELS = {
+    day: 'Today',
+    week: 'This week',
+    month: 'This month',
+    all: 'All-time'
+};
 const ANNOUNCEMENT_POLL_MS = 12000;
 
 export class UI {
@@ -63,8 +101,12 @@ export class UI {
         this.currentInventoryTab = 'collection';
         this.currentShopTab = 'rods';
         this.api = game?.api || null;
-        this.globalLeaderboardCache = { entries: [], fetchedAt: 0 };
-        this.speedLeaderboardCache = { entries: [], fetchedAt: 0 };
+        this.globalLeaderboardCache = { entries: [], fetchedAt: 0, period: 'all' };
+        this.speedLeaderboardCache = { entries: [], fetchedAt: 0, period: 'all' };
+        this.leaderboardPeriod = 'all';
+        this.championsCache = { snapshot: null, fetchedAt: 0 };
+        this.selectedTournamentId = null;
+        this.catchBoardSelection = { type: 'location', key: null };
         this.activeLeaderboardTab = 'local';
         this.friendData = { friends: [], pending: { sent: [], received: [] }, activities: [] };
         this.friendDataLoaded = false;
@@ -72,6 +114,11 @@ export class UI {
         this.friendRefreshTimer = null;
         this.presencePingTimer = null;
         this.announcementPollTimer = null;
+        this.mailPollTimer = null;
+        this.mailInbox = { mail: [], unclaimedCount: 0, loaded: false };
+        // Unclaimed claim_gift announcements, listed in the Mail tab until claimed.
+        this.announcementGifts = [];
+        this.shownAnnouncementIds = new Set();
         this.lastFriendSnapshot = { friends: new Map(), activities: new Set() };
         this.affordableNotified = new Set();
         this.notificationState = {
@@ -84,6 +131,7 @@ export class UI {
         this.activeFriendId = null;
         this.totalFishTypes = null;
         this.toastContainer = null;
+        this.lastAnnouncedZoneId = null;
         this.toastStyleInjected = false;
         this.pendingAchievementCheck = false;
         this._energyBlocked = false;
@@ -123,7 +171,51 @@ export class UI {
             e.preventDefault();
             this.handleCastOrSetHook();
         });
+
+        // Hold the button during a fight to reel hard (tires the fish and keeps the hook set, but loads the line).
+        // Before a cast, holding aims: drag sideways to steer and release on the power you want.
+        castButton.addEventListener('pointerdown', (e) => {
+            const state = castButton.getAttribute('data-state');
+            if (state === 'fighting') {
+                this.fish?.setReelingHard(true);
+            } else if (!state && !castButton.disabled && !this.waitingForBite && this.fishing?.beginAim?.()) {
+                this._aimStartX = e.clientX;
+                castButton.setPointerCapture?.(e.pointerId);
+            }
+        });
+        castButton.addEventListener('pointermove', (e) => {
+            if (this.fishing?.aim) {
+                this.fishing.setAimSteer((e.clientX - this._aimStartX) / CAST_AIM_DRAG_PX);
+            }
+        });
+        castButton.addEventListener('pointercancel', () => {
+            this.fishing?.cancelAim?.();
+        });
+        ['pointerup', 'pointercancel', 'pointerleave'].forEach((type) => {
+            castButton.addEventListener(type, () => {
+                this.fish?.setReelingHard(false);
+            });
+        });
         
+        // Line mode applies from the next cast; retrieves work the rig while waiting
+        const lineModeSelect = document.getElementById('line-mode-select');
+        if (lineModeSelect) {
+            lineModeSelect.addEventListener('change', (e) => {
+                setLineModePreference(e.target.value);
+                this.updateLineTechniqueControls();
+            });
+        }
+        const retrieveControls = document.getElementById('retrieve-controls');
+        if (retrieveControls) {
+            retrieveControls.innerHTML = RETRIEVE_STYLES.map((style) => `
+                <button class="retrieve-button" data-retrieve="${style.id}">${style.icon} ${style.label}</button>
+            `).join('');
+            retrieveControls.querySelectorAll('.retrieve-button').forEach((button) => {
+                button.addEventListener('click', () => this.handleRetrieve(button.dataset.retrieve));
+            });
+        }
+        this.updateLineTechniqueControls();
+
         // Location selector - switch between unlocked locations
         if (locationSelect && this.game?.locations && this.player) {
             this.updateLocationSelector();
@@ -148,6 +240,18 @@ export class UI {
         this.fishing.onFishCaught = () => {
             this.handleFishCaught();
         };
+        this.fishing.onLineTension = (state) => {
+            this.updateLineTensionGauge(state);
+        };
+        this.fishing.onAimUpdate = (aim) => {
+            this.updateCastPowerMeter(aim);
+        };
+        this.fishing.onLineSnapped = (escapedFish) => {
+            this.handleMiss('Line snapped! Reeled too hard.', escapedFish);
+        };
+        this.fishing.onFishEscaped = (escapedFish) => {
+            this.handleMiss('The fish threw the hook! Keep the line tight.', escapedFish);
+        };
         
         // Bite detection state
         this.waitingForBite = false;
@@ -476,6 +580,16 @@ export class UI {
     line-height: 1.4;
     white-space: pre-line;
 }
+.toast-action {
+    margin-top: 10px;
+    padding: 6px 14px;
+    border: none;
+    border-radius: 6px;
+    background: #58b4ff;
+    color: #0c1020;
+    font: 600 13px 'Poppins', sans-serif;
+    cursor: pointer;
+}
 .toast-info { border-left-color: #58b4ff; }
 .toast-success { border-left-color: #3ddc97; }
 .toast-warning { border-left-color: #f7b32b; }
@@ -500,7 +614,8 @@ export class UI {
             type = 'info',
             title = '',
             body = '',
-            duration = 4000
+            duration = 4000,
+            action = null
         } = options;
 
         const container = this.ensureToastInfrastructure();
@@ -540,6 +655,16 @@ export class UI {
             }, 320);
         };
 
+        // Optional button ({ label, onClick }); pressing it also dismisses the toast.
+        if (action?.label && typeof action.onClick === 'function') {
+            const actionBtn = document.createElement('button');
+            actionBtn.type = 'button';
+            actionBtn.className = 'toast-action';
+            actionBtn.textContent = action.label;
+            actionBtn.addEventListener('click', () => action.onClick());
+            toast.appendChild(actionBtn);
+        }
+
         toast.addEventListener('click', removeToast);
         setTimeout(removeToast, duration);
     }
@@ -821,14 +946,25 @@ export class UI {
         leaderboardContent.innerHTML = loadingMessage;
 
         try {
-            const entries = await this.refreshGlobalLeaderboard();
+            const [entries, champions] = await Promise.all([
+                this.refreshGlobalLeaderboard(),
+                this.refreshLeaderboardChampions()
+            ]);
+            if (this.activeLeaderboardTab !== 'global') return;
+
+            const header = this.buildLeaderboardPeriodSwitcher() + this.buildChampionsMarkup(champions);
 
             if (!entries || entries.length === 0) {
-                leaderboardContent.innerHTML = '<p style="text-align: center; color: rgba(255,255,255,0.6); padding: 40px;">No catches have been logged yet. Be the first to catch a monster!</p>';
+                const emptyMessage = this.leaderboardPeriod === 'all'
+                    ? 'No catches have been logged yet. Be the first to catch a monster!'
+                    : `No catches logged ${LEADERBOARD_PERIOD_LABELS[this.leaderboardPeriod].toLowerCase()} yet. Be the first!`;
+                leaderboardContent.innerHTML = `${header}<p style="text-align: center; color: rgba(255,255,255,0.6); padding: 40px;">${emptyMessage}</p>`;
+                this.bindLeaderboardPeriodSwitcher();
                 return;
             }
 
-            leaderboardContent.innerHTML = this.buildGlobalLeaderboardMarkup(entries);
+            leaderboardContent.innerHTML = header + this.buildGlobalLeaderboardMarkup(entries);
+            this.bindLeaderboardPeriodSwitcher();
         } catch (error) {
             console.error('[UI] Failed to load global leaderboard:', error);
             this.renderGlobalLeaderboardFallback(leaderboardContent, error);
@@ -884,29 +1020,80 @@ export class UI {
         }
 
         const now = Date.now();
+        const period = this.leaderboardPeriod;
         const cacheAge = now - this.globalLeaderboardCache.fetchedAt;
+        const cacheMatches = this.globalLeaderboardCache.period === period;
 
-        if (this.globalLeaderboardCache.entries.length > 0 && cacheAge < 15000) {
+        if (cacheMatches && this.globalLeaderboardCache.entries.length > 0 && cacheAge < 15000) {
             return this.globalLeaderboardCache.entries;
         }
 
         try {
-            const response = await this.api.getGlobalLeaderboard(50);
+            const response = await this.api.getGlobalLeaderboard(50, period);
             const entries = Array.isArray(response) ? response : [];
             this.globalLeaderboardCache = {
                 entries,
-                fetchedAt: now
+                fetchedAt: now,
+                period
             };
             return entries;
         } catch (error) {
             console.error('[UI] Global leaderboard fetch error:', error);
-            if (this.globalLeaderboardCache.entries.length > 0) {
+            if (cacheMatches && this.globalLeaderboardCache.entries.length > 0) {
                 return this.globalLeaderboardCache.entries;
             }
             return this.getLocalGlobalLeaderboardEntries();
         }
     }
 
+    async refreshLeaderboardChampions() {
+        if (!this.api || !this.isOnline()) return null;
+        const now = Date.now();
+        if (this.championsCache.fetchedAt && now - this.championsCache.fetchedAt < 10 * 60 * 1000) {
+            return this.championsCache.snapshot;
+        }
+        try {
+            const snapshot = await this.api.getLeaderboardChampions('global', 'week');
+            this.championsCache = { snapshot, fetchedAt: now };
+            return snapshot;
+        } catch (error) {
+            console.warn('[UI] Champions fetch error:', error);
+            return this.championsCache.snapshot;
+        }
+    }
+
+    buildLeaderboardPeriodSwitcher() {
+        return `
+            <div class="leaderboard-filter-row">
+                ${Object.entries(LEADERBOARD_PERIOD_LABELS).map(([period, label]) => `
+                    <button type="button" class="leaderboard-chip ${period === this.leaderboardPeriod ? 'active' : ''}" data-leaderboard-period="${period}">${label}</button>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    bindLeaderboardPeriodSwitcher() {
+        document.querySelectorAll('#leaderboard-content [data-leaderboard-period]').forEach((button) => {
+            button.addEventListener('click', () => {
+                const period = button.dataset.leaderboardPeriod;
+                if (period === this.leaderboardPeriod) return;
+                this.leaderboardPeriod = period;
+                this.renderLeaderboard(this.activeLeaderboardTab);
+            });
+        });
+    }
+
+    buildChampionsMarkup(snapshot) {
+        const winners = Array.isArray(snapshot?.entries) ? snapshot.entries.slice(0, 3) : [];
+        if (winners.length === 0) return '';
+        const medals = ['🥇', '🥈', '🥉'];
+        const list = winners.map((entry, index) => {
+            const weight = Number(entry.fish_weight) || 0;
+            return `${medals[index]} <strong>${this.safeText(entry.username || 'Unknown angler')}</strong> ${weight.toFixed(2)} lbs ${this.safeText(entry.fish_name || '')}`;
+        }).join(' · ');
+        return `<div style="margin-bottom: 14px; padding: 10px 14px; border-radius: 10px; background: rgba(243, 156, 18, 0.15); color: #fdebd0; font-size: 13px;">Last week's champions: ${list}</div>`;
+    }
+
     getLocalGlobalLeaderboardEntries() {
         if (!this.leaderboard) return [];
         const leaderboardData = this.leaderboard.getLeaderboardData(this.player.name);
@@ -951,6 +1138,285 @@ export class UI {
         }).join('');
     }
     
+    getCatchBoardOptions(type) {
+        const locations = this.game?.locations?.getLocations?.() || [];
+        if (type === 'species') {
+            return getFishCollectionOrder(locations)
+                .filter((fishId) => fishId !== STARFISH_ID)
+                .map((fishId) => FishTypes.find((fish) => fish.id === fishId)?.name)
+                .filter(Boolean);
+        }
+        return locations
+            .filter((location) => location.waterBodyType !== 'CELESTIAL')
+            .map((location) => location.name);
+    }
+
+    async renderCatchBoardSection(force = false) {
+        const leaderboardContent = document.getElementById('leaderboard-content');
+        if (!leaderboardContent) return;
+
+        const selection = this.catchBoardSelection;
+        const options = this.getCatchBoardOptions(selection.type);
+        if (!selection.key || !options.includes(selection.key)) {
+            const currentLocation = this.game?.locations?.getCurrentLocation?.();
+            selection.key = selection.type === 'location' && options.includes(currentLocation?.name)
+                ? currentLocation.name
+                : options[0] || null;
+        }
+
+        const controls = `
+            <div class="leaderboard-filter-row">
+                <select class="leaderboard-select" data-role="catch-board-type">
+                    <option value="location" ${selection.type === 'location' ? 'selected' : ''}>By location</option>
+                    <option value="species" ${selection.type === 'species' ? 'selected' : ''}>By species</option>
+                </select>
+                <select class="leaderboard-select" data-role="catch-board-key">
+                    ${options.map((option) => `<option value="${this.safeText(option)}" ${option === selection.key ? 'selected' : ''}>${this.safeText(option)}</option>`).join('')}
+                </select>
+            </div>
+        `;
+
+        const bindControls = () => {
+            leaderboardContent.querySelector('[data-role="catch-board-type"]')?.addEventListener('change', (event) => {
+                this.catchBoardSelection = { type: event.target.value, key: null };
+                this.renderCatchBoardSection(true);
+            });
+            leaderboardContent.querySelector('[data-role="catch-board-key"]')?.addEventListener('change', (event) => {
+                this.catchBoardSelection = { ...this.catchBoardSelection, key: event.target.value };
+                this.renderCatchBoardSection(true);
+            });
+        };
+
+        const title = selection.type === 'species'
+            ? `🐟 Heaviest ${this.safeText(selection.key || '')}`
+            : `📍 ${this.safeText(selection.key || '')}`;
+
+        if (!this.isOnline() || !this.api) {
+            leaderboardContent.innerHTML = `${controls}<p style="text-align: center; color: rgba(255,255,255,0.6); padding: 40px;">Location and species boards need an online connection.</p>`;
+            bindControls();
+            return;
+        }
+
+        if (!force) {
+            leaderboardContent.innerHTML = `${controls}<p style="text-align: center; color: rgba(255,255,255,0.6); padding: 30px;">Weighing everyone's catches...</p>`;
+            bindControls();
+        }
+
+        try {
+            const board = await this.api.getCatchBoard(selection.type, selection.key, 20, this.leaderboardPeriod);
+            if (this.activeLeaderboardTab !== 'boards') return;
+
+            const entries = Array.isArray(board?.entries) ? board.entries : [];
+            const body = entries.length
+                ? this.buildGlobalLeaderboardMarkup(entries)
+                : '<p style="text-align: center; color: rgba(255,255,255,0.55); padding: 36px 20px;">Nobody has logged one yet. Claim the top spot!</p>';
+
+            const me = board?.me;
+            const note = me
+                ? `<div style="margin-top: 10px; padding: 10px 14px; border-radius: 10px; background: rgba(100, 181, 246, 0.18); color: #e3f2fd;">You're <strong>#${me.rank}</strong> of ${board.total} with ${Number(me.fish_weight || 0).toFixed(2)} lbs${selection.type === 'location' ? ` (${this.safeText(me.fish_name)})` : ''}.</div>`
+                : '';
+
+            leaderboardContent.innerHTML = `
+                ${controls}
+                ${this.buildLeaderboardPeriodSwitcher()}
+                <div style="padding: 6px 0;">
+                    <h3 style="font-size: 20px; font-weight: 700; color: #f5f5f5; margin: 0 0 14px;">${title}</h3>
+                    ${body}
+                    ${note}
+                </div>
+            `;
+            bindControls();
+            this.bindLeaderboardPeriodSwitcher();
+        } catch (error) {
+            console.error('[UI] Failed to load catch board:', error);
+            leaderboardContent.innerHTML = `${controls}<div class="friends-placeholder error">Board unavailable.<br>${this.safeText(error.message || '')}</div>`;
+            bindControls();
+        }
+    }
+
+    async renderTournamentSection(force = false) {
+        const leaderboardContent = document.getElementById('leaderboard-content');
+        if (!leaderboardContent) return;
+
+        if (!this.isOnline() || !this.api) {
+            leaderboardContent.innerHTML = '<p style="text-align: center; color: rgba(255,255,255,0.6); padding: 40px;">Tournaments need an online connection. Sign in to enter.</p>';
+            return;
+        }
+
+        if (!force) {
+            leaderboardContent.innerHTML = '<p style="text-align: center; color: rgba(255,255,255,0.6); padding: 30px;">Checking the tournament board...</p>';
+        }
+
+        try {
+            const [tournaments] = await Promise.all([
+                this.api.getTournaments(),
+                this.claimTournamentRewards()
+            ]);
+            const list = Array.isArray(tournaments) ? tournaments : [];
+
+            if (list.length === 0) {
+                leaderboardContent.innerHTML = '<p style="text-align: center; color: rgba(255,255,255,0.6); padding: 40px;">No tournaments scheduled right now. Halley will announce the next one!</p>';
+                return;
+            }
+
+            if (!list.some((tournament) => tournament.id === this.selectedTournamentId)) {
+                this.selectedTournamentId = list[0].id;
+            }
+            const selected = list.find((tournament) => tournament.id === this.selectedTournamentId);
+            const standings = await this.api.getTournamentStandings(selected.id, 20).catch(() => null);
+
+            if (this.activeLeaderboardTab !== 'tournament') return;
+
+            leaderboardContent.innerHTML = `
+                <div style="padding: 6px 0;">
+                    <h3 style="font-size: 20px; font-weight: 700; color: #f5f5f5; margin: 0 0 6px;">🏆 Tournaments</h3>
+                    <p style="margin: 0 0 14px; color: rgba(255,255,255,0.65); font-size: 13px;">Opt in, fish the right spot before the horn, and top anglers win coins plus a badge.</p>
+                    ${list.map((tournament) => this.buildTournamentCardMarkup(tournament, tournament.id === selected.id)).join('')}
+                    ${this.buildTournamentStandingsMarkup(selected, standings)}
+                </div>
+            `;
+
+            leaderboardContent.querySelectorAll('[data-tournament-select]').forEach((card) => {
+                card.addEventListener('click', (event) => {
+                    if (event.target.closest('[data-tournament-join]')) return;
+                    this.selectedTournamentId = card.dataset.tournamentSelect;
+                    this.renderTournamentSection(true);
+                });
+            });
+            leaderboardContent.querySelectorAll('[data-tournament-join]').forEach((button) => {
+                button.addEventListener('click', () => this.handleJoinTournament(button.dataset.tournamentJoin, button));
+            });
+        } catch (error) {
+            console.error('[UI] Failed to load tournaments:', error);
+            leaderboardContent.innerHTML = `<div class="friends-placeholder error">Tournament board unavailable.<br>${this.safeText(error.message || '')}</div>`;
+        }
+    }
+
+    describeTournamentWindow(tournament) {
+        const formatSpan = (ms) => {
+            const minutes = Math.max(1, Math.round(ms / 60000));
+            if (minutes < 60) return `${minutes} min`;
+            const hours = Math.round(minutes / 60);
+            if (hours < 48) return `${hours} hr${hours === 1 ? '' : 's'}`;
+            return `${Math.round(hours / 24)} days`;
+        };
+        const now = Date.now();
+        const startsAt = new Date(tournament.startsAt).getTime();
+        const endsAt = new Date(tournament.endsAt).getTime();
+
+        if (tournament.status === 'upcoming') return `Starts in ${formatSpan(startsAt - now)}`;
+        if (tournament.status === 'live') return `Ends in ${formatSpan(endsAt - now)}`;
+        if (tournament.status === 'scoring') return 'Scoring results…';
+        return `Ended ${this.formatRelativeTime(tournament.endsAt)}`;
+    }
+
+    formatTournamentScore(tournament, score) {
+        if (tournament.scoringRule === 'species_count') {
+            return `${score} species`;
+        }
+        return `${Number(score || 0).toFixed(2)} lbs`;
+    }
+
+    buildTournamentCardMarkup(tournament, selected) {
+        const statusColors = { live: '#81c784', upcoming: '#64b5f6', scoring: '#ffd54f', finished: 'rgba(255,255,255,0.5)' };
+        const species = tournament.allowedSpecies?.length
+            ? tournament.allowedSpecies.map((name) => this.safeText(name)).join(', ')
+            : 'Any species';
+        const prizes = (tournament.prizeCoins || []).map((coins, index) => `#${index + 1} ${coins}🪙`).join(' · ');
+        const canJoin = !tournament.joined && (tournament.status === 'live' || tournament.status === 'upcoming');
+        const action = canJoin
+            ? `<button type="button" class="leaderboard-chip active" data-tournament-join="${this.safeAttr(tournament.id)}">Enter</button>`
+            : (tournament.joined ? '<span style="color: #81c784; font-size: 12px;">Entered ✓</span>' : '');
+
+        return `
+            <div class="leaderboard-entry ${selected ? 'player-entry' : ''}" data-tournament-select="${this.safeAttr(tournament.id)}" style="cursor: pointer;">
+                <div class="leaderboard-info">
+                    <div class="leaderboard-player">${this.safeText(tournament.name)}</div>
+                    <div class="leaderboard-fish">${this.safeText(tournament.locationName)} · ${this.safeText(tournament.scoringLabel)} · ${species}</div>
+                    <div class="leaderboard-meta"><span style="color: ${statusColors[tournament.status] || '#fff'};">${this.safeText(this.describeTournamentWindow(tournament))}</span> · ${tournament.entrantCount ?? 0} entered${prizes ? ` · ${prizes}` : ''}</div>
+                </div>
+                <div class="leaderboard-weight">${action}</div>
+            </div>
+        `;
+    }
+
+    buildTournamentStandingsMarkup(tournament, standings) {
+        const rows = Array.isArray(standings?.standings) ? standings.standings : [];
+        const heading = tournament.status === 'finished' ? 'Final standings' : 'Live standings';
+        const body = rows.length
+            ? rows.map((row) => {
+                const isPlayer = this.player?.userId && row.playerId === this.player.userId;
+                return `
+                    <div class="leaderboard-entry ${isPlayer ? 'player-entry' : ''}">
+                        <div class="leaderboard-rank">#${row.rank}</div>
+                        <div class="leaderboard-info">
+                            <div class="leaderboard-player">${this.safeText(row.username || 'Unknown angler')}</div>
+                            <div class="leaderboard-fish">${row.catchCount} qualifying catch${row.catchCount === 1 ? '' : 'es'}</div>
+                        </div>
+                        <div class="leaderboard-weight">${this.formatTournamentScore(tournament, row.score)}</div>
+                    </div>
+                `;
+            }).join('')
+            : '<p style="text-align: center; color: rgba(255,255,255,0.55); padding: 24px 20px;">No entrants yet. Be the first to sign up!</p>';
+
+        const me = standings?.me;
+        const note = me && !rows.some((row) => row.playerId === me.playerId)
+            ? `<div style="margin-top: 10px; padding: 10px 14px; border-radius: 10px; background: rgba(100, 181, 246, 0.18); color: #e3f2fd;">You're <strong>#${me.rank}</strong> with ${this.formatTournamentScore(tournament, me.score)}.</div>`
+            : '';
+
+        return `
+            <h4 style="font-size: 16px; color: #f5f5f5; margin: 18px 0 8px;">${heading} — ${this.safeText(tournament.name)}</h4>
+            ${body}
+            ${note}
+        `;
+    }
+
+    async handleJoinTournament(tournamentId, button = null) {
+        if (!this.api || !tournamentId) return;
+        if (button) button.disabled = true;
+        try {
+            const tournament = await this.api.joinTournament(tournamentId);
+            this.selectedTournamentId = tournamentId;
+            this.showToast({
+                type: 'success',
+                title: '🏆 You\'re entered!',
+                body: `Fish ${tournament?.locationName || 'the tournament spot'} before the window closes.`
+            });
+            await this.renderTournamentSection(true);
+        } catch (error) {
+            this.showToast({
+                type: 'error',
+                title: 'Could not enter',
+                body: error?.message || 'Try again in a moment.'
+            });
+            if (button) button.disabled = false;
+        }
+    }
+
+    /** Pull server-awarded tournament prizes into this save (no-op for ones already applied). */
+    async claimTournamentRewards() {
+        if (!this.api || !this.player || !this.isOnline()) return [];
+        try {
+            const awards = await this.api.getTournamentRewards();
+            const applied = this.player.applyTournamentAwards(Array.isArray(awards) ? awards : []);
+            applied.forEach((award) => {
+                this.showToast({
+                    type: 'success',
+                    title: `🏅 ${award.name}`,
+                    body: `#${award.rank} in ${award.tournamentName} — +${award.coins} coins!`,
+                    duration: 6000
+                });
+            });
+            if (applied.length > 0) {
+                this.updatePlayerInfo();
+            }
+            return applied;
+        } catch (error) {
+            console.warn('[UI] Failed to check tournament rewards:', error);
+            return [];
+        }
+    }
+
     initModals() {
         // Close buttons
         document.querySelectorAll('.modal-close').forEach(closeBtn => {
@@ -1182,6 +1648,8 @@ export class UI {
         if (moneyEl) moneyEl.textContent = `$${this.player.money}`;
         if (energyEl) energyEl.textContent = String(Math.floor(this.player.energy ?? 0));
         if (energyMaxEl) energyMaxEl.textContent = String(this.player.maxEnergy ?? 100);
+        this.updateBaitHud();
+        this.updateLineTechniqueControls();
         
         if (expEl && expBar && this.player) {
             const expForCurrentLevel = this.player.calculateExpForLevel(this.player.level);
@@ -1203,6 +1671,81 @@ export class UI {
         // Upgrade highlighting disabled for now
     }
     
+    /** HUD line for the equipped bait and, for consumables, how many are left. */
+    updateBaitHud() {
+        const labelEl = document.getElementById('player-bait');
+        const nameEl = document.getElementById('player-bait-name');
+        const countEl = document.getElementById('player-bait-count');
+        if (!labelEl || !nameEl || !countEl || !this.player) return;
+
+        const bait = getTackleByName('baits', this.player.gear?.bait);
+        nameEl.textContent = bait?.name || this.player.gear?.bait || 'Basic Bait';
+        if (isConsumableBait(bait, this.player)) {
+            const casts = getBaitCasts(this.player, bait.id);
+            countEl.textContent = `×${getBaitCount(this.player, bait)}`;
+            labelEl.title = `${bait.name}: ${casts} cast${casts === 1 ? '' : 's'} left`;
+            labelEl.classList.toggle('low', casts <= bait.durability);
+        } else {
+            countEl.textContent = '';
+            labelEl.title = 'Equipped bait';
+            labelEl.classList.remove('low');
+        }
+    }
+
+    /** Line mode options and retrieve buttons, locked when the gear they need isn't equipped. */
+    updateLineTechniqueControls() {
+        const describeLock = (technique) => `Equip the ${technique.requires.item} to use ${technique.label.toLowerCase()}.`;
+
+        const lineModeSelect = document.getElementById('line-mode-select');
+        if (lineModeSelect) {
+            const activeMode = getActiveLineMode(this.player);
+            lineModeSelect.innerHTML = LINE_MODES.map((mode) => {
+                const unlocked = meetsTechniqueRequirement(this.player, mode);
+                return `<option value="${mode.id}" ${mode.id === activeMode ? 'selected' : ''} ${unlocked ? '' : 'disabled'}>${mode.icon} ${mode.label}${unlocked ? '' : ` (${mode.requires.item})`}</option>`;
+            }).join('');
+            lineModeSelect.title = LINE_MODES.find((mode) => mode.id === activeMode)?.description ?? '';
+        }
+
+        document.querySelectorAll('#retrieve-controls .retrieve-button').forEach((button) => {
+            const style = RETRIEVE_STYLES.find((entry) => entry.id === button.dataset.retrieve);
+            const unlocked = meetsTechniqueRequirement(this.player, style);
+            button.disabled = !unlocked;
+            button.title = unlocked ? style.description : describeLock(style);
+        });
+    }
+
+    /** Work the waiting rig with a retrieve; quietly ignored while it can't move (casting, bite on). */
+    handleRetrieve(styleId) {
+        const result = this.fishing?.retrieve(styleId);
+        if (result?.reason === 'gear') {
+            const style = RETRIEVE_STYLES.find((entry) => entry.id === styleId);
+            this.showToast({
+                type: 'error',
+                title: `${style?.label ?? 'Retrieve'} locked`,
+                body: `Equip the ${style?.requires?.item ?? 'right gear'} first.`
+            });
+        }
+    }
+
+    /** Use one cast of the equipped bait; warn when the stack runs out. */
+    consumeBaitForCast() {
+        if (!this.player) return;
+        const result = consumeCastBait(this.player);
+        if (!result) return;
+
+        this.player.save();
+        this.updateBaitHud();
+        this.updateLineTechniqueControls();
+        if (result.ranOut) {
+            this.showToast({
+                type: 'info',
+                title: `Out of ${result.item.name}`,
+                body: 'Switched to Basic Bait. Buy another pack in the shop.'
+            });
+            this.evaluateAchievements('bait');
+        }
+    }
+    
     async renderFriends(refresh = false) {
         this.renderFriendCode();
         this.renderSavePinSection();
@@ -1288,6 +1831,36 @@ export class UI {
         };
     }
 
+    /** Lobby: a friend started fishing at this location. */
+    announceFriendArrived(angler) {
+        if (!angler?.username) {
+            return;
+        }
+        this.showToast({
+            type: 'info',
+            title: `🐾 ${angler.username} is here`,
+            body: 'Your friend just joined you at this spot.',
+            duration: 3500
+        });
+    }
+
+    /** Lobby: a friend at this location landed a fish. */
+    announceFriendCatch({ username, fishName, fishWeight, rarity } = {}) {
+        if (!fishName) {
+            return;
+        }
+        const weight = Number(fishWeight);
+        const pieces = [];
+        if (Number.isFinite(weight) && weight > 0) pieces.push(`${weight.toFixed(2)} lbs`);
+        if (rarity && rarity !== 'Common') pieces.push(rarity);
+        this.showToast({
+            type: 'success',
+            title: `🎣 ${username || 'A friend'} caught ${fishName}!`,
+            body: pieces.join(' · '),
+            duration: 4500
+        });
+    }
+
     async pollFriendUpdates() {
         if (!this.isOnline() || !this.api) {
             return;
@@ -1347,6 +1920,208 @@ export class UI {
 
         poll();
         this.announcementPollTimer = setInterval(poll, ANNOUNCEMENT_POLL_MS);
+
+        // Prizes from tournaments that closed while this device was away.
+        this.claimTournamentRewards();
+        this.ensureMailPolling();
+    }
+
+    ensureMailPolling() {
+        if (!this.isOnline() || this.mailPollTimer || !this.api?.getMailInbox) {
+            return;
+        }
+
+        const poll = () => {
+            if (this.isOnline()) {
+                this.refreshMailInbox().catch(() => {});
+            }
+        };
+
+        poll();
+        this.mailPollTimer = setInterval(poll, MAIL_POLL_MS);
+    }
+
+    async refreshMailInbox() {
+        const result = await this.api.getMailInbox();
+        const previousIds = new Set(this.mailInbox.mail.map((mail) => mail.id));
+        const mail = Array.isArray(result?.mail) ? result.mail : [];
+        const arrived = mail.filter((entry) => !entry.claimedAt && !previousIds.has(entry.id));
+
+        if (this.mailInbox.loaded && arrived.length > 0) {
+            this.showToast({
+                type: 'info',
+                title: '📬 New mail',
+                body: arrived.length === 1 ? arrived[0].subject : `${arrived.length} gifts are waiting for you.`,
+                action: { label: 'Open', onClick: () => this.openMailInbox() }
+            });
+        }
+
+        this.mailInbox = { mail, unclaimedCount: mail.filter((entry) => !entry.claimedAt).length, loaded: true };
+        this.updateMailBadge();
+        this.refreshOpenMailTab();
+    }
+
+    refreshOpenMailTab() {
+        if (this.currentInventoryTab === 'mail' && !document.getElementById('inventory-modal')?.classList.contains('hidden')) {
+            this.renderInventory('mail');
+        }
+    }
+
+    setAnnouncementGifts(announcements) {
+        this.announcementGifts = announcements.filter((announcement) =>
+            !this.player?.hasClaimedMail(getAnnouncementGiftId(announcement.id)));
+        this.updateMailBadge();
+        this.refreshOpenMailTab();
+    }
+
+    updateMailBadge() {
+        const count = this.mailInbox.unclaimedCount + this.announcementGifts.length;
+        const badge = document.querySelector('.inventory-tab-badge');
+        if (badge) {
+            badge.textContent = count > 0 ? String(count) : '';
+            badge.classList.toggle('hidden', count === 0);
+        }
+        const mailTab = document.querySelector('.inventory-tab[data-inventory-tab="mail"]');
+        if (mailTab) {
+            mailTab.textContent = count > 0 ? `Mail (${count})` : 'Mail';
+        }
+    }
+
+    openMailInbox() {
+        this.switchTab('inventory');
+        this.renderInventory('mail');
+    }
+
+    async claimMail(mailId) {
+        if (!this.api?.claimMail || !this.player || !this.isOnline()) {
+            this.showToast({ type: 'error', title: 'Offline', body: 'Go online to claim your mail.' });
+            return;
+        }
+
+        try {
+            const result = await this.api.claimMail(mailId);
+            const mail = result?.mail;
+            if (mail && this.player.applyMail(mail)) {
+                this.updatePlayerInfo();
+                this.showToast({
+                    type: 'success',
+                    title: '🎁 Gift claimed',
+                    body: describeMailRewards(mail.rewards)
+                });
+            }
+        } catch (error) {
+            this.showToast({
+                type: 'error',
+                title: error?.status === 409 ? 'Already claimed' : 'Could not claim',
+                body: error?.status === 409
+                    ? 'This gift is already in your save.'
+                    : (error?.message || 'Try again in a moment.')
+            });
+        }
+
+        await this.refreshMailInbox().catch(() => {});
+    }
+
+    renderMailTab(container) {
+        if (!container) return;
+
+        const { mail, loaded } = this.mailInbox;
+        container.innerHTML = `
+            <div class="mail-panel">
+                <header class="relics-header">
+                    <h3 class="relics-heading">Mail</h3>
+                    <p class="relics-subtitle">Gifts from Halley and the Kitty Creek team</p>
+                </header>
+                <div class="mail-list"></div>
+            </div>
+        `;
+        const list = container.querySelector('.mail-list');
+
+        if (!this.isOnline()) {
+            list.innerHTML = '<p class="mail-empty">Go online to check your mail.</p>';
+            return;
+        }
+        if (!loaded) {
+            list.innerHTML = '<p class="mail-empty">Checking your mail…</p>';
+            this.refreshMailInbox().catch(() => {
+                list.innerHTML = '<p class="mail-empty">Could not load mail.</p>';
+            });
+            return;
+        }
+        const gifts = this.announcementGifts;
+        if (mail.length === 0 && gifts.length === 0) {
+            list.innerHTML = '<p class="mail-empty">No mail right now.</p>';
+            return;
+        }
+
+        gifts.forEach((announcement) => {
+            list.appendChild(this.createMailCard({
+                subject: announcement.title,
+                body: announcement.body,
+                rewards: { coins: announcement.action.coins, energy: announcement.action.energy },
+                claimed: false,
+                expiresAt: announcement.expiresAt,
+                onClaim: () => this.claimAnnouncementGift(announcement)
+            }));
+        });
+
+        mail.forEach((entry) => {
+            list.appendChild(this.createMailCard({
+                subject: entry.subject,
+                body: entry.body,
+                rewards: entry.rewards,
+                claimed: Boolean(entry.claimedAt) || this.player?.hasClaimedMail(entry.id),
+                expiresAt: entry.expiresAt,
+                onClaim: () => this.claimMail(entry.id)
+            }));
+        });
+    }
+
+    createMailCard({ subject, body, rewards, claimed, expiresAt, onClaim }) {
+        const card = document.createElement('article');
+        card.className = `mail-card${claimed ? ' mail-card--claimed' : ''}`;
+
+        const subjectEl = document.createElement('h4');
+        subjectEl.className = 'mail-card-subject';
+        subjectEl.textContent = subject;
+        card.appendChild(subjectEl);
+
+        if (body) {
+            const bodyEl = document.createElement('p');
+            bodyEl.className = 'mail-card-body';
+            bodyEl.textContent = body;
+            card.appendChild(bodyEl);
+        }
+
+        const rewardsEl = document.createElement('p');
+        rewardsEl.className = 'mail-card-rewards';
+        rewardsEl.textContent = `🎁 ${describeMailRewards(rewards)}`;
+        card.appendChild(rewardsEl);
+
+        if (claimed) {
+            const status = document.createElement('p');
+            status.className = 'mail-card-status';
+            status.textContent = 'Claimed';
+            card.appendChild(status);
+            return card;
+        }
+
+        const claimBtn = document.createElement('button');
+        claimBtn.type = 'button';
+        claimBtn.className = 'skill-learn-btn mail-claim-btn';
+        claimBtn.textContent = 'Claim';
+        claimBtn.addEventListener('click', () => {
+            claimBtn.disabled = true;
+            onClaim();
+        });
+        card.appendChild(claimBtn);
+        if (expiresAt) {
+            const expires = document.createElement('span');
+            expires.className = 'settings-story-caption';
+            expires.textContent = ` Expires ${new Date(expiresAt).toLocaleDateString()}`;
+            card.appendChild(expires);
+        }
+        return card;
     }
 
     async pollServerAnnouncements() {
@@ -1355,26 +2130,39 @@ export class UI {
         }
 
         const pending = await this.api.getPendingAnnouncements();
-        if (!Array.isArray(pending) || pending.length === 0) {
+        if (!Array.isArray(pending)) {
             return;
         }
 
+        // Unclaimed gifts are listed again on every poll; each pops up once per session.
         for (const announcement of pending) {
-            if (!announcement?.id) continue;
+            if (!announcement?.id || this.shownAnnouncementIds.has(announcement.id)) continue;
+            this.shownAnnouncementIds.add(announcement.id);
             this.showServerAnnouncement(announcement);
             await this.api.ackAnnouncement(announcement.id).catch(() => {});
         }
+
+        this.setAnnouncementGifts(pending.filter((announcement) =>
+            announcement?.id && announcement.action?.type === 'claim_gift'));
     }
 
     showServerAnnouncement(announcement) {
         const title = announcement.title || 'Halley';
         const body = announcement.body || '';
         const duration = Number(announcement.durationMs) || 6000;
+        const action = announcement.action?.type
+            ? { label: announcement.action.label || 'Open', onClick: () => this.runAnnouncementAction(announcement) }
+            : null;
 
         if (announcement.displayType === 'banner') {
             const color = announcement.bannerColor || '#fde68a';
             const message = body ? `${title} — ${body}` : title;
             this.showBannerNotification(message, color, duration);
+            if (!action) {
+                return;
+            }
+            // Banners have no buttons, so the action rides along on a toast.
+            this.showToast({ type: announcement.toastType || 'info', title, duration, action });
             return;
         }
 
@@ -1382,10 +2170,85 @@ export class UI {
             type: announcement.toastType || 'info',
             title,
             body,
-            duration
+            duration,
+            action
         });
     }
 
+    async runAnnouncementAction(announcement) {
+        const action = announcement.action || {};
+
+        if (action.type === 'claim_gift') {
+            await this.claimAnnouncementGift(announcement);
+            return;
+        }
+
+        // Counted for the admin panel only; the button works offline too.
+        this.api?.recordAnnouncementAction?.(announcement.id).catch(() => {});
+
+        if (action.type === 'open_shop') {
+            this.switchTab('shop');
+            this.renderShop(action.category || 'rods');
+            return;
+        }
+
+        if (action.type === 'jump_location') {
+            const locations = this.game?.locations?.getLocations() || [];
+            const index = locations.findIndex((location) => location.name === action.locationName);
+            if (index < 0) {
+                return;
+            }
+            this.switchTab('game');
+            if (index === this.game.locations.getCurrentLocationIndex()) {
+                return;
+            }
+            if (!hasPrivilegedAccess(this.player) && !this.player.locationUnlocks.includes(index)) {
+                this.showToast({
+                    type: 'error',
+                    title: `${action.locationName} is locked`,
+                    body: `Unlock it from the location menu first (level ${locations[index].unlockLevel}).`
+                });
+                return;
+            }
+            this.handleLocationChange(index);
+        }
+    }
+
+    async claimAnnouncementGift(announcement) {
+        if (!this.api?.recordAnnouncementAction || !this.player || !this.isOnline()) {
+            this.showToast({ type: 'error', title: 'Gift unavailable', body: 'Go online to claim this gift.' });
+            return;
+        }
+
+        try {
+            // The server wrote the gift into the cloud save; applying the same gift id here
+            // is a no-op if this save already has it.
+            const result = await this.api.recordAnnouncementAction(announcement.id);
+            const gift = result?.gift;
+            const applied = Boolean(gift) && this.player.applyAnnouncementGift(announcement.id, gift);
+            this.setAnnouncementGifts(this.announcementGifts.filter((entry) => entry.id !== announcement.id));
+            if (!applied) {
+                this.showToast({
+                    type: 'info',
+                    title: 'Already claimed',
+                    body: 'This gift is already in your tackle box.'
+                });
+                return;
+            }
+
+            this.updatePlayerInfo();
+            this.showToast({ type: 'success', title: '🎁 Gift claimed', body: describeMailRewards(gift) });
+        } catch (error) {
+            console.warn('[UI] Announcement gift claim failed:', error);
+            this.showToast({
+                type: 'error',
+                title: 'Gift unavailable',
+                body: error?.message || 'This gift has expired.'
+            });
+            this.refreshOpenMailTab();
+        }
+    }
+
     async refreshFriends(force = false) {
         if (!this.isOnline()) {
             this.renderFriendsOffline();
@@ -2071,12 +2934,14 @@ export class UI {
                 return false;
             }) || localPlayerBest;
 
-            leaderboardContent.innerHTML = this.buildSpeedBoardMarkup({
+            if (this.activeLeaderboardTab !== 'speed') return;
+            leaderboardContent.innerHTML = this.buildLeaderboardPeriodSwitcher() + this.buildSpeedBoardMarkup({
                 entries: mapped,
                 subtitle: 'Global lightning-hook rankings. Snap fast, brag often.',
                 playerBest,
                 emptyMessage: 'No hooks on record yet. Be the first to set the water on fire!'
             });
+            this.bindLeaderboardPeriodSwitcher();
         } catch (error) {
             console.warn('[UI] Failed to render speed leaderboard:', error);
             const fallbackMarkup = this.buildSpeedBoardMarkup({
@@ -2094,18 +2959,20 @@ export class UI {
         }
 
         const now = Date.now();
-        if (!forceRefresh) {
+        const period = this.leaderboardPeriod;
+        if (!forceRefresh && this.speedLeaderboardCache.period === period) {
             const cacheAge = now - this.speedLeaderboardCache.fetchedAt;
             if (this.speedLeaderboardCache.entries.length > 0 && cacheAge < 15000) {
                 return this.speedLeaderboardCache.entries;
             }
         }
 
-        const entries = await this.api.getSpeedLeaderboard(50);
+        const entries = await this.api.getSpeedLeaderboard(50, period);
         const normalized = Array.isArray(entries) ? entries : [];
         this.speedLeaderboardCache = {
             entries: normalized,
-            fetchedAt: now
+            fetchedAt: now,
+            period
         };
         return normalized;
     }
@@ -2385,7 +3252,7 @@ export class UI {
             tab.classList.toggle('active', tab.dataset.shopTab === category);
         });
         
-        import('./tackleShop.js').then(({ TackleShop, getTackleByCategory, purchase, equip, canAfford, canUnlock }) => {
+        import('./tackleShop.js').then(({ getTackleByCategory, purchase, equip, canAfford, canUnlock, isConsumableBait, getBaitCasts, getBaitCount }) => {
             const shopItems = document.getElementById('shop-items');
             if (!shopItems) return;
             
@@ -2401,6 +3268,15 @@ export class UI {
             const atCelestialDepths = currentLocation?.waterBodyType === 'CELESTIAL';
             
             shopItems.innerHTML = items.map(item => {
+                if (category === 'baits' && isConsumableBait(item, this.player)) {
+                    return this.renderBaitPackItem(item, {
+                        isEquipped: currentGear === item.name,
+                        isUnlocked: canUnlock(item.unlockLevel, this.player.level, this.player.tackleUnlocks.baits, item.id),
+                        canBuy: canAfford(item.cost, this.player.money),
+                        casts: getBaitCasts(this.player, item.id),
+                        count: getBaitCount(this.player, item)
+                    });
+                }
                 const isOwned = this.player.tackleUnlocks[category].includes(item.id);
                 const isEquipped = currentGear === item.name;
                 const isUnlocked = canUnlock(item.unlockLevel, this.player.level, this.player.tackleUnlocks[category], item.id);
@@ -2462,7 +3338,7 @@ export class UI {
                         <div class="shop-item-description">${item.description}</div>
                         ${statsHtml}
                         <div class="shop-item-actions">
-                            <button class="${buttonClass}" data-category="${category}" data-item-id="${item.id}" ${buttonDisabled ? 'disabled' : ''}>
+                            <button class="${buttonClass}" data-category="${category}" data-item-id="${item.id}" data-action="${isOwned ? 'equip' : 'buy'}" ${buttonDisabled ? 'disabled' : ''}>
                                 ${buttonText}
                             </button>
                         </div>
@@ -2476,9 +3352,8 @@ export class UI {
                     const category = btn.dataset.category;
                     const itemId = parseInt(btn.dataset.itemId);
                     const item = items.find(i => i.id === itemId);
-                    const isOwned = this.player.tackleUnlocks[category].includes(itemId);
                     
-                    if (!isOwned) {
+                    if (btn.dataset.action === 'buy') {
                         if (item?.forgeOnly) {
                             alert('This lure can only be forged by collecting all ten sea relics.');
                             return;
@@ -2493,6 +3368,9 @@ export class UI {
                             this.updatePlayerInfo();
                             this.renderShop(category); // Refresh shop
                             this.evaluateAchievements('purchase');
+                            if (category === 'baits' && isConsumableBait(item, this.player)) {
+                                this.showToast({ type: 'success', title: result.message });
+                            }
                         } else {
                             alert(result.message);
                         }
@@ -2506,6 +3384,7 @@ export class UI {
                                 this.sfx.play2D("mouse_click", 0.5, 1.0);
                             }
                             this.player.save();
+                            this.updatePlayerInfo();
                             this.renderShop(category); // Refresh shop
                             this.evaluateAchievements('equip');
                         } else {
@@ -2519,6 +3398,55 @@ export class UI {
         });
     }
     
+    /**
+     * Shop card for a consumable bait: buy another pack any time, equip while stock lasts.
+     */
+    renderBaitPackItem(item, { isEquipped, isUnlocked, canBuy, casts, count }) {
+        const packSize = item.packSize || 1;
+        let buyText = `Buy pack $${item.cost}`;
+        let buyClass = 'shop-button';
+        let buyDisabled = false;
+        if (!isUnlocked) {
+            buyText = `Locked (Lv ${item.unlockLevel})`;
+            buyClass += ' locked';
+            buyDisabled = true;
+        } else if (!canBuy) {
+            buyText = 'Not enough money';
+            buyClass += ' locked';
+            buyDisabled = true;
+        }
+
+        let equipButton = '';
+        if (isEquipped) {
+            equipButton = `<button class="shop-button equipped" disabled>Equipped</button>`;
+        } else if (casts > 0) {
+            equipButton = `<button class="shop-button" data-category="baits" data-item-id="${item.id}" data-action="equip">Equip</button>`;
+        }
+
+        const stats = [
+            `Catch: +${item.catchBonus}`,
+            `Pack: ${packSize} × ${item.durability} casts`,
+            casts > 0 ? `In box: ${count} (${casts} casts)` : 'In box: none'
+        ];
+
+        return `
+            <div class="shop-item">
+                <div class="shop-item-header">
+                    <div class="shop-item-name">${item.name}</div>
+                    <div class="shop-item-cost">$${item.cost} / pack</div>
+                </div>
+                <div class="shop-item-description">${item.description}</div>
+                <div class="shop-item-stats">${stats.map(stat => `<span class="shop-item-stat">${stat}</span>`).join('')}</div>
+                <div class="shop-item-actions">
+                    ${equipButton}
+                    <button class="${buyClass}" data-category="baits" data-item-id="${item.id}" data-action="buy" ${buyDisabled ? 'disabled' : ''}>
+                        ${buyText}
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+    
     renderInventory(tab) {
         if (!this.inventory || !this.player) return;
         
@@ -2587,7 +3515,9 @@ export class UI {
             return;
         }
         
+                const season = getCurrentSeason();
                 inventoryContent.innerHTML = `
+                    <div class="collection-season">${SEASON_ICONS[season]} It's ${season}. Species marked "Back in…" can't be caught until their season returns.</div>
                     <div class="collection-grid">
                         ${visibleFish.map(fish => {
                             const fishData = collection[fish.id];
@@ -2595,8 +3525,9 @@ export class UI {
                             const catchCount = fishData ? (fishData.count || 0) : 0;
                             const biggestCatch = isCaught ? getBiggestCatchForFish(fish.id) : null;
                             const { primary: imagePath, fallback: imageFallback } = getFishImagePaths(fish.name);
+                            const seasonReturn = this.describeFishReturn(fish);
                             return `
-                                <div class="collection-item ${isCaught ? '' : 'locked'}" data-fish-id="${fish.id}" style="cursor: ${isCaught ? 'pointer' : 'default'};">
+                                <div class="collection-item ${isCaught ? '' : 'locked'} ${seasonReturn ? 'out-of-season' : ''}" data-fish-id="${fish.id}" style="cursor: ${isCaught ? 'pointer' : 'default'};">
                                     <img src="${imagePath}" alt="${fish.name}" class="collection-item-image" loading="lazy" decoding="async" onerror="if(!this.dataset.fallback){this.dataset.fallback='1';this.src='${imageFallback}';}else{this.style.display='none';this.nextElementSibling.style.display='flex';}">
                                     <div style="display: none; width: 80px; height: 80px; background: rgba(255,255,255,0.1); border-radius: 10px; flex-direction: column; align-items: center; justify-content: center; font-size: 32px;">🐟</div>
                                     <div class="collection-item-name">${fish.name}</div>
@@ -2610,6 +3541,7 @@ export class UI {
                                             </div>
                                         ` : ''}
                                     ` : ''}
+                                    ${seasonReturn ? `<div class="collection-item-season">${seasonReturn}</div>` : ''}
                                 </div>
                             `;
                         }).join('')}
@@ -2634,6 +3566,10 @@ export class UI {
             this.renderRelicsTab(inventoryContent);
         } else if (tab === 'achievements') {
             this.renderAchievementsTab(inventoryContent);
+        } else if (tab === 'skills') {
+            this.renderSkillsTab(inventoryContent);
+        } else if (tab === 'mail') {
+            this.renderMailTab(inventoryContent);
         } else if (tab === 'settings') {
             inventoryContent.innerHTML = `
                 <div class="settings-panel">
@@ -2670,6 +3606,37 @@ export class UI {
                         </form>
                         <p id="settings-claim-message" class="settings-claim-message hidden"></p>
                     </section>
+                    <section class="settings-account-section">
+                        <h4 class="settings-account-title">Save history</h4>
+                        <p class="settings-account-copy">
+                            Your cloud save is backed up as you play and before any big loss of progress.
+                            Restore an earlier copy if something went wrong.
+                        </p>
+                        <div id="settings-save-history" class="settings-save-history">Loading…</div>
+                    </section>
+                    <section class="settings-account-section">
+                        <h4 class="settings-account-title">Time of day</h4>
+                        <p class="settings-account-copy">
+                            Fish by your device's clock, or on a fast game clock where a full day passes every 24 minutes.
+                        </p>
+                        <select id="settings-time-of-day-mode" class="settings-claim-input settings-time-select">
+                            ${TIME_OF_DAY_MODES.map((mode) => `
+                                <option value="${mode}" ${mode === getTimeOfDayMode() ? 'selected' : ''}>${TIME_OF_DAY_MODE_LABELS[mode]}</option>
+                            `).join('')}
+                        </select>
+                    </section>
+                    <section class="settings-account-section">
+                        <h4 class="settings-account-title">Accessibility</h4>
+                        <p class="settings-account-copy">
+                            Active fights need you to hold and release to tire the fish out. Passive fights
+                            play out on their own once the hook is set.
+                        </p>
+                        <select id="settings-fight-control-mode" class="settings-claim-input settings-time-select">
+                            ${FIGHT_CONTROL_MODES.map((mode) => `
+                                <option value="${mode}" ${mode === getFightControlMode() ? 'selected' : ''}>${FIGHT_CONTROL_MODE_LABELS[mode]}</option>
+                            `).join('')}
+                        </select>
+                    </section>
                     <div class="settings-story-row">
                         <button type="button" id="replay-prologue-btn" class="settings-story-link">
                             ☄ Halley's tale
@@ -2685,7 +3652,8 @@ export class UI {
                     <div class="settings-danger-zone">
                         <div class="settings-danger-title">⚠️ Danger Zone</div>
                         <p class="settings-danger-copy">
-                            Reset all progress and start from the beginning. This action cannot be undone!
+                            Reset all progress and start from the beginning. Signed-in players can bring
+                            their old save back from Save history above.
                         </p>
                         <button type="button" id="reset-progress-btn" class="settings-reset-btn">
                             🔄 Reset All Progress
@@ -2696,6 +3664,23 @@ export class UI {
 
             this.wireSettingsSwitchAccount();
             this.wireSettingsAccountSection();
+            this.wireSettingsSaveHistory();
+
+            const timeModeSelect = document.getElementById('settings-time-of-day-mode');
+            if (timeModeSelect) {
+                timeModeSelect.addEventListener('change', () => {
+                    setTimeOfDayMode(timeModeSelect.value);
+                    this.game?.applyTimeOfDay?.();
+                    this.updateLocationSelector();
+                });
+            }
+
+            const fightModeSelect = document.getElementById('settings-fight-control-mode');
+            if (fightModeSelect) {
+                fightModeSelect.addEventListener('change', () => {
+                    setFightControlMode(fightModeSelect.value);
+                });
+            }
 
             const replayBtn = document.getElementById('replay-prologue-btn');
             if (replayBtn) {
@@ -2749,6 +3734,10 @@ export class UI {
             this.renderGlobalLeaderboardSection();
         } else if (tab === 'speed') {
             this.renderSpeedLeaderboard();
+        } else if (tab === 'boards') {
+            this.renderCatchBoardSection();
+        } else if (tab === 'tournament') {
+            this.renderTournamentSection();
         }
     }
     
@@ -2764,17 +3753,37 @@ export class UI {
         // Get all locations
         const locations = this.game.locations.locations;
         const currentLocationIndex = this.game.locations.getCurrentLocationIndex();
+        const season = getCurrentSeason();
+        const hour = getGameHour();
+        const phase = getTimeOfDayPhase(hour);
         
-        // Add options for unlocked locations only
+        // Add options for unlocked locations only, each with its weather (forecast for the current one)
         locations.forEach((location, index) => {
             const isUnlocked = this.player.locationUnlocks.includes(index);
             if (!isUnlocked && !hasPrivilegedAccess(this.player)) return;
 
+            const forecast = getWeatherForecast(location);
+            const weatherText = index === currentLocationIndex
+                ? forecast.map(({ weather }) => weather.icon).join(' → ')
+                : (forecast[0]?.weather.icon ?? '');
+            const seasonal = this.getInSeasonSpecies(location, season);
+            const seasonText = seasonal.length ? `${SEASON_ICONS[season]} in season` : '';
+            const timeText = index === currentLocationIndex ? phase.icon : '';
+
             const option = document.createElement('option');
             option.value = index;
-            option.textContent = isUnlocked ? location.name : `${location.name} (preview)`;
+            option.textContent = [isUnlocked ? location.name : `${location.name} (preview)`, weatherText, seasonText, timeText]
+                .filter(Boolean)
+                .join(' ');
             if (index === currentLocationIndex) {
                 option.selected = true;
+                locationSelect.title = [
+                    forecast.length
+                        ? `Forecast: ${forecast.map(({ weather }, i) => `${i === 0 ? 'now' : `+${i * WEATHER_SLOT_MS / 60000} min`} ${weather.label}`).join(', ')}`
+                        : '',
+                    seasonal.length ? `In season: ${seasonal.map((fish) => fish.name).join(', ')}` : '',
+                    this.describeTimeOfDay(location, hour)
+                ].filter(Boolean).join('\n');
             }
             locationSelect.appendChild(option);
         });
@@ -2789,6 +3798,34 @@ export class UI {
         }
     }
     
+    /** Tooltip line for the game clock and any night feeders biting at a location. */
+    describeTimeOfDay(location, hour = getGameHour()) {
+        const phase = getTimeOfDayPhase(hour);
+        const ids = Array.isArray(location?.fish) ? location.fish : [];
+        const feeders = getNightFeeders(ids.map((id) => FishTypes.find((fish) => fish.id === id)).filter(Boolean), hour);
+        const clock = getTimeOfDayMode() === 'fast' ? 'game clock' : 'device clock';
+        return [
+            `${phase.label} (${clock})`,
+            feeders.length ? `Night feeders biting: ${feeders.map((fish) => fish.name).join(', ')}` : ''
+        ].filter(Boolean).join('\n');
+    }
+
+    /** Seasonal species at a location that are catchable this season (all-year fish excluded). */
+    getInSeasonSpecies(location, season = getCurrentSeason()) {
+        const ids = Array.isArray(location?.fish) ? location.fish : [];
+        return ids
+            .map((id) => FishTypes.find((fish) => fish.id === id))
+            .filter((fish) => fish && getFishSeasons(fish) && isFishInSeason(fish, season));
+    }
+
+    /** "Back in Winter (in 12 days)" for an out-of-season species, or '' when catchable now. */
+    describeFishReturn(fish) {
+        const back = getFishReturn(fish);
+        if (!back) return '';
+        const days = Math.max(1, Math.ceil((back.startsAt - Date.now()) / (24 * 60 * 60 * 1000)));
+        return `Back in ${back.season} (in ${days} day${days === 1 ? '' : 's'})`;
+    }
+    
     handleLocationChange(locationIndex) {
         if (!this.game?.locations) {
             console.warn('[UI] Locations system not available');
@@ -2868,6 +3905,9 @@ export class UI {
     }
 
     handleCastOrSetHook() {
+        // A held cast button was aiming; a quick tap (or keyboard) gives null and casts at random
+        const aim = this.fishing?.endAim?.() ?? null;
+
         if (this.isGameplayOnboardingActive()) {
             return;
         }
@@ -2904,7 +3944,7 @@ export class UI {
         }
         
         // Otherwise, cast
-        this.handleCast();
+        this.handleCast(aim);
     }
 
     resetWaitingSpamTracking() {
@@ -2948,7 +3988,10 @@ export class UI {
         this.game?.showCatBark?.(line, WAITING_SCOLD_TURN_MS);
     }
 
-    handleCast() {
+    /**
+     * @param {{ steer: number, power: number }|null} [aim] - Aimed cast from the held cast button
+     */
+    handleCast(aim = null) {
         console.log('[UI] Handle cast called');
         const castButton = document.getElementById('cast-button');
         
@@ -2970,6 +4013,7 @@ export class UI {
         if (!this.trySpendCastEnergy()) {
             return;
         }
+        this.consumeBaitForCast();
         
         // Reset bite detection state
         this.resetWaitingSpamTracking();
@@ -2985,7 +4029,7 @@ export class UI {
         
         // Call fishing cast
         try {
-            this.fishing.cast();
+            this.fishing.cast(aim);
         } catch (error) {
             console.error('Error in cast:', error);
             castButton.disabled = false;
@@ -3004,6 +4048,7 @@ export class UI {
                 setTimeout(() => {
                     if (this.fishing && this.fishing.bobber && this.fishing.bobber.visible && this.fishing.bobber.userData.floating) {
                         console.log('[UI] Bobber settled in water, starting bite detection timer');
+                        this.announceCastZone();
                         // Now start the bite detection timer (which will wait 0.5-7 seconds based on level)
                         // Button already shows "WAITING..." so we just start the timer
                         this.startBiteDetection();
@@ -3015,6 +4060,22 @@ export class UI {
         }, 3000); // Wait 3 seconds for cast to complete and bobber to land
     }
     
+    /** Name the fishing zone the bobber settled in, once per run of casts into the same zone. */
+    announceCastZone() {
+        const zone = this.fishing?.castZone ?? null;
+        const previousZoneId = this.lastAnnouncedZoneId;
+        this.lastAnnouncedZoneId = zone?.id ?? null;
+        if (!zone || zone.id === previousZoneId) {
+            return;
+        }
+        this.showToast({
+            type: 'info',
+            title: zone.label,
+            body: zone.description,
+            duration: 2500
+        });
+    }
+
     startBiteDetection() {
         if (!this.player || !this.game?.locations) {
             console.warn('[UI] Player or locations not available for bite detection');
@@ -3033,7 +4094,7 @@ export class UI {
         import('./biteDetection.js').then(({ calculateBiteTiming, getReactionTimeWindow }) => {
             // Calculate bite timing based on player level
             const { min, max } = calculateBiteTiming(this.player.level);
-            const biteTime = min + Math.random() * (max - min);
+            const biteTime = (min + Math.random() * (max - min)) * getHotspotBiteTimeMultiplier(this.fishing?.castHotspot);
             
             console.log(`[UI] Waiting for bite: ${(biteTime / 1000).toFixed(1)}s`);
             
@@ -3291,6 +4352,97 @@ export class UI {
         });
     }
 
+    renderSkillsTab(container) {
+        if (!container || !this.player) return;
+
+        const available = getAvailableSkillPoints(this.player);
+        const earned = getEarnedSkillPoints(this.player);
+        const respecCost = getSkillRespecCost(this.player);
+
+        const renderSkill = (skill) => {
+            const rank = getSkillRank(this.player, skill.id);
+            const { ok, reason } = canLearnSkill(this.player, skill.id);
+            const required = skill.requires ? getSkillById(skill.requires.skill) : null;
+            let status = '';
+            if (reason === 'maxed') {
+                status = 'Maxed';
+            } else if (reason === 'locked' && required) {
+                status = `Needs ${required.name} ${skill.requires.rank}`;
+            }
+            return `
+                <article class="skill-card ${rank > 0 ? 'skill-card--learned' : ''} ${reason === 'locked' ? 'skill-card--locked' : ''}">
+                    <div class="skill-card-header">
+                        <span class="skill-card-icon" aria-hidden="true">${skill.icon}</span>
+                        <h4 class="skill-card-name">${skill.name}</h4>
+                        <span class="skill-card-rank">${rank}/${skill.maxRank}</span>
+                    </div>
+                    <p class="skill-card-desc">${skill.description}</p>
+                    ${status
+                        ? `<p class="skill-card-status">${status}</p>`
+                        : `<button type="button" class="skill-learn-btn" data-skill-id="${skill.id}" ${ok ? '' : 'disabled'}>Learn (1 point)</button>`}
+                </article>
+            `;
+        };
+
+        container.innerHTML = `
+            <div class="skills-panel">
+                <header class="relics-header">
+                    <h3 class="relics-heading">Skill Tree</h3>
+                    <p class="relics-progress">${available} skill point${available !== 1 ? 's' : ''} to spend</p>
+                    <p class="relics-subtitle">${SKILL_POINTS_PER_LEVEL} point per level up · ${earned} earned so far</p>
+                </header>
+                <div class="skills-branches">
+                    ${SKILL_BRANCHES.map((branch) => `
+                        <section class="skills-branch">
+                            <h4 class="skills-branch-title">${branch.icon} ${branch.label}</h4>
+                            ${SKILLS.filter((skill) => skill.branch === branch.id).map(renderSkill).join('')}
+                        </section>
+                    `).join('')}
+                </div>
+                <div class="skills-respec">
+                    <button type="button" id="skills-respec-btn" class="skills-respec-btn" ${respecCost > 0 ? '' : 'disabled'}>
+                        ↺ Reset skills${respecCost > 0 ? ` ($${respecCost.toLocaleString()})` : ''}
+                    </button>
+                    <span class="settings-story-caption">Refunds every point so you can spend them again</span>
+                </div>
+            </div>
+        `;
+
+        container.querySelectorAll('.skill-learn-btn').forEach((btn) => {
+            btn.addEventListener('click', () => {
+                const skill = getSkillById(btn.dataset.skillId);
+                if (skill && this.player.learnSkill(skill.id)) {
+                    this.updatePlayerInfo();
+                    this.renderSkillsTab(container);
+                }
+            });
+        });
+
+        const respecBtn = container.querySelector('#skills-respec-btn');
+        if (respecBtn) {
+            respecBtn.addEventListener('click', () => {
+                const cost = getSkillRespecCost(this.player);
+                if (this.player.money < cost) {
+                    this.showToast({
+                        type: 'error',
+                        title: 'Not enough coins',
+                        body: `Resetting your skills costs $${cost.toLocaleString()}.`
+                    });
+                    return;
+                }
+                const confirmed = window.confirm(
+                    `Reset your skill tree for $${cost.toLocaleString()}?\n\n` +
+                    'Every skill point is refunded so you can spend them again.'
+                );
+                if (!confirmed || !this.player.respecSkills()) {
+                    return;
+                }
+                this.updatePlayerInfo();
+                this.renderSkillsTab(container);
+            });
+        }
+    }
+
     wireRelicsTabCards(container) {
         container.querySelectorAll('[data-relic-id]').forEach((card) => {
             const open = () => this.handleRelicCardClick(card.dataset.relicId);
@@ -3465,8 +4617,12 @@ export class UI {
                 
                 console.log('[UI] Catch check - Probability:', (catchProbability * 100).toFixed(1) + '%, Reaction time:', reactionTime, 'ms, Timing window:', timingWindow, 'ms');
                 
-                // Determine if catch or miss
-                const isCatch = determineCatch(catchProbability, reactionTime, timingWindow);
+                // Determine if catch or miss. Active fights only need a timely strike here —
+                // the fight itself decides whether the fish stays on.
+                const activeFight = isActiveFightEnabled();
+                const isCatch = activeFight
+                    ? reactionTime <= timingWindow
+                    : determineCatch(catchProbability, reactionTime, timingWindow);
                 
                 if (isCatch) {
                     // CATCH! Hook the fish and start fight
@@ -3474,9 +4630,10 @@ export class UI {
                     this.hookSetSuccess = true;
                     this.waitingForBite = false;
                     
-                    castButton.disabled = true;
                     const starfishReunion = isCelestialStarfishHook(this.fishing);
-                    castButton.textContent = starfishReunion ? 'A PRESENCE RISES...' : 'FIGHTING...';
+                    // Stays pressable during a normal fight so the player can hold to reel hard
+                    castButton.disabled = starfishReunion;
+                    castButton.textContent = starfishReunion ? 'A PRESENCE RISES...' : 'HOLD TO REEL';
                     castButton.style.background = starfishReunion ? 'rgba(180, 210, 255, 0.35)' : '';
                     castButton.setAttribute('data-state', starfishReunion ? 'reunion' : 'fighting');
                     
@@ -3487,7 +4644,7 @@ export class UI {
                             this.handleMiss('Nothing stirs in these depths…');
                             return;
                         }
-                        this.fish.hook();
+                        this.fish.hook({ active: activeFight, catchChance: catchProbability });
                         this.fishing.setFishOnLine(true);
                         this.fishing.isReeling = true;
                         if (starfishReunion) {
@@ -3552,6 +4709,7 @@ export class UI {
         this.hookSetSuccess = false;
         
         const missMessage = this.getMissMessage(reason, escapedFish);
+        this.updateLineTensionGauge(null);
         
         // Show miss notification with humorous message
         this.showMissNotification(missMessage);
@@ -3588,6 +4746,58 @@ export class UI {
         }
     }
     
+    /**
+     * Show the tension gauge during a fight, or hide it when state is null.
+     * Active fights also pass the fish's stamina and hook hold (0–1).
+     * @param {{ tension: number, overload: number, reelingHard: boolean, stamina?: number, hookHold?: number }|null} state
+     */
+    updateLineTensionGauge(state) {
+        const gauge = document.getElementById('line-tension-gauge');
+        if (!gauge) return;
+        if (!state) {
+            gauge.classList.add('hidden');
+            return;
+        }
+        const percent = Math.round(Math.min(1, state.tension) * 100);
+        gauge.classList.remove('hidden');
+        gauge.classList.toggle('danger', state.tension >= TENSION_DANGER);
+        gauge.classList.toggle('overloaded', state.overload > 0);
+        gauge.classList.toggle('reeling-hard', state.reelingHard);
+        gauge.setAttribute('aria-valuenow', String(percent));
+        const fill = gauge.querySelector('.line-tension-fill');
+        if (fill) {
+            fill.style.width = `${percent}%`;
+        }
+
+        const active = typeof state.stamina === 'number';
+        gauge.classList.toggle('active-fight', active);
+        gauge.classList.toggle('slipping', active && state.hookHold < HOOK_HOLD_WARNING);
+        const staminaFill = gauge.querySelector('.fish-stamina-fill');
+        if (staminaFill && active) {
+            staminaFill.style.width = `${Math.round(state.stamina * 100)}%`;
+        }
+    }
+
+    /**
+     * Power meter while the cast button is held to aim; hidden on a quick tap or when aim is null.
+     * @param {{ heldSec: number, power: number }|null} aim
+     */
+    updateCastPowerMeter(aim) {
+        const meter = document.getElementById('cast-power-meter');
+        if (!meter) return;
+        if (!aim || aim.heldSec < CAST_AIM_TAP_SEC) {
+            meter.classList.add('hidden');
+            return;
+        }
+        const percent = Math.round(aim.power * 100);
+        meter.classList.remove('hidden');
+        meter.setAttribute('aria-valuenow', String(percent));
+        const fill = meter.querySelector('.cast-power-fill');
+        if (fill) {
+            fill.style.width = `${percent}%`;
+        }
+    }
+
     getMissMessage(reason, escapedFish = null) {
         return pickMissMessage({ reason, fish: escapedFish });
     }
@@ -3639,6 +4849,7 @@ export class UI {
             this.fishing.finalizeCatchLine?.();
             this.fishing.setFishOnLine(false);
         }
+        this.updateLineTensionGauge(null);
         
         // Reset button for next cast
         setTimeout(() => {
@@ -3668,7 +4879,9 @@ export class UI {
             const recordWeight = !(isStarfishCatch && isCelestialCatch);
             const recordedWeight = recordWeight && typeof weight === 'number' && Number.isFinite(weight) ? weight : null;
             const rewardValue = isStarfishCatch && isCelestialCatch ? 0 : (fishData.value ?? 0);
-            const rewardExperience = isStarfishCatch && isCelestialCatch ? 0 : (fishData.experience ?? 0);
+            const rewardExperience = isStarfishCatch && isCelestialCatch
+                ? 0
+                : applyRareCatchXpBonus(this.player, fishData, fishData.experience ?? 0);
             const catchTimestamp = Date.now();
             
             // Check if first catch of this fish
@@ -3757,6 +4970,10 @@ export class UI {
                             this.renderGlobalLeaderboardSection(true);
                         } else if (this.activeLeaderboardTab === 'speed') {
                             this.renderSpeedLeaderboard(true);
+                        } else if (this.activeLeaderboardTab === 'boards') {
+                            this.renderCatchBoardSection(true);
+                        } else if (this.activeLeaderboardTab === 'tournament') {
+                            this.renderTournamentSection(true);
                         }
                     }).catch(error => {
                         console.warn('[UI] Failed to update leaderboard catch:', error);
@@ -3764,6 +4981,12 @@ export class UI {
                 }
             }
             
+            this.game?.lobby?.sendCatch({
+                fishName: species,
+                fishWeight: recordWeight ? recordedWeight : null,
+                rarity: fishData.rarity
+            });
+            
             // Update top 10 biggest fish in player
             this.player.top10BiggestFish = this.inventory.getTop10();
             this.player.save();
@@ -4063,6 +5286,10 @@ export class UI {
         let unlockText = '';
         let unlockIcon = '🎉';
         const energyNote = `<div style="margin-top:8px;color:#fde68a;font-size:14px;">⚡ +${LEVEL_UP_ENERGY_BONUS} Energy!</div>`;
+        const skillPoints = getAvailableSkillPoints(this.player);
+        const skillNote = skillPoints > 0
+            ? `<div style="margin-top:4px;font-size:14px;">🌟 ${skillPoints} skill point${skillPoints !== 1 ? 's' : ''} to spend in Inventory → Skills</div>`
+            : '';
         
         if (newUnlock.type === 'location') {
             const location = newUnlock.location;
@@ -4111,6 +5338,7 @@ export class UI {
                 ${unlockIcon} ${unlockText}
             </div>` : ''}
             ${energyNote}
+            ${skillNote}
         `;
         
         document.body.appendChild(popup);
@@ -4246,6 +5474,7 @@ export class UI {
                         <div>
                             <div style="font-size: 12px; color: rgba(255,255,255,0.6); margin-bottom: 5px;">Season</div>
                             <div style="font-size: 18px; font-weight: bold;">${fish.season}</div>
+                            <div style="font-size: 12px; color: rgba(255,255,255,0.6); margin-top: 3px;">${this.describeFishReturn(fish) || 'In season now'}</div>
                         </div>
                     </div>
                     <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 15px; margin-bottom: 15px;">
@@ -4335,7 +5564,7 @@ export class UI {
             }
 
             this.closeModal('inventory-modal');
-            switchToDifferentAccount();
+            switchToDifferentAccount(this.api);
         });
     }
 
@@ -4427,6 +5656,95 @@ export class UI {
         });
     }
     
+    async wireSettingsSaveHistory() {
+        const listEl = document.getElementById('settings-save-history');
+        if (!listEl) {
+            return;
+        }
+
+        const userId = this.player?.userId || this.api?.userId;
+        if (!this.isOnline() || !this.api || !userId) {
+            listEl.textContent = 'Connect online to see your save history.';
+            return;
+        }
+
+        const reasonLabels = {
+            autosave: 'Backup',
+            progress_drop: 'Before progress was lost',
+            before_restore: 'Before a restore'
+        };
+        const formatChange = (value, unit) => {
+            if (!value) return null;
+            return `${value > 0 ? '+' : ''}${value.toLocaleString()} ${unit}`;
+        };
+
+        let history;
+        try {
+            history = await this.api.getSaveHistory();
+        } catch (error) {
+            console.warn('[UI] Save history load failed:', error);
+            listEl.textContent = 'Could not load save history.';
+            return;
+        }
+
+        const snapshots = Array.isArray(history?.snapshots) ? history.snapshots : [];
+        if (snapshots.length === 0) {
+            listEl.textContent = 'No earlier saves yet. Backups appear here as you play.';
+            return;
+        }
+
+        listEl.innerHTML = snapshots.map((snapshot) => {
+            const { summary = {}, diff = {} } = snapshot;
+            const changes = [
+                formatChange(diff.level, 'lvl'),
+                formatChange(diff.money, 'coins'),
+                formatChange(diff.relicCount, 'relics')
+            ].filter(Boolean);
+            return `
+                <div class="settings-save-history-item">
+                    <div class="settings-save-history-info">
+                        <strong>Level ${summary.level ?? '?'} · ${(summary.money ?? 0).toLocaleString()} coins · ${summary.relicCount ?? 0} relics</strong>
+                        <span>${reasonLabels[snapshot.reason] || 'Backup'} · ${this.formatRelativeTime(snapshot.createdAt)}</span>
+                        <span class="settings-save-history-diff">${changes.length ? `vs. now: ${changes.join(', ')}` : 'Same as now'}</span>
+                    </div>
+                    <button type="button" class="settings-save-history-restore" data-snapshot-id="${snapshot.id}">Restore</button>
+                </div>
+            `;
+        }).join('');
+
+        listEl.addEventListener('click', async (event) => {
+            const button = event.target.closest('[data-snapshot-id]');
+            if (!button || button.disabled) {
+                return;
+            }
+
+            const confirmed = window.confirm(
+                'Restore this save?\n\nYour current progress will be replaced on every device. ' +
+                'It stays in your save history, so you can switch back.'
+            );
+            if (!confirmed) {
+                return;
+            }
+
+            button.disabled = true;
+            button.textContent = 'Restoring…';
+            try {
+                const { restoreCloudSaveSnapshot } = await import('./cloudSave.js');
+                await restoreCloudSaveSnapshot(this.api, userId, button.dataset.snapshotId);
+                window.location.reload();
+            } catch (error) {
+                console.error('[UI] Save restore failed:', error);
+                button.disabled = false;
+                button.textContent = 'Restore';
+                this.showToast({
+                    type: 'error',
+                    title: 'Restore failed',
+                    body: error?.message || 'Could not restore that save.'
+                });
+            }
+        });
+    }
+
     showResetConfirmation() {
         document.getElementById('reset-confirmation-overlay')?.remove();
 
@@ -4506,6 +5824,8 @@ export class UI {
         const preservedFriendCode = this.player?.friendCode || null;
         const preservedUserId = this.player?.userId || null;
         const preservedIsAdmin = this.player?.isAdmin === true;
+        // A new epoch so a merge with an older device's save can't undo the reset
+        const nextResetEpoch = (Number(this.player?.resetEpoch) || 0) + 1;
 
         // Clear all localStorage data
         localStorage.removeItem('kittyCreekPlayer');
@@ -4524,6 +5844,8 @@ export class UI {
             this.player.level = 1;
             this.player.experience = 0;
             this.player.money = 100;
+            this.player.moneyLog = [];
+            this.player.resetEpoch = nextResetEpoch;
             this.player.totalCaught = 0;
             this.player.totalWeight = 0;
             this.player.biggestCatch = 0;
@@ -4544,6 +5866,8 @@ export class UI {
                 hooks: [],
                 baits: []
             };
+            this.player.baitStock = {};
+            this.player.permanentBaits = [];
             this.player.gear = {
                 rod: 'Basic Rod',
                 reel: 'Basic Reel',
@@ -4557,6 +5881,8 @@ export class UI {
                 patience: 50,
                 strength: 50
             };
+            // Unspent skill points are derived from level, so clearing the ranks resets the tree
+            this.player.skillRanks = {};
             this.player.achievements = {};
             this.player.recentCatches = [];
             this.player.top10BiggestFish = [];
@@ -4593,6 +5919,7 @@ export class UI {
             if (typeof this.player.syncStoryUnlocks === 'function') {
                 this.player.syncStoryUnlocks();
             }
+            this.player.recalculateStats();
             this.player.save({ skipSync: true });
         }
         
@@ -67,7 +67,11 @@ export function makeWaterMaterial({
     uOpaqueDeep: { value: opaqueDeepWater ? 1.0 : 0.0 },
     uFlatWater: { value: flatWaterColor ? 1.0 : 0.0 },
     uSandBed: { value: 0.0 },
-    uShallowBedMix: { value: 0.0 }
+    uShallowBedMix: { value: 0.0 },
+    // Weather chop: 0 calm, 1 storm (see src/config/weather.js)
+    uRoughness: { value: 0.0 },
+    // Time-of-day tint (see src/config/timeOfDay.js); white leaves the water untouched
+    uDayTint: { value: new THREE.Color(1, 1, 1) }
   };
 
   const vert = /* glsl */`
@@ -122,6 +126,8 @@ export function makeWaterMaterial({
     uniform float uFlatWater;
     uniform float uSandBed;
     uniform float uShallowBedMix;
+    uniform float uRoughness;
+    uniform vec3 uDayTint;
 
     varying vec3 vWorldPos;
     varying vec3 vNormal;
@@ -170,18 +176,20 @@ export function makeWaterMaterial({
       } else {
         vec2 flowOffset = uFlowDirection * flowScrollT;
         vec2 flowScroll = flowOffset * 2.0;
-        uv1 = vUv * uUVScale1 + uScroll1 * uTime + flowScroll;
-        uv2 = vUv * uUVScale2 + uScroll2 * uTime + flowScroll * 0.85 + vec2(0.17, 0.09);
+        float windTime = uTime * (1.0 + uRoughness * 1.6);
+        uv1 = vUv * uUVScale1 + uScroll1 * windTime + flowScroll;
+        uv2 = vUv * uUVScale2 + uScroll2 * windTime + flowScroll * 0.85 + vec2(0.17, 0.09);
       }
       vec3 n1 = texture2D(uNormal1, uv1).xyz * 2.0 - 1.0;
       vec3 n2 = texture2D(uNormal2, uv2).xyz * 2.0 - 1.0;
-      vec3 n = normalize(vec3(n1.x + n2.x, n1.y * 0.7 + n2.y * 0.7, n1.z + n2.z) + vNormal * (uRiverMode > 0.5 ? 0.24 : 0.35));
+      float chop = 1.0 + uRoughness * 1.4;
+      vec3 n = normalize(vec3((n1.x + n2.x) * chop, n1.y * 0.7 + n2.y * 0.7, (n1.z + n2.z) * chop) + vNormal * (uRiverMode > 0.5 ? 0.24 : 0.35));
 
       vec3 V = normalize(uCamPos - vWorldPos);
       float fres = clamp(uFresnelBias + uFresnelScale * pow(1.0 - max(dot(V, n), 0.0), uFresnelPower), 0.0, 1.0);
 
       float ndl = max(dot(n, normalize(uSunDir)), 0.0);
-      float sparkle = pow(ndl, 64.0) * uSparkleStrength;
+      float sparkle = pow(ndl, 64.0) * uSparkleStrength * (1.0 - uRoughness * 0.8);
       if (uRiverMode > 0.5) {
         float scroll = flowScrollT * 0.24;
         sparkle *= step(0.93, hash(vec2(along * 0.14 + scroll, across * 0.08)));
@@ -238,7 +246,7 @@ export function makeWaterMaterial({
 
       float spec = pow(ndh, 180.0);
       float sunSpecIntensity = (uFlowSpeed > 0.0) ? 1.5 : 1.0;
-      float sunSpec = spec * ndl * fres * sunSpecIntensity;
+      float sunSpec = spec * ndl * fres * sunSpecIntensity * (1.0 - uRoughness * 0.7);
       vec3 sunColor = vec3(1.0, 0.96, 0.88);
       vec3 sunReflectionColor = sunColor * sunSpec;
 
@@ -327,6 +335,11 @@ export function makeWaterMaterial({
         finalOpacity = mix(finalOpacity * 0.58, finalOpacity, viewDepth);
       }
 
+      // Storm water: overcast sky leaves it grey-green and flat-lit
+      color = mix(color, vec3(dot(color, vec3(0.299, 0.587, 0.114))) * vec3(0.82, 0.9, 0.92), uRoughness * 0.35);
+
+      color *= uDayTint;
+
       gl_FragColor = vec4(color, finalOpacity);
     }
   `;
@@ -120,6 +120,8 @@ export class Water2Lake {
         this._amazonAnacondaEnabled = false;
         this._defaultLakeBedY = 0.08;
         this._defaultCausticsY = 0.035;
+        this._weatherRoughness = 0;
+        this._dayTint = new THREE.Color(1, 1, 1);
     }
     
     /**
@@ -701,6 +703,30 @@ export class Water2Lake {
         }
     }
 
+    /**
+     * Weather chop (0 calm → 1 storm). Scales the shader's normals, swell and glare on top of
+     * whatever the water body and location overrides set.
+     */
+    setWeatherRoughness(roughness) {
+        this._weatherRoughness = Math.min(1, Math.max(0, Number(roughness) || 0));
+        const uniform = this.mesh?.material?.uniforms?.uRoughness;
+        if (uniform) {
+            uniform.value = this._weatherRoughness;
+        }
+    }
+
+    /**
+     * Time-of-day colour multiplier (white = daylight) on top of the water body's own colours.
+     * @param {THREE.Color|number} tint
+     */
+    setDayTint(tint) {
+        this._dayTint.set(tint);
+        const uniform = this.mesh?.material?.uniforms?.uDayTint;
+        if (uniform) {
+            uniform.value.copy(this._dayTint);
+        }
+    }
+
     applyRiverModeUniforms(material) {
         if (!material?.uniforms) {
             return;
@@ -1503,6 +1529,8 @@ export class Water2Lake {
         }
         this.applyRiverModeUniforms(waterMaterial);
         this.applyWindScrollUniforms(waterMaterial);
+        waterMaterial.uniforms.uRoughness.value = this._weatherRoughness;
+        waterMaterial.uniforms.uDayTint.value.copy(this._dayTint);
         
         // Create procedural cloud texture for reflections
         this.defaultCloudTexture = this.createProceduralCloudTexture();
@@ -1561,6 +1589,7 @@ export class Water2Lake {
             uniform vec2 uFlowDirection;
             uniform float uFlowSpeed;
             uniform float uRiverMode;
+            uniform float uRoughness;
             varying vec3 vWorldPos;
             varying vec3 vNormal;
             varying vec2 vUv;
@@ -1643,6 +1672,12 @@ export class Water2Lake {
               float dist3 = length(p - ripplePos3);
               rip += rippleAmp * sin(8.0 * (dist3 - 2.4 * rippleTime3)) * exp(-1.5 * dist3) * exp(-1.0 * rippleTime3) * active3;
               
+              // Weather swell on top of the location's own waves
+              float weatherSwell = 1.0 + uRoughness * 0.9;
+              base *= weatherSwell;
+              dx *= weatherSwell;
+              dz *= weatherSwell;
+              
               vElevation = base + rip;
               pos.y += vElevation;
               
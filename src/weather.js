@@ -0,0 +1,102 @@
+/**
+ * Location weather state machine.
+ *
+ * Weather advances one Markov step per WEATHER_SLOT_MS using a PRNG seeded by location
+ * name + slot index, so every client (and friends in the same lobby room) agrees on the
+ * current weather and the forecast without asking the server.
+ */
+
+import {
+    DEFAULT_WEATHER_ID,
+    WEATHER_BOOSTED_RARITIES,
+    WEATHER_FORECAST_SLOTS,
+    WEATHER_SLOT_MS,
+    WEATHER_TYPES,
+    getLocationClimate
+} from './config/weather.js';
+
+/** Slots replayed before the requested one; enough for the chain to forget its seed state. */
+const WARMUP_SLOTS = 8;
+
+function hashString(value) {
+    let hash = 2166136261;
+    for (let i = 0; i < value.length; i++) {
+        hash ^= value.charCodeAt(i);
+        hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+}
+
+/** Deterministic 0–1 roll for one location + slot. */
+function slotRoll(locationName, slot) {
+    let t = (hashString(locationName) ^ Math.imul(slot, 0x9e3779b1)) >>> 0;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+function pickWeighted(weights, roll) {
+    const entries = Object.entries(weights || {});
+    const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+    if (total <= 0) {
+        return DEFAULT_WEATHER_ID;
+    }
+    let remaining = roll * total;
+    for (const [id, weight] of entries) {
+        remaining -= weight;
+        if (remaining <= 0) {
+            return id;
+        }
+    }
+    return entries[entries.length - 1][0];
+}
+
+export function getWeatherSlot(now = Date.now()) {
+    return Math.floor(now / WEATHER_SLOT_MS);
+}
+
+function weatherIdForSlot(location, climate, slot) {
+    let state = DEFAULT_WEATHER_ID;
+    for (let s = slot - WARMUP_SLOTS; s <= slot; s++) {
+        state = pickWeighted(climate[state] || climate[DEFAULT_WEATHER_ID], slotRoll(location.name, s));
+    }
+    return state;
+}
+
+/**
+ * Current weather at a location.
+ * @param {{ name?: string, waterBodyType?: string }|null} location
+ * @param {number} [now]
+ * @returns {typeof WEATHER_TYPES[keyof typeof WEATHER_TYPES]}
+ */
+export function getLocationWeather(location, now = Date.now()) {
+    const climate = getLocationClimate(location);
+    if (!climate) {
+        return WEATHER_TYPES[DEFAULT_WEATHER_ID];
+    }
+    return WEATHER_TYPES[weatherIdForSlot(location, climate, getWeatherSlot(now))] || WEATHER_TYPES[DEFAULT_WEATHER_ID];
+}
+
+/**
+ * Current slot followed by upcoming ones, for the location selector.
+ * @returns {Array<{ weather: object, startsAt: number }>} empty when the location has no weather
+ */
+export function getWeatherForecast(location, slots = WEATHER_FORECAST_SLOTS, now = Date.now()) {
+    const climate = getLocationClimate(location);
+    if (!climate) {
+        return [];
+    }
+    const first = getWeatherSlot(now);
+    return Array.from({ length: slots }, (_, i) => ({
+        weather: WEATHER_TYPES[weatherIdForSlot(location, climate, first + i)] || WEATHER_TYPES[DEFAULT_WEATHER_ID],
+        startsAt: (first + i) * WEATHER_SLOT_MS
+    }));
+}
+
+/** Spawn weight multiplier for one fish under the given weather. */
+export function getWeatherSpawnMultiplier(weather, rarity) {
+    if (!weather || !WEATHER_BOOSTED_RARITIES.includes(rarity)) {
+        return 1;
+    }
+    return weather.rareWeight ?? 1;
+}
@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    getMissingActionPermission,
+    normalizeAnnouncementInput,
+    recordAnnouncementAction
+} from '../server/adminAnnouncements.js';
+import { ADMIN_PERMISSIONS } from '../src/config/adminRoles.js';
+import { applyAnnouncementGift } from '../src/mailRewards.js';
+import { mergeGameSaves } from '../src/saveMerge.js';
+
+const GIFT = { type: 'claim_gift', label: 'Claim gift', coins: 300, energy: 20 };
+
+/** Just enough of a pg pool: tracks the ack's action_at, the save and the money column. */
+function fakePool({ gameSave = null } = {}) {
+    const state = { actionAt: null, gameSave, money: 0, committed: 0 };
+    const client = {
+        async query(sql, params) {
+            if (sql === 'BEGIN' || sql === 'ROLLBACK') return { rows: [] };
+            if (sql === 'COMMIT') {
+                state.committed += 1;
+                return { rows: [] };
+            }
+            if (sql.includes('INSERT INTO announcement_acks')) {
+                if (state.actionAt) return { rows: [] };
+                state.actionAt = new Date();
+                return { rows: [{ action_at: state.actionAt }] };
+            }
+            if (sql.includes('SELECT game_save')) {
+                return { rows: [{ game_save: state.gameSave && structuredClone(state.gameSave) }] };
+            }
+            if (sql.includes('SET game_save')) {
+                state.gameSave = JSON.parse(params[1]);
+                state.money += params[2];
+                return { rows: [] };
+            }
+            if (sql.includes('SET money')) {
+                state.money += params[1];
+                return { rows: [] };
+            }
+            throw new Error(`Unexpected query: ${sql}`);
+        },
+        release() {}
+    };
+    return { state, connect: async () => client };
+}
+
+const CLAIM = { playerId: 'p1', announcementId: 'a1', action: GIFT };
+
+test('a gift is written into the cloud save once', async () => {
+    const pool = fakePool({ gameSave: { player: { money: 10, energy: 5, moneyLog: [] } } });
+
+    assert.equal(await recordAnnouncementAction(pool, CLAIM), true);
+    assert.equal(await recordAnnouncementAction(pool, CLAIM), false);
+
+    const player = pool.state.gameSave.player;
+    assert.equal(player.money, 310);
+    assert.equal(player.energy, 25);
+    assert.deepEqual(player.moneyLog.map((entry) => entry.id), ['announcement:a1']);
+    assert.equal(pool.state.money, 300);
+    assert.equal(pool.state.committed, 1);
+});
+
+test('the client applying the same gift merges as one payment', async () => {
+    const pool = fakePool({ gameSave: { savedAt: 1, player: { money: 10, moneyLog: [] } } });
+    await recordAnnouncementAction(pool, CLAIM);
+
+    const local = { savedAt: 2, player: { money: 10, moneyLog: [] } };
+    assert.equal(applyAnnouncementGift(local.player, 'a1', GIFT), true);
+    assert.equal(applyAnnouncementGift(local.player, 'a1', GIFT), false);
+
+    const merged = mergeGameSaves(pool.state.gameSave, local);
+    assert.equal(merged.player.money, 310);
+});
+
+test('other actions only record the click', async () => {
+    const pool = fakePool({ gameSave: { player: { money: 10 } } });
+
+    await recordAnnouncementAction(pool, { ...CLAIM, action: { type: 'open_shop', category: 'rods' } });
+
+    assert.equal(pool.state.gameSave.player.money, 10);
+    assert.equal(pool.state.money, 0);
+});
+
+// Seeded in migrations/015_admin_roles.sql.
+const MODERATOR_PERMISSIONS = ['announcements', 'moderation'];
+
+test('a moderator cannot send a gift announcement', () => {
+    const parsed = normalizeAnnouncementInput({ title: 'Free coins', action: { type: 'claim_gift', coins: 100000 } });
+
+    assert.equal(getMissingActionPermission(parsed.value.action, MODERATOR_PERMISSIONS), ADMIN_PERMISSIONS.ECONOMY);
+    assert.equal(getMissingActionPermission(parsed.value.action, [...MODERATOR_PERMISSIONS, 'economy']), null);
+});
+
+test('a moderator can still send announcements without a gift', () => {
+    const parsed = normalizeAnnouncementInput({ title: 'Sale', action: { type: 'open_shop', category: 'reels' } });
+
+    assert.equal(getMissingActionPermission(parsed.value.action, MODERATOR_PERMISSIONS), null);
+    assert.equal(getMissingActionPermission(null, MODERATOR_PERMISSIONS), null);
+});
@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+
+import { getCastEnergyCost } from '../src/energy.js';
+import { LOCATION_PACK_URLS, registerLocationPack } from '../src/locationPacks.js';
+import {
+    HOURLY_ENERGY_BUDGET,
+    MAX_CATCHES_PER_HOUR,
+    MIN_CAST_ENERGY_COST,
+    checkCatchRate,
+    getServerLocationNames,
+    loadServerLocationPacks,
+    validateCatch
+} from '../server/catchValidation.js';
+
+const FIXTURE_ROOT = fileURLToPath(new URL('./fixtures/', import.meta.url));
+
+test('built-in locations validate from their packs', () => {
+    assert.equal(validateCatch({ fishName: 'Bass', weight: 3, locationName: 'Crescent Pond' }).ok, true);
+    assert.equal(
+        validateCatch({ fishName: 'Tuna', weight: 60, locationName: 'Crescent Pond' }).reason,
+        'species_not_at_location'
+    );
+    assert.equal(
+        validateCatch({ fishName: 'Bass', weight: 3, locationName: 'Nowhere Lake' }).reason,
+        'unknown_location'
+    );
+});
+
+test('pack files from LOCATION_PACK_URLS are known to the server', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    LOCATION_PACK_URLS.push('packs/misty-marsh.json', 'packs/missing.json');
+    try {
+        const loaded = await loadServerLocationPacks(FIXTURE_ROOT);
+        assert.deepEqual(loaded, ['Misty Marsh']);
+    } finally {
+        LOCATION_PACK_URLS.length = 0;
+    }
+
+    assert.ok(getServerLocationNames().includes('Misty Marsh'));
+    assert.equal(validateCatch({ fishName: 'Catfish', weight: 12, locationName: 'Misty Marsh' }).ok, true);
+    assert.equal(
+        validateCatch({ fishName: 'Bass', weight: 3, locationName: 'Misty Marsh' }).reason,
+        'species_not_at_location'
+    );
+});
+
+test('packs registered at runtime validate too', () => {
+    registerLocationPack({
+        name: 'Glass Lagoon',
+        fish: [34, 35],
+        waterBodyType: 'OCEAN',
+        platform: { type: 'DOCK' }
+    });
+
+    assert.equal(validateCatch({ fishName: 'Clownfish', weight: 0.2, locationName: 'Glass Lagoon' }).ok, true);
+});
+
+test('a Light Cast player spending every allowed energy source is not over budget', async () => {
+    const lightCaster = { skillRanks: { light_cast: 2 } };
+    const castCost = getCastEnergyCost(lightCaster);
+    assert.equal(castCost, MIN_CAST_ENERGY_COST);
+
+    const casts = Math.floor(HOURLY_ENERGY_BUDGET / castCost);
+    const pool = {
+        query: async () => ({ rows: [{ since_last_ms: 60000, last_hour: casts - 1 }] })
+    };
+
+    assert.deepEqual(await checkCatchRate(pool, 'p1', 2), { ok: true });
+});
+
+test('catches past the cheapest-cast budget are rejected', async () => {
+    const pool = {
+        query: async () => ({ rows: [{ since_last_ms: 60000, last_hour: MAX_CATCHES_PER_HOUR }] })
+    };
+
+    assert.equal((await checkCatchRate(pool, 'p1', 2)).reason, 'energy_budget');
+});
@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { FIGHT_DURATION_BANDS, getMinFightSeconds } from '../src/config/fightDuration.js';
+import { REEL_HARD_FIGHT_RATE } from '../src/config/lineTension.js';
+import { FishTypes } from '../src/fishTypes.js';
+import { getFightProfile } from '../src/fightProfiles.js';
+import { getReelFightDurationMultiplier } from '../src/lineTension.js';
+import { getTackleByCategory } from '../src/tackleShop.js';
+import { getMinCatchIntervalMs } from '../server/catchValidation.js';
+
+/** Band edges, where each weight band's shortest roll sits. */
+const SAMPLE_WEIGHTS = [0.1, ...FIGHT_DURATION_BANDS.filter((band) => Number.isFinite(band.below)).map((band) => band.below)];
+
+test('server minimum never exceeds the quickest fight a client can play', () => {
+    const reels = getTackleByCategory('reels');
+
+    FishTypes.forEach((fish) => {
+        const { durationScale } = getFightProfile(fish);
+        reels.forEach((reel) => {
+            const reelMultiplier = getReelFightDurationMultiplier({ gear: { reel: reel.name } });
+            SAMPLE_WEIGHTS.forEach((weight) => {
+                const band = FIGHT_DURATION_BANDS.find((entry) => weight < entry.below);
+                const quickest = band.base * durationScale * reelMultiplier / REEL_HARD_FIGHT_RATE;
+                assert.ok(
+                    getMinFightSeconds(weight) <= quickest + 1e-9,
+                    `${fish.name} ${weight} lbs on ${reel.name}: ${quickest.toFixed(2)}s`
+                );
+            });
+        });
+    });
+});
+
+test('catch interval grows with the fight length', () => {
+    const intervals = SAMPLE_WEIGHTS.map(getMinCatchIntervalMs);
+
+    intervals.slice(1).forEach((interval, index) => {
+        assert.ok(interval > intervals[index]);
+    });
+});
@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { MAX_FIGHT_SPEEDUP } from '../src/config/fightDuration.js';
+import { ReelingFight } from '../src/reelingFight.js';
+
+const STEP = 1 / 60;
+
+function secondsToLand(stats, fightDuration) {
+    const fight = new ReelingFight(stats, { fightDuration, catchChance: 1 });
+    let elapsed = 0;
+    while (fight.update(STEP, true) !== 'landed') {
+        elapsed += STEP;
+    }
+    return elapsed + STEP;
+}
+
+test('reeling hard the whole way never lands faster than the fastest fight clock', () => {
+    [50, 100, 200].forEach((strength) => {
+        [1.03, 4, 20].forEach((fightDuration) => {
+            const landed = secondsToLand({ strength, patience: 50 }, fightDuration);
+            assert.ok(
+                landed >= fightDuration / MAX_FIGHT_SPEEDUP - STEP,
+                `strength ${strength}, ${fightDuration}s fight landed in ${landed.toFixed(2)}s`
+            );
+        });
+    });
+});
+
+test('strength still shortens an active fight below the cap', () => {
+    assert.ok(secondsToLand({ strength: 60, patience: 50 }, 10) < secondsToLand({ strength: 50, patience: 50 }, 10));
+});
@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { mergeBaitStock, mergeGameSaves, mergePlayerData } from '../src/saveMerge.js';
+
+const baitPack = (id, baitId, casts, at) => ({ id, amount: -30, reason: 'bait', at, bait: { id: baitId, casts } });
+
+test('bait pack bought on the older device survives a newer save that fished with it', () => {
+    const shared = [baitPack('p1', 1, 45, 100)];
+    // Device A bought a second pack; device B saved later after using 20 casts from the first.
+    const deviceA = { money: 40, baitStock: { 1: 90 }, moneyLog: [...shared, baitPack('p2', 1, 45, 200)] };
+    const deviceB = { money: 70, baitStock: { 1: 25 }, moneyLog: shared };
+
+    const merged = mergePlayerData(deviceB, deviceA, false);
+
+    assert.deepEqual(merged.baitStock, { 1: 70 });
+    assert.equal(merged.money, 40);
+});
+
+test('packs both saves have seen are not replayed twice', () => {
+    const log = [baitPack('p1', 3, 60, 100)];
+
+    assert.deepEqual(
+        mergeBaitStock({ baitStock: { 3: 60 }, moneyLog: log }, { baitStock: { 3: 12 }, moneyLog: log }),
+        { 3: 12 }
+    );
+});
+
+test('stacks only the older save has are kept as they are', () => {
+    const older = { baitStock: { 2: 50, 4: 0 }, moneyLog: [baitPack('p1', 2, 75, 100)] };
+    const newer = { baitStock: { 4: 30 }, moneyLog: [] };
+
+    assert.deepEqual(mergeBaitStock(older, newer), { 2: 50, 4: 30 });
+});
+
+test('saves without a money log fall back to the newer count', () => {
+    assert.deepEqual(
+        mergeBaitStock({ baitStock: { 1: 45, 5: 30 } }, { baitStock: { 1: 3 } }),
+        { 1: 3, 5: 30 }
+    );
+});
+
+test('grandfathered permanent baits are unioned', () => {
+    const merged = mergePlayerData({ permanentBaits: [1] }, { permanentBaits: [1, 4] }, true);
+
+    assert.deepEqual(merged.permanentBaits, [1, 4]);
+});
+
+test('a save from a later reset epoch is taken whole', () => {
+    const stale = {
+        savedAt: 300,
+        player: { level: 20, money: 9000, hiddenRelicsCollected: ['compass'], locationUnlocks: [0, 1, 2, 3] },
+        inventory: null,
+        collection: { caughtFishCollection: { 2: { caught: true, count: 4 } } }
+    };
+    const restored = {
+        savedAt: 200,
+        player: { level: 3, money: 150, hiddenRelicsCollected: [], locationUnlocks: [0, 1], resetEpoch: 1 },
+        inventory: null,
+        collection: { caughtFishCollection: {} }
+    };
+
+    assert.equal(mergeGameSaves(restored, stale), restored);
+    assert.equal(mergeGameSaves(stale, restored), restored);
+});
+
+test('saves from the same epoch still merge', () => {
+    const merged = mergeGameSaves(
+        { savedAt: 1, player: { level: 3, resetEpoch: 2, locationUnlocks: [0, 1] } },
+        { savedAt: 2, player: { level: 2, resetEpoch: 2, locationUnlocks: [0, 4] } }
+    );
+
+    assert.equal(merged.player.level, 3);
+    assert.deepEqual(merged.player.locationUnlocks, [0, 1, 4]);
+});
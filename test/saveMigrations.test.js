@@ -0,0 +1,168 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { SAVE_SCHEMA_VERSIONS, migrateSaveData, readMigratedSave } from '../src/saveMigrations.js';
+
+const loadFixture = (name) => JSON.parse(
+    readFileSync(new URL(`./fixtures/saves/${name}.json`, import.meta.url), 'utf8')
+);
+
+const EMPTY_TACKLE = { rods: [], reels: [], lines: [], hooks: [], baits: [] };
+
+/** Fields every player save gains on its way to the current version. */
+const PLAYER_DEFAULTS = {
+    tackleNotified: EMPTY_TACKLE,
+    hiddenRelicsCollected: [],
+    starlightLureCrafted: false,
+    relicCastAttempts: {},
+    caughtFishCollection: {},
+    tournamentBadges: [],
+    baitStock: {},
+    permanentBaits: [],
+    skillRanks: {},
+    claimedMail: [],
+    schemaVersion: SAVE_SCHEMA_VERSIONS.player
+};
+
+test('player: achievement id list becomes tier map', () => {
+    const fixture = loadFixture('player-v0-achievement-list');
+
+    assert.deepEqual(migrateSaveData('player', fixture), {
+        ...PLAYER_DEFAULTS,
+        level: 7,
+        experience: 1240,
+        money: 860,
+        achievements: { first_catch: 1, ten_catches: 1, night_owl: 1 },
+        tackleUnlocks: { rods: [0, 1], reels: [0], lines: [0], hooks: [0, 1], baits: [0] },
+        gear: fixture.gear
+    });
+});
+
+test('player: baits bought before packs existed stay permanent', () => {
+    const fixture = loadFixture('player-v0-permanent-baits');
+
+    assert.deepEqual(migrateSaveData('player', fixture), {
+        ...PLAYER_DEFAULTS,
+        level: 11,
+        experience: 5300,
+        money: 2400,
+        achievements: { first_catch: 1 },
+        tackleUnlocks: fixture.tackleUnlocks,
+        gear: fixture.gear,
+        permanentBaits: [1, 3]
+    });
+});
+
+test('player: missing fields are filled with empty defaults', () => {
+    assert.deepEqual(migrateSaveData('player', loadFixture('player-v0-missing-fields')), {
+        ...PLAYER_DEFAULTS,
+        level: 2,
+        experience: 90,
+        money: 40,
+        achievements: {},
+        tackleUnlocks: { rods: [0], reels: [0], lines: [0], hooks: [0], baits: [0] }
+    });
+});
+
+test('player: only steps above the stored version run', () => {
+    const fixture = loadFixture('player-v2-partial');
+
+    assert.deepEqual(migrateSaveData('player', fixture), {
+        ...fixture,
+        tournamentBadges: [],
+        baitStock: {},
+        permanentBaits: [2],
+        skillRanks: {},
+        claimedMail: [],
+        schemaVersion: SAVE_SCHEMA_VERSIONS.player
+    });
+});
+
+test('player: saves from a newer build pass through untouched', () => {
+    const fixture = loadFixture('player-future');
+
+    assert.deepEqual(migrateSaveData('player', fixture), fixture);
+});
+
+test('player: current saves are left as they are', () => {
+    const current = migrateSaveData('player', loadFixture('player-v0-permanent-baits'));
+
+    assert.deepEqual(migrateSaveData('player', current), current);
+});
+
+test('inventory: lists are trimmed and bad top-fish entries dropped', () => {
+    const fixture = loadFixture('inventory-v0');
+
+    assert.deepEqual(migrateSaveData('inventory', fixture), {
+        recentCatches: fixture.recentCatches.slice(0, 10),
+        top10BiggestFish: [
+            { fishName: 'Carp', weight: 5.5 },
+            { fishName: 'Catfish', weight: 4.2 },
+            { fishName: 'Bass', weight: 2.1 }
+        ],
+        caughtFish: {},
+        schemaVersion: SAVE_SCHEMA_VERSIONS.inventory
+    });
+});
+
+test('inventory: missing fields are filled with empty defaults', () => {
+    assert.deepEqual(migrateSaveData('inventory', loadFixture('inventory-v0-empty')), {
+        recentCatches: [],
+        top10BiggestFish: [],
+        caughtFish: {},
+        schemaVersion: SAVE_SCHEMA_VERSIONS.inventory
+    });
+});
+
+test('collection: { id: true } flags become entries', () => {
+    assert.deepEqual(migrateSaveData('collection', loadFixture('collection-v0-true-flags')), {
+        caughtFishCollection: {
+            1: { caught: true, count: 1, firstCatchDate: null },
+            4: { caught: true, count: 1, firstCatchDate: null }
+        },
+        schemaVersion: SAVE_SCHEMA_VERSIONS.collection
+    });
+});
+
+test('collection: existing counts and dates are kept', () => {
+    assert.deepEqual(migrateSaveData('collection', loadFixture('collection-v0-mixed')), {
+        caughtFishCollection: {
+            2: { caught: true, count: 6, firstCatchDate: 1700000000000 },
+            3: { caught: true, count: 1, firstCatchDate: null },
+            7: { caught: true, count: 1, firstCatchDate: null }
+        },
+        schemaVersion: SAVE_SCHEMA_VERSIONS.collection
+    });
+});
+
+test('collection: missing map becomes empty', () => {
+    assert.deepEqual(migrateSaveData('collection', {}), {
+        caughtFishCollection: {},
+        schemaVersion: SAVE_SCHEMA_VERSIONS.collection
+    });
+});
+
+test('non-object payloads migrate to null', () => {
+    assert.equal(migrateSaveData('player', null), null);
+    assert.equal(migrateSaveData('player', ['not', 'a', 'save']), null);
+    assert.throws(() => migrateSaveData('settings', {}), /Unknown save payload/);
+});
+
+test('readMigratedSave falls back to the backup copy', (t) => {
+    const stored = {
+        kittyCreekCollection: '{ broken',
+        kittyCreekCollection_backup: JSON.stringify(loadFixture('collection-v0-true-flags'))
+    };
+    globalThis.localStorage = { getItem: (key) => stored[key] ?? null };
+    t.after(() => {
+        delete globalThis.localStorage;
+    });
+    t.mock.method(console, 'warn', () => {});
+
+    const migrated = readMigratedSave('kittyCreekCollection');
+
+    assert.equal(migrated.schemaVersion, SAVE_SCHEMA_VERSIONS.collection);
+    assert.deepEqual(Object.keys(migrated.caughtFishCollection), ['1', '4']);
+    assert.equal(readMigratedSave('kittyCreekPlayer'), null);
+});
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { awardPrize } from '../server/tournaments.js';
+
+const TOURNAMENT = { id: 't1', name: 'Spring Derby', badge_name: 'Derby Champ' };
+const STANDING = { playerId: 'p1', rank: 1 };
+
+/** Just enough of a pg client: tracks the entry's awarded flag, the save and the money column. */
+function fakeClient({ awarded = false, gameSave = null } = {}) {
+    const state = { awarded, gameSave, money: 0 };
+    return {
+        state,
+        async query(sql, params) {
+            if (sql.includes('UPDATE tournament_entries')) {
+                if (state.awarded) return { rows: [] };
+                state.awarded = true;
+                return { rows: [{ player_id: params[1] }] };
+            }
+            if (sql.includes('SELECT game_save')) {
+                return { rows: [{ game_save: state.gameSave && structuredClone(state.gameSave) }] };
+            }
+            if (sql.includes('SET game_save')) {
+                state.gameSave = JSON.parse(params[1]);
+                state.money += params[2];
+                return { rows: [] };
+            }
+            if (sql.includes('SET money')) {
+                state.money += params[1];
+                return { rows: [] };
+            }
+            throw new Error(`Unexpected query: ${sql}`);
+        }
+    };
+}
+
+test('a repeated award pays once', async () => {
+    const client = fakeClient({ gameSave: { player: { money: 10, tournamentBadges: [] } } });
+
+    assert.equal(await awardPrize(client, TOURNAMENT, STANDING, 500), true);
+    assert.equal(await awardPrize(client, TOURNAMENT, STANDING, 500), false);
+
+    assert.equal(client.state.money, 500);
+    assert.equal(client.state.gameSave.player.money, 510);
+    assert.equal(client.state.gameSave.player.tournamentBadges.length, 1);
+});
+
+test('a save that already holds the badge gets no coins', async () => {
+    const client = fakeClient({
+        gameSave: { player: { money: 10, tournamentBadges: [{ tournamentId: 't1' }] } }
+    });
+
+    assert.equal(await awardPrize(client, TOURNAMENT, STANDING, 500), false);
+    assert.equal(client.state.money, 0);
+});
+
+test('players without a cloud save are paid on the money column once', async () => {
+    const client = fakeClient();
+
+    await awardPrize(client, TOURNAMENT, STANDING, 250);
+    await awardPrize(client, TOURNAMENT, STANDING, 250);
+
+    assert.equal(client.state.money, 250);
+});